@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+/**
+ * ci-standards CLI
+ * One executable for the standards scripts, so projects can `npx ci-standards` instead of copying them:
+ *   ci-standards check ts|css|html|all [files...]   Check TypeScript, CSS, Angular templates or all of them
+ *   ci-standards review [--base <ref>]               Print PR review comments as JSON (generate-pr-comments.js)
+ *   ci-standards install-hooks [--force]             Install a git pre-commit hook that checks staged files
+ *   ci-standards explain [rule]                      Describe a rule, or list them all
+ * Every command reads .ci-standards.json (or --config) and reports with --format / --output-file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cp = require('child_process');
+const { parseArgs, mergeSpecs } = require('../scripts/lib/args');
+const { selectFiles } = require('../scripts/lib/files');
+const { setupRun, writeReport, exitCodeFor, runMain } = require('../scripts/lib/cli');
+const { loadConfig } = require('../scripts/lib/config');
+const { getLanguage, getExtensions } = require('../scripts/lib/engine');
+const { RULES, getRule } = require('../scripts/lib/rules');
+const { FIXABLE_RULES } = require('../scripts/lib/jsdoc-fixer');
+const checkTs = require('../scripts/check-code-standards');
+const checkCss = require('../scripts/check-tailwind-standards');
+const checkHtml = require('../scripts/check-template-standards');
+const review = require('../scripts/generate-pr-comments');
+
+// Marks hooks written by install-hooks, so they can be replaced without --force
+const HOOK_MARKER = '# Installed by ci-standards install-hooks';
+
+const HOOK_SCRIPT = `#!/bin/sh
+${HOOK_MARKER}
+echo "🔍 Running code standards check on staged files..."
+npx --no-install ci-standards check all --staged || {
+  echo "❌ Code standards check failed. Commit aborted."
+  exit 1
+}
+`;
+
+// What each rule scope means for PR reviews
+const SCOPE_DESCRIPTIONS = {
+  added: 'reviews lines the PR adds or rewrites',
+  symbol: 'reviews the whole member when any line of it changed',
+  file: 'reviews the whole file when it changed',
+};
+
+// Files each rule language checks
+const LANGUAGE_DESCRIPTIONS = {
+  ts: '.ts files',
+  css: '.css, .scss, .sass and .less files',
+  html: '.html templates and inline @Component templates',
+  any: 'every checked file',
+};
+
+const USAGE = `Usage: ci-standards <command> [options]
+
+Commands:
+  check ts|css|html|all [files...]
+                               Check TypeScript, CSS, templates or all (default: files changed in git)
+                               --all, --changed, --staged, --diff=<ref>, --fix, --baseline[=<file>],
+                               --write-baseline[=<file>]
+  review [--base <ref>]        Print PR review comments as JSON for the diff against <ref>
+                               --root, --diff-file, --sarif, --codequality, --fail-on, --max-warnings
+  install-hooks [--force]      Install a pre-commit hook that runs 'check all --staged'
+  explain [rule]               Describe a rule, or list every rule
+  help                         Show this message
+
+Shared options:
+  --config=<file>              Config file (default: .ci-standards.json found from the working directory)
+  --format=<name>              Report format: stylish, json, junit, checkstyle, github, sarif, codequality
+  --output-file=<file>         Write the report to a file instead of stdout`;
+
+/**
+ * Checks TypeScript, CSS and template files in one run, with a combined report for --format
+ * Baseline options apply to the TypeScript files, as they do for 'check ts'
+ * @param {string[]} argv - Arguments after 'check all'
+ * @returns {number} Exit code: 1 when errors are reported, 0 otherwise
+ */
+function checkAll(argv) {
+  const args = parseArgs(argv, mergeSpecs(checkTs.TS_OPTIONS, checkCss.CSS_OPTIONS, checkHtml.TEMPLATE_OPTIONS));
+  const { flags } = args;
+  const run = setupRun(flags);
+  const { log } = run;
+
+  if (flags.all && args.positionals.length === 0) log('🔍 Scanning source directories...');
+  const extensions = [...getExtensions('ts'), ...getExtensions('css'), ...getExtensions('html')];
+  const { files, message } = selectFiles(args, extensions, 'TypeScript, CSS or template');
+  if (files.length === 0) {
+    log(message);
+    writeReport(run, []);
+    return 0;
+  }
+  const tsFiles = files.filter((file) => getLanguage(file) === 'ts');
+  const cssFiles = files.filter((file) => getLanguage(file) === 'css');
+  const htmlFiles = files.filter((file) => getLanguage(file) === 'html');
+  if (flags.all) log(`📁 Found ${tsFiles.length} TypeScript, ${cssFiles.length} CSS and ${htmlFiles.length} template files to check.`);
+
+  let violations = [];
+  if (tsFiles.length > 0) {
+    const result = checkTs.runTypeScriptChecks(tsFiles, {
+      config: run.config,
+      fix: flags.fix,
+      staged: flags.staged,
+      baselinePath: flags.baseline || null,
+      writeBaselinePath: flags['write-baseline'] || null,
+      printAsFound: !run.formatter,
+      log,
+    });
+    violations = violations.concat(result.violations);
+  }
+  if (cssFiles.length > 0) {
+    const cssViolations = checkCss.runCSSChecks(cssFiles, run.config);
+    if (!run.formatter) checkCss.printCSSViolations(cssViolations);
+    violations = violations.concat(cssViolations);
+  }
+  if (htmlFiles.length > 0) {
+    const htmlViolations = checkHtml.runTemplateChecks(htmlFiles, run.config);
+    if (!run.formatter) checkHtml.printTemplateViolations(htmlViolations);
+    violations = violations.concat(htmlViolations);
+  }
+
+  writeReport(run, violations);
+
+  const warningCount = violations.filter((v) => v.severity === 'warning').length;
+  if (exitCodeFor(violations) === 1) {
+    log('\n⚠️ Code standard violations found. Please fix and recommit.');
+    return 1;
+  }
+  if (warningCount > 0) {
+    log(`\n✅ No blocking violations (${warningCount} warning(s)).`);
+  } else {
+    log('✅ All checked files comply with the standards!');
+  }
+  return 0;
+}
+
+/**
+ * Runs 'check ts', 'check css', 'check html' or 'check all'
+ * @param {string[]} argv - Arguments after 'check'
+ * @returns {number} Exit code
+ */
+function check(argv) {
+  const [target, ...rest] = argv;
+  if (target === 'ts') return checkTs.main(rest);
+  if (target === 'css') return checkCss.main(rest);
+  if (target === 'html') return checkHtml.main(rest);
+  if (target === 'all') return checkAll(rest);
+  throw new Error(`Expected 'check ts', 'check css', 'check html' or 'check all'${target ? `, got 'check ${target}'` : ''}`);
+}
+
+/**
+ * Installs the pre-commit hook into the repository's hooks directory (honoring core.hooksPath)
+ * An existing hook that install-hooks did not write is only replaced with --force
+ * @param {string[]} argv - Arguments after 'install-hooks'
+ * @returns {number} Exit code
+ */
+function installHooks(argv) {
+  const { flags } = parseArgs(argv, { boolean: ['force'] });
+  let hooksDir;
+  try {
+    hooksDir = cp.execSync('git rev-parse --git-path hooks', { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
+  } catch {
+    throw new Error('install-hooks must run inside a git repository');
+  }
+
+  const hookPath = path.join(hooksDir, 'pre-commit');
+  if (fs.existsSync(hookPath) && !fs.readFileSync(hookPath, 'utf8').includes(HOOK_MARKER) && !flags.force) {
+    throw new Error(`${hookPath} already exists. Add 'npx ci-standards check all --staged' to it, or pass --force to replace it.`);
+  }
+
+  fs.mkdirSync(hooksDir, { recursive: true });
+  fs.writeFileSync(hookPath, HOOK_SCRIPT, { mode: 0o755 });
+  fs.chmodSync(hookPath, 0o755);
+  console.log(`✓ Installed pre-commit hook at ${hookPath}`);
+  return 0;
+}
+
+/**
+ * Describes a rule: category, severity, files checked, PR review scope and how to fix or silence it
+ * Without a rule id, lists every rule with the severity it runs at in this project
+ * @param {string[]} argv - Arguments after 'explain'
+ * @returns {number} Exit code
+ */
+function explain(argv) {
+  const { flags, positionals } = parseArgs(argv, { string: ['config'] });
+  const config = loadConfig({ configPath: flags.config });
+  const severityOf = (ruleId) => config.rules[ruleId] || RULES[ruleId].severity;
+
+  const [ruleId] = positionals;
+  if (!ruleId) {
+    const width = Math.max(...Object.keys(RULES).map((id) => id.length));
+    for (const id of Object.keys(RULES)) {
+      console.log(`${id.padEnd(width)}  ${severityOf(id).padEnd(7)}  ${RULES[id].description}`);
+    }
+    return 0;
+  }
+
+  const rule = getRule(ruleId);
+  if (!rule) throw new Error(`Unknown rule '${ruleId}'. Run 'ci-standards explain' to list the rules.`);
+
+  const severity = severityOf(ruleId);
+  console.log(ruleId);
+  console.log(`  ${rule.description}`);
+  console.log('');
+  console.log(`  Category: ${rule.category}${rule.plugin ? ' (plugin rule)' : ''}`);
+  console.log(`  Checks:   ${LANGUAGE_DESCRIPTIONS[rule.language]}`);
+  console.log(`  Severity: ${severity}${severity === rule.severity ? '' : ` (default: ${rule.severity})`}`);
+  console.log(`  Scope:    ${rule.scope} - ${SCOPE_DESCRIPTIONS[rule.scope]}`);
+  console.log(`  Fixable:  ${FIXABLE_RULES.has(ruleId) ? "yes, with 'ci-standards check ts --fix'" : 'no'}`);
+  const directive = `ci-standards-disable-next-line ${ruleId} -- <reason>`;
+  console.log(`  Silence:  ${rule.language === 'html' ? `<!-- ${directive} -->` : `// ${directive}`}`);
+  return 0;
+}
+
+/**
+ * Runs a ci-standards command
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @returns {number} Exit code
+ */
+function main(argv) {
+  const [command, ...rest] = argv;
+  switch (command) {
+    case 'check':
+      return check(rest);
+    case 'review':
+      return review.main(rest);
+    case 'install-hooks':
+      return installHooks(rest);
+    case 'explain':
+      return explain(rest);
+    case 'help':
+    case '--help':
+    case '-h':
+    case undefined:
+      console.log(USAGE);
+      return 0;
+    default:
+      console.error(USAGE);
+      throw new Error(`Unknown command '${command}'`);
+  }
+}
+
+module.exports = {
+  HOOK_MARKER,
+  main
+};
+
+// Only run CLI behavior if executed directly (not required as module)
+if (require.main === module) {
+  runMain(main);
+}
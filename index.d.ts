@@ -0,0 +1,402 @@
+/**
+ * Type declarations for the ci-standards programmatic API (index.js and index.mjs)
+ */
+
+/** Severity a rule runs at */
+export type Severity = 'off' | 'warning' | 'error';
+
+/** Severity as written in config: names or ESLint-style numbers */
+export type SeverityInput = Severity | 'warn' | 0 | 1 | 2;
+
+/** Part of a change a rule reviews: changed lines, the enclosing member, or the whole file */
+export type RuleScope = 'added' | 'symbol' | 'file';
+
+export type RuleCategory =
+  | 'documentation'
+  | 'typescript'
+  | 'type-safety'
+  | 'debugging'
+  | 'maintainability'
+  | 'styling';
+
+/** Files a rule checks; suppression rules apply to every language ('any') */
+export type RuleLanguage = 'ts' | 'css' | 'html';
+
+/** Rule metadata from the registry */
+export interface Rule {
+  category: RuleCategory;
+  severity: Severity;
+  scope: RuleScope;
+  language: RuleLanguage | 'any';
+  description: string;
+  /** Set for rules added by a plugin */
+  plugin?: true;
+}
+
+/** One rule violation */
+export interface Violation {
+  file: string;
+  line: number;
+  /** CSS and template violations: where the declaration or attribute starts and ends */
+  column?: number;
+  endLine?: number;
+  endColumn?: number;
+  message: string;
+  severity: Exclude<Severity, 'off'>;
+  ruleId: string;
+  /** Registry category, or 'custom' for rules outside the registry */
+  ruleCategory: RuleCategory | 'custom';
+  /** CSS violations: the offending declaration and the Tailwind utility to use instead */
+  property?: string;
+  value?: string;
+  tailwind?: string;
+  /** CSS and template violations, when the project's Tailwind theme has a token for the value */
+  token?: TokenSuggestion;
+}
+
+/** Theme token matched to a CSS value */
+export interface TokenSuggestion {
+  /** Utility that applies the token, such as 'p-4' or 'text-blue-700' */
+  utility: string;
+  /** Token value from the theme */
+  value: string;
+  /** False when the token is only the nearest one */
+  exact: boolean;
+  /** How far the nearest token is from the value, such as '16px, 1px more'; null when exact */
+  note: string | null;
+}
+
+/** Theme key a Tailwind property's values are matched against */
+export type TailwindScale = 'spacing' | 'colors' | 'fontSize' | 'fontWeight' | 'borderRadius';
+
+/** Tailwind utility mapping for a CSS property */
+export interface TailwindProperty {
+  /** Utility template, such as 'p-{size}' */
+  tailwind: string;
+  category?: string;
+  /** Flag literal values, not just missing utilities */
+  strict?: boolean;
+  scale?: TailwindScale;
+}
+
+/** Tailwind table additions */
+export interface TailwindConfig {
+  exemptProperties?: string[];
+  properties?: Record<string, TailwindProperty | null>;
+  /**
+   * tailwind.config.js or a CSS file with @theme blocks, relative to the config file; false turns
+   * token suggestions off. Default: tailwind.config.js, .cjs, .mjs or .ts in the config directory
+   */
+  theme?: string | false;
+}
+
+/** Tailwind additions after normalization */
+export type ResolvedTailwindConfig = Required<Omit<TailwindConfig, 'theme'>> & Pick<TailwindConfig, 'theme'>;
+
+/** PR review thresholds */
+export interface ReviewConfig {
+  failOn?: 'error' | 'warning' | 'never';
+  /** Block when there are more warnings than this; -1 means no limit */
+  maxWarnings?: number;
+  approve?: boolean;
+}
+
+/** Config in the .ci-standards.json format */
+export interface ConfigInput {
+  /** Rule plugins: package names or paths relative to the config file */
+  plugins?: string[];
+  rules?: Record<string, SeverityInput>;
+  tailwind?: TailwindConfig;
+  review?: ReviewConfig;
+  overrides?: Array<{
+    files: string | string[];
+    rules?: Record<string, SeverityInput>;
+    tailwind?: TailwindConfig;
+  }>;
+}
+
+/** Config as returned by loadConfig and createConfig */
+export interface Config {
+  /** Directory override globs are relative to */
+  root: string;
+  /** File the config was read from, or null */
+  filePath: string | null;
+  plugins: string[];
+  /** Ids of the rules the plugins provide */
+  pluginRules: string[];
+  rules: Record<string, Severity>;
+  tailwind: ResolvedTailwindConfig;
+  review: Required<ReviewConfig>;
+  overrides: Array<{ files: string[]; patterns: RegExp[]; rules: Record<string, Severity>; tailwind: ResolvedTailwindConfig }>;
+  fileConfigs: Map<string, unknown>;
+}
+
+/** Class member of a .ts file, as passed to member hooks */
+export interface Member {
+  name: string;
+  /** Line of the member name */
+  line: number;
+  startLine: number;
+  signatureEndLine: number;
+  endLine: number;
+  kind: 'method' | 'getter' | 'setter' | 'property-function' | 'reactive';
+  modifier: 'public' | 'private' | 'protected' | null;
+  returnType: string | null;
+  params: Array<{ name: string; type: string; destructured: boolean; optional: boolean }>;
+  jsDoc: { exists: boolean; isSingleLine: boolean; startIdx: number; endIdx: number; content: string };
+  /** Angular factory the member is initialized with: 'signal', 'computed', 'input', 'output' or 'viewChild' */
+  reactiveKind: string | null;
+  /** Set on the signatures of an overload group after the first */
+  isOverload: boolean;
+  /** TypeScript AST node */
+  node: unknown;
+}
+
+/** An `any` keyword in a .ts file, as passed to anyType hooks */
+export interface AnyType {
+  line: number;
+  context: 'return' | 'parameter' | 'other';
+  /** Parameter or method name, null for context 'other' */
+  name: string | null;
+}
+
+/** A property declaration in a .css file outside @keyframes and @font-face, as passed to declaration hooks */
+export interface Declaration {
+  property: string;
+  /** Value with whitespace collapsed and without `!important` */
+  value: string;
+  important: boolean;
+  /** SCSS/Sass ($brand) and Less (@brand) variable definitions, with the variable as property */
+  variable: boolean;
+  line: number;
+  column: number;
+  endLine: number;
+  endColumn: number;
+  /** Selector list with nesting resolved, or '' for declarations directly inside an at-rule */
+  selector: string;
+  /** Enclosing at-rules, outermost first, such as '@media (min-width: 640px)' */
+  atRules: string[];
+}
+
+/** An attribute, binding or `*` directive in an Angular template, as passed to attribute hooks */
+export interface TemplateAttribute {
+  /** Tag name of the element, or 'ng-template' */
+  element: string;
+  /** 'static' for plain attributes; 'structural' for `*` directives such as *ngIf */
+  kind: 'static' | 'property' | 'attribute' | 'class' | 'style' | 'animation' | 'event' | 'structural';
+  /** Such as 'class', 'color' for [style.color], 'click' for (click) or 'ngIf' for *ngIf */
+  name: string;
+  /** The attribute name as written, such as '[style.color.px]' or '*ngIf' */
+  key: string;
+  /** Static value, expression source, or the microsyntax of a `*` directive */
+  value: string;
+  /** Angular expression AST of bindings and events, null otherwise */
+  ast: unknown;
+  /** Unit of [style.x.unit] bindings, such as 'px' */
+  unit: string | null;
+  line: number;
+  column: number;
+  endLine: number;
+  endColumn: number;
+}
+
+/** A bound expression in an Angular template, as passed to expression hooks */
+export interface TemplateExpression {
+  source: string;
+  /** Angular expression AST */
+  ast: unknown;
+  /** 'block' for the parameters of @if, @for, @switch, @case and @let */
+  context: 'interpolation' | 'binding' | 'event' | 'block';
+  /** Tag name of the element a binding or event is on, null otherwise */
+  element: string | null;
+  line: number;
+  column: number;
+  endLine: number;
+  endColumn: number;
+  /** Pipes the expression applies, such as json */
+  pipes: Array<{ name: string; line: number; column: number }>;
+  /** Functions it calls, by dotted name such as 'console.log' */
+  calls: Array<{ name: string; line: number; column: number }>;
+}
+
+/** A string literal in an @Component decorator's `styles` or `template` */
+export interface InlineLiteral {
+  /** The string's value, with escapes applied */
+  content: string;
+  /** Where the content starts in the .ts file */
+  line: number;
+  column: number;
+  /** Maps a line and column of the content to the .ts file, stepping over escapes */
+  locate(line: number, column: number): { line: number; column: number };
+}
+
+/** What a rule's create function receives for each checked file */
+export interface RuleContext {
+  ruleId: string;
+  file: string;
+  source: string;
+  lines: string[];
+  language: RuleLanguage;
+  /** Severity the rule runs at for this file */
+  severity: Exclude<Severity, 'off'>;
+  config: Config;
+  /** .ts files: members and `any` keywords from the TypeScript parser, and the parsed source file */
+  members?: Member[];
+  anyTypes?: AnyType[];
+  sourceFile?: unknown;
+  /** .ts files: string literals in @Component `styles`, with where their content starts */
+  inlineStyles?: InlineLiteral[];
+  /** .ts files: the string literal in @Component `template`, with where its content starts */
+  inlineTemplates?: InlineLiteral[];
+  /** .css files: declarations, or the syntax error that stopped parsing */
+  declarations?: Declaration[];
+  /** .html files: attributes and bound expressions */
+  attributes?: TemplateAttribute[];
+  expressions?: TemplateExpression[];
+  /** .css and .html files: the errors the parser found */
+  syntaxErrors?: Array<{ line: number; column: number; message: string }>;
+  /** Reports a violation; extra fields are copied onto it */
+  report(violation: { line: number; message: string; [field: string]: unknown }): void;
+}
+
+/** Hooks a rule implements; the engine calls them for every node of the file */
+export interface RuleVisitor {
+  line?(text: string, line: number): void;
+  member?(member: Member): void;
+  anyType?(anyType: AnyType): void;
+  declaration?(declaration: Declaration): void;
+  attribute?(attribute: TemplateAttribute): void;
+  expression?(expression: TemplateExpression): void;
+}
+
+export interface RuleMeta {
+  description: string;
+  language: RuleLanguage;
+  /** Default: 'maintainability' */
+  category?: RuleCategory;
+  /** Default: 'error' */
+  severity?: SeverityInput;
+  /** Default: 'added' */
+  scope?: RuleScope;
+}
+
+export interface RuleDefinition {
+  meta: RuleMeta;
+  create(context: RuleContext): RuleVisitor | void;
+}
+
+/** What a plugin module exports; its rules are registered as '<name>/<rule>' */
+export interface Plugin {
+  name: string;
+  rules: Record<string, RuleDefinition>;
+}
+
+/** Changed lines of a file, 1-based and inclusive */
+export interface LineRange {
+  start: number;
+  end: number;
+}
+
+export interface RunChecksOptions {
+  /** Files to check, absolute or relative to cwd; .ts and .css files are checked, others skipped */
+  files: string[];
+  /** Config object, a config from loadConfig/createConfig, or a config file path (default: .ci-standards.json found from cwd) */
+  config?: ConfigInput | Config | string;
+  /** Changed line ranges per file, keyed like files; limits each listed file to what its rules review in those lines */
+  changedRanges?: Record<string, LineRange[]>;
+  /** Directory relative paths and the config search start from (default: process.cwd()) */
+  cwd?: string;
+}
+
+export interface FileResult {
+  file: string;
+  violations: Violation[];
+  errorCount: number;
+  warningCount: number;
+}
+
+export interface RunChecksResult {
+  /** One entry per checked file, in the order given */
+  results: FileResult[];
+  /** Violations of every file */
+  violations: Violation[];
+  errorCount: number;
+  warningCount: number;
+  /** Files that could not be read */
+  failures: Array<{ file: string; message: string }>;
+}
+
+/** PR review comment from generateComments */
+export interface ReviewComment {
+  path: string;
+  line: number;
+  /** First line of a multi-line suggestion */
+  start_line?: number;
+  /** Markdown body, with a suggested change where one can be made */
+  body: string;
+  message: string;
+  ruleId: string;
+  ruleCategory: RuleCategory | 'custom';
+  severity: Exclude<Severity, 'off'>;
+}
+
+export type Formatter = (violations: Violation[], options?: { root?: string }) => string;
+
+/** Runs the standards checks on files and returns structured results, without printing or writing anything */
+export function runChecks(options: RunChecksOptions): Promise<RunChecksResult>;
+
+/** Checks one TypeScript file; pass logErrors false to keep it quiet */
+export function checkFile(file: string, logErrors?: boolean, config?: Config): { hasError: boolean; violations: Violation[] };
+
+/** Checks one CSS file for Tailwind standard violations */
+export function checkCSSFile(file: string, config?: Config): Violation[];
+
+/** Checks one Angular template */
+export function checkTemplateFile(file: string, config?: Config): Violation[];
+
+/** Generates PR review comments for the files changed in a unified diff */
+export function generateComments(options: { diffText: string; root?: string; config?: Config }): ReviewComment[];
+
+/** Loads .ci-standards.json or .ci-standardsrc.js from cwd upward, or the given file */
+export function loadConfig(options?: { cwd?: string; configPath?: string }): Config;
+
+/** Builds a config from an object in the .ci-standards.json format */
+export function createConfig(raw: ConfigInput, root?: string): Config;
+
+/** Every rule in the registry, by id */
+export const RULES: Readonly<Record<string, Rule>>;
+
+/** Looks up a rule, or null for unknown ids */
+export function getRule(ruleId: string): Rule | null;
+
+/** Report formatters, by --format name */
+export const FORMATTERS: Readonly<Record<string, Formatter>>;
+
+/** Gets a formatter by name; throws for unknown names */
+export function getFormatter(name: string): Formatter;
+
+/** A code sample for the rule tester; a plain string is a sample with no other options */
+export interface RuleTestCase {
+  code: string;
+  /** Checked as this file, relative to the tester's cwd (default: fixture.ts, fixture.css or fixture.html after the rule language) */
+  filename?: string;
+  /** Test name (default: the first line of code) */
+  name?: string;
+}
+
+export interface InvalidRuleTestCase extends RuleTestCase {
+  /** Expected violations in line order; ruleId may be left out when one rule is tested */
+  errors: Array<{ ruleId?: string; line: number; message?: string | RegExp }>;
+  /** Source after fixing the violations, or null when nothing is fixed */
+  output?: string | null;
+}
+
+export interface RuleTester {
+  /** Config the samples are checked with */
+  config: Config;
+  /** Registers a node:test suite checking the samples against one rule or several rules tested together */
+  run(rules: string | string[], cases: { valid?: Array<string | RuleTestCase>; invalid?: Array<InvalidRuleTestCase> }): void;
+}
+
+/** Creates a tester checking code samples against built-in or plugin rules, in the style of ESLint's RuleTester */
+export function createRuleTester(options?: { config?: ConfigInput; cwd?: string }): RuleTester;
@@ -0,0 +1,138 @@
+/**
+ * CI Standards
+ * Programmatic entry point: runChecks runs the standards engine on a set of files and returns
+ * structured results without printing, exiting or writing files, for Nx executors, bots and editors.
+ * The individual checks, config, rules and report formats behind the ci-standards CLI are exported too,
+ * with createRuleTester for testing rules against code samples
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { checkFile } = require('./scripts/check-code-standards');
+const { checkCSSFile } = require('./scripts/check-tailwind-standards');
+const { checkTemplateFile } = require('./scripts/check-template-standards');
+const { generateComments, getSymbolRange } = require('./scripts/generate-pr-comments');
+const { loadConfig, createConfig } = require('./scripts/lib/config');
+const { RULES, getRule, getRuleScope } = require('./scripts/lib/rules');
+const { getLanguage, checkSource } = require('./scripts/lib/engine');
+const { analyzeSource } = require('./scripts/lib/ts-analyzer');
+const { FORMATTERS, getFormatter } = require('./scripts/lib/formatters');
+const { createRuleTester } = require('./scripts/lib/rule-tester');
+
+/**
+ * Resolves the config option of runChecks
+ * @param {Object|string|undefined} config - Normalized config, raw config object, or config file path
+ * @param {string} cwd - Directory the config search and override globs start from
+ * @returns {Object} Normalized config
+ */
+function resolveConfig(config, cwd) {
+  if (config === undefined || config === null) return loadConfig({ cwd });
+  if (typeof config === 'string') return loadConfig({ cwd, configPath: config });
+  // Configs from loadConfig or createConfig carry their per-file cache
+  if (config.fileConfigs instanceof Map) return config;
+  return createConfig(config, cwd);
+}
+
+/**
+ * Checks whether a line range overlaps any changed range
+ * @param {number} start - First line
+ * @param {number} end - Last line
+ * @param {Array<{start: number, end: number}>} ranges - Changed line ranges (1-based, inclusive)
+ * @returns {boolean} True if they overlap
+ */
+function overlaps(start, end, ranges) {
+  return ranges.some((range) => range.start <= end && start <= range.end);
+}
+
+/**
+ * Keeps the violations inside the part of the changes their rule reviews, like a PR review does:
+ * the changed lines, the whole member when any of its lines changed, or the whole file
+ * @param {Array<Object>} violations - Violations of one file
+ * @param {Array<{start: number, end: number}>} ranges - Changed line ranges of the file
+ * @param {string} source - File content, for finding the members symbol-scoped rules report on
+ * @param {string} file - File path (decides whether it is parsed as TypeScript)
+ * @returns {Array<Object>} Violations in scope
+ */
+function filterToChanges(violations, ranges, source, file) {
+  const members = file.endsWith('.ts') ? analyzeSource(source, file).members : [];
+  return violations.filter((violation) => {
+    const scope = getRuleScope(violation.ruleId);
+    if (scope === 'file') return true;
+    if (scope === 'symbol') {
+      const member = members.find((m) => m.line === violation.line);
+      if (member) {
+        const symbol = getSymbolRange(member);
+        return overlaps(symbol.start, symbol.end, ranges);
+      }
+    }
+    return overlaps(violation.line, violation.line, ranges);
+  });
+}
+
+/**
+ * Runs the standards checks on files and returns the results
+ * Files are matched to rules by extension (.ts, .css, .html); others are left out of the results.
+ * Files that cannot be read or parsed are listed in failures instead of throwing
+ * @param {Object} options - Options
+ * @param {string[]} options.files - Files to check, absolute or relative to cwd
+ * @param {Object|string} [options.config] - Config object in the .ci-standards.json format, a config from loadConfig, or a config file path (default: .ci-standards.json found from cwd)
+ * @param {Object<string, Array<{start: number, end: number}>>} [options.changedRanges] - Changed line ranges per file, keyed like files; limits each listed file to what its rules review in those lines
+ * @param {string} [options.cwd] - Directory relative paths and the config search start from (default: process.cwd())
+ * @returns {Promise<{results: Array<{file: string, violations: Array<Object>, errorCount: number, warningCount: number}>, violations: Array<Object>, errorCount: number, warningCount: number, failures: Array<{file: string, message: string}>}>} Per-file and combined results
+ */
+async function runChecks({ files, config, changedRanges, cwd = process.cwd() } = {}) {
+  if (!Array.isArray(files)) throw new TypeError('runChecks needs a files array');
+  const runConfig = resolveConfig(config, cwd);
+
+  const results = [];
+  const failures = [];
+  for (const file of files) {
+    if (!getLanguage(file)) continue;
+
+    const absolute = path.resolve(cwd, file);
+    let violations;
+    let source;
+    try {
+      source = fs.readFileSync(absolute, 'utf8');
+      // Report paths as the caller passed them
+      violations = checkSource(source, absolute, runConfig).map((violation) => ({ ...violation, file }));
+    } catch (error) {
+      failures.push({ file, message: error.message });
+      continue;
+    }
+
+    const ranges = changedRanges && changedRanges[file];
+    if (ranges) violations = filterToChanges(violations, ranges, source, file);
+
+    results.push({
+      file,
+      violations,
+      errorCount: violations.filter((v) => v.severity === 'error').length,
+      warningCount: violations.filter((v) => v.severity === 'warning').length,
+    });
+  }
+
+  const violations = results.flatMap((result) => result.violations);
+  return {
+    results,
+    violations,
+    errorCount: results.reduce((sum, result) => sum + result.errorCount, 0),
+    warningCount: results.reduce((sum, result) => sum + result.warningCount, 0),
+    failures,
+  };
+}
+
+module.exports = {
+  runChecks,
+  checkFile,
+  checkCSSFile,
+  checkTemplateFile,
+  generateComments,
+  loadConfig,
+  createConfig,
+  RULES,
+  getRule,
+  FORMATTERS,
+  getFormatter,
+  createRuleTester
+};
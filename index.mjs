@@ -0,0 +1,23 @@
+/**
+ * CI Standards (ESM entry)
+ * Re-exports the CommonJS API in index.js for `import` callers
+ */
+
+import api from './index.js';
+
+export const {
+  runChecks,
+  checkFile,
+  checkCSSFile,
+  checkTemplateFile,
+  generateComments,
+  loadConfig,
+  createConfig,
+  RULES,
+  getRule,
+  FORMATTERS,
+  getFormatter,
+  createRuleTester
+} = api;
+
+export default api;
@@ -1,357 +1,140 @@
 /**
  * Tailwind Standards Checker
- * Validates CSS files for Tailwind compliance and flags hardcoded values
+ * Validates CSS, SCSS, Sass and Less files for Tailwind compliance and flags hardcoded values
  * Checks for properties that should use Tailwind utilities or design tokens
  */
 
 const fs = require('fs');
-const path = require('path');
-
-// CSS properties that have direct Tailwind equivalents
-const TAILWIND_PROPERTIES = {
-  // Colors
-  'color': { tailwind: 'text-{color}', category: 'color', strict: true },
-  'background-color': { tailwind: 'bg-{color}', category: 'color', strict: true },
-  'border-color': { tailwind: 'border-{color}', category: 'color', strict: true },
-  
-  // Spacing
-  'margin': { tailwind: 'm-{size}', category: 'spacing' },
-  'margin-top': { tailwind: 'mt-{size}', category: 'spacing' },
-  'margin-right': { tailwind: 'mr-{size}', category: 'spacing' },
-  'margin-bottom': { tailwind: 'mb-{size}', category: 'spacing' },
-  'margin-left': { tailwind: 'ml-{size}', category: 'spacing' },
-  'padding': { tailwind: 'p-{size}', category: 'spacing' },
-  'padding-top': { tailwind: 'pt-{size}', category: 'spacing' },
-  'padding-right': { tailwind: 'pr-{size}', category: 'spacing' },
-  'padding-bottom': { tailwind: 'pb-{size}', category: 'spacing' },
-  'padding-left': { tailwind: 'pl-{size}', category: 'spacing' },
-  
-  // Sizing
-  'width': { tailwind: 'w-{size}', category: 'sizing' },
-  'height': { tailwind: 'h-{size}', category: 'sizing' },
-  'min-width': { tailwind: 'min-w-{size}', category: 'sizing' },
-  'min-height': { tailwind: 'min-h-{size}', category: 'sizing' },
-  'max-width': { tailwind: 'max-w-{size}', category: 'sizing' },
-  'max-height': { tailwind: 'max-h-{size}', category: 'sizing' },
-  
-  // Borders
-  'border': { tailwind: 'border border-{color}', category: 'border' },
-  'border-radius': { tailwind: 'rounded-{size}', category: 'border' },
-  'border-width': { tailwind: 'border-{width}', category: 'border' },
-  
-  // Display
-  'display': { tailwind: 'block|flex|grid|hidden|inline', category: 'display' },
-  'flex-direction': { tailwind: 'flex-row|flex-col', category: 'flexbox' },
-  'justify-content': { tailwind: 'justify-{align}', category: 'flexbox' },
-  'align-items': { tailwind: 'items-{align}', category: 'flexbox' },
-  'flex-wrap': { tailwind: 'flex-wrap|flex-nowrap', category: 'flexbox' },
-  'gap': { tailwind: 'gap-{size}', category: 'spacing' },
-  
-  // Text
-  'font-size': { tailwind: 'text-{size}', category: 'text' },
-  'font-weight': { tailwind: 'font-{weight}', category: 'text' },
-  'font-family': { tailwind: 'font-{family}', category: 'text', strict: true },
-  'line-height': { tailwind: 'leading-{size}', category: 'text' },
-  'text-align': { tailwind: 'text-{align}', category: 'text' },
-  
-  // Effects
-  'opacity': { tailwind: 'opacity-{value}', category: 'effects' },
-  'box-shadow': { tailwind: 'shadow-{size}', category: 'effects' },
-};
-
-// Properties that are exempt from Tailwind enforcement
-const EXEMPT_PROPERTIES = [
-  'animation',
-  'animation-name',
-  'animation-duration',
-  'animation-timing-function',
-  'animation-delay',
-  'animation-iteration-count',
-  'animation-direction',
-  'animation-fill-mode',
-  'transition',
-  'transition-property',
-  'transition-duration',
-  'transition-timing-function',
-  'transition-delay',
-  'transform',
-  'transform-origin',
-  'perspective',
-  'perspective-origin',
-  'backface-visibility',
-  'clip-path',
-  'mask',
-  'filter',
-  'backdrop-filter',
-  'mix-blend-mode',
-  'z-index',
-  'position',
-  'top',
-  'right',
-  'bottom',
-  'left',
-  'pointer-events',
-  'user-select',
-  'cursor',
-  'list-style',
-  'content',
-  'counter-reset',
-  'counter-increment',
-  'quotes',
-  'writing-mode',
-  'direction',
-  'overflow',
-  'overflow-x',
-  'overflow-y',
-  'white-space',
-  'word-break',
-  'hyphens',
-  'text-transform',
-  'text-decoration',
-  'text-decoration-color',
-  'text-decoration-line',
-  'text-decoration-style',
-  'text-shadow',
-  'letter-spacing',
-  'word-spacing',
-  'font-style',
-  'font-variant',
-  'font-feature-settings',
-  'outline',
-  'outline-width',
-  'outline-style',
-  'outline-color',
-  'outline-offset',
-];
+const { loadConfig } = require('./lib/config');
+const { getExtensions, checkSource } = require('./lib/engine');
+const {
+  TAILWIND_PROPERTIES,
+  EXEMPT_PROPERTIES,
+  HARDCODED_PATTERNS,
+  getTailwindTables
+} = require('./lib/checks/tailwind');
+const { parseArgs, mergeSpecs } = require('./lib/args');
+const { selectFiles } = require('./lib/files');
+const { OUTPUT_OPTIONS, SELECTION_OPTIONS, setupRun, writeReport, exitCodeFor, runMain } = require('./lib/cli');
 
-// Patterns for hardcoded values that should use Tailwind
-const HARDCODED_PATTERNS = {
-  HEX_COLOR: /^#[0-9A-Fa-f]{3,6}$/,
-  RGB_COLOR: /^rgb\(/i,
-  RGBA_COLOR: /^rgba\(/i,
-  HSL_COLOR: /^hsl\(/i,
-  NAMED_COLOR: /^(red|blue|green|yellow|purple|orange|pink|white|black|gray|grey|brown|navy|teal|cyan|magenta|lime|maroon|khaki|salmon|coral|gold|silver|bronze)$/i,
-  HARDCODED_FONT: /^(Arial|Helvetica|Times New Roman|Georgia|Verdana|Courier|Comic Sans|Impact|Trebuchet MS|Palatino|Garamond|Bookman|Tahoma|Lucida|Sans-serif|Serif|Monospace)$/i,
-};
+// Options accepted by the CSS check: the shared output and file selection options
+const CSS_OPTIONS = mergeSpecs(OUTPUT_OPTIONS, SELECTION_OPTIONS);
 
 /**
  * Checks a CSS file for Tailwind standard violations
  * Flags hardcoded colors, fonts, and properties that have Tailwind equivalents
  * @param {string} filePath - Path to the CSS file to check
- * @returns {Array<{file: string, line: number, property: string, value: string, tailwind: string, category: string, severity: string, message: string}>} Array of violations found
+ * @param {Object} [config] - Standards config from loadConfig (default: the project's .ci-standards config)
+ * @returns {Array<{file: string, line: number, property: string, value: string, tailwind: string, category: string, severity: string, message: string, ruleId: string, ruleCategory: string}>} Array of violations found
  */
-function checkCSSFile(filePath) {
-  const fileViolations = [];
+function checkCSSFile(filePath, config = loadConfig()) {
+  let content;
   try {
-    const content = fs.readFileSync(filePath, 'utf-8');
-    const lines = content.split('\n');
-    
-    let currentSelector = '';
-    let inAtRule = false; // Track if we're inside @keyframes, @media, etc.
-    let atRuleDepth = 0; // Track nesting depth of at-rules
-    
-    lines.forEach((line, lineIndex) => {
-      const lineNum = lineIndex + 1;
-      const trimmed = line.trim();
-      
-      // Check for at-rule start (@keyframes, @media, @supports, @-webkit-, etc.)
-      if (trimmed.startsWith('@')) {
-        inAtRule = true;
-        atRuleDepth++;
-        // Track current at-rule for reference
-        currentSelector = trimmed.split('{')[0].trim();
-        return; // Skip processing this line
-      }
-      
-      // Track closing braces to know when we exit at-rules
-      if (trimmed === '}') {
-        atRuleDepth = Math.max(0, atRuleDepth - 1);
-        if (atRuleDepth === 0) {
-          inAtRule = false;
-        }
-        return; // Skip processing closing braces
-      }
-      
-      // If we're inside an at-rule, skip Tailwind validation entirely
-      // (CSS inside @keyframes, @media, etc. cannot use Tailwind utilities)
-      if (inAtRule) {
-        return;
-      }
-      
-      // Track regular CSS selectors (non at-rules)
-      if (line.includes('{')) {
-        const selectorPart = line.split('{')[0].trim();
-        if (!selectorPart.startsWith('@')) {
-          currentSelector = selectorPart;
-        }
-      }
-      
-      // Match CSS property: value patterns
-      const propMatch = line.match(/^\s*([a-z-]+)\s*:\s*(.+?)(?:;|$)/);
-      
-      if (propMatch) {
-        const property = propMatch[1];
-        const value = propMatch[2].trim();
-        
-        // Skip exempt properties
-        if (EXEMPT_PROPERTIES.includes(property)) {
-          return;
-        }
-        
-        // Check if property has Tailwind equivalent
-        if (TAILWIND_PROPERTIES[property]) {
-          const info = TAILWIND_PROPERTIES[property];
-          
-          // STRICT MODE: Flag hardcoded values for certain properties
-          if (info.strict) {
-            let hardcodedType = null;
-            
-            // Check for var() usage - require fallback for strict properties
-            const varMatch = value.match(/^var\s*\(\s*([^)]+)\s*\)/);
-            if (varMatch) {
-              const varContent = varMatch[1];
-              // Check if var() has a fallback (contains a comma)
-              if (!varContent.includes(',')) {
-                fileViolations.push({
-                  file: filePath,
-                  line: lineNum,
-                  property: property,
-                  value: value,
-                  tailwind: info.tailwind,
-                  category: info.category,
-                  severity: 'error',
-                  message: `STRICT: var() without fallback requires using @apply. Example: @apply ${info.tailwind} or use var(--custom-color, fallback-value)`
-                });
-                return;
-              }
-              // Has fallback, allow it and skip further checks
-              return;
-            }
-            
-            // Allow theme() function
-            if (/^theme\s*\(/.test(value)) {
-              return; // Skip - using design tokens is acceptable
-            }
-            
-            if (property === 'color' || property === 'background-color' || property === 'border-color') {
-              // Check for hardcoded colors
-              if (HARDCODED_PATTERNS.HEX_COLOR.test(value) || 
-                  HARDCODED_PATTERNS.RGB_COLOR.test(value) ||
-                  HARDCODED_PATTERNS.RGBA_COLOR.test(value) ||
-                  HARDCODED_PATTERNS.HSL_COLOR.test(value) ||
-                  HARDCODED_PATTERNS.NAMED_COLOR.test(value)) {
-                hardcodedType = 'color';
-              }
-            } else if (property === 'font-family') {
-              // Check for hardcoded font families
-              if (HARDCODED_PATTERNS.HARDCODED_FONT.test(value)) {
-                hardcodedType = 'font-family';
-              }
-            }
-            
-            if (hardcodedType) {
-              fileViolations.push({
-                file: filePath,
-                line: lineNum,
-                property: property,
-                value: value,
-                tailwind: info.tailwind,
-                category: info.category,
-                severity: 'error',
-                message: `STRICT: Hardcoded ${hardcodedType} value '${value}' found. Must use Tailwind utilities or global variables.`
-              });
-              return;
-            }
-          }
-          
-          // Skip non-strict properties if using design tokens (theme/var can be anywhere in the value)
-          if (/(theme|var)\s*\(/.test(value)) {
-            return; // Allow theme() and var() for all properties
-          }
-          
-          // Check if we're in a :host selector - suggest @apply format
-          const isHostSelector = currentSelector.includes(':host');
-          const suggestion = isHostSelector 
-            ? `Use @apply ${info.tailwind}` 
-            : `Use Tailwind '${info.tailwind}'`;
-          
-          // Regular check for any direct CSS property
-          fileViolations.push({
-            file: filePath,
-            line: lineNum,
-            property: property,
-            value: value,
-            tailwind: info.tailwind,
-            category: info.category,
-            severity: 'warning',
-            isHostSelector: isHostSelector,
-            message: `Property '${property}' should use ${suggestion}`
-          });
-        }
-      }
-    });
+    content = fs.readFileSync(filePath, 'utf-8');
   } catch (error) {
     console.error(`Error reading file ${filePath}:`, error.message);
+    return [];
   }
-  return fileViolations;
+  return checkSource(content, filePath, config);
 }
 
-// Export configuration and functions for use in other scripts
-module.exports = {
-  checkCSSFile,
-  TAILWIND_PROPERTIES,
-  EXEMPT_PROPERTIES,
-  HARDCODED_PATTERNS
-};
+/**
+ * Prints CSS violations to the console with the offending property and a suggestion
+ * @param {Array<Object>} violations - Violations from checkCSSFile
+ */
+function printCSSViolations(violations) {
+  const errors = violations.filter(v => v.severity === 'error');
+  const warnings = violations.filter(v => v.severity === 'warning');
 
-// Only run CLI behavior if executed directly (not required as module)
-if (require.main === module) {
-  // CLI args
-  const args = process.argv.slice(2);
-  const explicitFiles = args.filter((a) => a.endsWith('.css'));
+  errors.forEach((v) => {
+    console.log(`❌ ${v.message}`);
+    console.log(`   Rule: ${v.ruleId}`);
+    console.log(`   File: ${v.file}:${v.line}`);
+    if (v.property) {
+      console.log(`   Property: ${v.property}: ${v.value}`);
+      if (v.tailwind) console.log(`   Suggestion: Use Tailwind '${v.token ? v.token.utility : v.tailwind}' or global variables instead`);
+    }
+    console.log('');
+  });
 
-  if (explicitFiles.length === 0) {
-    console.log('Usage: node scripts/check-tailwind-standards.js <file.css> [file2.css]...');
-    process.exit(0);
-  }
-  
+  warnings.forEach((v) => {
+    console.log(`⚠️  ${v.message}`);
+    console.log(`   Rule: ${v.ruleId}`);
+    console.log(`   File: ${v.file}:${v.line}`);
+    if (v.property) {
+      console.log(`   Property: ${v.property}: ${v.value}`);
+      if (v.tailwind) console.log(`   Suggestion: Use '${v.token ? v.token.utility : v.tailwind}' instead`);
+    }
+    console.log('');
+  });
+}
+
+/**
+ * Checks CSS files, skipping paths that do not exist
+ * @param {string[]} files - Files to check
+ * @param {Object} [config] - Standards config from loadConfig (default: the project's .ci-standards config)
+ * @returns {Array<Object>} Violations from every file
+ */
+function runCSSChecks(files, config = loadConfig()) {
   let violations = [];
-  
-  // Process files
-  explicitFiles.forEach((file) => {
+  files.forEach((file) => {
     if (!fs.existsSync(file)) {
       console.error(`File not found: ${file}`);
       return;
     }
-    violations = violations.concat(checkCSSFile(file));
+    violations = violations.concat(checkCSSFile(file, config));
   });
+  return violations;
+}
 
-  // Report violations
-  if (violations.length > 0) {
-    const errors = violations.filter(v => v.severity === 'error');
-    const warnings = violations.filter(v => v.severity === 'warning');
-    
-    errors.forEach((v) => {
-      console.log(`❌ ${v.message}`);
-      console.log(`   File: ${v.file}:${v.line}`);
-      console.log(`   Property: ${v.property}: ${v.value}`);
-      console.log(`   Suggestion: Use Tailwind '${v.tailwind}' or global variables instead`);
-      console.log('');
-    });
-    
-    warnings.forEach((v) => {
-      console.log(`⚠️  ${v.message}`);
-      console.log(`   File: ${v.file}:${v.line}`);
-      console.log(`   Property: ${v.property}: ${v.value}`);
-      console.log(`   Suggestion: Use '${v.tailwind}' instead`);
-      console.log('');
-    });
-    
-    console.log(`\n❌ Found ${errors.length} error(s) and ${warnings.length} warning(s).`);
-    process.exit(1);
-  } else {
+/**
+ * Runs the CSS check from the command line
+ * Usage and config errors throw, for runMain to report with exit code 2
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @returns {number} Exit code: 1 when errors are reported, 0 otherwise
+ */
+function main(argv) {
+  const args = parseArgs(argv, CSS_OPTIONS);
+  const run = setupRun(args.flags);
+
+  const { files, message } = selectFiles(args, getExtensions('css'), 'CSS');
+  if (files.length === 0) {
+    run.log(message);
+    run.log('Usage: node scripts/check-tailwind-standards.js [--config=<file>] [--format=<name>] [--output-file=<file>] [--all|--changed|--staged|--diff=<ref>] [file.css|.scss|.sass|.less]...');
+    writeReport(run, []);
+    return 0;
+  }
+
+  const violations = runCSSChecks(files, run.config);
+
+  // Machine-readable report replaces the console output
+  if (writeReport(run, violations)) return exitCodeFor(violations);
+
+  if (violations.length === 0) {
     console.log('✅ No Tailwind compliance issues found!');
-    process.exit(0);
+    return 0;
   }
+  printCSSViolations(violations);
+  const errorCount = violations.filter(v => v.severity === 'error').length;
+  const warningCount = violations.length - errorCount;
+  console.log(`\n${errorCount > 0 ? '❌' : '⚠️'} Found ${errorCount} error(s) and ${warningCount} warning(s).`);
+  return exitCodeFor(violations);
 }
 
+// Export configuration and functions for use in other scripts
+module.exports = {
+  CSS_OPTIONS,
+  checkCSSFile,
+  getTailwindTables,
+  printCSSViolations,
+  runCSSChecks,
+  main,
+  TAILWIND_PROPERTIES,
+  EXEMPT_PROPERTIES,
+  HARDCODED_PATTERNS
+};
+
+// Only run CLI behavior if executed directly (not required as module)
+if (require.main === module) {
+  runMain(main);
+}
@@ -0,0 +1,121 @@
+/**
+ * Template Standards Checker
+ * Validates Angular .html templates: hardcoded colors and spacing in style attributes and bindings,
+ * Tailwind arbitrary values, legacy *ngIf/*ngFor directives and debug output left in bindings
+ * Inline `template:` strings are checked with their .ts file by check-code-standards.js
+ */
+
+const fs = require('fs');
+const { loadConfig } = require('./lib/config');
+const { getExtensions, checkSource } = require('./lib/engine');
+const { parseArgs, mergeSpecs } = require('./lib/args');
+const { selectFiles } = require('./lib/files');
+const { OUTPUT_OPTIONS, SELECTION_OPTIONS, setupRun, writeReport, exitCodeFor, runMain } = require('./lib/cli');
+
+// Options accepted by the template check: the shared output and file selection options
+const TEMPLATE_OPTIONS = mergeSpecs(OUTPUT_OPTIONS, SELECTION_OPTIONS);
+
+/**
+ * Checks an Angular template for standard violations
+ * @param {string} filePath - Path to the .html file to check
+ * @param {Object} [config] - Standards config from loadConfig (default: the project's .ci-standards config)
+ * @returns {Array<{file: string, line: number, column: number, message: string, severity: string, ruleId: string, ruleCategory: string}>} Array of violations found
+ */
+function checkTemplateFile(filePath, config = loadConfig()) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf-8');
+  } catch (error) {
+    console.error(`Error reading file ${filePath}:`, error.message);
+    return [];
+  }
+  return checkSource(content, filePath, config);
+}
+
+/**
+ * Prints template violations to the console with their rule and location
+ * @param {Array<Object>} violations - Violations from checkTemplateFile
+ */
+function printTemplateViolations(violations) {
+  const errors = violations.filter(v => v.severity === 'error');
+  const warnings = violations.filter(v => v.severity === 'warning');
+
+  errors.forEach((v) => {
+    console.log(`❌ ${v.message}`);
+    console.log(`   Rule: ${v.ruleId}`);
+    console.log(`   File: ${v.file}:${v.line}`);
+    console.log('');
+  });
+
+  warnings.forEach((v) => {
+    console.log(`⚠️  ${v.message}`);
+    console.log(`   Rule: ${v.ruleId}`);
+    console.log(`   File: ${v.file}:${v.line}`);
+    console.log('');
+  });
+}
+
+/**
+ * Checks templates, skipping paths that do not exist
+ * @param {string[]} files - Files to check
+ * @param {Object} [config] - Standards config from loadConfig (default: the project's .ci-standards config)
+ * @returns {Array<Object>} Violations from every file
+ */
+function runTemplateChecks(files, config = loadConfig()) {
+  let violations = [];
+  files.forEach((file) => {
+    if (!fs.existsSync(file)) {
+      console.error(`File not found: ${file}`);
+      return;
+    }
+    violations = violations.concat(checkTemplateFile(file, config));
+  });
+  return violations;
+}
+
+/**
+ * Runs the template check from the command line
+ * Usage and config errors throw, for runMain to report with exit code 2
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @returns {number} Exit code: 1 when errors are reported, 0 otherwise
+ */
+function main(argv) {
+  const args = parseArgs(argv, TEMPLATE_OPTIONS);
+  const run = setupRun(args.flags);
+
+  const { files, message } = selectFiles(args, getExtensions('html'), 'template');
+  if (files.length === 0) {
+    run.log(message);
+    run.log('Usage: node scripts/check-template-standards.js [--config=<file>] [--format=<name>] [--output-file=<file>] [--all|--changed|--staged|--diff=<ref>] [file.html]...');
+    writeReport(run, []);
+    return 0;
+  }
+
+  const violations = runTemplateChecks(files, run.config);
+
+  // Machine-readable report replaces the console output
+  if (writeReport(run, violations)) return exitCodeFor(violations);
+
+  if (violations.length === 0) {
+    console.log('✅ No template issues found!');
+    return 0;
+  }
+  printTemplateViolations(violations);
+  const errorCount = violations.filter(v => v.severity === 'error').length;
+  const warningCount = violations.length - errorCount;
+  console.log(`\n${errorCount > 0 ? '❌' : '⚠️'} Found ${errorCount} error(s) and ${warningCount} warning(s).`);
+  return exitCodeFor(violations);
+}
+
+module.exports = {
+  TEMPLATE_OPTIONS,
+  checkTemplateFile,
+  printTemplateViolations,
+  runTemplateChecks,
+  main
+};
+
+// Only run CLI behavior if executed directly (not required as module)
+if (require.main === module) {
+  runMain(main);
+}
@@ -2,281 +2,583 @@
 /**
  * GitHub PR Code Review Comment Generator
  * Analyzes changed files in a PR and posts review comments for code violations
+ * Reads the PR diff from git (--base or BASE_REF, then origin/main...HEAD) or from a patch file / stdin with --diff-file,
+ * checking files in the working tree given by --root
+ * Files are checked by the same rule engine as the local checkers, plugin rules included; each rule
+ * reviews the scope it declares in the registry: added lines, the enclosing member of any changed
+ * line, or the whole file. TypeScript, stylesheets and Angular templates are all reviewed
  */
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
-
-// Import checking functions from existing standards modules
-const {
-  getJsDocInfo,
-  extractParams,
-  getAccessModifier,
-  checkAccessModifierTag,
-  hasReturnsTag,
-  checkParamTags
-} = require('./check-code-standards.js');
-
-const {
-  checkCSSFile: checkCSSFileForTailwind,
-  TAILWIND_PROPERTIES,
-  HARDCODED_PATTERNS
-} = require('./check-tailwind-standards.js');
+const { execFileSync } = require('child_process');
+
+const { loadConfig } = require('./lib/config');
+const { getRule, getRuleScope } = require('./lib/rules');
+const { getLanguage, checkSource } = require('./lib/engine');
+const { analyzeSource } = require('./lib/ts-analyzer');
+const { utilityOf } = require('./lib/checks/template');
+const { FIXABLE_RULES, fixMember } = require('./lib/jsdoc-fixer');
+const { formatSarif } = require('./lib/formatters/sarif');
+const { formatCodeQuality } = require('./lib/formatters/codequality');
+const { resolveThresholds, decideOutcome } = require('./lib/outcome');
+const { parseDiff, getChangedRanges, getLineChanges } = require('./lib/diff');
+const { parseArgs } = require('./lib/args');
+const { runMain } = require('./lib/cli');
+
+// Options accepted by the generator; --base defaults to BASE_REF, then origin/main
+const REVIEW_OPTIONS = {
+  string: ['base', 'root', 'diff-file', 'config', 'sarif', 'codequality', 'fail-on', 'max-warnings'],
+};
 
 const CONTEXT_LINES = 3; // Small context for actual diff lines only
-const baseRef = process.env.BASE_REF || 'origin/main';
 
-function getChangedLineRanges(file) {
-  try {
-    const diffOutput = execSync(
-      `git diff -U0 ${baseRef}...HEAD -- "${file}"`
-    ).toString();
-
-    const ranges = [];
-    const lines = diffOutput.split('\n');
-    let currentLine = 0;
-
-    for (const line of lines) {
-      const hunkMatch = line.match(/@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
-      if (hunkMatch) {
-        currentLine = parseInt(hunkMatch[1]);
-        const count = parseInt(hunkMatch[2]) || 1;
-        // Track the entire hunk range
-        ranges.push({ start: currentLine, end: currentLine + count - 1 });
-        continue;
-      }
-
-      if (!line.startsWith('-') && !line.startsWith('\\') && !line.startsWith('+++')) {
-        currentLine++;
-      }
-    }
+// Config and working tree for the current run, set by generateComments
+let config = null;
+let root = process.cwd();
 
-    return ranges;
-  } catch (error) {
-    console.error(`Could not get diff for ${file}`);
-    return [];
-  }
+// Labels TypeScript comments open with, by rule id, then by category for the rest
+const RULE_LABELS = {
+  'jsdoc/missing-jsdoc': '📚 **Missing JSDoc**',
+  'debug/console-log': '⚠️ **Code Standard Violation**',
+  'debug/debugger': '❌ **Critical**',
+  'comments/todo': '📝 **TODO**',
+  'comments/fixme': '🔧 **FIXME**',
+  'suppressions/unused': '🔕 **Suppression**',
+  'suppressions/unknown-rule': '🔕 **Suppression**',
+  'suppressions/unknown-directive': '🔕 **Suppression**'
+};
+const CATEGORY_LABELS = {
+  'documentation': '📚 **JSDoc Standard**',
+  'typescript': '⚠️ **Code Standard**',
+  'type-safety': '❌ **Type Standard**'
+};
+
+// Colors with exactly one Tailwind equivalent, safe to suggest as an @apply swap
+const DETERMINISTIC_COLORS = {
+  '#fff': 'white',
+  '#ffffff': 'white',
+  'white': 'white',
+  '#000': 'black',
+  '#000000': 'black',
+  'black': 'black'
+};
+
+/**
+ * Strips the emoji and bold label from a comment body, leaving the plain first paragraph
+ * @param {string} body - Markdown comment body
+ * @returns {string} Plain-text message for non-markdown consumers such as SARIF
+ */
+function plainMessage(body) {
+  return body.split('\n\n')[0].replace(/^\S+\s+\*\*[^*]+\*\*:\s*/, '');
 }
 
-function isLineChanged(lineNum, changedRanges) {
-  // Check if line is within the actual diff hunks
-  return changedRanges.some(
-    range => lineNum >= range.start && lineNum <= range.end
+/**
+ * Adds a PR comment for a violation
+ * The rule id, category and severity are carried in the JSON and the id is shown under the body
+ * @param {Array} comments - Comment list to append to
+ * @param {string} file - File the comment belongs to
+ * @param {number} line - Line number to comment on
+ * @param {Object} violation - Violation from checkSource
+ * @param {string} body - Markdown comment body
+ * @returns {Object} The added comment
+ */
+function addComment(comments, file, line, violation, body) {
+  const { ruleId, ruleCategory, severity } = violation;
+  const comment = {
+    path: file,
+    line,
+    body: `${body}\n\n<sub>Rule: \`${ruleId}\`</sub>`,
+    message: plainMessage(body),
+    ruleId,
+    ruleCategory,
+    severity
+  };
+  comments.push(comment);
+  return comment;
+}
+
+/**
+ * Adds a GitHub suggested change to a comment, replacing lines startLine..comment.line
+ * Multi-line suggestions set start_line so the review API anchors the comment to the whole range
+ * @param {Object|null} comment - Comment from addComment (null is ignored)
+ * @param {number} startLine - First line the suggestion replaces
+ * @param {string[]} replacement - Replacement lines (empty deletes the range)
+ */
+function addSuggestion(comment, startLine, replacement) {
+  if (!comment) return;
+  const suggestion = ['```suggestion', ...replacement, '```'].join('\n');
+  const footerAt = comment.body.lastIndexOf('\n\n<sub>Rule:');
+  comment.body = `${comment.body.slice(0, footerAt)}\n\n${suggestion}${comment.body.slice(footerAt)}`;
+  if (startLine < comment.line) comment.start_line = startLine;
+}
+
+/**
+ * Suggests an @apply for a value that maps to exactly one Tailwind class
+ * That is a value matching a theme token exactly, or a color with one equivalent whatever the theme
+ * @param {Object} violation - Violation from checkCSSFile
+ * @param {string} sourceLine - The violating CSS line
+ * @returns {string|null} Replacement line, or null when no deterministic swap exists
+ */
+function applySuggestion(violation, sourceLine) {
+  let utility = violation.token && violation.token.exact ? violation.token.utility : null;
+  const color = DETERMINISTIC_COLORS[String(violation.value).toLowerCase()];
+  const template = violation.tailwind || '';
+  if (!utility && color && /^[\w-]+-\{color\}$/.test(template)) utility = template.replace('{color}', color);
+  if (!utility) return null;
+  // Only swap lines holding nothing but this one declaration
+  const declaration = new RegExp(`^(\\s*)${violation.property}\\s*:\\s*${violation.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*;?\\s*$`);
+  const match = sourceLine.match(declaration);
+  return match ? `${match[1]}@apply ${utility};` : null;
+}
+
+/**
+ * Suggests the edit that fixes a template violation when there is exactly one
+ * That is dropping a json pipe, or swapping an arbitrary value for the theme utility matching it exactly
+ * @param {Object} violation - Violation from checkSource
+ * @param {string} sourceLine - The violating template line
+ * @returns {string|null} Replacement line, or null when the fix is not a one-line swap
+ */
+function templateSuggestion(violation, sourceLine) {
+  // Only lines where the edit can only go one place
+  const replaceOnce = (search, replacement) => (
+    sourceLine.split(search).length === 2 ? sourceLine.replace(search, replacement) : null
   );
+  if (violation.ruleId === 'template/debug-output' && /json pipe/.test(violation.message)) {
+    const pipes = sourceLine.match(/\s*\|\s*json\b/g);
+    return pipes && pipes.length === 1 ? replaceOnce(pipes[0], '') : null;
+  }
+  if (violation.ruleId === 'template/arbitrary-value' && violation.token && violation.token.exact) {
+    const utility = utilityOf(violation.value);
+    const variants = violation.value.slice(0, violation.value.length - utility.length);
+    return replaceOnce(violation.value, `${variants}${utility.startsWith('!') ? '!' : ''}${violation.token.utility}`);
+  }
+  return null;
+}
+
+/**
+ * Reads the PR diff from git, without context lines so every hunk is a run of changes
+ * @param {string} baseRef - Base ref to diff against (three-dot, like the PR view)
+ * @param {string} cwd - Repository directory
+ * @returns {string} Unified diff text
+ */
+function getGitDiff(baseRef, cwd) {
+  // The ref goes to git as one argument, never through a shell, and cannot be read as an option
+  return execFileSync('git', ['diff', '--no-color', '--no-ext-diff', '-U0', '-M', '--end-of-options', `${baseRef}...HEAD`], {
+    cwd,
+    maxBuffer: 256 * 1024 * 1024
+  }).toString();
+}
+
+/**
+ * Lists the files a diff leaves in the working tree, with exactly which of their lines changed
+ * Deleted and binary files are skipped; renamed and moved files are checked under their new path
+ * @param {string} diffText - Unified diff text
+ * @returns {Array<{path: string, oldPath: string|null, status: string, similarity: number|null, added: Set<number>, modified: Set<number>, deletedAfter: number[], ranges: Array<{start: number, end: number}>}>} Changed files
+ */
+function getChangedFiles(diffText) {
+  return parseDiff(diffText)
+    .filter(file => file.status !== 'deleted' && !file.binary && file.newPath)
+    .map(file => {
+      const { added, modified, deletedAfter } = getLineChanges(file);
+      return {
+        path: file.newPath,
+        oldPath: file.oldPath,
+        status: file.status,
+        similarity: file.similarity,
+        added: new Set(added),
+        modified: new Set(modified),
+        deletedAfter,
+        ranges: getChangedRanges(file)
+      };
+    });
+}
+
+/**
+ * Checks whether the PR added or rewrote a line
+ * @param {number} lineNum - Line number in the new version
+ * @param {{added: Set<number>, modified: Set<number>}} changes - Changed file from getChangedFiles
+ * @returns {boolean} True if the line is a + line of the diff
+ */
+function isLineChanged(lineNum, changes) {
+  return changes.added.has(lineNum) || changes.modified.has(lineNum);
+}
+
+/**
+ * Checks whether the PR touched any line of a symbol, including lines it deleted from the middle
+ * @param {{start: number, end: number}} symbol - Line range of the symbol
+ * @param {Object} changes - Changed file from getChangedFiles
+ * @returns {boolean} True if a line inside the range was added, modified or removed
+ */
+function isSymbolChanged(symbol, changes) {
+  for (let l = symbol.start; l <= symbol.end; l++) {
+    if (isLineChanged(l, changes)) return true;
+  }
+  return changes.deletedAfter.some(l => l >= symbol.start && l < symbol.end);
+}
+
+/**
+ * Checks whether a violation falls inside the part of the diff its rule reviews
+ * @param {string} ruleId - Rule id from the registry
+ * @param {number} lineNum - Line of the violation
+ * @param {Object} changes - Changed file from getChangedFiles
+ * @param {{start: number, end: number}|null} symbol - Enclosing symbol, or null outside any
+ * @returns {boolean} True if the violation should be reported
+ */
+function isInScope(ruleId, lineNum, changes, symbol) {
+  const scope = getRuleScope(ruleId);
+  if (scope === 'file') return true;
+  if (scope === 'symbol' && symbol) return isSymbolChanged(symbol, changes);
+  return isLineChanged(lineNum, changes);
+}
+
+/**
+ * Gets the lines a class member spans, from its JSDoc (or decorators) to the end of its body
+ * @param {Object} member - Member from analyzeSource
+ * @returns {{start: number, end: number}} 1-based inclusive line range
+ */
+function getSymbolRange(member) {
+  const start = member.jsDoc.exists ? Math.min(member.jsDoc.startIdx + 1, member.startLine) : member.startLine;
+  return { start, end: member.endLine };
 }
 
-function isNearChangedLine(lineNum, changedRanges) {
-  // Check if line is within diff OR within 5 lines after a change
-  // This catches function declarations after modified JSDoc comments
+/**
+ * Checks whether a line range is visible in one hunk of the PR diff
+ * GitHub shows CONTEXT_LINES of context around each hunk, and a multi-line comment must stay inside one
+ * @param {number} startLine - First line of the range
+ * @param {number} endLine - Last line of the range
+ * @param {Array<{start: number, end: number}>} changedRanges - Changed line ranges
+ * @returns {boolean} True if the range can carry a review comment
+ */
+function isInDiffView(startLine, endLine, changedRanges) {
   return changedRanges.some(
-    range => lineNum >= range.start && lineNum <= range.end + 5
+    range => startLine >= range.start - CONTEXT_LINES && endLine <= range.end + CONTEXT_LINES
   );
 }
 
-function checkTypeScriptFile(file, changedRanges) {
-  const comments = [];
+/**
+ * Picks the line a symbol-scoped comment is posted on
+ * The symbol's own line is preferred; when the change is further down the body, the comment moves to
+ * the first change inside the symbol, since GitHub only accepts comments on lines in the diff view
+ * @param {number} lineNum - Preferred line (usually the member name)
+ * @param {{start: number, end: number}} symbol - Line range of the symbol
+ * @param {Object} changes - Changed file from getChangedFiles
+ * @returns {number} Line to comment on
+ */
+function getAnchorLine(lineNum, symbol, changes) {
+  if (isInDiffView(lineNum, lineNum, changes.ranges)) return lineNum;
+  const range = changes.ranges.find(r => r.end >= symbol.start && r.start <= symbol.end);
+  return range ? Math.max(range.start, symbol.start) : lineNum;
+}
+
+/**
+ * Builds the isReportable check for unused suppressions in a changed file
+ * Violations outside the diff are never reported, so a suppression counts as unused only when the PR
+ * changed its comment and every line it covers
+ * @param {Object} changes - Changed file from getChangedFiles
+ * @returns {function(Object): boolean} isReportable option of checkSource
+ */
+function suppressionReportable(changes) {
+  return entry => {
+    if (!isLineChanged(entry.line, changes)) return false;
+    for (let l = entry.startLine; l <= entry.endLine; l++) {
+      if (!isLineChanged(l, changes)) return false;
+    }
+    return true;
+  };
+}
+
+/**
+ * Gets the label a TypeScript comment opens with
+ * @param {Object} violation - Violation from checkSource
+ * @returns {string} Emoji and bold label, such as '📚 **JSDoc Standard**'
+ */
+function labelFor(violation) {
+  if (RULE_LABELS[violation.ruleId]) return RULE_LABELS[violation.ruleId];
+  if (CATEGORY_LABELS[violation.ruleCategory]) return CATEGORY_LABELS[violation.ruleCategory];
+  return violation.severity === 'error' ? '❌ **Code Standard**' : '⚠️ **Code Standard**';
+}
+
+/**
+ * Reads a changed file from the working tree
+ * Only the read is guarded: a rule that throws must fail the run, not silently drop the file's comments
+ * @param {string} file - Path relative to the working tree
+ * @returns {{fullPath: string, content: string}|null} Absolute path and content, or null when the file cannot be read
+ */
+function readChangedFile(file) {
+  const fullPath = path.resolve(root, file);
   try {
-    const content = fs.readFileSync(file, 'utf8');
-    const lines = content.split('\n');
-
-    lines.forEach((line, index) => {
-      const lineNum = index + 1;
-
-      if (!isLineChanged(lineNum, changedRanges)) return;
-
-      // console.log check
-      if (line.includes('console.log')) {
-        comments.push({
-          path: file,
-          line: lineNum,
-          body: '⚠️ **Code Standard Violation**: `console.log()` should not be in production code. Use a logging service instead.'
-        });
-      }
-
-      // debugger check
-      if (line.includes('debugger')) {
-        comments.push({
-          path: file,
-          line: lineNum,
-          body: '❌ **Critical**: `debugger` statement must be removed before merge.'
-        });
-      }
-
-      // TODO check
-      if (line.includes('TODO')) {
-        comments.push({
-          path: file,
-          line: lineNum,
-          body: '📝 **TODO**: Track in issue tracker or resolve before merge.'
-        });
-      }
-
-      // FIXME check
-      if (line.includes('FIXME')) {
-        comments.push({
-          path: file,
-          line: lineNum,
-          body: '🔧 **FIXME**: This issue needs to be resolved before merge.'
-        });
-      }
-
-      // General check for 'any' type in any variable/property/parameter declaration
-      if (/:\s*any\b/.test(line) && !line.trim().startsWith('//')) {
-        // Skip if it's inside a method (will be caught by method-specific checks)
-        const methodRegex = /^[ \t]*(public|private|protected)?[ \t]*[a-zA-Z0-9_]+\s*\([^)]*\)\s*:\s*[A-Za-z0-9_[\]|<>]+[ \t]*\{/;
-        if (!methodRegex.test(line)) {
-          comments.push({
-            path: file,
-            line: lineNum,
-            body: '❌ **Type Standard**: Type `any` is not allowed. Use a specific type instead.'
-          });
-          return; // Skip further processing for this line
-        }
-      }
-
-      // Enhanced JSDoc checks using check-code-standards logic
-      // Skip Angular reactive properties (computed, signal, input, output, viewChild)
-      const isAngularReactive = /=\s*(computed|signal|input|output|viewChild)\s*[<(]/.test(line);
-      
-      // Only match actual method declarations with return type annotation (filters out if, setTimeout, etc)
-      const methodRegex = /^[ \t]*(public|private|protected)?[ \t]*[a-zA-Z0-9_]+\s*\([^)]*\)\s*:\s*[A-Za-z0-9_[\]|<>]+[ \t]*\{/;
-      if (methodRegex.test(line) && !isAngularReactive && isNearChangedLine(lineNum, changedRanges)) {
-        const jsDocInfo = getJsDocInfo(lines, index);
-        
-        if (!jsDocInfo.exists) {
-          comments.push({
-            path: file,
-            line: lineNum,
-            body: '📚 **Missing JSDoc**: Public functions need documentation with description, parameters, and return type.'
-          });
-        } else {
-          // Check for @returns tag
-          if (!hasReturnsTag(jsDocInfo.content) && !line.includes(': void')) {
-            comments.push({
-              path: file,
-              line: lineNum,
-              body: '📚 **JSDoc Standard**: Missing `@returns` tag in JSDoc.'
-            });
-          }
-          
-          // Check access modifier tag matches code
-          const actualModifier = getAccessModifier(line);
-          const accessCheck = checkAccessModifierTag(jsDocInfo.content, actualModifier);
-          if (!accessCheck.valid) {
-            comments.push({
-              path: file,
-              line: lineNum,
-              body: `📚 **JSDoc Standard**: ${accessCheck.message}`
-            });
-          }
-          
-          // Check param tags
-          const params = extractParams(line);
-          const paramCheck = checkParamTags(jsDocInfo.content, params);
-          if (!paramCheck.valid) {
-            for (const err of paramCheck.errors) {
-              comments.push({
-                path: file,
-                line: lineNum,
-                body: `📚 **JSDoc Standard**: ${err}`
-              });
-            }
-          }
-        }
-        
-        // Check for return type annotation
-        const actualModifier = getAccessModifier(line);
-        if (actualModifier && !/:\s*[A-Za-z0-9_[\]|<>]+/.test(line)) {
-          comments.push({
-            path: file,
-            line: lineNum,
-            body: '⚠️ **Code Standard**: Method missing return type annotation.'
-          });
-        }
-
-        // Check for 'any' types in return type
-        if (/:\s*any\b/.test(line)) {
-          comments.push({
-            path: file,
-            line: lineNum,
-            body: '❌ **Type Standard**: Return type cannot be `any`. Use a specific type instead.'
-          });
-        }
-
-        // Check for 'any' types in parameters
-        const params = extractParams(line);
-        for (const param of params) {
-          if (param.type === 'any') {
-            comments.push({
-              path: file,
-              line: lineNum,
-              body: `❌ **Type Standard**: Parameter '${param.name}' cannot have type \`any\`. Use a specific type instead.`
-            });
-          }
-        }
-      }
-    });
+    return { fullPath, content: fs.readFileSync(fullPath, 'utf8') };
   } catch (error) {
     console.error(`Error reading ${file}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Checks a TypeScript file, reporting each rule within its declared scope of the diff
+ * @param {string} file - Path relative to the working tree
+ * @param {Object} changes - Changed file from getChangedFiles
+ * @returns {Array<Object>} PR comments
+ */
+function checkTypeScriptFile(file, changes) {
+  const source = readChangedFile(file);
+  if (!source) return [];
+  const { fullPath, content } = source;
+  const comments = [];
+  const lines = content.split('\n');
+  const { members } = analyzeSource(content, file);
+  const symbols = members.map(member => ({ member, range: getSymbolRange(member) }));
+  const violations = checkSource(content, fullPath, config, { isReportable: suppressionReportable(changes) });
+
+  // Innermost member containing a line, for rules scoped to the enclosing symbol
+  const symbolAt = lineNum => {
+    const containing = symbols.filter(s => lineNum >= s.range.start && lineNum <= s.range.end);
+    containing.sort((a, b) => (a.range.end - a.range.start) - (b.range.end - b.range.start));
+    return containing.length > 0 ? containing[0].range : null;
+  };
+
+  for (const violation of violations) {
+    // CSS rules report on inline @Component styles, commented on like stylesheets
+    const rule = getRule(violation.ruleId);
+    if (rule && rule.language === 'css') {
+      if (isInScope(violation.ruleId, violation.line, changes, null)) addStyleComment(comments, file, violation, lines);
+      continue;
+    }
+    // Template rules report on inline @Component templates, commented on like .html files
+    if (rule && rule.language === 'html') {
+      if (isInScope(violation.ruleId, violation.line, changes, null)) addTemplateComment(comments, file, violation, lines);
+      continue;
+    }
+    const body = `${labelFor(violation)}: ${violation.message}`;
+
+    // Member-level violations sit on the member name, moved into the diff view when needed
+    const member = getRuleScope(violation.ruleId) === 'symbol'
+      && members.find(m => !m.isOverload && m.line === violation.line);
+    if (member) {
+      const symbol = getSymbolRange(member);
+      if (!isInScope(violation.ruleId, member.line, changes, symbol)) continue;
+      const anchor = getAnchorLine(member.line, symbol, changes);
+      const note = anchor === member.line ? '' : `\n\nApplies to \`${member.name}\` on line ${member.line}.`;
+      addComment(comments, file, anchor, violation, `${body}${note}`);
+      continue;
+    }
+
+    if (!isInScope(violation.ruleId, violation.line, changes, symbolAt(violation.line))) continue;
+    const comment = addComment(comments, file, violation.line, violation, body);
+    // A console.log statement that is alone on its line can simply be deleted
+    if (violation.ruleId === 'debug/console-log' && /^\s*console\.log\(.*\);?\s*$/.test(lines[violation.line - 1])) {
+      addSuggestion(comment, violation.line, []);
+    }
   }
 
+  // One suggestion per method fixes every remaining JSDoc issue at once, so they never conflict
+  for (const member of members) {
+    const jsDocComments = comments.filter(c => c.line === member.line && FIXABLE_RULES.has(c.ruleId));
+    if (jsDocComments.length === 0) continue;
+    const edit = fixMember(lines, member, new Set(jsDocComments.map(c => c.ruleId)));
+    if (!edit || !isInDiffView(edit.start + 1, member.line, changes.ranges)) continue;
+    // Replace from the block (or insertion point) down to the member name line, keeping the code as is
+    const replacement = [...edit.lines, ...lines.slice(edit.end + 1, member.line)];
+    addSuggestion(jsDocComments[0], edit.start + 1, replacement);
+  }
+  comments.sort((a, b) => a.line - b.line);
+
   return comments;
 }
 
-function checkCSSFile(file, changedRanges) {
+/**
+ * Adds the PR comment for a CSS rule violation, with the utility to use and an @apply suggestion when there is exactly one
+ * @param {Array} comments - Comment list to append to
+ * @param {string} file - File the comment belongs to
+ * @param {Object} violation - Violation from checkSource
+ * @param {string[]} lines - Lines of the file
+ */
+function addStyleComment(comments, file, violation, lines) {
+  const emoji = violation.severity === 'error' ? '❌' : '🎨';
+  const severity = violation.severity === 'error' ? 'Error' : 'CSS Standard';
+
+  const utility = violation.token ? violation.token.utility : violation.tailwind;
+  const suggestion = utility ? `\n\nSuggestion: Use Tailwind \`${utility}\` instead.` : '';
+  const comment = addComment(comments, file, violation.line, violation, `${emoji} **${severity}**: ${violation.message}${suggestion}`);
+  if (violation.ruleId === 'tailwind/hardcoded-color' || violation.ruleId === 'tailwind/prefer-utility') {
+    const applyLine = applySuggestion(violation, lines[violation.line - 1] || '');
+    if (applyLine) addSuggestion(comment, violation.line, [applyLine]);
+  }
+}
+
+/**
+ * Checks a CSS file, reporting each rule within its declared scope of the diff
+ * @param {string} file - Path relative to the working tree
+ * @param {Object} changes - Changed file from getChangedFiles
+ * @returns {Array<Object>} PR comments
+ */
+function checkCSSFile(file, changes) {
+  const source = readChangedFile(file);
+  if (!source) return [];
+  const { fullPath, content } = source;
   const comments = [];
-  
-  // Use the imported checkCSSFileForTailwind function
-  const violations = checkCSSFileForTailwind(file);
-  
-  // Filter violations to only those in changed lines and convert to PR comment format
+  const lines = content.split('\n');
+  const violations = checkSource(content, fullPath, config, { isReportable: suppressionReportable(changes) });
+
+  // Filter violations to those in their rule's scope and convert to PR comment format
   for (const violation of violations) {
-    if (isLineChanged(violation.line, changedRanges)) {
-      const emoji = violation.severity === 'error' ? '❌' : '🎨';
-      const severity = violation.severity === 'error' ? 'Error' : 'CSS Standard';
-      
-      comments.push({
-        path: file,
-        line: violation.line,
-        body: `${emoji} **${severity}**: ${violation.message}\n\nSuggestion: Use Tailwind \`${violation.tailwind}\` instead.`
-      });
-    }
+    if (isInScope(violation.ruleId, violation.line, changes, null)) addStyleComment(comments, file, violation, lines);
   }
-  
+
   return comments;
 }
 
-// Main execution
-const changedFilesOutput = execSync(`git diff --name-only --diff-filter=ACMTU ${baseRef}...HEAD`)
-  .toString()
-  .trim()
-  .split('\n')
-  .filter(f => f.length > 0);
+/**
+ * Adds the PR comment for a template rule violation, with a suggested change when the fix is a one-line swap
+ * @param {Array} comments - Comment list to append to
+ * @param {string} file - File the comment belongs to
+ * @param {Object} violation - Violation from checkSource
+ * @param {string[]} lines - Lines of the file
+ */
+function addTemplateComment(comments, file, violation, lines) {
+  const emoji = violation.severity === 'error' ? '❌' : '⚠️';
+  const comment = addComment(comments, file, violation.line, violation, `${emoji} **Template Standard**: ${violation.message}`);
+  const replacement = templateSuggestion(violation, lines[violation.line - 1] || '');
+  if (replacement !== null) addSuggestion(comment, violation.line, [replacement]);
+}
 
-console.error('📄 Changed files:', changedFilesOutput);
+/**
+ * Checks an Angular template, reporting each rule within its declared scope of the diff
+ * @param {string} file - Path relative to the working tree
+ * @param {Object} changes - Changed file from getChangedFiles
+ * @returns {Array<Object>} PR comments
+ */
+function checkTemplateFile(file, changes) {
+  const source = readChangedFile(file);
+  if (!source) return [];
+  const { fullPath, content } = source;
+  const comments = [];
+  const lines = content.split('\n');
+  const violations = checkSource(content, fullPath, config, { isReportable: suppressionReportable(changes) });
 
-let allComments = [];
+  for (const violation of violations) {
+    if (isInScope(violation.ruleId, violation.line, changes, null)) addTemplateComment(comments, file, violation, lines);
+  }
 
-// Check TypeScript files
-for (const file of changedFilesOutput) {
-  if (!file.endsWith('.ts') || file.endsWith('.spec.ts') || file.endsWith('.stories.ts')) continue;
-  const ranges = getChangedLineRanges(file);
-  if (ranges.length === 0) continue;
-  allComments = allComments.concat(checkTypeScriptFile(file, ranges));
+  return comments;
 }
 
-// Check CSS files
-for (const file of changedFilesOutput) {
-  if (!file.endsWith('.css')) continue;
-  const ranges = getChangedLineRanges(file);
-  if (ranges.length === 0) continue;
-  allComments = allComments.concat(checkCSSFile(file, ranges));
+/**
+ * Generates PR comments for the files changed in a diff
+ * @param {Object} options - Options
+ * @param {string} options.diffText - Unified diff of the PR
+ * @param {string} [options.root] - Working tree holding the new versions of the files (default: cwd)
+ * @param {Object} [options.config] - Standards config (default: loaded from the working tree)
+ * @returns {Array<Object>} PR comments sorted by file and line
+ */
+function generateComments({ diffText, root: treeRoot = process.cwd(), config: runConfig }) {
+  root = path.resolve(treeRoot);
+  config = runConfig || loadConfig({ cwd: root });
+
+  // Pure renames and mode changes have no changed lines to review
+  const changedFiles = getChangedFiles(diffText).filter(file => file.ranges.length > 0);
+
+  let allComments = [];
+
+  // Check TypeScript files
+  for (const file of changedFiles) {
+    if (!file.path.endsWith('.ts') || file.path.endsWith('.spec.ts') || file.path.endsWith('.stories.ts')) continue;
+    allComments = allComments.concat(checkTypeScriptFile(file.path, file));
+  }
+
+  // Check stylesheets (.css, .scss, .sass, .less)
+  for (const file of changedFiles) {
+    if (getLanguage(file.path) !== 'css') continue;
+    allComments = allComments.concat(checkCSSFile(file.path, file));
+  }
+
+  // Check Angular templates
+  for (const file of changedFiles) {
+    if (getLanguage(file.path) !== 'html') continue;
+    allComments = allComments.concat(checkTemplateFile(file.path, file));
+  }
+
+  return allComments;
+}
+
+/**
+ * Generates the review comments from the command line and prints them as JSON on stdout
+ * Usage, config and diff errors throw, for runMain to report with exit code 2
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @returns {number} Exit code: 1 when the thresholds block the PR, 0 otherwise
+ */
+function main(argv) {
+  const { flags } = parseArgs(argv, REVIEW_OPTIONS);
+  const baseRef = flags.base || process.env.BASE_REF || 'origin/main';
+  const treeRoot = path.resolve(flags.root || process.cwd());
+  const diffFile = flags['diff-file'];
+
+  const runConfig = loadConfig({ cwd: treeRoot, configPath: flags.config });
+  const thresholds = resolveThresholds(runConfig, {
+    failOn: flags['fail-on'],
+    maxWarnings: flags['max-warnings']
+  });
+  // --diff-file=- reads the patch from stdin
+  let diffText;
+  if (diffFile === '-') diffText = fs.readFileSync(0, 'utf8');
+  else if (diffFile) diffText = fs.readFileSync(diffFile, 'utf8');
+  else diffText = getGitDiff(baseRef, treeRoot);
+
+  const changedPaths = getChangedFiles(diffText).filter(file => file.ranges.length > 0).map(file => file.path);
+  console.error('📄 Changed files:', changedPaths);
+
+  const allComments = generateComments({ diffText, root: treeRoot, config: runConfig });
+
+  // Optional SARIF report for code scanning uploads and Code Quality report for GitLab
+  const violations = allComments.map(c => ({
+    file: c.path,
+    line: c.line,
+    ruleId: c.ruleId,
+    severity: c.severity,
+    message: c.message
+  }));
+  if (flags.sarif) {
+    fs.writeFileSync(flags.sarif, `${formatSarif(violations, { root: treeRoot })}\n`);
+    console.error(`📄 Wrote SARIF report to ${flags.sarif}`);
+  }
+  if (flags.codequality) {
+    fs.writeFileSync(flags.codequality, `${formatCodeQuality(violations, { root: treeRoot })}\n`);
+    console.error(`📄 Wrote Code Quality report to ${flags.codequality}`);
+  }
+
+  // Output results - logs to stderr, JSON to stdout
+  console.error(`\n✓ Found ${allComments.length} violations`);
+  console.log(JSON.stringify(allComments, null, 2));
+
+  // Exit 1 only when the thresholds block the PR; runMain sets exitCode (not exit()) so stdout flushes
+  const outcome = decideOutcome(allComments, thresholds);
+  if (outcome.blocking) {
+    console.error(`❌ Blocking: ${outcome.reasons.join('; ')}`);
+    return 1;
+  }
+  if (allComments.length > 0) {
+    console.error(`⚠️ ${outcome.errors} error(s) and ${outcome.warnings} warning(s), not blocking`);
+  }
+  return 0;
 }
 
-// Output results - logs to stderr, JSON to stdout
-console.error(`\n✓ Found ${allComments.length} violations`);
-console.log(JSON.stringify(allComments, null, 2));
+module.exports = {
+  REVIEW_OPTIONS,
+  getGitDiff,
+  getChangedFiles,
+  isLineChanged,
+  isSymbolChanged,
+  isInScope,
+  getSymbolRange,
+  checkTypeScriptFile,
+  checkCSSFile,
+  checkTemplateFile,
+  generateComments,
+  main
+};
 
-// Exit 0 so output is captured properly
-process.exit(0);
+// Only run CLI behavior if executed directly (not required as module)
+if (require.main === module) {
+  runMain(main);
+}
@@ -0,0 +1,74 @@
+/**
+ * Argument Parser
+ * Shared command-line parsing for the standards scripts and the ci-standards CLI
+ * Value options are written --name=value or --name value, booleans take no value, options with an
+ * optional value (--baseline or --baseline=path) fall back to their default, and everything else
+ * is positional. `--` ends the options
+ */
+
+/**
+ * Parses command-line arguments against a spec
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @param {Object} [spec] - Accepted options
+ * @param {string[]} [spec.string] - Options that take a value
+ * @param {string[]} [spec.boolean] - Options that are on when present
+ * @param {Object} [spec.optional] - Options whose value may be left out, mapped to the value used then
+ * @returns {{flags: Object, positionals: string[]}} Option values keyed by name as written, and positional arguments
+ */
+function parseArgs(argv, { string = [], boolean = [], optional = {} } = {}) {
+  const flags = {};
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('--') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const equals = arg.indexOf('=');
+    const name = arg.slice(2, equals === -1 ? undefined : equals);
+    const value = equals === -1 ? undefined : arg.slice(equals + 1);
+
+    if (boolean.includes(name)) {
+      if (value !== undefined) throw new Error(`Option '--${name}' does not take a value`);
+      flags[name] = true;
+    } else if (Object.prototype.hasOwnProperty.call(optional, name)) {
+      flags[name] = value === undefined || value === '' ? optional[name] : value;
+    } else if (string.includes(name)) {
+      if (value !== undefined) {
+        flags[name] = value;
+      } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+        flags[name] = argv[++i];
+      } else {
+        throw new Error(`Option '--${name}' needs a value`);
+      }
+    } else {
+      throw new Error(`Unknown option '--${name}'`);
+    }
+  }
+
+  return { flags, positionals };
+}
+
+/**
+ * Merges option specs, for commands that accept the options of several scripts
+ * @param {...Object} specs - Specs as accepted by parseArgs
+ * @returns {Object} Combined spec
+ */
+function mergeSpecs(...specs) {
+  return {
+    string: [...new Set(specs.flatMap((spec) => spec.string || []))],
+    boolean: [...new Set(specs.flatMap((spec) => spec.boolean || []))],
+    optional: Object.assign({}, ...specs.map((spec) => spec.optional || {})),
+  };
+}
+
+module.exports = {
+  parseArgs,
+  mergeSpecs
+};
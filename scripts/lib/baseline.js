@@ -0,0 +1,192 @@
+/**
+ * Violation Baseline
+ * Records existing violations in a committed file so legacy code only fails on new violations
+ * Entries are matched by file, rule id and a fingerprint of the offending source line, not by line
+ * number, so they survive unrelated edits that shift code up or down
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_BASELINE_FILE = '.ci-standards-baseline.json';
+const BASELINE_VERSION = 1;
+
+/**
+ * Normalizes a file path to the forward-slash, cwd-relative form stored in the baseline
+ * @param {string} file - File path (absolute or relative to cwd)
+ * @param {string} root - Directory baseline paths are relative to
+ * @returns {string} Relative path with forward slashes
+ */
+function toBaselinePath(file, root) {
+  return path.relative(root, path.resolve(file)).split(path.sep).join('/');
+}
+
+/**
+ * Computes a content fingerprint for a violation
+ * Uses the rule id, message and whitespace-normalized source line
+ * @param {{ruleId: string, message: string, line: number}} violation - Violation to fingerprint
+ * @param {string[]} lines - Lines of the file the violation belongs to
+ * @returns {string} Short hex fingerprint
+ */
+function fingerprintViolation(violation, lines) {
+  const source = (lines[violation.line - 1] || '').trim().replace(/\s+/g, ' ');
+  return crypto
+    .createHash('sha1')
+    .update(`${violation.ruleId}\0${violation.message}\0${source}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Attaches baseline keys (relative path and fingerprint) to each violation
+ * @param {Array<{file: string, line: number, ruleId: string, message: string}>} violations - Violations to key
+ * @param {string} root - Directory baseline paths are relative to
+ * @returns {Array<{violation: Object, file: string, ruleId: string, fingerprint: string}>} Keyed violations
+ */
+function keyViolations(violations, root) {
+  const sources = new Map();
+  return violations.map((violation) => {
+    if (!sources.has(violation.file)) {
+      const content = fs.existsSync(violation.file) ? fs.readFileSync(violation.file, 'utf-8') : '';
+      sources.set(violation.file, content.split('\n'));
+    }
+    return {
+      violation,
+      file: toBaselinePath(violation.file, root),
+      ruleId: violation.ruleId,
+      fingerprint: fingerprintViolation(violation, sources.get(violation.file)),
+    };
+  });
+}
+
+/**
+ * Builds a stable string key for a baseline entry
+ * @param {{file: string, ruleId: string, fingerprint: string}} entry - Baseline entry or keyed violation
+ * @returns {string} Map key
+ */
+function entryKey(entry) {
+  return `${entry.file}\0${entry.ruleId}\0${entry.fingerprint}`;
+}
+
+/**
+ * Sorts entries so the committed file diffs cleanly
+ * @param {Array} entries - Baseline entries
+ * @returns {Array} Sorted entries
+ */
+function sortEntries(entries) {
+  return entries.sort((a, b) =>
+    a.file.localeCompare(b.file) || a.ruleId.localeCompare(b.ruleId) || a.fingerprint.localeCompare(b.fingerprint)
+  );
+}
+
+/**
+ * Reads a baseline file
+ * @param {string} file - Baseline file path
+ * @returns {{version: number, entries: Array}} Baseline contents (empty when the file does not exist)
+ */
+function readBaseline(file) {
+  if (!fs.existsSync(file)) return { version: BASELINE_VERSION, entries: [] };
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not parse baseline ${file}: ${error.message}`);
+  }
+  if (!Array.isArray(data.entries)) {
+    throw new Error(`Baseline ${file} has no entries array`);
+  }
+  return data;
+}
+
+/**
+ * Writes a baseline file with sorted entries
+ * @param {string} file - Baseline file path
+ * @param {{entries: Array}} baseline - Baseline to write
+ */
+function writeBaseline(file, baseline) {
+  const data = { version: BASELINE_VERSION, entries: sortEntries(baseline.entries.slice()) };
+  fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+/**
+ * Creates a baseline from the current violations
+ * Entries for files that were not checked in this run are carried over from the previous baseline
+ * @param {Array} violations - Violations found in this run
+ * @param {string[]} checkedFiles - Files checked in this run
+ * @param {Object} [options] - Options
+ * @param {string} [options.root] - Directory baseline paths are relative to (default: cwd)
+ * @param {{entries: Array}} [options.previous] - Existing baseline to merge into
+ * @returns {{version: number, entries: Array}} New baseline
+ */
+function createBaseline(violations, checkedFiles, { root = process.cwd(), previous } = {}) {
+  const checked = new Set(checkedFiles.map((file) => toBaselinePath(file, root)));
+  const counts = new Map();
+
+  for (const keyed of keyViolations(violations, root)) {
+    const key = entryKey(keyed);
+    if (!counts.has(key)) {
+      counts.set(key, {
+        file: keyed.file,
+        ruleId: keyed.ruleId,
+        fingerprint: keyed.fingerprint,
+        message: keyed.violation.message,
+        count: 0,
+      });
+    }
+    counts.get(key).count++;
+  }
+
+  const carried = previous ? previous.entries.filter((entry) => !checked.has(entry.file)) : [];
+  return { version: BASELINE_VERSION, entries: [...carried, ...counts.values()] };
+}
+
+/**
+ * Splits violations into those already recorded in the baseline and new ones
+ * Also returns the baseline pruned of entries whose violations have been fixed
+ * @param {Array} violations - Violations found in this run
+ * @param {{entries: Array}} baseline - Baseline from readBaseline
+ * @param {string[]} checkedFiles - Files checked in this run (only their entries are pruned)
+ * @param {Object} [options] - Options
+ * @param {string} [options.root] - Directory baseline paths are relative to (default: cwd)
+ * @returns {{newViolations: Array, baseline: {version: number, entries: Array}, prunedCount: number}} New violations and pruned baseline
+ */
+function filterByBaseline(violations, baseline, checkedFiles, { root = process.cwd() } = {}) {
+  const checked = new Set(checkedFiles.map((file) => toBaselinePath(file, root)));
+  const remaining = new Map(baseline.entries.map((entry) => [entryKey(entry), { ...entry, matched: 0 }]));
+  const newViolations = [];
+
+  for (const keyed of keyViolations(violations, root)) {
+    const entry = remaining.get(entryKey(keyed));
+    if (entry && entry.matched < entry.count) {
+      entry.matched++;
+    } else {
+      newViolations.push(keyed.violation);
+    }
+  }
+
+  let prunedCount = 0;
+  const entries = [];
+  for (const { matched, ...entry } of remaining.values()) {
+    // Entries for files outside this run are kept untouched unless the file is gone
+    const gone = !fs.existsSync(path.resolve(root, entry.file));
+    if (!checked.has(entry.file) && !gone) {
+      entries.push(entry);
+      continue;
+    }
+    const count = gone ? 0 : Math.min(entry.count, matched);
+    prunedCount += entry.count - count;
+    if (count > 0) entries.push({ ...entry, count });
+  }
+
+  return { newViolations, baseline: { version: BASELINE_VERSION, entries }, prunedCount };
+}
+
+module.exports = {
+  DEFAULT_BASELINE_FILE,
+  fingerprintViolation,
+  readBaseline,
+  writeBaseline,
+  createBaseline,
+  filterByBaseline
+};
@@ -0,0 +1,297 @@
+/**
+ * Tailwind Checks
+ * The built-in rules for .css files: hardcoded colors and fonts, var() without a fallback,
+ * properties that have a Tailwind utility, and stylesheets that do not parse. Each entry maps a
+ * registry rule id to create(context)
+ */
+
+const { getFileConfig } = require('../config');
+const { resolveTailwindTheme, suggestUtility } = require('../tailwind-theme');
+
+// CSS properties that have direct Tailwind equivalents. `scale` names the theme key whose tokens
+// the values are matched against when the project's Tailwind theme is known
+const TAILWIND_PROPERTIES = {
+  // Colors
+  'color': { tailwind: 'text-{color}', category: 'color', scale: 'colors', strict: true },
+  'background-color': { tailwind: 'bg-{color}', category: 'color', scale: 'colors', strict: true },
+  'border-color': { tailwind: 'border-{color}', category: 'color', scale: 'colors', strict: true },
+  
+  // Spacing
+  'margin': { tailwind: 'm-{size}', category: 'spacing', scale: 'spacing' },
+  'margin-top': { tailwind: 'mt-{size}', category: 'spacing', scale: 'spacing' },
+  'margin-right': { tailwind: 'mr-{size}', category: 'spacing', scale: 'spacing' },
+  'margin-bottom': { tailwind: 'mb-{size}', category: 'spacing', scale: 'spacing' },
+  'margin-left': { tailwind: 'ml-{size}', category: 'spacing', scale: 'spacing' },
+  'padding': { tailwind: 'p-{size}', category: 'spacing', scale: 'spacing' },
+  'padding-top': { tailwind: 'pt-{size}', category: 'spacing', scale: 'spacing' },
+  'padding-right': { tailwind: 'pr-{size}', category: 'spacing', scale: 'spacing' },
+  'padding-bottom': { tailwind: 'pb-{size}', category: 'spacing', scale: 'spacing' },
+  'padding-left': { tailwind: 'pl-{size}', category: 'spacing', scale: 'spacing' },
+  
+  // Sizing
+  'width': { tailwind: 'w-{size}', category: 'sizing', scale: 'spacing' },
+  'height': { tailwind: 'h-{size}', category: 'sizing', scale: 'spacing' },
+  'min-width': { tailwind: 'min-w-{size}', category: 'sizing' },
+  'min-height': { tailwind: 'min-h-{size}', category: 'sizing' },
+  'max-width': { tailwind: 'max-w-{size}', category: 'sizing' },
+  'max-height': { tailwind: 'max-h-{size}', category: 'sizing' },
+  
+  // Borders
+  'border': { tailwind: 'border border-{color}', category: 'border' },
+  'border-radius': { tailwind: 'rounded-{size}', category: 'border', scale: 'borderRadius' },
+  'border-width': { tailwind: 'border-{width}', category: 'border' },
+  
+  // Display
+  'display': { tailwind: 'block|flex|grid|hidden|inline', category: 'display' },
+  'flex-direction': { tailwind: 'flex-row|flex-col', category: 'flexbox' },
+  'justify-content': { tailwind: 'justify-{align}', category: 'flexbox' },
+  'align-items': { tailwind: 'items-{align}', category: 'flexbox' },
+  'flex-wrap': { tailwind: 'flex-wrap|flex-nowrap', category: 'flexbox' },
+  'gap': { tailwind: 'gap-{size}', category: 'spacing', scale: 'spacing' },
+  
+  // Text
+  'font-size': { tailwind: 'text-{size}', category: 'text', scale: 'fontSize' },
+  'font-weight': { tailwind: 'font-{weight}', category: 'text', scale: 'fontWeight' },
+  'font-family': { tailwind: 'font-{family}', category: 'text', strict: true },
+  'line-height': { tailwind: 'leading-{size}', category: 'text' },
+  'text-align': { tailwind: 'text-{align}', category: 'text' },
+  
+  // Effects
+  'opacity': { tailwind: 'opacity-{value}', category: 'effects' },
+  'box-shadow': { tailwind: 'shadow-{size}', category: 'effects' },
+};
+
+// Properties that are exempt from Tailwind enforcement
+const EXEMPT_PROPERTIES = [
+  'animation',
+  'animation-name',
+  'animation-duration',
+  'animation-timing-function',
+  'animation-delay',
+  'animation-iteration-count',
+  'animation-direction',
+  'animation-fill-mode',
+  'transition',
+  'transition-property',
+  'transition-duration',
+  'transition-timing-function',
+  'transition-delay',
+  'transform',
+  'transform-origin',
+  'perspective',
+  'perspective-origin',
+  'backface-visibility',
+  'clip-path',
+  'mask',
+  'filter',
+  'backdrop-filter',
+  'mix-blend-mode',
+  'z-index',
+  'position',
+  'top',
+  'right',
+  'bottom',
+  'left',
+  'pointer-events',
+  'user-select',
+  'cursor',
+  'list-style',
+  'content',
+  'counter-reset',
+  'counter-increment',
+  'quotes',
+  'writing-mode',
+  'direction',
+  'overflow',
+  'overflow-x',
+  'overflow-y',
+  'white-space',
+  'word-break',
+  'hyphens',
+  'text-transform',
+  'text-decoration',
+  'text-decoration-color',
+  'text-decoration-line',
+  'text-decoration-style',
+  'text-shadow',
+  'letter-spacing',
+  'word-spacing',
+  'font-style',
+  'font-variant',
+  'font-feature-settings',
+  'outline',
+  'outline-width',
+  'outline-style',
+  'outline-color',
+  'outline-offset',
+];
+
+// Patterns for hardcoded values that should use Tailwind
+const HARDCODED_PATTERNS = {
+  HEX_COLOR: /^#[0-9A-Fa-f]{3,6}$/,
+  RGB_COLOR: /^rgb\(/i,
+  RGBA_COLOR: /^rgba\(/i,
+  HSL_COLOR: /^hsl\(/i,
+  NAMED_COLOR: /^(red|blue|green|yellow|purple|orange|pink|white|black|gray|grey|brown|navy|teal|cyan|magenta|lime|maroon|khaki|salmon|coral|gold|silver|bronze)$/i,
+  HARDCODED_FONT: /^(Arial|Helvetica|Times New Roman|Georgia|Verdana|Courier|Comic Sans|Impact|Trebuchet MS|Palatino|Garamond|Bookman|Tahoma|Lucida|Sans-serif|Serif|Monospace)$/i,
+};
+
+/**
+ * Builds the Tailwind property and exemption tables for a file, with the project's theme
+ * Config can add or replace property mappings (null removes one) and add exempt properties
+ * @param {Object} config - Standards config from loadConfig
+ * @param {string} filePath - Path of the CSS file being checked
+ * @returns {{properties: Object, exempt: Set<string>, theme: Object|null}} Effective Tailwind tables for the file
+ */
+function getTailwindTables(config, filePath) {
+  const { tailwind } = getFileConfig(config, filePath);
+  const properties = { ...TAILWIND_PROPERTIES };
+  for (const [property, info] of Object.entries(tailwind.properties)) {
+    if (info) {
+      properties[property] = { category: 'custom', ...info };
+    } else {
+      delete properties[property];
+    }
+  }
+  return {
+    properties,
+    exempt: new Set([...EXEMPT_PROPERTIES, ...tailwind.exemptProperties]),
+    theme: resolveTailwindTheme(config.root, tailwind.theme),
+  };
+}
+
+// Preprocessor variable references ($brand, @brand, @{brand}); the variables' definitions are checked instead
+const PREPROCESSOR_VARIABLE = /(?:^|[^\w-])(?:\$|@\{?)[a-zA-Z_][\w-]*/;
+
+/**
+ * Checks whether a value is a literal color
+ * @param {string} value - CSS value
+ * @returns {boolean} True for hex, rgb(), rgba(), hsl() and named colors
+ */
+function isHardcodedColor(value) {
+  return HARDCODED_PATTERNS.HEX_COLOR.test(value) ||
+    HARDCODED_PATTERNS.RGB_COLOR.test(value) ||
+    HARDCODED_PATTERNS.RGBA_COLOR.test(value) ||
+    HARDCODED_PATTERNS.HSL_COLOR.test(value) ||
+    HARDCODED_PATTERNS.NAMED_COLOR.test(value);
+}
+
+/**
+ * Decides which Tailwind rule, if any, a declaration breaks
+ * Strict properties (colors, font-family) must not use literal values; every mapped property should
+ * use its utility unless the value comes from theme(), var() or a preprocessor variable. With a
+ * theme, the message names the utility for the value's token (or the nearest one, with how far off
+ * it is) instead of the template. A SCSS or Less variable defined as a literal color is reported at
+ * its definition, so its uses are not reported again
+ * @param {{property: string, value: string, selector: string, variable: (boolean|undefined)}} declaration - Declaration from analyzeCSS
+ * @param {{properties: Object, exempt: Set<string>, theme: (Object|null|undefined)}} tables - Tables from getTailwindTables
+ * @returns {{ruleId: string, message: string, data: Object}|null} The violation, or null when the declaration is fine
+ */
+function classifyDeclaration({ property, value, selector, variable }, { properties, exempt, theme }) {
+  if (variable) {
+    if (!isHardcodedColor(value)) return null;
+    return {
+      ruleId: 'tailwind/hardcoded-color',
+      message: `STRICT: Hardcoded color value '${value}' found in variable '${property}'. Must use Tailwind utilities or global variables.`,
+      data: { property, value, category: 'color' },
+    };
+  }
+  if (exempt.has(property) || !properties[property]) return null;
+  const info = properties[property];
+  const data = { property, value, tailwind: info.tailwind, category: info.category };
+  const token = theme && info.scale ? suggestUtility(theme, info, property, value) : null;
+  if (token) data.token = token;
+
+  // STRICT MODE: Flag hardcoded values for certain properties
+  if (info.strict) {
+    // var() on a strict property needs a fallback; theme() is a design token
+    const varMatch = value.match(/^var\s*\(\s*([^)]+)\s*\)/);
+    if (varMatch) {
+      if (varMatch[1].includes(',')) return null;
+      return {
+        ruleId: 'tailwind/var-fallback',
+        message: `STRICT: var() without fallback requires using @apply. Example: @apply ${info.tailwind} or use var(--custom-color, fallback-value)`,
+        data,
+      };
+    }
+    if (/^theme\s*\(/.test(value)) return null;
+
+    let hardcodedType = null;
+    if (property === 'color' || property === 'background-color' || property === 'border-color') {
+      if (isHardcodedColor(value)) hardcodedType = 'color';
+    } else if (property === 'font-family' && HARDCODED_PATTERNS.HARDCODED_FONT.test(value)) {
+      hardcodedType = 'font-family';
+    }
+    if (hardcodedType) {
+      let hint = '';
+      if (token) hint = token.exact ? ` Use '${token.utility}'.` : ` Nearest: '${token.utility}' (${token.note}).`;
+      return {
+        ruleId: `tailwind/hardcoded-${hardcodedType === 'color' ? 'color' : 'font'}`,
+        message: `STRICT: Hardcoded ${hardcodedType} value '${value}' found. Must use Tailwind utilities or global variables.${hint}`,
+        data,
+      };
+    }
+  }
+
+  // Design tokens are fine anywhere in the value
+  if (/(theme|var)\s*\(/.test(value) || PREPROCESSOR_VARIABLE.test(value)) return null;
+
+  // In a :host selector the fix is an @apply
+  const isHostSelector = selector.includes(':host');
+  const utility = token ? token.utility : info.tailwind;
+  const suggestion = isHostSelector ? `Use @apply ${utility}` : `Use Tailwind '${utility}'`;
+  return {
+    ruleId: 'tailwind/prefer-utility',
+    message: `Property '${property}' should use ${suggestion}${token && !token.exact ? ` (nearest token: ${token.note})` : ''}`,
+    data: { ...data, isHostSelector },
+  };
+}
+
+/**
+ * Builds the rule that reports the declarations classifyDeclaration assigns to it
+ * @param {string} ruleId - Rule id
+ * @returns {function(Object): Object} create function
+ */
+function declarationRule(ruleId) {
+  return (context) => {
+    const tables = getTailwindTables(context.config, context.file);
+    return {
+      declaration(declaration) {
+        const result = classifyDeclaration(declaration, tables);
+        if (result && result.ruleId === ruleId) {
+          const { line, column, endLine, endColumn } = declaration;
+          context.report({ line, column, endLine, endColumn, message: result.message, ...result.data });
+        }
+      },
+    };
+  };
+}
+
+/**
+ * Reports the syntax error that stopped the stylesheet from parsing
+ * @param {Object} context - Rule context with syntaxErrors from analyzeCSS
+ * @returns {Object} Empty visitor
+ */
+function syntaxErrorRule(context) {
+  for (const { line, column, message } of context.syntaxErrors) {
+    context.report({ line, column, message: `CSS syntax error: ${message}` });
+  }
+  return {};
+}
+
+const CHECKS = {
+  'css/syntax-error': syntaxErrorRule,
+  'tailwind/hardcoded-color': declarationRule('tailwind/hardcoded-color'),
+  'tailwind/hardcoded-font': declarationRule('tailwind/hardcoded-font'),
+  'tailwind/var-fallback': declarationRule('tailwind/var-fallback'),
+  'tailwind/prefer-utility': declarationRule('tailwind/prefer-utility'),
+};
+
+module.exports = {
+  TAILWIND_PROPERTIES,
+  EXEMPT_PROPERTIES,
+  HARDCODED_PATTERNS,
+  getTailwindTables,
+  classifyDeclaration,
+  CHECKS
+};
@@ -0,0 +1,305 @@
+/**
+ * Template Checks
+ * The built-in rules for Angular templates (.html files and inline `template:` strings): hardcoded
+ * colors and spacing in style attributes and bindings, Tailwind arbitrary values, the *ngIf/*ngFor
+ * directives the @if/@for blocks replace, debug output, and templates that do not parse. Each entry
+ * maps a registry rule id to create(context)
+ */
+
+const postcss = require('postcss');
+const { getTailwindTables, classifyDeclaration } = require('./tailwind');
+const { suggestUtility } = require('../tailwind-theme');
+const { parseColor } = require('../css-values');
+const { loadCompiler } = require('../template-analyzer');
+
+// Structural directives with a built-in control flow block, by directive name
+const LEGACY_DIRECTIVES = {
+  ngIf: '@if',
+  ngFor: '@for',
+  ngForOf: '@for',
+  ngSwitch: '@switch',
+  ngSwitchCase: '@case',
+  ngSwitchDefault: '@default',
+};
+
+// Bindings that take a whole style or class list rather than one property or class
+const STYLE_BINDINGS = new Set(['style', 'ngStyle']);
+const CLASS_BINDINGS = new Set(['class', 'ngClass']);
+
+/**
+ * Lists the values a binding expression can only ever take
+ * A literal has one; a conditional between literals has both. Anything read from the component is unknown
+ * @param {Object} ng - @angular/compiler exports
+ * @param {Object} ast - Angular expression AST
+ * @returns {string[]} Literal values, as strings
+ */
+function literalValues(ng, ast) {
+  if (ast instanceof ng.LiteralPrimitive) {
+    return typeof ast.value === 'string' || typeof ast.value === 'number' ? [String(ast.value)] : [];
+  }
+  // Parentheses have their own node since Angular 20
+  if (ng.ParenthesizedExpression && ast instanceof ng.ParenthesizedExpression) return literalValues(ng, ast.expression);
+  if (ast instanceof ng.Conditional) return [...literalValues(ng, ast.trueExp), ...literalValues(ng, ast.falseExp)];
+  return [];
+}
+
+/**
+ * Converts a camelCase style name from a binding to its CSS property
+ * @param {string} name - Such as 'backgroundColor' or 'background-color'
+ * @returns {string} Such as 'background-color'
+ */
+function toProperty(name) {
+  return name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`).toLowerCase();
+}
+
+/**
+ * Parses the declarations of a style attribute
+ * @param {string} text - Attribute value, such as 'color: red; margin: 4px'
+ * @returns {Array<{property: string, value: string}>} Declarations, or none when the text does not parse
+ */
+function parseStyleText(text) {
+  let root;
+  try {
+    root = postcss.parse(text);
+  } catch (error) {
+    if (error.name !== 'CssSyntaxError') throw error;
+    return [];
+  }
+  return root.nodes
+    .filter((node) => node.type === 'decl')
+    .map((node) => ({ property: node.prop.toLowerCase(), value: node.value.replace(/\s+/g, ' ').trim() }));
+}
+
+/**
+ * Lists the style declarations an attribute or binding sets with literal values
+ * Covers style="...", [style.x] and [style.x.unit], and [style] or [ngStyle] bound to a string or object literal
+ * @param {Object} ng - @angular/compiler exports
+ * @param {Object} attribute - Attribute from analyzeTemplate
+ * @returns {Array<{property: string, value: string}>} Declarations
+ */
+function styleDeclarations(ng, attribute) {
+  if (attribute.kind === 'static') return attribute.name === 'style' ? parseStyleText(attribute.value) : [];
+  if (attribute.kind === 'style') {
+    const property = toProperty(attribute.name);
+    return literalValues(ng, attribute.ast).map((value) => ({ property, value: `${value}${attribute.unit || ''}` }));
+  }
+  if (attribute.kind !== 'property' || !STYLE_BINDINGS.has(attribute.name)) return [];
+
+  if (attribute.ast instanceof ng.LiteralMap) {
+    return attribute.ast.keys.flatMap((key, index) => {
+      if (key.kind === 'spread') return [];
+      // Object keys may carry a unit, as in { 'padding.px': 8 }
+      const [name, unit = ''] = key.key.split('.');
+      return literalValues(ng, attribute.ast.values[index]).map((value) => ({ property: toProperty(name), value: `${value}${unit}` }));
+    });
+  }
+  return literalValues(ng, attribute.ast).flatMap(parseStyleText);
+}
+
+/**
+ * Lists the classes an attribute or binding applies with literal names
+ * Covers class="...", [class.x], and [class] or [ngClass] bound to a string, array or object literal
+ * @param {Object} ng - @angular/compiler exports
+ * @param {Object} attribute - Attribute from analyzeTemplate
+ * @returns {string[]} Class names
+ */
+function classNames(ng, attribute) {
+  const split = (text) => text.split(/\s+/).filter(Boolean);
+  if (attribute.kind === 'static') return attribute.name === 'class' ? split(attribute.value) : [];
+  if (attribute.kind === 'class') return [attribute.name];
+  if (attribute.kind !== 'property' || !CLASS_BINDINGS.has(attribute.name)) return [];
+
+  const { ast } = attribute;
+  if (ast instanceof ng.LiteralMap) return ast.keys.flatMap((key) => (key.kind === 'spread' ? [] : split(key.key)));
+  if (ast instanceof ng.LiteralArray) return ast.expressions.flatMap((item) => literalValues(ng, item)).flatMap(split);
+  return literalValues(ng, ast).flatMap(split);
+}
+
+/**
+ * Gets the utility part of a class, after its variants
+ * @param {string} className - Such as 'md:hover:bg-[#ff0000]'
+ * @returns {string} Such as 'bg-[#ff0000]'
+ */
+function utilityOf(className) {
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < className.length; i++) {
+    if (className[i] === '[') depth++;
+    else if (className[i] === ']') depth--;
+    else if (className[i] === ':' && depth === 0) start = i + 1;
+  }
+  return className.slice(start);
+}
+
+/**
+ * Finds the theme token for the value of an arbitrary utility such as p-[15px] or text-[#1d4ed8]
+ * The utility's prefix picks the property; 'text' is a color or a font size depending on the value
+ * @param {string} utility - Utility with an arbitrary value
+ * @param {{properties: Object, theme: (Object|null)}} tables - Tables from getTailwindTables
+ * @returns {Object|null} Token from suggestUtility, or null when there is no theme or no comparable token
+ */
+function arbitraryToken(utility, { properties, theme }) {
+  const match = utility.match(/^!?(-?)([a-z][a-z-]*?)-\[([^\]]+)\]$/);
+  if (!theme || !match) return null;
+  const [, negative, prefix] = match;
+  const value = match[3].replace(/_/g, ' ').replace(/^(color|length):/, '');
+  const isColor = parseColor(value) !== null;
+  const candidates = Object.entries(properties)
+    .filter(([, info]) => info && info.scale && info.tailwind.startsWith(`${prefix}-{`));
+  const entry = candidates.find(([, info]) => (info.scale === 'colors') === isColor);
+  return entry ? suggestUtility(theme, entry[1], entry[0], `${negative}${value}`) : null;
+}
+
+/**
+ * Builds the hint naming the utility for a token, as the hardcoded color rule does
+ * @param {Object|null} token - Token from suggestUtility
+ * @returns {string} Hint sentence with a leading space, or '' without a token
+ */
+function tokenHint(token) {
+  if (!token) return '';
+  return token.exact ? ` Use '${token.utility}'.` : ` Nearest: '${token.utility}' (${token.note}).`;
+}
+
+/**
+ * Reports literal colors and spacing set by style attributes and bindings
+ * The declarations are classified like stylesheet ones: what tailwind/hardcoded-color flags, and the
+ * spacing properties tailwind/prefer-utility flags
+ * @param {Object} context - Rule context
+ * @returns {Object} Visitor
+ */
+function inlineStyleRule(context) {
+  const tables = getTailwindTables(context.config, context.file);
+  const ng = loadCompiler(context.file);
+  return {
+    attribute(attribute) {
+      for (const declaration of styleDeclarations(ng, attribute)) {
+        const result = classifyDeclaration({ ...declaration, selector: '' }, tables);
+        if (!result) continue;
+        const { property, value, tailwind, category, token } = result.data;
+        let kind = null;
+        if (result.ruleId === 'tailwind/hardcoded-color') kind = 'color';
+        else if (result.ruleId === 'tailwind/prefer-utility' && category === 'spacing') kind = 'spacing';
+        if (!kind) continue;
+
+        const utility = token ? token.utility : tailwind;
+        const note = token && !token.exact ? ` (nearest token: ${token.note})` : '';
+        const { line, column, endLine, endColumn } = attribute;
+        context.report({
+          line,
+          column,
+          endLine,
+          endColumn,
+          message: `Inline style hardcodes ${kind} '${property}: ${value}'. Use the Tailwind class '${utility}'${note} instead.`,
+          property,
+          value,
+          tailwind,
+          category,
+          ...(token ? { token } : {}),
+        });
+      }
+    },
+  };
+}
+
+/**
+ * Reports Tailwind classes with arbitrary values, such as bg-[#ff0000], which bypass the theme
+ * @param {Object} context - Rule context
+ * @returns {Object} Visitor
+ */
+function arbitraryValueRule(context) {
+  const tables = getTailwindTables(context.config, context.file);
+  const ng = loadCompiler(context.file);
+  return {
+    attribute(attribute) {
+      for (const className of classNames(ng, attribute)) {
+        const utility = utilityOf(className);
+        if (!utility.includes('[')) continue;
+        const token = arbitraryToken(utility, tables);
+        const { line, column, endLine, endColumn } = attribute;
+        context.report({
+          line,
+          column,
+          endLine,
+          endColumn,
+          message: `Tailwind arbitrary value '${className}' bypasses the theme.${tokenHint(token) || ' Use a theme token or add one to the Tailwind theme.'}`,
+          value: className,
+          ...(token ? { token } : {}),
+        });
+      }
+    },
+  };
+}
+
+/**
+ * Reports *ngIf, *ngFor and ngSwitch, including their <ng-template> forms, where a control flow block applies
+ * @param {Object} context - Rule context
+ * @returns {Object} Visitor
+ */
+function legacyControlFlowRule(context) {
+  return {
+    attribute(attribute) {
+      const block = LEGACY_DIRECTIVES[attribute.name];
+      if (!block) return;
+      const explicit = attribute.kind === 'property' && (attribute.element === 'ng-template' || attribute.name === 'ngSwitch');
+      if (attribute.kind !== 'structural' && !explicit) return;
+      const { line, column, endLine, endColumn } = attribute;
+      context.report({
+        line,
+        column,
+        endLine,
+        endColumn,
+        message: `Legacy control flow directive '${attribute.key}'. Use the built-in ${block} block instead.`,
+        directive: attribute.key,
+        block,
+      });
+    },
+  };
+}
+
+/**
+ * Reports json pipes and console calls left in bindings and interpolations
+ * @param {Object} context - Rule context
+ * @returns {Object} Visitor
+ */
+function debugOutputRule(context) {
+  return {
+    expression(expression) {
+      for (const pipe of expression.pipes) {
+        if (pipe.name !== 'json') continue;
+        context.report({ line: pipe.line, column: pipe.column, message: 'The json pipe prints debug output into the page. Remove it before merge.' });
+      }
+      for (const call of expression.calls) {
+        if (!call.name.startsWith('console.')) continue;
+        context.report({ line: call.line, column: call.column, message: `${call.name}() should not ship in a template binding.` });
+      }
+    },
+  };
+}
+
+/**
+ * Reports the errors the template parser found
+ * @param {Object} context - Rule context with syntaxErrors from analyzeTemplate
+ * @returns {Object} Empty visitor
+ */
+function syntaxErrorRule(context) {
+  for (const { line, column, message } of context.syntaxErrors) {
+    context.report({ line, column, message: `Template syntax error: ${message}` });
+  }
+  return {};
+}
+
+const CHECKS = {
+  'template/syntax-error': syntaxErrorRule,
+  'template/inline-style': inlineStyleRule,
+  'template/arbitrary-value': arbitraryValueRule,
+  'template/legacy-control-flow': legacyControlFlowRule,
+  'template/debug-output': debugOutputRule,
+};
+
+module.exports = {
+  LEGACY_DIRECTIVES,
+  styleDeclarations,
+  classNames,
+  utilityOf,
+  CHECKS
+};
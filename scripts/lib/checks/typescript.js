@@ -0,0 +1,166 @@
+/**
+ * TypeScript Checks
+ * The built-in rules for .ts files, run by the rule engine for the local checker and PR reviews alike
+ * Each entry maps a registry rule id to create(context), which returns the visitor for one file
+ */
+
+const {
+  checkAccessModifierTag,
+  hasReturnsTag,
+  isVoidReturn,
+  checkParamTags,
+  checkSingleLineJsDoc
+} = require('../jsdoc');
+
+// Labels used in messages for Angular reactive members, keyed by factory function
+const REACTIVE_LABELS = {
+  computed: 'Computed property',
+  signal: 'Signal',
+  input: 'Input',
+  output: 'Output',
+  viewChild: 'ViewChild'
+};
+
+/**
+ * Gets the noun used for a member in messages
+ * @param {Object} member - Member from analyzeSource
+ * @returns {string} 'method', 'signal', 'computed property', ...
+ */
+function memberNoun(member) {
+  if (!member.reactiveKind) return 'method';
+  return member.reactiveKind === 'computed' ? 'computed property' : member.reactiveKind;
+}
+
+/**
+ * Checks whether a member declares a value the JSDoc should describe with @returns
+ * Setters cannot declare a return type, and void and Promise<void> methods return nothing
+ * @param {Object} member - Member from analyzeSource
+ * @returns {boolean} True if @returns is expected
+ */
+function returnsValue(member) {
+  return member.kind !== 'setter' && !isVoidReturn(member.returnType);
+}
+
+/**
+ * Builds a rule that reports on documented methods, accessors and arrow-function properties
+ * Overload groups are documented once, on their first signature, and reactive members have rules of their own
+ * @param {function(Object, Object): void} check - Receives each documented member and the rule context
+ * @returns {function(Object): Object} create function
+ */
+function methodJsDocRule(check) {
+  return (context) => ({
+    member(member) {
+      if (member.isOverload || member.reactiveKind || !member.jsDoc.exists) return;
+      check(member, context);
+    },
+  });
+}
+
+/**
+ * Builds a rule that reports one kind of @param issue
+ * @param {string} ruleId - Rule id the issues are filtered by
+ * @returns {function(Object): Object} create function
+ */
+function paramTagRule(ruleId) {
+  return methodJsDocRule((member, context) => {
+    for (const issue of checkParamTags(member.jsDoc.content, member.params).issues) {
+      if (issue.ruleId === ruleId) context.report({ line: member.line, message: issue.message });
+    }
+  });
+}
+
+/**
+ * Builds a rule that reports lines containing a marker
+ * @param {string} marker - Text to look for
+ * @param {string} message - Violation message
+ * @returns {function(Object): Object} create function
+ */
+function lineMarkerRule(marker, message) {
+  return (context) => ({
+    line(text, line) {
+      if (text.includes(marker)) context.report({ line, message });
+    },
+  });
+}
+
+/**
+ * Builds a rule for the JSDoc shape of Angular reactive members
+ * @param {boolean} singleLine - Check blocks that are single-line (true) or multi-line (false)
+ * @returns {function(Object): Object} create function
+ */
+function reactiveJsDocRule(singleLine) {
+  return (context) => ({
+    member(member) {
+      if (!member.reactiveKind || !member.jsDoc.exists || member.jsDoc.isSingleLine !== singleLine) return;
+      for (const message of checkSingleLineJsDoc(member.jsDoc, REACTIVE_LABELS[member.reactiveKind])) {
+        context.report({ line: member.line, message });
+      }
+    },
+  });
+}
+
+const CHECKS = {
+  'jsdoc/missing-jsdoc': (context) => ({
+    member(member) {
+      if (member.isOverload || member.jsDoc.exists) return;
+      context.report({ line: member.line, message: `Missing JSDoc above ${memberNoun(member)}` });
+    },
+  }),
+
+  'jsdoc/missing-returns': methodJsDocRule((member, context) => {
+    if (returnsValue(member) && !hasReturnsTag(member.jsDoc.content)) {
+      context.report({ line: member.line, message: 'Missing @returns in JSDoc' });
+    }
+  }),
+
+  'jsdoc/access-tag': methodJsDocRule((member, context) => {
+    const accessCheck = checkAccessModifierTag(member.jsDoc.content, member.modifier);
+    if (!accessCheck.valid) context.report({ line: member.line, message: accessCheck.message });
+  }),
+
+  'jsdoc/missing-param': paramTagRule('jsdoc/missing-param'),
+  'jsdoc/param-type': paramTagRule('jsdoc/param-type'),
+  'jsdoc/extra-param': paramTagRule('jsdoc/extra-param'),
+  'jsdoc/single-line': reactiveJsDocRule(false),
+  'jsdoc/empty-description': reactiveJsDocRule(true),
+
+  'ts/access-modifier': (context) => ({
+    member(member) {
+      if (member.isOverload || member.modifier) return;
+      context.report({ line: member.line, message: `Missing access modifier on ${memberNoun(member)}` });
+    },
+  }),
+
+  'ts/return-type': (context) => ({
+    member(member) {
+      if (member.isOverload || member.reactiveKind || member.kind === 'setter' || member.returnType) return;
+      context.report({ line: member.line, message: 'Missing return type' });
+    },
+  }),
+
+  // Return and parameter types of checked methods get their own messages
+  'ts/no-any': (context) => ({
+    anyType(anyType) {
+      const owner = anyType.context !== 'other' && context.members.find((m) =>
+        !m.reactiveKind && !m.isOverload && anyType.line >= m.line && anyType.line <= m.signatureEndLine
+      );
+      let message = 'Type `any` is not allowed. Use a specific type instead.';
+      if (owner && anyType.context === 'return') {
+        message = 'Return type cannot be `any`. Use a specific type instead.';
+      } else if (owner) {
+        message = `Parameter '${anyType.name}' cannot have type \`any\`. Use a specific type instead.`;
+      }
+      context.report({ line: anyType.line, message });
+    },
+  }),
+
+  'debug/console-log': lineMarkerRule('console.log', '`console.log()` should not be in production code. Use a logging service instead.'),
+  'debug/debugger': lineMarkerRule('debugger', '`debugger` statement must be removed before merge.'),
+  'comments/todo': lineMarkerRule('TODO', 'TODO should be tracked in the issue tracker or resolved before merge.'),
+  'comments/fixme': lineMarkerRule('FIXME', 'FIXME must be resolved before merge.'),
+};
+
+module.exports = {
+  REACTIVE_LABELS,
+  CHECKS
+};
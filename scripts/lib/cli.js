@@ -0,0 +1,79 @@
+/**
+ * CLI Helpers
+ * Option specs, config loading and report output shared by the check scripts and the ci-standards CLI
+ */
+
+const { loadConfig } = require('./config');
+const { getFormatter, writeOutput } = require('./formatters');
+
+// --config, --format and --output-file, accepted by every command
+const OUTPUT_OPTIONS = {
+  string: ['config', 'format', 'output-file'],
+};
+
+// How a check picks files when none are given
+const SELECTION_OPTIONS = {
+  string: ['diff'],
+  boolean: ['all', 'changed', 'staged'],
+};
+
+/**
+ * Loads the config and formatter named by the CLI flags
+ * With --format and no --output-file the report owns stdout, so progress messages move to stderr
+ * @param {Object} flags - Flags from parseArgs
+ * @param {string} [cwd] - Directory the config search starts from (default: process.cwd())
+ * @returns {{config: Object, formatter: Function|null, outputFile: string|null, log: Function}} Run setup
+ */
+function setupRun(flags, cwd = process.cwd()) {
+  const config = loadConfig({ cwd, configPath: flags.config });
+  const formatter = flags.format ? getFormatter(flags.format) : null;
+  const outputFile = flags['output-file'] || null;
+  const log = formatter && !outputFile ? console.error : console.log;
+  return { config, formatter, outputFile, log };
+}
+
+/**
+ * Writes the formatted report when a format was requested
+ * @param {{formatter: Function|null, outputFile: string|null}} run - Run setup from setupRun
+ * @param {Array<Object>} violations - Violations to report
+ * @param {Object} [options] - Formatter options (e.g. root)
+ * @returns {boolean} True if a report was written
+ */
+function writeReport(run, violations, options) {
+  if (!run.formatter) return false;
+  writeOutput(run.formatter(violations, options), run.outputFile);
+  return true;
+}
+
+/**
+ * Gets the process exit code for a set of violations: 1 when any is an error
+ * @param {Array<{severity: string}>} violations - Reported violations
+ * @returns {number} Exit code
+ */
+function exitCodeFor(violations) {
+  return violations.some((v) => v.severity === 'error') ? 1 : 0;
+}
+
+/**
+ * Runs a CLI entry point and sets the process exit code from its result
+ * Usage and config errors print a message and exit 2
+ * @param {function(string[]): number} main - Entry point returning an exit code
+ * @param {string[]} [argv] - Arguments (default: process.argv without node and the script)
+ */
+function runMain(main, argv = process.argv.slice(2)) {
+  try {
+    process.exitCode = main(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 2;
+  }
+}
+
+module.exports = {
+  OUTPUT_OPTIONS,
+  SELECTION_OPTIONS,
+  setupRun,
+  writeReport,
+  exitCodeFor,
+  runMain
+};
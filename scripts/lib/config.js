@@ -0,0 +1,264 @@
+/**
+ * Config Loader
+ * Finds and loads the consuming repository's .ci-standards.json or .ci-standardsrc.js
+ * Resolves per-file rule severities and Tailwind table additions, including glob overrides,
+ * and loads the rule plugins the config lists
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { RULES, normalizeSeverity } = require('./rules');
+const { normalizeThresholds } = require('./outcome');
+const { loadPlugins } = require('./plugins');
+
+// Config file names, in lookup order
+const CONFIG_FILES = ['.ci-standards.json', '.ci-standardsrc.js'];
+
+// Loaded configs, keyed by config file path (or cwd when no file exists)
+const configCache = new Map();
+
+/**
+ * Walks up from a directory looking for a config file
+ * @param {string} startDir - Directory to start searching from
+ * @returns {string|null} Absolute path of the first config file found, or null
+ */
+function findConfigFile(startDir) {
+  let dir = path.resolve(startDir);
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      const candidate = path.join(dir, name);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Reads a JSON or JavaScript config file
+ * @param {string} file - Absolute path of the config file
+ * @returns {Object} Raw config object as written by the user
+ */
+function readConfigFile(file) {
+  if (file.endsWith('.js') || file.endsWith('.cjs')) {
+    delete require.cache[require.resolve(file)];
+    return require(file);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Converts a glob pattern into a regular expression source string
+ * Supports **, *, ? and {a,b} alternatives
+ * @param {string} glob - Glob pattern using forward slashes
+ * @returns {string} Regular expression source (unanchored)
+ */
+function globToPattern(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // '**/' matches zero or more whole directories
+        if (glob[i + 2] === '/') {
+          pattern += '(?:.*/)?';
+          i += 2;
+        } else {
+          pattern += '.*';
+          i++;
+        }
+      } else {
+        pattern += '[^/]*';
+      }
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else if (char === '{' && glob.indexOf('}', i) > i) {
+      const end = glob.indexOf('}', i);
+      const options = glob.slice(i + 1, end).split(',').map(globToPattern);
+      pattern += `(?:${options.join('|')})`;
+      i = end;
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return pattern;
+}
+
+/**
+ * Compiles a glob pattern into an anchored regular expression
+ * A trailing slash matches everything below that directory
+ * @param {string} glob - Glob pattern relative to the config file directory
+ * @returns {RegExp} Regular expression matching relative, forward-slash paths
+ */
+function globToRegExp(glob) {
+  const normalized = glob.replace(/^\.\//, '').replace(/\/$/, '/**');
+  return new RegExp(`^${globToPattern(normalized)}$`);
+}
+
+/**
+ * Validates and normalizes a rules block from config
+ * @param {Object} rules - Map of rule id to severity
+ * @param {string} source - Where the block came from (for error messages)
+ * @returns {Object} Map of rule id to canonical severity
+ */
+function normalizeRules(rules, source) {
+  const normalized = {};
+  for (const [id, value] of Object.entries(rules || {})) {
+    const severity = normalizeSeverity(value);
+    if (!severity) {
+      throw new Error(`Invalid severity '${value}' for rule '${id}' in ${source}. Use off, warning or error.`);
+    }
+    if (!RULES[id]) {
+      console.error(`⚠️ Unknown rule '${id}' in ${source}`);
+    }
+    normalized[id] = severity;
+  }
+  return normalized;
+}
+
+/**
+ * Validates and normalizes a tailwind block from config
+ * @param {Object} tailwind - Tailwind section with exemptProperties, properties and theme
+ * @param {string} source - Where the block came from (for error messages)
+ * @returns {{exemptProperties: string[], properties: Object, theme: (string|false|undefined)}} Normalized Tailwind additions
+ */
+function normalizeTailwind(tailwind, source) {
+  const { exemptProperties = [], properties = {}, theme } = tailwind || {};
+  if (!Array.isArray(exemptProperties)) {
+    throw new Error(`tailwind.exemptProperties must be an array in ${source}`);
+  }
+  if (theme !== undefined && theme !== false && typeof theme !== 'string') {
+    throw new Error(`tailwind.theme must be a file path or false in ${source}`);
+  }
+  return { exemptProperties: exemptProperties.slice(), properties: { ...properties }, theme };
+}
+
+/**
+ * Builds the normalized config object from a raw config
+ * @param {Object} raw - Raw config object
+ * @param {string} root - Directory that override globs are relative to
+ * @param {string|null} filePath - Path the config was loaded from, or null for defaults
+ * @returns {Object} Normalized config
+ */
+function normalizeConfig(raw, root, filePath) {
+  const source = filePath || 'default config';
+  // Plugin rules must be registered before the rules blocks that configure them are validated
+  const plugins = raw.plugins || [];
+  const pluginRules = loadPlugins(plugins, root, source);
+
+  const overrides = (raw.overrides || []).map((override, index) => {
+    const files = [].concat(override.files || []);
+    if (files.length === 0) {
+      throw new Error(`overrides[${index}] in ${source} needs a 'files' glob`);
+    }
+    return {
+      files,
+      patterns: files.map(globToRegExp),
+      rules: normalizeRules(override.rules, `${source} overrides[${index}]`),
+      tailwind: normalizeTailwind(override.tailwind, `${source} overrides[${index}]`),
+    };
+  });
+
+  return {
+    root,
+    filePath,
+    plugins,
+    pluginRules,
+    rules: normalizeRules(raw.rules, source),
+    tailwind: normalizeTailwind(raw.tailwind, source),
+    review: normalizeThresholds(raw.review, `${source} review`),
+    overrides,
+    fileConfigs: new Map(),
+  };
+}
+
+/**
+ * Loads the standards config for the current project
+ * Looks for .ci-standards.json or .ci-standardsrc.js from cwd upward unless a path is given
+ * @param {Object} [options] - Loader options
+ * @param {string} [options.cwd] - Directory to start searching from (default: process.cwd())
+ * @param {string} [options.configPath] - Explicit config file path, skips the search
+ * @returns {Object} Normalized config (defaults only when no file exists)
+ */
+function loadConfig({ cwd = process.cwd(), configPath } = {}) {
+  const file = configPath ? path.resolve(cwd, configPath) : findConfigFile(cwd);
+  if (configPath && !fs.existsSync(file)) {
+    throw new Error(`Config file not found: ${file}`);
+  }
+
+  const key = file || `default:${path.resolve(cwd)}`;
+  if (!configCache.has(key)) {
+    const raw = file ? readConfigFile(file) : {};
+    configCache.set(key, normalizeConfig(raw, file ? path.dirname(file) : path.resolve(cwd), file));
+  }
+  return configCache.get(key);
+}
+
+/**
+ * Builds a config from an object instead of a file, for callers of the programmatic API
+ * @param {Object} raw - Config object in the .ci-standards.json format
+ * @param {string} [root] - Directory that override globs are relative to (default: process.cwd())
+ * @returns {Object} Normalized config
+ */
+function createConfig(raw, root = process.cwd()) {
+  return normalizeConfig(raw, path.resolve(root), null);
+}
+
+/**
+ * Resolves the effective rules and Tailwind additions for one file
+ * Overrides whose globs match the file are applied in order on top of the base config
+ * @param {Object} config - Normalized config from loadConfig
+ * @param {string} file - File path (absolute or relative to cwd)
+ * @returns {{rules: Object, tailwind: {exemptProperties: string[], properties: Object, theme: (string|false|undefined)}}} Effective config for the file
+ */
+function getFileConfig(config, file) {
+  const relative = path.relative(config.root, path.resolve(file)).split(path.sep).join('/');
+  if (config.fileConfigs.has(relative)) return config.fileConfigs.get(relative);
+
+  const result = {
+    rules: { ...config.rules },
+    tailwind: {
+      exemptProperties: config.tailwind.exemptProperties.slice(),
+      properties: { ...config.tailwind.properties },
+      theme: config.tailwind.theme,
+    },
+  };
+  for (const override of config.overrides) {
+    if (!override.patterns.some((pattern) => pattern.test(relative))) continue;
+    Object.assign(result.rules, override.rules);
+    result.tailwind.exemptProperties.push(...override.tailwind.exemptProperties);
+    Object.assign(result.tailwind.properties, override.tailwind.properties);
+    if (override.tailwind.theme !== undefined) result.tailwind.theme = override.tailwind.theme;
+  }
+
+  config.fileConfigs.set(relative, result);
+  return result;
+}
+
+/**
+ * Gets the severity a rule runs at for a file
+ * @param {Object} config - Normalized config from loadConfig
+ * @param {string} ruleId - Rule id from the registry
+ * @param {string} file - File path being checked
+ * @returns {string} 'off', 'warning' or 'error'
+ */
+function getRuleSeverity(config, ruleId, file) {
+  const configured = getFileConfig(config, file).rules[ruleId];
+  if (configured) return configured;
+  return RULES[ruleId] ? RULES[ruleId].severity : 'error';
+}
+
+module.exports = {
+  CONFIG_FILES,
+  findConfigFile,
+  loadConfig,
+  createConfig,
+  getFileConfig,
+  getRuleSeverity,
+  globToRegExp
+};
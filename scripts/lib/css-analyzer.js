@@ -0,0 +1,144 @@
+/**
+ * CSS Analyzer
+ * Parses a stylesheet with PostCSS and finds the property declarations the Tailwind rules check, with
+ * their exact position and the selector they apply to. Declarations inside @media, @supports, @layer
+ * and nested rules are checked like any other; only @keyframes and @font-face are left out, since
+ * their declarations describe animation frames and fonts rather than elements
+ *
+ * .scss, .sass and .less files are parsed with their PostCSS syntax. `&` selectors, SCSS nested
+ * properties (`font: { family: ... }`) and mixin bodies resolve like plain nesting, and variable
+ * definitions ($brand, @brand) are returned as declarations with `variable: true`
+ */
+
+const path = require('path');
+const postcss = require('postcss');
+
+// At-rules whose declarations are never checked (vendor-prefixed forms included)
+const SKIPPED_AT_RULES = new Set(['keyframes', 'font-face']);
+
+// PostCSS syntax packages by file extension; other files use PostCSS's CSS parser
+const SYNTAXES = {
+  '.scss': 'postcss-scss',
+  '.sass': 'postcss-sass',
+  '.less': 'postcss-less',
+};
+
+// SCSS/Sass nested property groups, such as `font: { ... }`, which parse as rules
+const NESTED_PROPERTY = /^([a-z-]+)\s*:$/i;
+
+/**
+ * Gets the PostCSS parser for a file extension
+ * @param {string} extension - Extension with its dot, such as '.scss'
+ * @returns {Function} parse(content, options)
+ */
+function getParser(extension) {
+  const syntax = SYNTAXES[extension.toLowerCase()];
+  return syntax ? require(syntax).parse : postcss.parse;
+}
+
+/**
+ * Combines a nested selector with its parent's, as native nesting and preprocessors do
+ * `&` stands for the parent; a selector without `&` is a descendant of it
+ * @param {string[]} parents - Parent selectors (empty at the top level)
+ * @param {string[]} selectors - Selectors of the nested rule
+ * @returns {string[]} Resolved selectors
+ */
+function nestSelectors(parents, selectors) {
+  if (parents.length === 0) return selectors;
+  return selectors.flatMap((selector) => parents.map((parent) => (
+    selector.includes('&') ? selector.replace(/&/g, parent) : `${parent} ${selector}`
+  )));
+}
+
+/**
+ * Describes where a declaration sits: its selector, enclosing at-rules and nested property prefix
+ * @param {Object} node - PostCSS Declaration or variable AtRule
+ * @returns {{selector: string, atRules: string[], prefix: string}|null} Context, or null inside @keyframes and @font-face
+ */
+function describeContext(node) {
+  const chain = [];
+  const atRules = [];
+  const prefixes = [];
+  for (let parent = node.parent; parent.type !== 'root'; parent = parent.parent) {
+    if (parent.type === 'atrule') {
+      if (SKIPPED_AT_RULES.has(parent.name.toLowerCase().replace(/^-[a-z]+-/, ''))) return null;
+      atRules.unshift(`@${parent.name} ${parent.params}`.trim());
+    } else if (parent.type === 'rule') {
+      const nested = parent.selector.match(NESTED_PROPERTY);
+      if (nested) {
+        prefixes.unshift(nested[1].toLowerCase());
+      } else {
+        chain.unshift(parent.selectors.map((selector) => selector.replace(/\s+/g, ' ')));
+      }
+    }
+  }
+  return {
+    selector: chain.reduce(nestSelectors, []).join(', '),
+    atRules,
+    prefix: prefixes.map((prefix) => `${prefix}-`).join(''),
+  };
+}
+
+/**
+ * Gets the position fields of a node
+ * @param {Object} node - PostCSS node
+ * @returns {{line: number, column: number, endLine: number, endColumn: number}} Start and end (exclusive)
+ */
+function position(node) {
+  const { start, end = start } = node.source;
+  // PostCSS ends on the last character; reports end just after it
+  return { line: start.line, column: start.column, endLine: end.line, endColumn: end.column + 1 };
+}
+
+/**
+ * Describes the checkable declarations of a stylesheet
+ * A stylesheet that cannot be parsed has no declarations and one syntax error
+ * @param {string} content - File content
+ * @param {string} [file] - File path; its extension picks the syntax (.css, .scss, .sass or .less)
+ * @param {string} [extension] - Syntax to parse with instead, for styles embedded in other files
+ * @returns {{declarations: Array<{property: string, value: string, important: boolean, variable: boolean, line: number, column: number, endLine: number, endColumn: number, selector: string, atRules: string[]}>, syntaxErrors: Array<{line: number, column: number, message: string}>}} Declarations in source order
+ */
+function analyzeCSS(content, file, extension = path.extname(file || '')) {
+  let root;
+  try {
+    root = getParser(extension)(content, { from: file });
+  } catch (error) {
+    if (error.name !== 'CssSyntaxError') throw error;
+    // postcss-sass passes on errors from inside its parser without a position; those go on the first line
+    return { declarations: [], syntaxErrors: [{ line: error.line || 1, column: error.column || 1, message: error.reason }] };
+  }
+
+  const declarations = [];
+  root.walk((node) => {
+    // Less variables are at-rules (@brand: #fff); SCSS and Sass variables are declarations ($brand: #fff)
+    const lessVariable = node.type === 'atrule' && node.variable && !node.nodes;
+    if (node.type !== 'decl' && !lessVariable) return;
+    const context = describeContext(node);
+    if (!context) return;
+
+    const variable = lessVariable || node.prop.startsWith('$');
+    let property = lessVariable ? `@${node.name}` : node.prop;
+    if (!variable && !property.startsWith('--')) property = `${context.prefix}${property.toLowerCase()}`;
+    let value = node.value.replace(/\s+/g, ' ').trim();
+    // !default and !global only say how a Sass variable is assigned
+    if (variable) value = value.replace(/\s*!(default|global)\b/g, '');
+
+    declarations.push({
+      property,
+      value,
+      important: Boolean(node.important),
+      variable,
+      ...position(node),
+      selector: context.selector,
+      atRules: context.atRules,
+    });
+  });
+
+  return { declarations, syntaxErrors: [] };
+}
+
+module.exports = {
+  SKIPPED_AT_RULES,
+  SYNTAXES,
+  analyzeCSS
+};
@@ -0,0 +1,185 @@
+/**
+ * CSS Values
+ * Parses the lengths and colors found in stylesheets and Tailwind themes, and measures how far
+ * apart two of them are, so a raw value can be matched to the nearest theme token
+ */
+
+// Pixels per rem, as browsers default to
+const REM_PX = 16;
+
+// CSS named colors the Tailwind rules flag, as sRGB
+const NAMED_COLORS = {
+  black: '#000000',
+  white: '#ffffff',
+  red: '#ff0000',
+  blue: '#0000ff',
+  green: '#008000',
+  yellow: '#ffff00',
+  purple: '#800080',
+  orange: '#ffa500',
+  pink: '#ffc0cb',
+  gray: '#808080',
+  grey: '#808080',
+  brown: '#a52a2a',
+  navy: '#000080',
+  teal: '#008080',
+  cyan: '#00ffff',
+  magenta: '#ff00ff',
+  lime: '#00ff00',
+  maroon: '#800000',
+  khaki: '#f0e68c',
+  salmon: '#fa8072',
+  coral: '#ff7f50',
+  gold: '#ffd700',
+  silver: '#c0c0c0'
+};
+
+/**
+ * Converts a px or rem length to pixels
+ * @param {string} value - CSS value such as '16px', '1.5rem' or '0'
+ * @returns {number|null} Length in pixels, or null for other units and expressions
+ */
+function parseLength(value) {
+  const match = String(value).trim().match(/^(-?(?:\d+\.?\d*|\.\d+))(px|rem)?$/);
+  if (!match) return null;
+  const number = Number(match[1]);
+  if (!match[2]) return number === 0 ? 0 : null;
+  return match[2] === 'rem' ? number * REM_PX : number;
+}
+
+/**
+ * Formats a number without trailing zeros
+ * @param {number} number - Number to format
+ * @returns {string} Number rounded to two decimals, such as '1.5' or '16'
+ */
+function formatNumber(number) {
+  return String(Number(number.toFixed(2)));
+}
+
+/**
+ * Converts sRGB channels (0-1) to a hex color
+ * @param {number[]} rgb - Red, green and blue, 0 to 1
+ * @returns {string} Lowercase #rrggbb
+ */
+function toHex(rgb) {
+  return `#${rgb.map((channel) => {
+    const byte = Math.round(Math.min(1, Math.max(0, channel)) * 255);
+    return byte.toString(16).padStart(2, '0');
+  }).join('')}`;
+}
+
+/**
+ * Reads a color channel that may be a percentage
+ * @param {string} text - Channel such as '50%' or '0.5'
+ * @param {number} scale - Value 100% stands for
+ * @returns {number} Channel value
+ */
+function readChannel(text, scale) {
+  return text.endsWith('%') ? (parseFloat(text) / 100) * scale : parseFloat(text);
+}
+
+/**
+ * Converts OKLCH to sRGB
+ * @param {number} lightness - L, 0 to 1
+ * @param {number} chroma - C
+ * @param {number} hue - h in degrees
+ * @returns {number[]} Red, green and blue, 0 to 1 (clamped later)
+ */
+function oklchToRgb(lightness, chroma, hue) {
+  const a = chroma * Math.cos((hue * Math.PI) / 180);
+  const b = chroma * Math.sin((hue * Math.PI) / 180);
+  const l = (lightness + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (lightness - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (lightness - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+  const linear = [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s,
+  ];
+  return linear.map((c) => (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.sign(c) * Math.abs(c) ** (1 / 2.4) - 0.055));
+}
+
+/**
+ * Converts HSL to sRGB
+ * @param {number} hue - Hue in degrees
+ * @param {number} saturation - Saturation, 0 to 1
+ * @param {number} lightness - Lightness, 0 to 1
+ * @returns {number[]} Red, green and blue, 0 to 1
+ */
+function hslToRgb(hue, saturation, lightness) {
+  const k = (n) => (n + hue / 30) % 12;
+  const a = saturation * Math.min(lightness, 1 - lightness);
+  return [0, 8, 4].map((n) => lightness - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1)));
+}
+
+/**
+ * Parses an opaque color
+ * Supports hex, rgb(), hsl(), oklch() and the named colors the Tailwind rules flag
+ * @param {string} value - CSS color
+ * @returns {string|null} Lowercase #rrggbb, or null for unknown syntax and translucent colors
+ */
+function parseColor(value) {
+  const text = String(value).trim().toLowerCase();
+  if (NAMED_COLORS[text]) return NAMED_COLORS[text];
+
+  const hex = text.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) digits = digits.split('').map((d) => d + d).join('');
+    if (digits.length === 8 && digits.slice(6) !== 'ff') return null;
+    return `#${digits.slice(0, 6)}`;
+  }
+
+  const fn = text.match(/^(rgba?|hsla?|oklch)\(\s*([^)]*)\)$/);
+  if (!fn) return null;
+  const [channels, alpha] = fn[2].split('/').map((part) => part.trim());
+  const parts = channels.split(/[\s,]+/).filter(Boolean);
+  const alphaText = alpha || (parts.length === 4 ? parts.pop() : null);
+  if (parts.length !== 3 || parts.some((part) => Number.isNaN(parseFloat(part)))) return null;
+  if (alphaText !== null && readChannel(alphaText, 1) < 1) return null;
+
+  if (fn[1].startsWith('rgb')) return toHex(parts.map((part) => readChannel(part, 255) / 255));
+  if (fn[1].startsWith('hsl')) return toHex(hslToRgb(parseFloat(parts[0]), readChannel(parts[1], 100) / 100, readChannel(parts[2], 100) / 100));
+  return toHex(oklchToRgb(readChannel(parts[0], 1), readChannel(parts[1], 0.4), parseFloat(parts[2])));
+}
+
+/**
+ * Converts a hex color to CIE Lab (D65)
+ * @param {string} hex - #rrggbb
+ * @returns {number[]} L, a and b
+ */
+function hexToLab(hex) {
+  const linear = [1, 3, 5].map((i) => {
+    const c = parseInt(hex.slice(i, i + 2), 16) / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  const [r, g, b] = linear;
+  const xyz = [
+    (0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / 0.95047,
+    0.2126729 * r + 0.7151522 * g + 0.0721750 * b,
+    (0.0193339 * r + 0.1191920 * g + 0.9503041 * b) / 1.08883,
+  ];
+  const [fx, fy, fz] = xyz.map((t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116));
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Measures the perceived difference between two colors (CIE76 ΔE; about 2.3 is just noticeable)
+ * @param {string} first - #rrggbb
+ * @param {string} second - #rrggbb
+ * @returns {number} ΔE
+ */
+function colorDistance(first, second) {
+  const a = hexToLab(first);
+  const b = hexToLab(second);
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+module.exports = {
+  REM_PX,
+  NAMED_COLORS,
+  parseLength,
+  parseColor,
+  formatNumber,
+  colorDistance
+};
@@ -0,0 +1,259 @@
+/**
+ * Unified Diff Parser
+ * Parses `git diff` / patch output into per-file hunks so reviews can run from a patch artifact or
+ * stdin instead of live git history
+ * Understands renames and copies, new and deleted files, mode-only changes, binary markers, quoted
+ * paths and "\ No newline at end of file"
+ * getLineChanges maps a file's hunks to the exact added, modified and deleted positions in the new version
+ */
+
+const HUNK_HEADER_REGEX = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Unquotes a path git wrote in C-style quotes (used for spaces, tabs and non-ASCII names)
+ * @param {string} value - Path as written in the diff, possibly quoted
+ * @returns {string} Plain path
+ */
+function unquotePath(value) {
+  if (!value.startsWith('"')) return value;
+  const bytes = [];
+  const body = value.slice(1, value.lastIndexOf('"'));
+  const escapes = { n: 10, t: 9, r: 13, '"': 34, '\\': 92, a: 7, b: 8, f: 12, v: 11 };
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char !== '\\') {
+      bytes.push(...Buffer.from(char));
+    } else if (/[0-7]/.test(body[i + 1])) {
+      // Octal escapes carry UTF-8 bytes one at a time
+      bytes.push(parseInt(body.slice(i + 1, i + 4), 8));
+      i += 3;
+    } else {
+      bytes.push(escapes[body[i + 1]] !== undefined ? escapes[body[i + 1]] : body.charCodeAt(i + 1));
+      i++;
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+/**
+ * Strips the a/ or b/ prefix (and any trailing timestamp) from a ---/+++ path
+ * @param {string} value - Path from a ---/+++ line
+ * @returns {string|null} Repository-relative path, or null for /dev/null
+ */
+function stripPrefix(value) {
+  const raw = unquotePath(value.split('\t')[0].trim());
+  if (raw === '/dev/null') return null;
+  return raw.replace(/^[ab]\//, '');
+}
+
+/**
+ * Reads the two paths from a `diff --git a/x b/y` header
+ * @param {string} header - Header text after "diff --git "
+ * @returns {{oldPath: string, newPath: string}} Paths without prefixes
+ */
+function parseGitHeader(header) {
+  const quoted = header.match(/^("(?:[^"\\]|\\.)*"|\S+) ("(?:[^"\\]|\\.)*"|\S+)$/);
+  if (quoted) {
+    return { oldPath: stripPrefix(quoted[1]), newPath: stripPrefix(quoted[2]) };
+  }
+  // Unquoted paths with spaces: split where the b/ half mirrors the a/ half
+  const middle = header.indexOf(' b/', Math.floor(header.length / 2) - 2);
+  const split = middle === -1 ? header.lastIndexOf(' b/') : middle;
+  return { oldPath: stripPrefix(header.slice(0, split)), newPath: stripPrefix(header.slice(split + 1)) };
+}
+
+/**
+ * Creates an empty file entry
+ * @param {string|null} oldPath - Path before the change
+ * @param {string|null} newPath - Path after the change
+ * @returns {Object} File entry
+ */
+function createFile(oldPath, newPath) {
+  return { oldPath, newPath, status: 'modified', similarity: null, binary: false, hunks: [] };
+}
+
+/**
+ * Parses unified diff text
+ * @param {string} text - Output of `git diff` or a .patch/.diff file
+ * @returns {Array<{oldPath: string|null, newPath: string|null, status: string, similarity: number|null, binary: boolean, hunks: Array<{oldStart: number, oldLines: number, newStart: number, newLines: number, lines: Array<{type: string, oldLine: number|null, newLine: number|null, text: string}>}>}>} One entry per file; status is added, deleted, modified, renamed or copied
+ */
+function parseDiff(text) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Inside a hunk, lines are consumed by count so content starting with ---/+++/diff is safe
+    if (hunk && (oldLine < hunk.oldStart + hunk.oldLines || newLine < hunk.newStart + hunk.newLines)) {
+      const marker = line[0];
+      const content = line.slice(1);
+      if (marker === '+') {
+        hunk.lines.push({ type: 'add', oldLine: null, newLine: newLine++, text: content });
+        continue;
+      }
+      if (marker === '-') {
+        hunk.lines.push({ type: 'del', oldLine: oldLine++, newLine: null, text: content });
+        continue;
+      }
+      if (marker === ' ' || line === '') {
+        hunk.lines.push({ type: 'context', oldLine: oldLine++, newLine: newLine++, text: content });
+        continue;
+      }
+      if (marker === '\\') continue;
+      // Truncated hunk: fall through and treat the line as a header
+      hunk = null;
+    }
+    if (line.startsWith('\\')) continue; // "\ No newline at end of file" after the last hunk line
+
+    if (line.startsWith('diff --git ')) {
+      const { oldPath, newPath } = parseGitHeader(line.slice('diff --git '.length));
+      file = createFile(oldPath, newPath);
+      files.push(file);
+      hunk = null;
+      continue;
+    }
+
+    const hunkMatch = line.match(HUNK_HEADER_REGEX);
+    if (hunkMatch && file) {
+      hunk = {
+        oldStart: parseInt(hunkMatch[1], 10),
+        oldLines: hunkMatch[2] === undefined ? 1 : parseInt(hunkMatch[2], 10),
+        newStart: parseInt(hunkMatch[3], 10),
+        newLines: hunkMatch[4] === undefined ? 1 : parseInt(hunkMatch[4], 10),
+        lines: [],
+      };
+      oldLine = hunk.oldStart;
+      newLine = hunk.newStart;
+      file.hunks.push(hunk);
+      continue;
+    }
+
+    if (line.startsWith('--- ')) {
+      // Plain (non-git) diffs start a file at the --- line
+      if (!file || file.hunks.length > 0) {
+        file = createFile(undefined, undefined);
+        files.push(file);
+      }
+      file.oldPath = stripPrefix(line.slice(4));
+      if (file.oldPath === null) file.status = 'added';
+      continue;
+    }
+    if (line.startsWith('+++ ') && file) {
+      file.newPath = stripPrefix(line.slice(4));
+      if (file.newPath === null) file.status = 'deleted';
+      continue;
+    }
+    if (!file) continue;
+
+    if (line.startsWith('new file mode')) file.status = 'added';
+    else if (line.startsWith('deleted file mode')) file.status = 'deleted';
+    else if (line.startsWith('rename from ')) {
+      file.oldPath = unquotePath(line.slice('rename from '.length));
+      file.status = 'renamed';
+    } else if (line.startsWith('rename to ')) {
+      file.newPath = unquotePath(line.slice('rename to '.length));
+      file.status = 'renamed';
+    } else if (line.startsWith('copy from ')) {
+      file.oldPath = unquotePath(line.slice('copy from '.length));
+      file.status = 'copied';
+    } else if (line.startsWith('copy to ')) {
+      file.newPath = unquotePath(line.slice('copy to '.length));
+      file.status = 'copied';
+    } else if (line.startsWith('similarity index ')) {
+      file.similarity = parseInt(line.slice('similarity index '.length), 10);
+    } else if (line.startsWith('Binary files ') || line === 'GIT binary patch') {
+      file.binary = true;
+    }
+  }
+
+  for (const entry of files) {
+    if (entry.status === 'added') entry.oldPath = null;
+    if (entry.status === 'deleted') entry.newPath = null;
+  }
+  return files;
+}
+
+/**
+ * Computes the changed line ranges of a file in the new version
+ * Each run of added lines is one range; a pure deletion marks the line it follows, like `git diff -U0`
+ * @param {{hunks: Array}} file - File entry from parseDiff
+ * @returns {Array<{start: number, end: number}>} 1-based inclusive ranges
+ */
+function getChangedRanges(file) {
+  const ranges = [];
+  for (const hunk of file.hunks) {
+    let run = null;
+    // For an empty new side (@@ -5,2 +4,0 @@) git gives the line the deletion follows
+    let lastNewLine = hunk.newLines === 0 ? hunk.newStart : hunk.newStart - 1;
+    let deletedSinceContext = false;
+    const close = () => {
+      if (run) ranges.push(run);
+      else if (deletedSinceContext) ranges.push({ start: Math.max(lastNewLine, 1), end: Math.max(lastNewLine, 1) });
+      run = null;
+      deletedSinceContext = false;
+    };
+    for (const line of hunk.lines) {
+      if (line.type === 'add') {
+        if (run) run.end = line.newLine;
+        else run = { start: line.newLine, end: line.newLine };
+      } else if (line.type === 'del') {
+        deletedSinceContext = true;
+      } else {
+        close();
+        lastNewLine = line.newLine;
+      }
+    }
+    close();
+  }
+  return ranges;
+}
+
+/**
+ * Classifies the lines a file's hunks touch in the new version
+ * Within each run of changes, + lines that replace - lines are modified and the rest are added;
+ * a deletion with nothing in its place is recorded as the new line it follows (0 for the top of the file)
+ * @param {{hunks: Array}} file - File entry from parseDiff
+ * @returns {{added: number[], modified: number[], deletedAfter: number[]}} 1-based line numbers in the new version
+ */
+function getLineChanges(file) {
+  const changes = { added: [], modified: [], deletedAfter: [] };
+  for (const hunk of file.hunks) {
+    let lastNewLine = hunk.newLines === 0 ? hunk.newStart : hunk.newStart - 1;
+    let deleted = 0;
+    let addedLines = [];
+    const close = () => {
+      changes.modified.push(...addedLines.slice(0, deleted));
+      changes.added.push(...addedLines.slice(deleted));
+      if (deleted > 0 && addedLines.length === 0) changes.deletedAfter.push(lastNewLine);
+      if (addedLines.length > 0) lastNewLine = addedLines[addedLines.length - 1];
+      deleted = 0;
+      addedLines = [];
+    };
+    for (const line of hunk.lines) {
+      if (line.type === 'add') {
+        addedLines.push(line.newLine);
+      } else if (line.type === 'del') {
+        // A deletion after additions starts a new run
+        if (addedLines.length > 0) close();
+        deleted++;
+      } else {
+        close();
+        lastNewLine = line.newLine;
+      }
+    }
+    close();
+  }
+  return changes;
+}
+
+module.exports = {
+  parseDiff,
+  getChangedRanges,
+  getLineChanges,
+  unquotePath
+};
@@ -0,0 +1,256 @@
+/**
+ * Rule Engine
+ * Runs every registered rule that targets a file's language over its source and returns the violations
+ * The local checkers, PR reviews and the programmatic API all check files through checkSource, so a
+ * rule behaves the same everywhere; they differ only in which violations they keep and how they show them
+ *
+ * A rule's create(context) returns a visitor with any of these hooks:
+ *   line(text, line)             every line of the file (1-based)
+ *   member(member)               .ts: class members from analyzeSource (methods, accessors, reactive properties)
+ *   anyType(anyType)             .ts: every `any` keyword, with its context ('return', 'parameter' or 'other')
+ *   declaration(declaration)     .css: property declarations outside @keyframes and @font-face, from analyzeCSS
+ *   attribute(attribute)         .html: attributes, bindings and `*` directives, from analyzeTemplate
+ *   expression(expression)       .html: interpolations, binding and event expressions and block parameters
+ * and reports with context.report({line, message, ...extraFields})
+ *
+ * The inline styles and templates of @Component decorators in .ts files are checked by the CSS and
+ * template rules, with the lines they report moved to where the strings sit in the .ts file. Templates
+ * are skipped, with one warning, when @angular/compiler cannot be loaded
+ */
+
+const path = require('path');
+const { getRuleSeverity } = require('./config');
+const { RULES, ruleFields, getPluginFactory } = require('./rules');
+const { parseSuppressions, applySuppressions } = require('./suppressions');
+const { analyzeSource } = require('./ts-analyzer');
+const { analyzeCSS } = require('./css-analyzer');
+const { analyzeTemplate, canAnalyzeTemplates } = require('./template-analyzer');
+const typescriptChecks = require('./checks/typescript');
+const tailwindChecks = require('./checks/tailwind');
+const templateChecks = require('./checks/template');
+
+// Syntax inline component styles are parsed with; SCSS also reads plain CSS, whichever
+// inlineStyleLanguage the Angular project uses
+const INLINE_STYLE_SYNTAX = '.scss';
+
+// Language of each checkable file extension; stylesheets in preprocessor syntaxes are checked as CSS
+const LANGUAGE_EXTENSIONS = {
+  '.ts': 'ts',
+  '.css': 'css',
+  '.scss': 'css',
+  '.sass': 'css',
+  '.less': 'css',
+  '.html': 'html',
+};
+
+// create functions of the built-in rules, keyed by rule id
+const BUILTIN_CHECKS = { ...typescriptChecks.CHECKS, ...tailwindChecks.CHECKS, ...templateChecks.CHECKS };
+
+/**
+ * Gets the language rules target for a file
+ * @param {string} file - File path
+ * @returns {string|null} 'ts', 'css', 'html', or null when no rules check the file
+ */
+function getLanguage(file) {
+  return LANGUAGE_EXTENSIONS[path.extname(file)] || null;
+}
+
+/**
+ * Lists the file extensions of a language
+ * @param {string} language - 'ts', 'css' or 'html'
+ * @returns {string[]} Extensions, with their dot
+ */
+function getExtensions(language) {
+  return Object.keys(LANGUAGE_EXTENSIONS).filter((extension) => LANGUAGE_EXTENSIONS[extension] === language);
+}
+
+/**
+ * Parses a source into the nodes the visitors of its language receive
+ * @param {string} source - File content
+ * @param {string} file - File path
+ * @param {string} language - 'ts', 'css' or 'html'
+ * @returns {Object} Language-specific context fields, with the language they are for
+ */
+function analyze(source, file, language) {
+  if (language === 'ts') {
+    const { sourceFile, members, anyTypes, inlineStyles, inlineTemplates } = analyzeSource(source, file);
+    return { language, sourceFile, members, anyTypes, inlineStyles, inlineTemplates };
+  }
+  if (language === 'html') return { language, ...analyzeTemplate(source, file) };
+  return { language, ...analyzeCSS(source, file) };
+}
+
+/**
+ * Calls a rule hook, naming the rule when it throws
+ * @param {string} ruleId - Rule id
+ * @param {string} file - File being checked
+ * @param {Function} hook - Hook to call
+ * @param {...*} args - Hook arguments
+ * @returns {*} Hook result
+ */
+function callRule(ruleId, file, hook, ...args) {
+  try {
+    return hook(...args);
+  } catch (error) {
+    throw new Error(`Rule '${ruleId}' failed on ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Gets the create function of a rule
+ * @param {string} ruleId - Rule id
+ * @returns {function(Object): Object|null} create function, or null for rules with no check of their own
+ */
+function getRuleFactory(ruleId) {
+  return BUILTIN_CHECKS[ruleId] || getPluginFactory(ruleId);
+}
+
+/**
+ * Runs rules over a source, without applying config or suppressions
+ * @param {string} source - File content
+ * @param {string} file - File path
+ * @param {Array<{ruleId: string, severity: string}>} rules - Rules to run, all for the file's language
+ * @param {Object} config - Standards config, passed on to the rules
+ * @param {Object} [analysis] - Result of analyzeSource, analyzeCSS or analyzeTemplate for the source, when the caller
+ *   already has it; its language field, when set, overrides the file's (for styles and templates embedded in a .ts file)
+ * @returns {Array<Object>} Violations in the order the rules reported them
+ */
+function runRules(source, file, rules, config, analysis = analyze(source, file, getLanguage(file))) {
+  const language = analysis.language || getLanguage(file);
+  const violations = [];
+  const lines = source.split('\n');
+
+  const visitors = rules.map(({ ruleId, severity }) => {
+    const context = {
+      ruleId,
+      file,
+      source,
+      lines,
+      language,
+      severity,
+      config,
+      ...analysis,
+      report: ({ line, message, ...fields }) => {
+        violations.push({ file, line, ...fields, message, severity, ...ruleFields(ruleId) });
+      },
+    };
+    return { ruleId, visitor: callRule(ruleId, file, getRuleFactory(ruleId), context) || {} };
+  });
+
+  /**
+   * Passes each node to the hook of that name on every visitor
+   * @param {string} hookName - Visitor hook, such as 'member' or 'line'
+   * @param {Array<Array>} nodes - Arguments of each hook call
+   */
+  function visit(hookName, nodes) {
+    for (const node of nodes) {
+      for (const { ruleId, visitor } of visitors) {
+        if (typeof visitor[hookName] === 'function') callRule(ruleId, file, visitor[hookName], ...node);
+      }
+    }
+  }
+
+  if (language === 'ts') {
+    visit('member', analysis.members.map((member) => [member]));
+    visit('anyType', analysis.anyTypes.map((anyType) => [anyType]));
+  } else if (language === 'html') {
+    visit('attribute', analysis.attributes.map((attribute) => [attribute]));
+    visit('expression', analysis.expressions.map((expression) => [expression]));
+  } else {
+    visit('declaration', analysis.declarations.map((declaration) => [declaration]));
+  }
+  visit('line', lines.map((text, index) => [text, index + 1]));
+  return violations;
+}
+
+/**
+ * Lists the rules that run on a file: those of a language that are not off, and plugin rules only
+ * for configs that list their plugin
+ * @param {Object} config - Standards config from loadConfig
+ * @param {string} file - File path, for per-file severities
+ * @param {string} language - 'ts', 'css' or 'html'
+ * @returns {Array<{ruleId: string, severity: string}>} Rules with their severity for the file
+ */
+function getEnabledRules(config, file, language) {
+  const rules = [];
+  for (const [ruleId, rule] of Object.entries(RULES)) {
+    if (rule.language !== language) continue;
+    if (rule.plugin ? !config.pluginRules.includes(ruleId) : !BUILTIN_CHECKS[ruleId]) continue;
+    const severity = getRuleSeverity(config, ruleId, file);
+    if (severity !== 'off') rules.push({ ruleId, severity });
+  }
+  return rules;
+}
+
+/**
+ * Runs rules over a style or template embedded in a .ts file, moving the violations to their place in the .ts file
+ * @param {{content: string, locate: function(number, number): {line: number, column: number}}} inline - Inline style or template from analyzeSource
+ * @param {string} file - The .ts file
+ * @param {Array<{ruleId: string, severity: string}>} rules - Rules to run, all for the analysis' language
+ * @param {Object} config - Standards config
+ * @param {Object} analysis - Result of analyzeCSS or analyzeTemplate for the content, with its language
+ * @returns {Array<Object>} Violations with .ts file positions
+ */
+function runInline(inline, file, rules, config, analysis) {
+  return runRules(inline.content, file, rules, config, analysis).map((violation) => {
+    const start = inline.locate(violation.line, violation.column || 1);
+    const moved = { ...violation, line: start.line };
+    if (violation.column) moved.column = start.column;
+    if (violation.endLine) {
+      const end = inline.locate(violation.endLine, violation.endColumn || 1);
+      moved.endLine = end.line;
+      if (violation.endColumn) moved.endColumn = end.column;
+    }
+    return moved;
+  });
+}
+
+/**
+ * Checks a source against every enabled rule for its language
+ * Violations silenced by ci-standards-disable comments are dropped and stale suppressions reported.
+ * For .ts files the CSS and template rules also check inline @Component styles and templates.
+ * Templates, in .html files or inline, are skipped when @angular/compiler cannot be loaded
+ * @param {string} source - File content
+ * @param {string} file - File path, used for the language, per-file config and violation output
+ * @param {Object} config - Standards config from loadConfig
+ * @param {Object} [options] - Options
+ * @param {function(Object): boolean} [options.isReportable] - Decides whether an unused suppression can be reported (see applySuppressions)
+ * @returns {Array<{file: string, line: number, message: string, severity: string, ruleId: string, ruleCategory: string}>} Violations sorted by line and column, plus any fields the rule reported
+ */
+function checkSource(source, file, config, { isReportable } = {}) {
+  const language = getLanguage(file);
+  if (!language || (language === 'html' && !canAnalyzeTemplates(file))) return [];
+
+  const analysis = analyze(source, file, language);
+  const violations = runRules(source, file, getEnabledRules(config, file, language), config, analysis);
+  if (language === 'ts' && analysis.inlineStyles.length > 0) {
+    const cssRules = getEnabledRules(config, file, 'css');
+    for (const style of analysis.inlineStyles) {
+      const styleAnalysis = { language: 'css', ...analyzeCSS(style.content, file, INLINE_STYLE_SYNTAX) };
+      violations.push(...runInline(style, file, cssRules, config, styleAnalysis));
+    }
+  }
+  if (language === 'ts' && analysis.inlineTemplates.length > 0 && canAnalyzeTemplates(file)) {
+    const templateRules = getEnabledRules(config, file, 'html');
+    for (const template of analysis.inlineTemplates) {
+      const templateAnalysis = { language: 'html', ...analyzeTemplate(template.content, file) };
+      violations.push(...runInline(template, file, templateRules, config, templateAnalysis));
+    }
+  }
+
+  const { kept, problems } = applySuppressions(violations, parseSuppressions(source), { isReportable });
+  for (const problem of problems) {
+    const severity = getRuleSeverity(config, problem.ruleId, file);
+    if (severity !== 'off') kept.push({ file, line: problem.line, message: problem.message, severity, ...ruleFields(problem.ruleId) });
+  }
+  return kept.sort((a, b) => a.line - b.line || (a.column || 0) - (b.column || 0));
+}
+
+module.exports = {
+  LANGUAGE_EXTENSIONS,
+  getLanguage,
+  getExtensions,
+  getRuleFactory,
+  runRules,
+  checkSource
+};
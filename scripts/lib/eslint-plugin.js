@@ -0,0 +1,164 @@
+/**
+ * ESLint Plugin
+ * Exposes the class member rules as an ESLint flat-config plugin, so editors show them inline with
+ * their fixes before CI does. Each ESLint rule runs the matching built-in checks on the file text,
+ * so any parser that accepts TypeScript (such as typescript-eslint's) works
+ *
+ *   // eslint.config.js
+ *   const ciStandards = require('ci-standards/eslint-plugin');
+ *   module.exports = [ciStandards.configs.recommended];
+ */
+
+const ts = require('typescript');
+const { version } = require('../../package.json');
+const { getRule } = require('./rules');
+const { getLanguage, runRules } = require('./engine');
+const { analyzeSource } = require('./ts-analyzer');
+const { parseSuppressions, applySuppressions } = require('./suppressions');
+const { fixMember } = require('./jsdoc-fixer');
+
+// Analysis of each linted file, shared by the rules that run on it
+const analysisCache = new WeakMap();
+
+/**
+ * Builds the fixer that rewrites a member's JSDoc block with the JSDoc fixer
+ * @param {Object} sourceCode - ESLint SourceCode
+ * @param {string[]} lines - File lines
+ * @param {Object} member - Member from analyzeSource
+ * @param {string} ruleId - Rule id the fix is for
+ * @returns {Function|null} ESLint fix function, or null when the block cannot be fixed
+ */
+function jsDocFix(sourceCode, lines, member, ruleId) {
+  const edit = fixMember(lines, member, new Set([ruleId]));
+  if (!edit) return null;
+  const start = sourceCode.getIndexFromLoc({ line: edit.start + 1, column: 0 });
+  if (edit.end < edit.start) {
+    return (fixer) => fixer.insertTextBeforeRange([start, start], `${edit.lines.join('\n')}\n`);
+  }
+  const end = sourceCode.getIndexFromLoc({ line: edit.end + 1, column: lines[edit.end].length });
+  return (fixer) => fixer.replaceTextRange([start, end], edit.lines.join('\n'));
+}
+
+/**
+ * Builds the fixer that makes a member's implicit public access explicit
+ * The modifier goes after any decorators and before static, readonly, async, get and set
+ * @param {Object} sourceCode - ESLint SourceCode
+ * @param {string[]} lines - File lines
+ * @param {Object} member - Member from analyzeSource
+ * @returns {Function|null} ESLint fix function, or null for #private members, which cannot take a modifier
+ */
+function publicModifierFix(sourceCode, lines, member) {
+  const { node } = member;
+  if (ts.isPrivateIdentifier(node.name)) return null;
+  const decorators = ts.canHaveDecorators(node) ? ts.getDecorators(node) || [] : [];
+  const at = decorators.length > 0
+    ? ts.skipTrivia(sourceCode.text, decorators[decorators.length - 1].end)
+    : node.getStart(node.getSourceFile());
+  return (fixer) => fixer.insertTextBeforeRange([at, at], 'public ');
+}
+
+// ESLint rules, by name, with the built-in rules they run and how their violations are fixed
+const RULE_MAP = {
+  'require-signal-single-line-jsdoc': {
+    ruleIds: ['jsdoc/single-line', 'jsdoc/empty-description'],
+    description: 'Signals, computed, input, output and viewChild members use a single-line JSDoc with a description',
+    fix: jsDocFix,
+  },
+  'jsdoc-access-tag-matches-modifier': {
+    ruleIds: ['jsdoc/access-tag'],
+    description: getRule('jsdoc/access-tag').description,
+    fix: jsDocFix,
+  },
+  'require-method-access-modifier': {
+    ruleIds: ['ts/access-modifier'],
+    description: getRule('ts/access-modifier').description,
+    fix: publicModifierFix,
+  },
+};
+
+/**
+ * Parses a linted file once for all rules
+ * @param {Object} sourceCode - ESLint SourceCode
+ * @param {string} filename - File name, for TS/TSX parsing
+ * @returns {{sourceFile: Object, members: Array<Object>, anyTypes: Array<Object>}} Result of analyzeSource
+ */
+function getAnalysis(sourceCode, filename) {
+  if (!analysisCache.has(sourceCode)) {
+    const { sourceFile, members, anyTypes } = analyzeSource(sourceCode.text, filename);
+    analysisCache.set(sourceCode, { sourceFile, members, anyTypes });
+  }
+  return analysisCache.get(sourceCode);
+}
+
+/**
+ * Wraps built-in rules as an ESLint rule
+ * Violations silenced with ci-standards-disable comments stay silent in the editor too
+ * @param {{ruleIds: string[], description: string, fix: Function}} definition - Entry of RULE_MAP
+ * @returns {Object} ESLint rule module
+ */
+function createEslintRule({ ruleIds, description, fix }) {
+  return {
+    meta: {
+      type: 'suggestion',
+      docs: { description },
+      fixable: 'code',
+      schema: [],
+    },
+    create(context) {
+      const sourceCode = context.sourceCode || context.getSourceCode();
+      const filename = context.filename || context.getFilename();
+      if (getLanguage(filename) !== 'ts') return {};
+
+      return {
+        Program() {
+          const { text } = sourceCode;
+          const analysis = getAnalysis(sourceCode, filename);
+          const rules = ruleIds.map((ruleId) => ({ ruleId, severity: 'error' }));
+          const { kept } = applySuppressions(runRules(text, filename, rules, null, analysis), parseSuppressions(text));
+          const lines = text.split('\n');
+
+          for (const violation of kept) {
+            const member = analysis.members.find((m) => !m.isOverload && m.line === violation.line);
+            if (!member) {
+              context.report({ loc: { line: violation.line, column: 0 }, message: violation.message });
+              continue;
+            }
+            const { node } = member;
+            context.report({
+              loc: {
+                start: sourceCode.getLocFromIndex(node.name.getStart(analysis.sourceFile)),
+                end: sourceCode.getLocFromIndex(node.name.getEnd()),
+              },
+              message: violation.message,
+              fix: fix(sourceCode, lines, member, violation.ruleId),
+            });
+          }
+        },
+      };
+    },
+  };
+}
+
+const rules = {};
+for (const [name, definition] of Object.entries(RULE_MAP)) {
+  rules[name] = createEslintRule(definition);
+}
+
+const plugin = {
+  meta: { name: 'ci-standards', version },
+  rules,
+  configs: {},
+};
+
+// Every rule at the default severity of the built-in rules behind it, for .ts files
+plugin.configs.recommended = {
+  name: 'ci-standards/recommended',
+  files: ['**/*.ts'],
+  plugins: { 'ci-standards': plugin },
+  rules: Object.fromEntries(Object.entries(RULE_MAP).map(([name, { ruleIds }]) => [
+    `ci-standards/${name}`,
+    getRule(ruleIds[0]).severity === 'warning' ? 'warn' : getRule(ruleIds[0]).severity,
+  ])),
+};
+
+module.exports = plugin;
@@ -0,0 +1,207 @@
+/**
+ * File Selection
+ * Picks the files a check runs on: explicit paths, files changed in git (working tree, staged or
+ * against a ref), or every source file in an Nx/Angular-style workspace
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cp = require('child_process');
+
+// Directories to skip when collecting files
+const SKIP_DIRS = new Set([
+  'node_modules',
+  'dist',
+  'coverage',
+  'build',
+  '.git',
+  '.angular',
+  'out-tsc',
+  '.cache'
+]);
+
+/**
+ * Checks if the current directory is a git repository
+ * @returns {boolean} True if inside a git repository
+ */
+function isGitRepo() {
+  try {
+    cp.execSync('git rev-parse --is-inside-work-tree', { stdio: 'pipe' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Checks whether a path ends with one of the given extensions
+ * @param {string} file - File path
+ * @param {string[]} extensions - Extensions including the dot, e.g. ['.ts']
+ * @returns {boolean} True if the file matches
+ */
+function hasExtension(file, extensions) {
+  return extensions.some((extension) => file.endsWith(extension));
+}
+
+/**
+ * Gets list of changed files from git
+ * @param {Object} options - Options for determining which files changed
+ * @param {boolean} [options.staged] - Get staged files only
+ * @param {string} [options.ref] - Compare against a specific git reference
+ * @param {string[]} [options.extensions] - Extensions to keep (default: ['.ts'])
+ * @returns {string[]} Array of file paths that were changed
+ */
+function getChangedFiles({ staged, ref, extensions = ['.ts'] } = {}) {
+  if (!isGitRepo()) return [];
+  try {
+    let output = '';
+    if (staged) {
+      output = cp.execSync('git diff --name-only --cached --diff-filter=ACMRTUXB', {
+        encoding: 'utf8',
+        stdio: ['pipe', 'pipe', 'ignore'],
+      });
+    } else if (ref) {
+      // Compare provided ref to HEAD
+      output = cp.execSync(`git diff --name-only --diff-filter=ACMRTUXB ${ref}...HEAD`, {
+        encoding: 'utf8',
+        stdio: ['pipe', 'pipe', 'ignore'],
+      });
+    } else {
+      // Use porcelain status for working tree changes
+      output = cp.execSync('git status --porcelain', {
+        encoding: 'utf8',
+        stdio: ['pipe', 'pipe', 'ignore'],
+      });
+      // Parse status lines -> filenames
+      const lines = output.split(/\r?\n/).filter(Boolean);
+      const paths = lines
+        .map((l) => {
+          // Examples: ' M libs/foo.ts', 'A  libs/foo.ts', '?? libs/foo.ts', 'R  old -> new'
+          const trimmed = l.trim();
+          if (trimmed.startsWith('R')) {
+            const m = trimmed.match(/->\s*(.+)$/);
+            return m ? m[1] : null;
+          }
+          const parts = trimmed.split(/\s+/);
+          return parts[parts.length - 1] || null;
+        })
+        .filter(Boolean);
+      return paths.filter((p) => hasExtension(p, extensions));
+    }
+    return output
+      .split(/\r?\n/)
+      .filter(Boolean)
+      .filter((p) => hasExtension(p, extensions));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Recursively collects files from a directory
+ * Skips common build/vendor directories like node_modules, dist, coverage
+ * @param {string} dir - Directory path to scan
+ * @param {string[]} [extensions] - Extensions to collect (default: ['.ts'])
+ * @returns {string[]} Array of file paths
+ */
+function collectFiles(dir, extensions = ['.ts']) {
+  if (!fs.existsSync(dir)) return [];
+  const entries = fs.readdirSync(dir, { withFileTypes: true });
+  const out = [];
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (SKIP_DIRS.has(entry.name)) continue;
+      out.push(...collectFiles(full, extensions));
+    } else if (entry.isFile() && hasExtension(entry.name, extensions)) {
+      out.push(full);
+    }
+  }
+  return out;
+}
+
+/**
+ * Finds source roots in Nx-style monorepos and Angular workspaces: src/, apps/*\/src, libs/*\/src,
+ * projects/*\/src and projects/*\/*\/src
+ * @param {string} [cwd] - Workspace root (default: process.cwd())
+ * @returns {string[]} Existing source directories
+ */
+function findSourceDirs(cwd = process.cwd()) {
+  const sourceDirs = [];
+
+  // Top-level src
+  const rootSrc = path.join(cwd, 'src');
+  if (fs.existsSync(rootSrc)) sourceDirs.push(rootSrc);
+
+  // apps/*/src and libs/*/src
+  for (const group of ['apps', 'libs']) {
+    const groupRoot = path.join(cwd, group);
+    if (!fs.existsSync(groupRoot)) continue;
+    for (const entry of fs.readdirSync(groupRoot, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+      const src = path.join(groupRoot, entry.name, 'src');
+      if (fs.existsSync(src)) sourceDirs.push(src);
+    }
+  }
+
+  // projects/*/src (Angular workspace structure)
+  const projectsRoot = path.join(cwd, 'projects');
+  if (fs.existsSync(projectsRoot)) {
+    for (const entry of fs.readdirSync(projectsRoot, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+      // Check projects/*/src
+      const projectSrc = path.join(projectsRoot, entry.name, 'src');
+      if (fs.existsSync(projectSrc)) sourceDirs.push(projectSrc);
+      // Also check nested like projects/ntv360/component-pantry/src
+      const nestedPath = path.join(projectsRoot, entry.name);
+      for (const nested of fs.readdirSync(nestedPath, { withFileTypes: true })) {
+        if (!nested.isDirectory()) continue;
+        const nestedSrc = path.join(nestedPath, nested.name, 'src');
+        if (fs.existsSync(nestedSrc)) sourceDirs.push(nestedSrc);
+      }
+    }
+  }
+
+  return sourceDirs;
+}
+
+/**
+ * Picks the files to check from parsed CLI flags
+ * Explicit files win; otherwise --all scans the source roots, and the default (or --changed,
+ * --staged, --diff=<ref>) takes the files changed in git
+ * @param {{positionals: string[], flags: Object}} args - Result of parseArgs
+ * @param {string[]} extensions - Extensions the check handles
+ * @param {string} label - File kind for messages, e.g. 'TypeScript'
+ * @returns {{files: string[], message: string|null}} Files, or a message explaining why there are none
+ */
+function selectFiles({ positionals, flags }, extensions, label) {
+  const explicit = positionals.filter((file) => hasExtension(file, extensions));
+  if (explicit.length > 0) return { files: explicit, message: null };
+
+  // Other positionals were meant for another check (check all) or are not checkable
+  if (positionals.length > 0 && !flags.all && !flags.changed && !flags.staged && !flags.diff) {
+    return { files: [], message: `ℹ️ No ${label} files given.` };
+  }
+
+  if (flags.all) {
+    const files = findSourceDirs().flatMap((dir) => collectFiles(dir, extensions));
+    return files.length > 0
+      ? { files, message: null }
+      : { files, message: `ℹ️ No ${label} files found in source directories. Provide file paths as args.` };
+  }
+
+  if (isGitRepo()) {
+    const files = getChangedFiles({ staged: flags.staged, ref: flags.diff, extensions });
+    return { files, message: files.length > 0 ? null : `ℹ️ No changed ${label} files detected.` };
+  }
+  return { files: [], message: 'ℹ️ Provide file paths, use --changed/--staged, or pass --all to scan sources.' };
+}
+
+module.exports = {
+  SKIP_DIRS,
+  isGitRepo,
+  getChangedFiles,
+  collectFiles,
+  findSourceDirs,
+  selectFiles
+};
@@ -0,0 +1,33 @@
+/**
+ * Checkstyle Formatter
+ * Emits Checkstyle XML, understood by Jenkins warnings-ng, IDE importers and reviewdog
+ */
+
+const { escapeXml, groupByFile } = require('./shared');
+
+/**
+ * Formats violations as Checkstyle XML
+ * @param {Array<{file: string, line: number, column?: number, ruleId: string, severity: string, message: string}>} violations - Violations to format
+ * @returns {string} Checkstyle XML document
+ */
+function formatCheckstyle(violations) {
+  const out = ['<?xml version="1.0" encoding="utf-8"?>', '<checkstyle version="4.3">'];
+
+  for (const [file, fileViolations] of groupByFile(violations)) {
+    out.push(`  <file name="${escapeXml(file)}">`);
+    for (const v of fileViolations) {
+      const column = v.column ? ` column="${v.column}"` : '';
+      out.push(
+        `    <error line="${v.line}"${column} severity="${escapeXml(v.severity)}" message="${escapeXml(v.message)}" source="ci-standards.${escapeXml(v.ruleId)}" />`
+      );
+    }
+    out.push('  </file>');
+  }
+
+  out.push('</checkstyle>');
+  return out.join('\n');
+}
+
+module.exports = {
+  formatCheckstyle
+};
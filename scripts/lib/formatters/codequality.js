@@ -0,0 +1,82 @@
+/**
+ * GitLab Code Quality Formatter
+ * Converts standards violations into a Code Quality report (the Code Climate issue subset GitLab reads)
+ * for the merge request widget and diff annotations
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { RULES } = require('../rules');
+const { fingerprintViolation } = require('../baseline');
+
+// Code Quality severities for each violation severity
+const SEVERITIES = {
+  error: 'major',
+  warning: 'minor',
+  off: 'info',
+};
+
+// Code Climate categories for each rule category
+const CATEGORIES = {
+  documentation: 'Clarity',
+  typescript: 'Style',
+  'type-safety': 'Bug Risk',
+  debugging: 'Bug Risk',
+  maintainability: 'Clarity',
+  styling: 'Style',
+};
+
+/**
+ * Converts violations into Code Quality issues
+ * Fingerprints come from the rule, message and source line, so GitLab can tell new issues from
+ * existing ones across pipelines; repeats in one file get an occurrence number to stay unique
+ * @param {Array<{file: string, line: number, ruleId: string, severity: string, message: string}>} violations - Violations to convert
+ * @param {Object} [options] - Options
+ * @param {string} [options.root] - Directory report paths are made relative to (default: cwd)
+ * @returns {Array<Object>} Code Quality issues
+ */
+function toCodeQuality(violations, { root = process.cwd() } = {}) {
+  const sources = new Map();
+  const occurrences = new Map();
+
+  return violations.map((violation) => {
+    const file = path.resolve(root, violation.file);
+    if (!sources.has(file)) {
+      sources.set(file, fs.existsSync(file) ? fs.readFileSync(file, 'utf-8').split('\n') : []);
+    }
+    const relative = path.relative(root, file).split(path.sep).join('/');
+    const key = `${relative}\0${fingerprintViolation(violation, sources.get(file))}`;
+    const occurrence = occurrences.get(key) || 0;
+    occurrences.set(key, occurrence + 1);
+
+    const rule = RULES[violation.ruleId];
+    return {
+      type: 'issue',
+      check_name: violation.ruleId,
+      description: violation.message,
+      categories: [CATEGORIES[rule ? rule.category : ''] || 'Style'],
+      severity: SEVERITIES[violation.severity] || 'minor',
+      fingerprint: crypto.createHash('md5').update(`${key}\0${occurrence}`).digest('hex'),
+      location: {
+        path: relative,
+        lines: { begin: violation.line },
+      },
+    };
+  });
+}
+
+/**
+ * Formats violations as a Code Quality JSON report
+ * @param {Array} violations - Violations to format
+ * @param {Object} [options] - Options passed to toCodeQuality
+ * @returns {string} Pretty-printed JSON array
+ */
+function formatCodeQuality(violations, options) {
+  return JSON.stringify(toCodeQuality(violations, options), null, 2);
+}
+
+module.exports = {
+  toCodeQuality,
+  formatCodeQuality
+};
@@ -0,0 +1,48 @@
+/**
+ * GitHub Actions Formatter
+ * Emits ::error / ::warning workflow commands so violations show as annotations in the Actions UI
+ */
+
+/**
+ * Escapes a workflow command property value
+ * @param {*} value - Property value
+ * @returns {string} Escaped value
+ */
+function escapeProperty(value) {
+  return String(value)
+    .replace(/%/g, '%25')
+    .replace(/\r/g, '%0D')
+    .replace(/\n/g, '%0A')
+    .replace(/:/g, '%3A')
+    .replace(/,/g, '%2C');
+}
+
+/**
+ * Escapes a workflow command message
+ * @param {*} value - Message text
+ * @returns {string} Escaped message
+ */
+function escapeData(value) {
+  return String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+/**
+ * Formats violations as GitHub Actions workflow commands
+ * @param {Array<{file: string, line: number, column?: number, ruleId: string, severity: string, message: string}>} violations - Violations to format
+ * @returns {string} One workflow command per line
+ */
+function formatGithub(violations) {
+  return violations
+    .map((v) => {
+      const command = v.severity === 'error' ? 'error' : 'warning';
+      const properties = [`file=${escapeProperty(v.file)}`, `line=${v.line}`];
+      if (v.column) properties.push(`col=${v.column}`);
+      properties.push(`title=${escapeProperty(v.ruleId)}`);
+      return `::${command} ${properties.join(',')}::${escapeData(v.message)}`;
+    })
+    .join('\n');
+}
+
+module.exports = {
+  formatGithub
+};
@@ -0,0 +1,55 @@
+/**
+ * Output Formatters
+ * Registry of machine-readable output formats shared by the local CLIs
+ * Each formatter takes a list of violations and returns the formatted text
+ */
+
+const fs = require('fs');
+const { formatSarif } = require('./sarif');
+const { formatJson } = require('./json');
+const { formatJunit } = require('./junit');
+const { formatCheckstyle } = require('./checkstyle');
+const { formatGithub } = require('./github');
+const { formatStylish } = require('./stylish');
+const { formatCodeQuality } = require('./codequality');
+
+const FORMATTERS = {
+  json: formatJson,
+  junit: formatJunit,
+  checkstyle: formatCheckstyle,
+  github: formatGithub,
+  stylish: formatStylish,
+  sarif: formatSarif,
+  codequality: formatCodeQuality,
+};
+
+/**
+ * Looks up a formatter by name
+ * @param {string} name - Format name as passed to --format
+ * @returns {function(Array, Object=): string} Formatter function
+ */
+function getFormatter(name) {
+  if (!FORMATTERS[name]) {
+    throw new Error(`Unknown format '${name}'. Use one of: ${Object.keys(FORMATTERS).join(', ')}`);
+  }
+  return FORMATTERS[name];
+}
+
+/**
+ * Writes formatted output to a file, or to stdout when no file is given
+ * @param {string} text - Formatted output
+ * @param {string|null} [outputFile] - Destination file path
+ */
+function writeOutput(text, outputFile) {
+  if (outputFile) {
+    fs.writeFileSync(outputFile, `${text}\n`);
+  } else {
+    process.stdout.write(`${text}\n`);
+  }
+}
+
+module.exports = {
+  FORMATTERS,
+  getFormatter,
+  writeOutput
+};
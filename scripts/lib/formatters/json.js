@@ -0,0 +1,29 @@
+/**
+ * JSON Formatter
+ * Emits violations as a JSON array, one object per violation with the shared result fields
+ */
+
+/**
+ * Formats violations as JSON
+ * @param {Array<{file: string, line: number, ruleId: string, ruleCategory: string, severity: string, message: string}>} violations - Violations to format
+ * @returns {string} Pretty-printed JSON array
+ */
+function formatJson(violations) {
+  return JSON.stringify(
+    violations.map((v) => ({
+      file: v.file,
+      line: v.line,
+      column: v.column || null,
+      ruleId: v.ruleId,
+      ruleCategory: v.ruleCategory,
+      severity: v.severity,
+      message: v.message,
+    })),
+    null,
+    2
+  );
+}
+
+module.exports = {
+  formatJson
+};
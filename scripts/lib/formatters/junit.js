@@ -0,0 +1,41 @@
+/**
+ * JUnit Formatter
+ * Emits one test suite per file and one failing test case per violation, for Jenkins JUnit views
+ */
+
+const { escapeXml, groupByFile } = require('./shared');
+
+/**
+ * Formats violations as JUnit XML
+ * @param {Array<{file: string, line: number, column?: number, ruleId: string, severity: string, message: string}>} violations - Violations to format
+ * @returns {string} JUnit XML document
+ */
+function formatJunit(violations) {
+  const out = ['<?xml version="1.0" encoding="utf-8"?>'];
+  const errorCount = violations.filter((v) => v.severity === 'error').length;
+  out.push(
+    `<testsuites name="ci-standards" tests="${violations.length}" failures="${violations.length - errorCount}" errors="${errorCount}">`
+  );
+
+  for (const [file, fileViolations] of groupByFile(violations)) {
+    const fileErrors = fileViolations.filter((v) => v.severity === 'error').length;
+    out.push(
+      `  <testsuite name="${escapeXml(file)}" tests="${fileViolations.length}" failures="${fileViolations.length - fileErrors}" errors="${fileErrors}">`
+    );
+    for (const v of fileViolations) {
+      const location = `${file}:${v.line}${v.column ? `:${v.column}` : ''}`;
+      const tag = v.severity === 'error' ? 'error' : 'failure';
+      out.push(`    <testcase name="${escapeXml(`${v.ruleId} at line ${v.line}`)}" classname="${escapeXml(file)}">`);
+      out.push(`      <${tag} type="${escapeXml(v.ruleId)}" message="${escapeXml(v.message)}">${escapeXml(`${v.message} (${location})`)}</${tag}>`);
+      out.push('    </testcase>');
+    }
+    out.push('  </testsuite>');
+  }
+
+  out.push('</testsuites>');
+  return out.join('\n');
+}
+
+module.exports = {
+  formatJunit
+};
@@ -0,0 +1,124 @@
+/**
+ * SARIF Formatter
+ * Converts standards violations into a SARIF 2.1.0 log for GitHub code scanning and other SARIF tools
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { RULES } = require('../rules');
+const { fingerprintViolation } = require('../baseline');
+const { version } = require('../../../package.json');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const INFORMATION_URI = 'https://github.com/JakoLantern/CI-Standards';
+
+// SARIF result levels for each severity
+const LEVELS = {
+  error: 'error',
+  warning: 'warning',
+  off: 'none',
+};
+
+/**
+ * Builds the SARIF reportingDescriptor list from the rule registry
+ * @returns {Array<Object>} Rule descriptors in registry order
+ */
+function buildRuleDescriptors() {
+  return Object.entries(RULES).map(([id, rule]) => ({
+    id,
+    shortDescription: { text: rule.description },
+    defaultConfiguration: { level: LEVELS[rule.severity] },
+    properties: { category: rule.category, tags: [rule.category] },
+  }));
+}
+
+/**
+ * Converts violations into a SARIF 2.1.0 log
+ * Each violation needs file, line, ruleId, severity and message; column/endLine/endColumn are optional
+ * @param {Array<{file: string, line: number, column?: number, endLine?: number, endColumn?: number, ruleId: string, severity: string, message: string}>} violations - Violations to convert
+ * @param {Object} [options] - Options
+ * @param {string} [options.root] - Directory artifact URIs are made relative to (default: cwd)
+ * @returns {Object} SARIF log object
+ */
+function toSarif(violations, { root = process.cwd() } = {}) {
+  const rules = buildRuleDescriptors();
+  const ruleIndex = new Map(rules.map((rule, index) => [rule.id, index]));
+  const sources = new Map();
+
+  /**
+   * Reads (and caches) file lines for fingerprinting
+   * @param {string} file - Absolute file path
+   * @returns {string[]} Lines of the file, or none when it does not exist
+   */
+  function linesOf(file) {
+    if (!sources.has(file)) {
+      sources.set(file, fs.existsSync(file) ? fs.readFileSync(file, 'utf-8').split('\n') : []);
+    }
+    return sources.get(file);
+  }
+
+  const results = violations.map((violation) => {
+    const region = { startLine: violation.line };
+    if (violation.column) region.startColumn = violation.column;
+    if (violation.endLine) region.endLine = violation.endLine;
+    if (violation.endColumn) region.endColumn = violation.endColumn;
+
+    const result = {
+      ruleId: violation.ruleId,
+      level: LEVELS[violation.severity] || 'warning',
+      message: { text: violation.message },
+      locations: [
+        {
+          physicalLocation: {
+            artifactLocation: {
+              uri: path.relative(root, path.resolve(root, violation.file)).split(path.sep).join('/'),
+              uriBaseId: '%SRCROOT%',
+            },
+            region,
+          },
+        },
+      ],
+      partialFingerprints: {
+        'ciStandards/v1': fingerprintViolation(violation, linesOf(path.resolve(root, violation.file))),
+      },
+    };
+    if (ruleIndex.has(violation.ruleId)) result.ruleIndex = ruleIndex.get(violation.ruleId);
+    return result;
+  });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'ci-standards',
+            informationUri: INFORMATION_URI,
+            version,
+            rules,
+          },
+        },
+        originalUriBaseIds: {
+          '%SRCROOT%': { uri: `file://${path.resolve(root).split(path.sep).join('/')}/` },
+        },
+        results,
+      },
+    ],
+  };
+}
+
+/**
+ * Formats violations as a SARIF JSON string
+ * @param {Array} violations - Violations to format
+ * @param {Object} [options] - Options passed to toSarif
+ * @returns {string} Pretty-printed SARIF log
+ */
+function formatSarif(violations, options) {
+  return JSON.stringify(toSarif(violations, options), null, 2);
+}
+
+module.exports = {
+  toSarif,
+  formatSarif
+};
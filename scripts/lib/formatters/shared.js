@@ -0,0 +1,37 @@
+/**
+ * Formatter Helpers
+ * XML escaping and file grouping shared by the JUnit, Checkstyle and stylish formatters
+ */
+
+/**
+ * Escapes text for use in XML attributes and text nodes
+ * @param {*} value - Value to escape (converted to string)
+ * @returns {string} XML-safe text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Groups violations by file, keeping first-seen file order
+ * @param {Array<{file: string}>} violations - Violations to group
+ * @returns {Map<string, Array>} Map of file path to its violations
+ */
+function groupByFile(violations) {
+  const groups = new Map();
+  for (const violation of violations) {
+    if (!groups.has(violation.file)) groups.set(violation.file, []);
+    groups.get(violation.file).push(violation);
+  }
+  return groups;
+}
+
+module.exports = {
+  escapeXml,
+  groupByFile
+};
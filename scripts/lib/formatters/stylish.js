@@ -0,0 +1,36 @@
+/**
+ * Stylish Formatter
+ * ESLint-style human output grouped by file, with a summary line
+ * The file:line header format is picked up by editor problem matchers
+ */
+
+const { groupByFile } = require('./shared');
+
+/**
+ * Formats violations grouped by file with aligned columns
+ * @param {Array<{file: string, line: number, column?: number, ruleId: string, severity: string, message: string}>} violations - Violations to format
+ * @returns {string} Human-readable report (empty string when there are no violations)
+ */
+function formatStylish(violations) {
+  if (violations.length === 0) return '';
+
+  const out = [];
+  for (const [file, fileViolations] of groupByFile(violations)) {
+    out.push('', file);
+    // Rules without a column report just the line rather than a misleading :0
+    const rows = fileViolations.map((v) => [v.column ? `${v.line}:${v.column}` : `${v.line}`, v.severity, v.message, v.ruleId]);
+    const widths = [0, 1, 2].map((i) => Math.max(...rows.map((row) => row[i].length)));
+    for (const row of rows) {
+      out.push(`  ${row[0].padEnd(widths[0])}  ${row[1].padEnd(widths[1])}  ${row[2].padEnd(widths[2])}  ${row[3]}`);
+    }
+  }
+
+  const errors = violations.filter((v) => v.severity === 'error').length;
+  const warnings = violations.length - errors;
+  out.push('', `✖ ${violations.length} problem(s) (${errors} error(s), ${warnings} warning(s))`);
+  return out.join('\n');
+}
+
+module.exports = {
+  formatStylish
+};
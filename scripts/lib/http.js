@@ -0,0 +1,65 @@
+/**
+ * HTTP Client
+ * Minimal JSON REST client on top of the built-in fetch, used by the GitLab and Bitbucket reporters
+ * Failed requests throw an Error carrying `status` and the parsed response `data`, like Octokit
+ */
+
+/**
+ * Creates a client bound to an API base URL
+ * @param {Object} options - Client options
+ * @param {string} options.baseUrl - API root, e.g. https://gitlab.com/api/v4
+ * @param {Object} [options.headers] - Headers sent with every request (authentication)
+ * @returns {{request: Function, get: Function, post: Function, put: Function, delete: Function}} Client; each method resolves to {status, headers, data}
+ */
+function createClient({ baseUrl, headers = {} }) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  /**
+   * Sends one request
+   * @param {string} method - HTTP method
+   * @param {string} url - Path below baseUrl, or an absolute URL (pagination links)
+   * @param {Object} [body] - JSON body
+   * @returns {Promise<{status: number, headers: Headers, data: *}>} Response with parsed JSON data
+   */
+  async function request(method, url, body) {
+    const target = /^https?:\/\//.test(url) ? url : `${root}${url}`;
+    const response = await fetch(target, {
+      method,
+      headers: {
+        Accept: 'application/json',
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+    const text = await response.text();
+    let data = text;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      // Keep non-JSON bodies (HTML error pages) as text
+    }
+
+    if (!response.ok) {
+      const detail = data && typeof data === 'object' ? JSON.stringify(data.message || data.error || data) : String(text).slice(0, 200);
+      const error = new Error(`${method} ${target} failed with ${response.status}: ${detail}`);
+      error.status = response.status;
+      error.data = data;
+      throw error;
+    }
+    return { status: response.status, headers: response.headers, data };
+  }
+
+  return {
+    request,
+    get: (url) => request('GET', url),
+    post: (url, body) => request('POST', url, body),
+    put: (url, body) => request('PUT', url, body),
+    delete: (url) => request('DELETE', url),
+  };
+}
+
+module.exports = {
+  createClient
+};
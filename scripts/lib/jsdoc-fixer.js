@@ -0,0 +1,284 @@
+/**
+ * JSDoc Fixer
+ * Generates and repairs JSDoc blocks for the mechanical JSDoc violations found by checkFile
+ * Blocks are parsed into description + tags, edited, and re-rendered; description text is always kept
+ */
+
+const fs = require('fs');
+const { analyzeSource } = require('./ts-analyzer');
+const { isVoidReturn, parseParamTag } = require('./jsdoc');
+
+// Rules this fixer knows how to repair
+const FIXABLE_RULES = new Set([
+  'jsdoc/missing-jsdoc',
+  'jsdoc/missing-returns',
+  'jsdoc/access-tag',
+  'jsdoc/missing-param',
+  'jsdoc/param-type',
+  'jsdoc/extra-param',
+  'jsdoc/single-line',
+  'jsdoc/empty-description',
+]);
+
+const ACCESS_TAGS = new Set(['public', 'private', 'protected']);
+
+/**
+ * Turns a member name into a sentence-case description
+ * @param {string} name - Identifier such as 'getUserName' or '_isLoading'
+ * @returns {string} Description such as 'Get user name'
+ */
+function humanize(name) {
+  const words = name
+    .replace(/^[#_$]+/, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/[_-]+/g, ' ')
+    .trim()
+    .toLowerCase();
+  return words ? words[0].toUpperCase() + words.slice(1) : name;
+}
+
+/**
+ * Parses a JSDoc comment into description lines and tags
+ * @param {string} content - JSDoc text including the comment delimiters
+ * @returns {{description: string[], tags: Array<{name: string, lines: string[]}>}} Parsed block
+ */
+function parseJsDocBlock(content) {
+  const body = content
+    .replace(/^\s*\/\*\*/, '')
+    .replace(/\*\/\s*$/, '')
+    .split('\n')
+    .map((line) => line.replace(/^\s*\*(?!\/) ?/, '').trimEnd());
+
+  // Drop leading/trailing blank lines left by the delimiters
+  while (body.length && !body[0].trim()) body.shift();
+  while (body.length && !body[body.length - 1].trim()) body.pop();
+
+  const description = [];
+  const tags = [];
+  for (const line of body) {
+    const tagMatch = line.trim().match(/^@(\w+)/);
+    if (tagMatch) {
+      tags.push({ name: tagMatch[1], lines: [line.trim()] });
+    } else if (tags.length > 0) {
+      tags[tags.length - 1].lines.push(line);
+    } else {
+      description.push(line.trim());
+    }
+  }
+  while (description.length && !description[description.length - 1]) description.pop();
+  return { description, tags };
+}
+
+/**
+ * Renders a parsed block back to JSDoc lines
+ * @param {{description: string[], tags: Array<{name: string, lines: string[]}>}} block - Parsed block
+ * @param {string} indent - Indentation of the documented member
+ * @param {boolean} singleLine - Render as a single /** ... *\/ line
+ * @returns {string[]} Source lines
+ */
+function renderJsDocBlock(block, indent, singleLine) {
+  if (singleLine) {
+    const text = [...block.description, ...block.tags.flatMap((tag) => tag.lines)]
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .join(' ');
+    return [`${indent}/** ${text} */`];
+  }
+  const lines = [`${indent}/**`];
+  for (const line of block.description) lines.push(line ? `${indent} * ${line}` : `${indent} *`);
+  for (const tag of block.tags) {
+    for (const line of tag.lines) lines.push(line.trim() ? `${indent} * ${line.trim()}` : `${indent} *`);
+  }
+  lines.push(`${indent} */`);
+  return lines;
+}
+
+/**
+ * Reads the root parameter name of a @param tag
+ * @param {{lines: string[]}} tag - Parsed @param tag
+ * @returns {string|null} Root name ('options' for 'options.id'), or null if none is written
+ */
+function paramTagRoot(tag) {
+  return parseParamTag(tag.lines[0]).root;
+}
+
+/**
+ * Rebuilds the @param tags to match the signature: keeps existing tags (and their dotted
+ * children), adds missing {Type} braces, creates missing tags and drops stale ones
+ * @param {{tags: Array}} block - Parsed block (modified in place)
+ * @param {Array<{name: string, type: string, destructured: boolean}>} params - Signature parameters
+ */
+function fixParamTags(block, params) {
+  const paramTags = block.tags.filter((tag) => tag.name === 'param');
+  const docRoots = [...new Set(paramTags.map(paramTagRoot).filter(Boolean))];
+  const actualNames = params.filter((p) => !p.destructured).map((p) => p.name);
+
+  const rebuilt = [];
+  params.forEach((param, index) => {
+    let name = param.name;
+    if (param.destructured) {
+      // Destructured params are documented under whatever root name sits at their position
+      const positional = docRoots[index];
+      if (positional && !actualNames.includes(positional)) {
+        name = positional;
+      } else {
+        const taken = [...actualNames, ...rebuilt.map(paramTagRoot)];
+        name = taken.includes('options') ? `options${index}` : 'options';
+      }
+    }
+    const existing = paramTags.filter((tag) => paramTagRoot(tag) === name);
+    if (existing.length === 0) {
+      rebuilt.push({ name: 'param', lines: [`@param {${param.type}} ${name} - The ${humanize(name).toLowerCase()}`] });
+      return;
+    }
+    for (const tag of existing) {
+      const parsed = parseParamTag(tag.lines[0]);
+      if (!parsed.path && (!parsed.type || parsed.type.length <= 2)) {
+        const rest = parsed.description ? ` ${parsed.description}` : '';
+        tag.lines[0] = `@param {${param.type}} ${parsed.name}${rest}`;
+      }
+      rebuilt.push(tag);
+    }
+  });
+
+  // Put the rebuilt list where the first @param was, or before @returns/@example
+  const firstParam = block.tags.findIndex((tag) => tag.name === 'param');
+  const others = block.tags.filter((tag) => tag.name !== 'param');
+  let insertAt = firstParam === -1 ? others.findIndex((tag) => /^(returns?|throws|example)$/.test(tag.name)) : firstParam;
+  if (insertAt === -1) insertAt = others.length;
+  block.tags = [...others.slice(0, insertAt), ...rebuilt, ...others.slice(insertAt)];
+}
+
+/**
+ * Applies the requested fixes to a method/accessor JSDoc block
+ * @param {{description: string[], tags: Array}} block - Parsed block (modified in place)
+ * @param {Object} member - Member description from analyzeSource
+ * @param {Set<string>} rules - Rule ids reported for this member
+ */
+function fixMethodBlock(block, member, rules) {
+  if (member.modifier && (rules.has('jsdoc/access-tag') || rules.has('jsdoc/missing-jsdoc'))) {
+    block.tags = block.tags.filter((tag) => !ACCESS_TAGS.has(tag.name));
+    block.tags.unshift({ name: member.modifier, lines: [`@${member.modifier}`] });
+  }
+  if (['jsdoc/missing-param', 'jsdoc/param-type', 'jsdoc/extra-param', 'jsdoc/missing-jsdoc'].some((id) => rules.has(id))) {
+    fixParamTags(block, member.params);
+  }
+  // void and Promise<void> methods have nothing for @returns to describe
+  const needsReturns = member.kind !== 'setter' && !isVoidReturn(member.returnType)
+    && !block.tags.some((tag) => /^returns?$/.test(tag.name));
+  if (needsReturns && (rules.has('jsdoc/missing-returns') || rules.has('jsdoc/missing-jsdoc'))) {
+    const type = member.returnType ? ` {${member.returnType}}` : '';
+    block.tags.push({ name: 'returns', lines: [`@returns${type} The result`] });
+  }
+}
+
+/**
+ * Computes the edit that fixes one member's JSDoc
+ * @param {string[]} lines - File lines
+ * @param {Object} member - Member description from analyzeSource
+ * @param {Set<string>} rules - Rule ids reported for this member (non-fixable ids are ignored)
+ * @returns {{start: number, end: number, lines: string[]}|null} Replacement for 0-based lines start..end
+ *   (end = start - 1 inserts before start), or null when there is nothing to fix
+ */
+function fixMember(lines, member, rules) {
+  const fixable = new Set([...rules].filter((id) => FIXABLE_RULES.has(id)));
+  if (member.isOverload || fixable.size === 0) return null;
+
+  const { jsDoc } = member;
+  let block;
+  let start;
+  let end;
+
+  if (jsDoc.exists) {
+    // Leave blocks that share their line with code alone
+    if (!/^\s*\/\*\*/.test(lines[jsDoc.startIdx]) || !/\*\/\s*$/.test(lines[jsDoc.endIdx])) return null;
+    block = parseJsDocBlock(jsDoc.content);
+    start = jsDoc.startIdx;
+    end = jsDoc.endIdx;
+  } else {
+    block = { description: [], tags: [] };
+    start = member.startLine - 1;
+    end = start - 1;
+  }
+
+  if (block.description.every((line) => !line)) {
+    block.description = [humanize(member.name)];
+  }
+
+  const indent = lines[start].match(/^\s*/)[0];
+  if (member.reactiveKind) {
+    return { start, end, lines: renderJsDocBlock(block, indent, true) };
+  }
+  fixMethodBlock(block, member, fixable);
+  return { start, end, lines: renderJsDocBlock(block, indent, false) };
+}
+
+/**
+ * Fixes JSDoc violations in TypeScript source
+ * Only members with a fixable rule reported on their line are touched
+ * @param {string} content - File content
+ * @param {string} fileName - File name (for TS/TSX parsing)
+ * @param {Map<number, Set<string>>} rulesByLine - Rule ids reported per 1-based line
+ * @returns {{output: string, fixed: number}} Fixed content and number of blocks changed
+ */
+function fixJsDoc(content, fileName, rulesByLine) {
+  const lines = content.split('\n');
+  const { members } = analyzeSource(content, fileName);
+  const edits = members
+    .filter((member) => rulesByLine.has(member.line))
+    .map((member) => fixMember(lines, member, rulesByLine.get(member.line)))
+    .filter(Boolean);
+
+  // Apply bottom-up so earlier line indexes stay valid
+  edits.sort((a, b) => b.start - a.start);
+  for (const edit of edits) {
+    lines.splice(edit.start, edit.end - edit.start + 1, ...edit.lines);
+  }
+
+  return { output: lines.join('\n'), fixed: edits.length };
+}
+
+/**
+ * Fixes the fixable violations among those reported for a source
+ * @param {string} content - File content
+ * @param {string} fileName - File name (for TS/TSX parsing)
+ * @param {Array<{line: number, ruleId: string}>} violations - Violations reported for the source
+ * @returns {{output: string, fixed: number}} Fixed content and number of blocks changed
+ */
+function fixViolations(content, fileName, violations) {
+  const rulesByLine = new Map();
+  for (const violation of violations) {
+    if (!FIXABLE_RULES.has(violation.ruleId)) continue;
+    if (!rulesByLine.has(violation.line)) rulesByLine.set(violation.line, new Set());
+    rulesByLine.get(violation.line).add(violation.ruleId);
+  }
+  if (rulesByLine.size === 0) return { output: content, fixed: 0 };
+  return fixJsDoc(content, fileName, rulesByLine);
+}
+
+/**
+ * Fixes the JSDoc violations checkFile reported for a file and writes it back if anything changed
+ * Violations already filtered by config and suppressions are the only ones fixed
+ * @param {string} file - Path to the TypeScript file
+ * @param {Array<{line: number, ruleId: string}>} violations - Violations from checkFile for this file
+ * @returns {number} Number of JSDoc blocks inserted or rewritten
+ */
+function fixFile(file, violations) {
+  if (!violations.some((violation) => FIXABLE_RULES.has(violation.ruleId))) return 0;
+
+  const content = fs.readFileSync(file, 'utf-8');
+  const { output, fixed } = fixViolations(content, file, violations);
+  if (output !== content) fs.writeFileSync(file, output);
+  return fixed;
+}
+
+module.exports = {
+  FIXABLE_RULES,
+  humanize,
+  parseJsDocBlock,
+  renderJsDocBlock,
+  fixMember,
+  fixJsDoc,
+  fixViolations,
+  fixFile
+};
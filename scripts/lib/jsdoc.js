@@ -0,0 +1,344 @@
+/**
+ * JSDoc Helpers
+ * Reads JSDoc blocks and method signatures and validates their tags
+ * Shared by the built-in rules, check-code-standards.js and generate-pr-comments.js
+ */
+
+/**
+ * Detects whether a proper JSDoc block sits above a line
+ * @param {string[]} lines - Array of file lines
+ * @param {number} index - Line index to check above
+ * @returns {{exists: boolean, isSingleLine: boolean, startIdx: number, endIdx: number, content: string}} JSDoc info object
+ */
+function getJsDocInfo(lines, index) {
+    let j = index - 1;
+    
+    // Skip only ACTUAL decorators (like @HostListener, @Input which appear OUTSIDE comment blocks)
+    // Do NOT skip JSDoc lines that contain @public, @param, @returns, etc.
+    // Decorators appear as @DecoratorName(...) on their own lines, not as part of /**...*/ blocks
+    while (j >= 0 && lines[j].trim() === '') j--; // Skip blank lines first
+    
+    // Now skip TypeScript/Angular decorators only (must NOT contain /* or *)
+    while (j >= 0 && /^\s*@[A-Z]\w+\s*[\({]/.test(lines[j])) {
+      j--;
+    }
+    
+    // Skip remaining blank lines
+    while (j >= 0 && lines[j].trim() === '') j--;
+    
+    if (j < 0) return { exists: false, isSingleLine: false, startIdx: -1, endIdx: -1, content: '' };
+
+    const line = lines[j];
+
+    // Single-line JSDoc on one line
+    if (/^\s*\/\*\*.*\*\/\s*$/.test(line)) {
+      return { exists: true, isSingleLine: true, startIdx: j, endIdx: j, content: line };
+    }
+
+    // If we are at the end or middle of a block, walk back to find /**
+    if (/^\s*\*\/\s*$/.test(line) || /^\s*\*\s*/.test(line)) {
+      const endIdx = j;
+      while (j >= 0) {
+        if (/^\s*\/\*\*/.test(lines[j])) {
+          // Found JSDoc start
+          const content = lines.slice(j, endIdx + 1).join('\n');
+          return { exists: true, isSingleLine: false, startIdx: j, endIdx, content };
+        }
+        // Encountered a non-Javadoc block start
+        if (/^\s*\/\*/.test(lines[j]) && !/^\s*\/\*\*/.test(lines[j])) {
+          return { exists: false, isSingleLine: false, startIdx: -1, endIdx: -1, content: '' };
+        }
+        j--;
+      }
+      return { exists: false, isSingleLine: false, startIdx: -1, endIdx: -1, content: '' };
+    }
+
+    // Directly above is the start of JSDoc (single line that continues)
+    if (/^\s*\/\*\*/.test(line)) {
+      // Check if it's a single line or start of multi-line
+      if (/^\s*\/\*\*.*\*\/\s*$/.test(line)) {
+        return { exists: true, isSingleLine: true, startIdx: j, endIdx: j, content: line };
+      }
+      // Multi-line that starts with /** and continues
+      let endIdx = j;
+      while (endIdx < lines.length && !/\*\/\s*$/.test(lines[endIdx])) endIdx++;
+      const content = lines.slice(j, endIdx + 1).join('\n');
+      return { exists: true, isSingleLine: false, startIdx: j, endIdx, content };
+    }
+
+    return { exists: false, isSingleLine: false, startIdx: -1, endIdx: -1, content: '' };
+}
+
+/**
+ * Finds the first occurrence of a character outside brackets, generics and arrow types
+ * @param {string} str - Text to search
+ * @param {string} target - Single character to find
+ * @returns {number} Index of the character, or -1 if it only appears nested
+ */
+function indexOfTopLevel(str, target) {
+  let depth = 0;
+  for (let i = 0; i < str.length; i++) {
+    const char = str[i];
+    if (char === '>' && str[i - 1] === '=') continue; // '=>' is an arrow, not a closing generic
+    if (char === target && depth === 0 && !(target === '=' && str[i + 1] === '>')) return i;
+    if ('<({['.includes(char)) depth++;
+    else if ('>)}]'.includes(char)) depth--;
+  }
+  return -1;
+}
+
+/**
+ * Extracts function parameters from a method line
+ * Handles generics, function types, defaults containing parentheses and destructuring
+ * @param {string} line - The method declaration line
+ * @returns {Array<{name: string, type: string, destructured: boolean}>} Array of parameter objects with name and type
+ */
+function extractParams(line) {
+  const open = line.indexOf('(');
+  if (open === -1) return [];
+  // Find the matching close paren so defaults like `x = fn()` don't end the list early
+  let depth = 0;
+  let close = line.length;
+  for (let i = open; i < line.length; i++) {
+    if (line[i] === '(') depth++;
+    else if (line[i] === ')' && --depth === 0) {
+      close = i;
+      break;
+    }
+  }
+  let rest = line.slice(open + 1, close).trim();
+  if (!rest) return [];
+
+  // Split by top-level commas (e.g., Array<string, number> stays together)
+  const params = [];
+  let comma = indexOfTopLevel(rest, ',');
+  while (comma !== -1) {
+    if (rest.slice(0, comma).trim()) params.push(rest.slice(0, comma).trim());
+    rest = rest.slice(comma + 1);
+    comma = indexOfTopLevel(rest, ',');
+  }
+  if (rest.trim()) params.push(rest.trim());
+
+  // Extract param names and types
+  return params.map(p => {
+    const colon = indexOfTopLevel(p, ':');
+    const equals = indexOfTopLevel(p, '=');
+    const nameEnd = [colon, equals].filter(i => i !== -1).sort((a, b) => a - b)[0];
+    const rawName = (nameEnd === undefined ? p : p.slice(0, nameEnd)).trim();
+    let type = 'unknown';
+    if (colon !== -1 && (equals === -1 || colon < equals)) {
+      const typeText = p.slice(colon + 1);
+      const defaultAt = indexOfTopLevel(typeText, '=');
+      type = (defaultAt === -1 ? typeText : typeText.slice(0, defaultAt)).trim();
+    }
+    // Handle destructuring like { x, y }: Point
+    if (rawName.startsWith('{') || rawName.startsWith('[')) {
+      return { name: 'destructured', type, destructured: true };
+    }
+    const name = rawName
+      .replace(/^(public|private|protected|readonly)\s+/g, '')
+      .replace(/^\.\.\./, '')
+      .replace(/^\?/, '')
+      .replace(/\?$/, ''); // Remove rest and optional markers
+    return { name, type, destructured: false };
+  }).filter(p => p.name);
+}
+
+/**
+ * Extracts the access modifier from a code line
+ * @param {string} line - The code line to parse
+ * @returns {string|null} The access modifier (public/private/protected) or null if none
+ */
+function getAccessModifier(line) {
+  const match = line.match(/^\s*(public|private|protected)\s/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Validates that JSDoc access modifier tag matches the actual code modifier
+ * @param {string} jsDocContent - The JSDoc comment content
+ * @param {string|null} actualModifier - The actual access modifier from code
+ * @returns {{valid: boolean, message: string}} Validation result with error message if invalid
+ */
+function checkAccessModifierTag(jsDocContent, actualModifier) {
+  if (!actualModifier) return { valid: true, message: '' }; // No modifier on line, skip this check
+  
+  const hasPublicTag = /@public\b/.test(jsDocContent);
+  const hasPrivateTag = /@private\b/.test(jsDocContent);
+  const hasProtectedTag = /@protected\b/.test(jsDocContent);
+  
+  const tagCount = [hasPublicTag, hasPrivateTag, hasProtectedTag].filter(Boolean).length;
+  
+  if (tagCount === 0) {
+    return { valid: false, message: `Missing @${actualModifier} tag in JSDoc` };
+  }
+  if (tagCount > 1) {
+    return { valid: false, message: 'Multiple access modifier tags in JSDoc' };
+  }
+  
+  if (actualModifier === 'public' && !hasPublicTag) {
+    return { valid: false, message: `JSDoc should have @public (method is public)` };
+  }
+  if (actualModifier === 'private' && !hasPrivateTag) {
+    return { valid: false, message: `JSDoc should have @private (method is private)` };
+  }
+  if (actualModifier === 'protected' && !hasProtectedTag) {
+    return { valid: false, message: `JSDoc should have @protected (method is protected)` };
+  }
+  
+  return { valid: true, message: '' };
+}
+
+/**
+ * Checks whether a declared return type leaves nothing for @returns to describe
+ * @param {string|null} returnType - Return type as written, or null when none is declared
+ * @returns {boolean} True for void and Promise<void>
+ */
+function isVoidReturn(returnType) {
+  return /^(void|Promise<\s*void\s*>)$/.test(returnType || '');
+}
+
+/**
+ * Checks if JSDoc contains a @returns or @return tag
+ * @param {string} jsDocContent - The JSDoc comment content
+ * @returns {boolean} True if @returns or @return tag is present
+ */
+function hasReturnsTag(jsDocContent) {
+  return /@returns?\s|\@returns?\s*$/m.test(jsDocContent);
+}
+
+// Name part of a @param tag after its type: [name.path=default] and the description
+const PARAM_NAME_REGEX = /^(\[?([\w$]+)([.\w$]*)(?:=[^\]]*)?\]?)?\s*([\s\S]*)$/;
+
+/**
+ * Reads the {Type} at the start of a tag's text, counting braces so {{ id: string }} stays whole
+ * @param {string} text - Text after the tag name
+ * @returns {string|null} Type including its braces, or null when there is none or it never closes
+ */
+function readTagType(text) {
+  if (text[0] !== '{') return null;
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    else if (text[i] === '}' && --depth === 0) return text.slice(0, i + 1);
+  }
+  return null;
+}
+
+/**
+ * Splits a @param tag into its type, name and description
+ * @param {string} text - Tag text starting at '@param'
+ * @returns {{type: (string|null), name: (string|null), root: (string|null), path: string, description: string}} Tag parts;
+ *   name is as written ('[options.id=1]'), root its parameter ('options') and path the rest ('.id')
+ */
+function parseParamTag(text) {
+  const rest = text.replace(/^@param/, '').trimStart();
+  const type = readTagType(rest);
+  const match = (type ? rest.slice(type.length).trimStart() : rest).match(PARAM_NAME_REGEX);
+  return { type, name: match[1] || null, root: match[2] || null, path: match[3] || '', description: match[4] };
+}
+
+/**
+ * Lists the @param tags of a JSDoc block in order
+ * @param {string} jsDocContent - The JSDoc comment content
+ * @returns {Array<{type: (string|null), root: (string|null)}>} Tags from parseParamTag (descriptions run to the end of the block)
+ */
+function listParamTags(jsDocContent) {
+  return [...jsDocContent.matchAll(/@param\b/g)].map((match) => parseParamTag(jsDocContent.slice(match.index)));
+}
+
+/**
+ * Validates that JSDoc @param tags match function parameters
+ * @param {string} jsDocContent - The JSDoc comment content
+ * @param {Array<{name: string, type: string, destructured?: boolean}>} params - Array of function parameters (destructured ones match the @param at the same position)
+ * @returns {{valid: boolean, errors: string[], issues: Array<{ruleId: string, message: string}>}} Validation result with error messages, and the same errors keyed by rule id
+ */
+function checkParamTags(jsDocContent, params) {
+  if (params.length === 0) return { valid: true, errors: [], issues: [] };
+  
+  const issues = [];
+  const actualParamNames = params.filter(p => !p.destructured && p.name !== 'destructured').map(p => p.name);
+  const paramTags = listParamTags(jsDocContent);
+  // Root names of @param tags in order ('options.id' documents 'options')
+  const jsDocParamNames = [...new Set(paramTags.map(tag => tag.root).filter(Boolean))];
+  const destructuredNames = [];
+  
+  params.forEach((param, index) => {
+    let name = param.name;
+
+    // Destructured params have no name of their own; match the @param at the same position
+    if (param.destructured || param.name === 'destructured') {
+      const docName = jsDocParamNames[index];
+      if (!docName || actualParamNames.includes(docName)) {
+        issues.push({ ruleId: 'jsdoc/missing-param', message: `Missing @param for destructured parameter ${index + 1}` });
+        return;
+      }
+      destructuredNames.push(docName);
+      name = docName;
+    }
+    
+    // Check if @param exists for this param name
+    const paramTag = paramTags.find(tag => tag.root === name);
+    
+    if (!paramTag) {
+      issues.push({ ruleId: 'jsdoc/missing-param', message: `Missing @param for '${name}'` });
+      return;
+    }
+    
+    // Check if @param has {Type} in curly braces
+    const hasTypeInBraces = paramTag.type && paramTag.type.length > 2; // More than just {}
+    if (!hasTypeInBraces) {
+      issues.push({ ruleId: 'jsdoc/param-type', message: `@param ${name} missing {Type} in curly braces` });
+    }
+  });
+  
+  // Also check for extra @param tags that don't match any actual params
+  for (const docParam of jsDocParamNames) {
+    if (!actualParamNames.includes(docParam) && !destructuredNames.includes(docParam)) {
+      issues.push({
+        ruleId: 'jsdoc/extra-param',
+        message: `Extra @param '${docParam}' in JSDoc doesn't match any function parameter`
+      });
+    }
+  }
+  
+  const errors = issues.map(issue => issue.message);
+  return { valid: errors.length === 0, errors, issues };
+}
+
+/**
+ * Validates that a property has proper single-line JSDoc format
+ * @param {Object} jsDocInfo - JSDoc info object from getJsDocInfo
+ * @param {string} propertyType - Type of property being checked (for error messages)
+ * @returns {string[]} Array of error messages if violations found
+ */
+function checkSingleLineJsDoc(jsDocInfo, propertyType) {
+  const errors = [];
+  
+  if (!jsDocInfo.isSingleLine) {
+    errors.push(`${propertyType} should have single-line JSDoc (/** ... */), not multi-line`);
+  }
+  
+  // Check that single-line JSDoc has actual content (not just /** */)
+  if (jsDocInfo.isSingleLine) {
+    const content = jsDocInfo.content.replace(/\/\*\*|\*\//g, '').trim();
+    if (!content) {
+      errors.push(`${propertyType} JSDoc is empty - add a description`);
+    }
+  }
+  
+  return errors;
+}
+
+module.exports = {
+  getJsDocInfo,
+  indexOfTopLevel,
+  extractParams,
+  getAccessModifier,
+  checkAccessModifierTag,
+  hasReturnsTag,
+  isVoidReturn,
+  parseParamTag,
+  checkParamTags,
+  checkSingleLineJsDoc
+};
@@ -0,0 +1,94 @@
+/**
+ * Review Outcome
+ * Turns violation severities into a review event and a pass/fail decision using configurable thresholds
+ * Errors block (REQUEST_CHANGES and a failing job), warnings only comment, and a clean run approves
+ * or stays silent
+ *
+ * Thresholds come from the `review` block of .ci-standards.json and can be overridden per run:
+ *   failOn       'error' (default), 'warning' or 'never'
+ *   maxWarnings  block when there are more warnings than this (-1, the default, means no limit)
+ *   approve      submit an APPROVE review on clean runs (default: false, no review)
+ */
+
+const FAIL_ON_LEVELS = ['error', 'warning', 'never'];
+
+const DEFAULT_THRESHOLDS = { failOn: 'error', maxWarnings: -1, approve: false };
+
+/**
+ * Validates a thresholds object, filling in defaults for missing values
+ * @param {Object} raw - Thresholds as written in config or passed as flags
+ * @param {string} source - Where the values came from (for error messages)
+ * @returns {{failOn: string, maxWarnings: number, approve: boolean}} Normalized thresholds
+ */
+function normalizeThresholds(raw, source) {
+  const thresholds = { ...DEFAULT_THRESHOLDS };
+  for (const [key, value] of Object.entries(raw || {})) {
+    if (value === undefined || value === null || value === '') continue;
+    thresholds[key] = value;
+  }
+
+  if (!FAIL_ON_LEVELS.includes(thresholds.failOn)) {
+    throw new Error(`Invalid failOn '${thresholds.failOn}' in ${source}. Use ${FAIL_ON_LEVELS.join(', ')}.`);
+  }
+  const maxWarnings = Number(thresholds.maxWarnings);
+  if (!Number.isInteger(maxWarnings) || maxWarnings < -1) {
+    throw new Error(`Invalid maxWarnings '${thresholds.maxWarnings}' in ${source}. Use -1 or a count.`);
+  }
+  return {
+    failOn: thresholds.failOn,
+    maxWarnings,
+    approve: thresholds.approve === true || thresholds.approve === 'true',
+  };
+}
+
+/**
+ * Combines the config thresholds with per-run overrides
+ * @param {{review: Object}} config - Normalized config from loadConfig
+ * @param {Object} [overrides] - Values from CLI flags or workflow inputs (empty values are ignored)
+ * @returns {{failOn: string, maxWarnings: number, approve: boolean}} Effective thresholds
+ */
+function resolveThresholds(config, overrides = {}) {
+  const defined = {};
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined && value !== null && value !== '') defined[key] = value;
+  }
+  return normalizeThresholds({ ...config.review, ...defined }, 'review thresholds');
+}
+
+/**
+ * Decides the review event and whether the run should fail
+ * @param {Array<{severity: string}>} violations - Violations or PR comments found in the run
+ * @param {{failOn: string, maxWarnings: number, approve: boolean}} thresholds - Effective thresholds
+ * @returns {{event: string|null, blocking: boolean, errors: number, warnings: number, reasons: string[]}} Outcome; event is REQUEST_CHANGES, COMMENT, APPROVE or null for no review
+ */
+function decideOutcome(violations, thresholds) {
+  const errors = violations.filter((v) => v.severity === 'error').length;
+  const warnings = violations.filter((v) => v.severity === 'warning').length;
+  const reasons = [];
+
+  if (errors > 0 && thresholds.failOn !== 'never') {
+    reasons.push(`${errors} error(s)`);
+  }
+  if (warnings > 0 && thresholds.failOn === 'warning') {
+    reasons.push(`${warnings} warning(s) with failOn 'warning'`);
+  }
+  if (thresholds.maxWarnings >= 0 && warnings > thresholds.maxWarnings) {
+    reasons.push(`${warnings} warning(s), more than the maximum of ${thresholds.maxWarnings}`);
+  }
+
+  const blocking = reasons.length > 0;
+  let event = null;
+  if (blocking) event = 'REQUEST_CHANGES';
+  else if (violations.length > 0) event = 'COMMENT';
+  else if (thresholds.approve) event = 'APPROVE';
+
+  return { event, blocking, errors, warnings, reasons };
+}
+
+module.exports = {
+  FAIL_ON_LEVELS,
+  DEFAULT_THRESHOLDS,
+  normalizeThresholds,
+  resolveThresholds,
+  decideOutcome
+};
@@ -0,0 +1,57 @@
+/**
+ * Plugin Loader
+ * Loads the rule plugins listed in config and adds their rules to the registry
+ *
+ * A plugin is a CommonJS module (an npm package or a local file) exporting:
+ *   { name: 'acme', rules: { 'no-legacy-http': { meta: {...}, create(context) {...} } } }
+ * Its rules are registered as '<name>/<rule>' and run through the same engine as the built-in rules
+ */
+
+const { registerRule } = require('./rules');
+
+/**
+ * Loads one plugin module
+ * @param {string} spec - Package name, or a path relative to baseDir
+ * @param {string} baseDir - Directory the spec is resolved from
+ * @returns {{name: string, rules: Object}} Plugin exports
+ */
+function requirePlugin(spec, baseDir) {
+  let resolved;
+  try {
+    resolved = require.resolve(spec, { paths: [baseDir] });
+  } catch (error) {
+    throw new Error(`Cannot find plugin '${spec}' from ${baseDir}`);
+  }
+  const plugin = require(resolved);
+  if (!plugin || typeof plugin.name !== 'string' || !plugin.rules || typeof plugin.rules !== 'object') {
+    throw new Error(`Plugin '${spec}' must export a name and a rules object`);
+  }
+  return plugin;
+}
+
+/**
+ * Loads plugins and registers their rules
+ * @param {string[]} specs - Plugins from the config's plugins list
+ * @param {string} baseDir - Directory relative plugin paths are resolved from (the config file's directory)
+ * @param {string} source - Where the list came from (for error messages)
+ * @returns {string[]} Ids of the rules the plugins provide
+ */
+function loadPlugins(specs, baseDir, source) {
+  if (!Array.isArray(specs)) {
+    throw new Error(`plugins must be an array in ${source}`);
+  }
+  const ruleIds = [];
+  for (const spec of specs) {
+    const plugin = requirePlugin(spec, baseDir);
+    for (const [key, rule] of Object.entries(plugin.rules)) {
+      const ruleId = `${plugin.name}/${key}`;
+      registerRule(ruleId, rule);
+      ruleIds.push(ruleId);
+    }
+  }
+  return ruleIds;
+}
+
+module.exports = {
+  loadPlugins
+};
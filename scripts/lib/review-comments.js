@@ -0,0 +1,153 @@
+/**
+ * Review Comment Sync
+ * Shared by the GitHub, GitLab and Bitbucket reporters: reads the comments written by
+ * generate-pr-comments.js, fingerprints them, and matches them against comments posted by earlier
+ * runs so only new violations are posted and fixed ones can be resolved
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fingerprintViolation } = require('./baseline');
+
+const DEFAULT_MAX_COMMENTS = 60;
+
+// Severities posted inline for each inlineSeverity option
+const INLINE_SEVERITIES = {
+  warning: ['warning', 'error'],
+  error: ['error'],
+};
+
+// Logger with the @actions/core interface, for reporters run outside github-script
+const consoleLogger = {
+  info: (message) => console.error(message),
+  warning: (message) => console.error(message),
+};
+
+/**
+ * Reads the comments written by generate-pr-comments.js
+ * The generator always prints a JSON array, `[]` when clean, so a missing, empty or unparsable file
+ * means it crashed. That throws: treating it as clean would resolve every comment and lift the block
+ * @param {string} file - Path to violations.json
+ * @returns {Array<Object>} Comments; throws when the file is missing, empty or not a JSON array
+ */
+function readComments(file) {
+  if (!fs.existsSync(file)) throw new Error(`${file} not found. Did generate-pr-comments.js run?`);
+  const raw = fs.readFileSync(file, 'utf8').trim();
+  if (!raw) throw new Error(`${file} is empty. generate-pr-comments.js did not finish; nothing was posted.`);
+  let comments;
+  try {
+    comments = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Failed to parse ${file}: ${error.message}`);
+  }
+  if (!Array.isArray(comments)) throw new Error(`${file} does not hold a list of comments.`);
+  return comments;
+}
+
+/**
+ * Keeps the comments posted inline; the rest are left to a check run or report
+ * @param {Array<{severity: string}>} comments - Comments from generate-pr-comments.js
+ * @param {string} inlineSeverity - 'warning' keeps everything, 'error' only errors
+ * @returns {Array<Object>} Comments to post inline
+ */
+function filterInline(comments, inlineSeverity) {
+  const severities = INLINE_SEVERITIES[inlineSeverity];
+  if (!severities) throw new Error(`Unknown inlineSeverity '${inlineSeverity}'. Use 'warning' or 'error'.`);
+  return comments.filter((c) => severities.includes(c.severity || 'error'));
+}
+
+/**
+ * Fingerprints each comment from its rule, message and source line, so it survives line shifts
+ * @param {Array<{path: string, line: number, ruleId: string, message: string}>} comments - Comments to key
+ * @param {string} root - Checkout the comment paths are relative to
+ * @returns {Array<Object>} Comments with a `fingerprint` field
+ */
+function fingerprintComments(comments, root) {
+  const sources = new Map();
+  return comments.map((comment) => {
+    if (!sources.has(comment.path)) {
+      const file = path.resolve(root, comment.path);
+      sources.set(comment.path, fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n') : []);
+    }
+    const violation = { ruleId: comment.ruleId, line: comment.line, message: comment.message || comment.body };
+    return { ...comment, fingerprint: fingerprintViolation(violation, sources.get(comment.path)) };
+  });
+}
+
+/**
+ * Builds the key that identifies a comment across pushes
+ * @param {string} file - File path
+ * @param {string} fingerprint - Comment fingerprint
+ * @returns {string} Map key
+ */
+function commentKey(file, fingerprint) {
+  return `${file}\0${fingerprint}`;
+}
+
+/**
+ * Splits the current comments into new ones and those already posted, and finds posted comments
+ * whose violation is gone. Keys are counted, so repeated identical violations line up one to one
+ * @param {Array<{path: string, fingerprint: string}>} comments - Fingerprinted comments from this run
+ * @param {Array<{path: string, fingerprint: string}>} existing - Comments posted by earlier runs
+ * @returns {{fresh: Array<Object>, skipped: number, stale: Array<Object>}} Comments to post, count already posted, and posted comments to retire
+ */
+function matchComments(comments, existing) {
+  const unmatched = new Map();
+  for (const comment of existing) {
+    const key = commentKey(comment.path, comment.fingerprint);
+    if (!unmatched.has(key)) unmatched.set(key, []);
+    unmatched.get(key).push(comment);
+  }
+
+  const fresh = [];
+  let skipped = 0;
+  for (const comment of comments) {
+    const previous = unmatched.get(commentKey(comment.path, comment.fingerprint));
+    if (previous && previous.length > 0) {
+      previous.shift();
+      skipped++;
+    } else {
+      fresh.push(comment);
+    }
+  }
+
+  // Whatever is left over belongs to violations that have been fixed
+  return { fresh, skipped, stale: [...unmatched.values()].flat() };
+}
+
+/**
+ * Writes the summary note the GitLab and Bitbucket reporters post alongside new inline comments
+ * @param {{blocking: boolean, errors: number, warnings: number, reasons: string[]}} outcome - Outcome from decideOutcome
+ * @param {Array<Object>} rejected - Comments the API refused inline (usually outside the diff), listed instead
+ * @param {number} overflow - Number of new comments left out by maxComments
+ * @returns {string} Markdown body
+ */
+function summaryBody(outcome, rejected, overflow) {
+  const total = outcome.errors + outcome.warnings;
+  const status = outcome.blocking
+    ? `❌ Blocking: ${outcome.reasons.join('; ')}. These need to be resolved before merge.`
+    : total > 0
+      ? '⚠️ Nothing blocking, but please take a look.'
+      : '✅ All code standards violations have been resolved.';
+  const lines = ['## 🔍 Code Standards Review', '', `Found **${outcome.errors}** error(s) and **${outcome.warnings}** warning(s).`, '', status];
+  if (rejected.length > 0) {
+    lines.push('', 'These could not be posted on the diff:', '');
+    lines.push(...rejected.map((c) => `- \`${c.path}:${c.line}\` - ${c.message || c.body}`));
+  }
+  if (overflow > 0) {
+    lines.push('', `⚠️ ${overflow} more new violation(s) were not posted. See the pipeline logs for the complete list.`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_MAX_COMMENTS,
+  INLINE_SEVERITIES,
+  consoleLogger,
+  readComments,
+  filterInline,
+  fingerprintComments,
+  commentKey,
+  matchComments,
+  summaryBody
+};
@@ -0,0 +1,145 @@
+/**
+ * Rule Tester
+ * Checks code samples against rules, in the style of ESLint's RuleTester, to pin down what a rule
+ * reports and how its violations are fixed. Works for built-in rules and for plugin rules listed in
+ * the tester's config, and registers its cases with node:test
+ *
+ *   const tester = createRuleTester({ config: { plugins: ['./standards/acme.js'] } });
+ *   tester.run('acme/no-legacy-http', {
+ *     valid: ['const http = new ApiClient();'],
+ *     invalid: [{ code: 'const http = new LegacyHttp();', errors: [{ line: 1 }] }],
+ *   });
+ *
+ * A case is a code string or {code, filename, name, errors, output}. Samples are checked as
+ * fixture.ts, fixture.css or fixture.html, after the language of the rules under test, unless
+ * filename says otherwise
+ */
+
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createConfig } = require('./config');
+const { getRule } = require('./rules');
+const { checkSource } = require('./engine');
+const { fixViolations } = require('./jsdoc-fixer');
+
+/**
+ * Normalizes a test case written as a plain code string
+ * @param {string|Object} item - Test case
+ * @returns {Object} Test case object
+ */
+function toCase(item) {
+  return typeof item === 'string' ? { code: item } : item;
+}
+
+/**
+ * Gets the name a case is registered under with node:test
+ * @param {Object} testCase - Test case
+ * @returns {string} The case's name, or its first line of code
+ */
+function caseName(testCase) {
+  if (testCase.name) return testCase.name;
+  const firstLine = testCase.code.split('\n').find((line) => line.trim()) || '(empty)';
+  return firstLine.trim().slice(0, 60);
+}
+
+/**
+ * Projects the violations onto the fields the expected errors give, so assert.deepEqual compares only those
+ * @param {Array<Object>} violations - Violations found
+ * @param {Array<Object>} errors - Expected errors with ruleId, line and optionally message
+ * @returns {Array<Object>} Violations as comparable error objects
+ */
+function toComparable(violations, errors) {
+  return violations.map((violation, index) => {
+    const expected = errors[index] || {};
+    const actual = { ruleId: violation.ruleId, line: violation.line };
+    if (expected.message instanceof RegExp) {
+      actual.message = expected.message.test(violation.message) ? expected.message : violation.message;
+    } else if (expected.message !== undefined) {
+      actual.message = violation.message;
+    }
+    return actual;
+  });
+}
+
+/**
+ * Checks one test case, throwing an AssertionError when the rules behave differently
+ * @param {Object} config - Normalized config from createConfig
+ * @param {string[]} ruleIds - Rules under test; violations of other rules are ignored
+ * @param {string|Object} item - Test case
+ * @param {boolean} expectErrors - True for invalid cases, false for valid ones
+ * @returns {Array<Object>} Violations the rules reported
+ */
+function verifyCase(config, ruleIds, item, expectErrors) {
+  const testCase = toCase(item);
+  if (typeof testCase.code !== 'string') throw new Error('Test cases need a code string');
+  const language = getRule(ruleIds[0]).language;
+  const filename = testCase.filename || `fixture.${language === 'any' ? 'ts' : language}`;
+  const file = path.resolve(config.root, filename);
+
+  const violations = checkSource(testCase.code, file, config).filter((v) => ruleIds.includes(v.ruleId));
+
+  if (!expectErrors) {
+    assert.deepEqual(toComparable(violations, []), [], `Expected no violations in:\n${testCase.code}`);
+    return violations;
+  }
+
+  if (!Array.isArray(testCase.errors) || testCase.errors.length === 0) {
+    throw new Error(`Invalid case '${caseName(testCase)}' needs a non-empty errors array`);
+  }
+  // With a single rule under test, errors may leave out the rule id
+  const errors = testCase.errors.map((error) => ({ ruleId: ruleIds.length === 1 ? ruleIds[0] : undefined, ...error }));
+  assert.deepEqual(toComparable(violations, errors), errors, `Unexpected violations in:\n${testCase.code}`);
+
+  if ('output' in testCase) {
+    const { output } = fixViolations(testCase.code, file, violations);
+    const expected = testCase.output === null ? testCase.code : testCase.output;
+    assert.equal(output, expected, testCase.output === null ? 'Expected no fix' : 'Fix output differs');
+  }
+  return violations;
+}
+
+/**
+ * Creates a rule tester
+ * @param {Object} [options] - Options
+ * @param {Object} [options.config] - Config in the .ci-standards.json format the samples are checked with,
+ *   for example the plugins whose rules are tested or Tailwind table additions
+ * @param {string} [options.cwd] - Directory plugin paths and override globs resolve from (default: process.cwd())
+ * @returns {{config: Object, run: function((string|string[]), {valid: Array, invalid: Array}): void}} Tester
+ */
+function createRuleTester({ config = {}, cwd = process.cwd() } = {}) {
+  const testerConfig = createConfig(config, cwd);
+
+  /**
+   * Registers a node:test suite checking the valid and invalid cases against some rules
+   * @param {string|string[]} rules - Rule id, or ids of rules tested together
+   * @param {{valid: Array, invalid: Array}} cases - Samples that must pass, and samples with their expected errors
+   */
+  function run(rules, { valid = [], invalid = [] } = {}) {
+    const ruleIds = [].concat(rules);
+    for (const ruleId of ruleIds) {
+      if (!getRule(ruleId)) throw new Error(`Unknown rule '${ruleId}'`);
+    }
+
+    // Loaded on demand so requiring the tester registers no tests by itself
+    const { describe, test } = require('node:test');
+    describe(ruleIds.join(', '), () => {
+      describe('valid', () => {
+        for (const item of valid) {
+          test(caseName(toCase(item)), () => { verifyCase(testerConfig, ruleIds, item, false); });
+        }
+      });
+      describe('invalid', () => {
+        for (const item of invalid) {
+          test(caseName(toCase(item)), () => { verifyCase(testerConfig, ruleIds, item, true); });
+        }
+      });
+    });
+  }
+
+  return { config: testerConfig, run };
+}
+
+module.exports = {
+  createRuleTester,
+  verifyCase
+};
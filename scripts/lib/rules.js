@@ -0,0 +1,344 @@
+/**
+ * Rule Registry
+ * Lists every check performed by the standards scripts with its category and default severity
+ * Rule ids are stable: they key config, violation output and anything built on top of them
+ *
+ * Each rule declares the part of a PR diff it reviews (its scope):
+ *   added   only lines the PR adds or rewrites
+ *   symbol  the whole member (JSDoc, signature and body) when any line of it changed
+ *   file    the whole file whenever the file changed
+ *
+ * and the files it checks (its language): 'ts', 'css' or 'html' (Angular templates). Suppression
+ * rules apply to all of them ('any').
+ * The checks behind the built-in rules live in lib/checks; plugins listed in config add rules
+ * (metadata plus a create function) with registerRule
+ */
+
+const SEVERITIES = ['off', 'warning', 'error'];
+
+const SCOPES = ['added', 'symbol', 'file'];
+
+const CATEGORIES = ['documentation', 'typescript', 'type-safety', 'debugging', 'maintainability', 'styling'];
+
+const LANGUAGES = ['ts', 'css', 'html'];
+
+// create functions of rules added by plugins, keyed by rule id
+const pluginFactories = new Map();
+
+const RULES = {
+  // JSDoc
+  'jsdoc/missing-jsdoc': {
+    category: 'documentation',
+    severity: 'error',
+    scope: 'symbol',
+    language: 'ts',
+    description: 'Methods and Angular reactive properties must have a JSDoc block',
+  },
+  'jsdoc/missing-returns': {
+    category: 'documentation',
+    severity: 'error',
+    scope: 'symbol',
+    language: 'ts',
+    description: 'Method JSDoc must include a @returns tag unless the method returns void',
+  },
+  'jsdoc/access-tag': {
+    category: 'documentation',
+    severity: 'error',
+    scope: 'symbol',
+    language: 'ts',
+    description: 'JSDoc must carry exactly one @public/@private/@protected tag matching the code modifier',
+  },
+  'jsdoc/missing-param': {
+    category: 'documentation',
+    severity: 'error',
+    scope: 'symbol',
+    language: 'ts',
+    description: 'Every method parameter must have a matching @param tag',
+  },
+  'jsdoc/param-type': {
+    category: 'documentation',
+    severity: 'error',
+    scope: 'symbol',
+    language: 'ts',
+    description: '@param tags must declare the parameter type in curly braces',
+  },
+  'jsdoc/extra-param': {
+    category: 'documentation',
+    severity: 'error',
+    scope: 'symbol',
+    language: 'ts',
+    description: '@param tags must not document parameters the method does not have',
+  },
+  'jsdoc/single-line': {
+    category: 'documentation',
+    severity: 'error',
+    scope: 'symbol',
+    language: 'ts',
+    description: 'Signals, computed, input, output and viewChild members must use a single-line JSDoc',
+  },
+  'jsdoc/empty-description': {
+    category: 'documentation',
+    severity: 'error',
+    scope: 'symbol',
+    language: 'ts',
+    description: 'Single-line JSDoc on reactive members must contain a description',
+  },
+
+  // TypeScript
+  'ts/access-modifier': {
+    category: 'typescript',
+    severity: 'error',
+    scope: 'symbol',
+    language: 'ts',
+    description: 'Class members must declare public, private or protected explicitly',
+  },
+  'ts/return-type': {
+    category: 'typescript',
+    severity: 'error',
+    scope: 'symbol',
+    language: 'ts',
+    description: 'Methods must declare a return type',
+  },
+  'ts/no-any': {
+    category: 'type-safety',
+    severity: 'error',
+    scope: 'added',
+    language: 'ts',
+    description: 'The any type is not allowed',
+  },
+
+  // Debug leftovers
+  'debug/console-log': {
+    category: 'debugging',
+    severity: 'warning',
+    scope: 'added',
+    language: 'ts',
+    description: 'console.log() should not ship in production code',
+  },
+  'debug/debugger': {
+    category: 'debugging',
+    severity: 'error',
+    scope: 'added',
+    language: 'ts',
+    description: 'debugger statements must be removed before merge',
+  },
+
+  // Comment markers
+  'comments/todo': {
+    category: 'maintainability',
+    severity: 'warning',
+    scope: 'added',
+    language: 'ts',
+    description: 'TODO comments should be tracked in the issue tracker',
+  },
+  'comments/fixme': {
+    category: 'maintainability',
+    severity: 'error',
+    scope: 'added',
+    language: 'ts',
+    description: 'FIXME comments must be resolved before merge',
+  },
+
+  // Inline suppressions
+  'suppressions/unused': {
+    category: 'maintainability',
+    severity: 'warning',
+    scope: 'added',
+    language: 'any',
+    description: 'ci-standards-disable comments must suppress at least one violation',
+  },
+  'suppressions/unknown-rule': {
+    category: 'maintainability',
+    severity: 'warning',
+    scope: 'added',
+    language: 'any',
+    description: 'ci-standards-disable comments must name existing rules',
+  },
+  'suppressions/unknown-directive': {
+    category: 'maintainability',
+    severity: 'warning',
+    scope: 'added',
+    language: 'any',
+    description: 'ci-standards comments use a known directive',
+  },
+
+  // CSS
+  'css/syntax-error': {
+    category: 'styling',
+    severity: 'error',
+    scope: 'file',
+    language: 'css',
+    description: 'Stylesheets must parse; the other CSS rules cannot check a file that does not',
+  },
+
+  // Tailwind
+  'tailwind/hardcoded-color': {
+    category: 'styling',
+    severity: 'error',
+    scope: 'added',
+    language: 'css',
+    description: 'Color properties must use Tailwind utilities or design tokens, not literal colors',
+  },
+  'tailwind/hardcoded-font': {
+    category: 'styling',
+    severity: 'error',
+    scope: 'added',
+    language: 'css',
+    description: 'font-family must use Tailwind utilities or design tokens, not literal font names',
+  },
+  'tailwind/var-fallback': {
+    category: 'styling',
+    severity: 'error',
+    scope: 'added',
+    language: 'css',
+    description: 'var() on strict properties needs a fallback value or @apply',
+  },
+  'tailwind/prefer-utility': {
+    category: 'styling',
+    severity: 'warning',
+    scope: 'added',
+    language: 'css',
+    description: 'Properties with a Tailwind equivalent should use the utility class',
+  },
+
+  // Angular templates
+  'template/syntax-error': {
+    category: 'maintainability',
+    severity: 'error',
+    scope: 'file',
+    language: 'html',
+    description: 'Templates must parse; the other template rules cannot check markup that does not',
+  },
+  'template/inline-style': {
+    category: 'styling',
+    severity: 'error',
+    scope: 'added',
+    language: 'html',
+    description: 'style attributes and [style] bindings must not hardcode colors or spacing; use Tailwind classes',
+  },
+  'template/arbitrary-value': {
+    category: 'styling',
+    severity: 'warning',
+    scope: 'added',
+    language: 'html',
+    description: 'Tailwind classes should use theme tokens, not arbitrary values such as bg-[#ff0000]',
+  },
+  'template/legacy-control-flow': {
+    category: 'maintainability',
+    severity: 'error',
+    scope: 'added',
+    language: 'html',
+    description: '*ngIf, *ngFor and ngSwitch must be replaced by the @if, @for and @switch blocks',
+  },
+  'template/debug-output': {
+    category: 'debugging',
+    severity: 'warning',
+    scope: 'added',
+    language: 'html',
+    description: 'json pipes and console calls should not ship in templates',
+  },
+};
+
+/**
+ * Normalizes a severity value from config into one of the canonical levels
+ * Accepts the ESLint-style aliases 'warn', 0, 1 and 2
+ * @param {string|number} value - Severity as written in config
+ * @returns {string|null} 'off', 'warning' or 'error', or null if the value is not a severity
+ */
+function normalizeSeverity(value) {
+  if (value === 0 || value === 'off') return 'off';
+  if (value === 1 || value === 'warn' || value === 'warning') return 'warning';
+  if (value === 2 || value === 'error') return 'error';
+  return null;
+}
+
+/**
+ * Looks up a rule in the registry
+ * @param {string} ruleId - Rule id such as 'jsdoc/missing-returns'
+ * @returns {{category: string, severity: string, scope: string, language: string, description: string}|null} Rule metadata, or null for unknown ids
+ */
+function getRule(ruleId) {
+  return RULES[ruleId] || null;
+}
+
+/**
+ * Gets the part of a PR diff a rule reviews
+ * @param {string} ruleId - Rule id from the registry
+ * @returns {string} 'added', 'symbol' or 'file' (unknown rules only see added lines)
+ */
+function getRuleScope(ruleId) {
+  const rule = getRule(ruleId);
+  return rule ? rule.scope : 'added';
+}
+
+/**
+ * Adds a plugin rule to the registry
+ * Registering the same definition again is a no-op, so configs sharing a plugin can each load it
+ * @param {string} ruleId - Rule id, prefixed with the plugin name (e.g. 'acme/no-legacy-http')
+ * @param {Object} rule - Rule definition
+ * @param {Object} rule.meta - Metadata: description and language (required), category, severity, scope
+ * @param {function(Object): Object} rule.create - Returns the visitor for one file, given the rule context
+ * @returns {Object} Registered metadata
+ */
+function registerRule(ruleId, rule) {
+  if (!/^[a-z0-9-]+\/[a-z0-9-]+$/.test(ruleId)) {
+    throw new Error(`Invalid rule id '${ruleId}'. Use '<plugin>/<rule>' in lowercase kebab-case.`);
+  }
+  if (pluginFactories.get(ruleId) === (rule && rule.create)) return RULES[ruleId];
+  if (RULES[ruleId]) throw new Error(`Rule '${ruleId}' is already registered`);
+
+  const { meta = {}, create } = rule || {};
+  if (typeof create !== 'function') throw new Error(`Rule '${ruleId}' needs a create(context) function`);
+  if (!meta.description) throw new Error(`Rule '${ruleId}' needs meta.description`);
+  if (!LANGUAGES.includes(meta.language)) {
+    throw new Error(`Rule '${ruleId}' has language '${meta.language}'. Use ${LANGUAGES.slice(0, -1).join(', ')} or ${LANGUAGES[LANGUAGES.length - 1]}.`);
+  }
+  const { category = 'maintainability', severity = 'error', scope = 'added' } = meta;
+  if (!CATEGORIES.includes(category)) throw new Error(`Rule '${ruleId}' has unknown category '${category}'`);
+  if (!SEVERITIES.includes(normalizeSeverity(severity))) throw new Error(`Rule '${ruleId}' has invalid severity '${severity}'`);
+  if (!SCOPES.includes(scope)) throw new Error(`Rule '${ruleId}' has unknown scope '${scope}'`);
+
+  RULES[ruleId] = {
+    category,
+    severity: normalizeSeverity(severity),
+    scope,
+    language: meta.language,
+    description: meta.description,
+    plugin: true,
+  };
+  pluginFactories.set(ruleId, create);
+  return RULES[ruleId];
+}
+
+/**
+ * Gets the create function of a plugin rule
+ * @param {string} ruleId - Rule id
+ * @returns {function(Object): Object|null} create function, or null for built-in and unknown rules
+ */
+function getPluginFactory(ruleId) {
+  return pluginFactories.get(ruleId) || null;
+}
+
+/**
+ * Builds the id and category fields every violation carries
+ * @param {string} ruleId - Rule id from the registry
+ * @returns {{ruleId: string, ruleCategory: string}} Rule identity for a violation object
+ */
+function ruleFields(ruleId) {
+  const rule = getRule(ruleId);
+  return { ruleId, ruleCategory: rule ? rule.category : 'custom' };
+}
+
+module.exports = {
+  RULES,
+  SEVERITIES,
+  SCOPES,
+  CATEGORIES,
+  LANGUAGES,
+  getRule,
+  getRuleScope,
+  ruleFields,
+  normalizeSeverity,
+  registerRule,
+  getPluginFactory
+};
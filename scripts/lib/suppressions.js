@@ -0,0 +1,140 @@
+/**
+ * Inline Suppressions
+ * Parses ci-standards-disable comments in TypeScript, CSS and template sources and filters violations they cover
+ * Also reports suppressions that never matched a violation or name a rule that does not exist
+ *
+ * Supported directives (in //, block or <!-- --> comments, optional "-- reason" suffix):
+ *   ci-standards-disable-next-line [rule, ...]   suppresses the following line
+ *   ci-standards-disable [rule, ...]             suppresses until a matching enable (or end of file)
+ *   ci-standards-enable [rule, ...]              closes an open disable
+ *   ci-standards-disable-file [rule, ...]        suppresses the whole file
+ * Omitting the rule list applies the directive to every rule. Other disable/enable keywords, such as
+ * ESLint's disable-line, suppress nothing and are reported.
+ */
+
+const { RULES } = require('./rules');
+
+// The keyword ends at whitespace or the end of the comment, so disable-line is not read as disable
+const DIRECTIVE_REGEX = /(?:\/\/|\/\*|<!--)\s*ci-standards-((?:disable|enable)[\w-]*)(?=\s|\*\/|-->|$)(.*?)(?:\*\/|-->|$)/g;
+
+const DIRECTIVES = ['disable-next-line', 'disable-file', 'disable', 'enable'];
+
+// Matches every rule when a directive has no rule list
+const ALL_RULES = '*';
+
+/**
+ * Splits the text after a directive into rule ids, dropping any "-- reason" suffix
+ * @param {string} text - Text following the directive keyword
+ * @returns {string[]} Rule ids, or [ALL_RULES] when none are listed
+ */
+function parseRuleList(text) {
+  const rules = text.split('--')[0].split(/[\s,]+/).filter(Boolean);
+  return rules.length > 0 ? rules : [ALL_RULES];
+}
+
+/**
+ * Parses suppression directives from file content
+ * @param {string} content - Full file content
+ * @returns {Array<{directive: string, line: number, rule: string, startLine: number, endLine: number, used: boolean}>} One entry per directive and rule, with the line range it covers
+ */
+function parseSuppressions(content) {
+  const lines = content.split('\n');
+  const entries = [];
+  const open = [];
+
+  lines.forEach((text, index) => {
+    const line = index + 1;
+    for (const match of text.matchAll(DIRECTIVE_REGEX)) {
+      const directive = match[1];
+      const rules = parseRuleList(match[2]);
+
+      if (!DIRECTIVES.includes(directive)) {
+        // Kept only to be reported: it covers no lines and names no rule
+        entries.push({ directive, line, rule: null, startLine: line, endLine: line - 1, used: false });
+        continue;
+      }
+
+      if (directive === 'enable') {
+        for (let i = open.length - 1; i >= 0; i--) {
+          if (rules.includes(ALL_RULES) || rules.includes(open[i].rule)) {
+            open[i].endLine = line;
+            open.splice(i, 1);
+          }
+        }
+        continue;
+      }
+
+      for (const rule of rules) {
+        const entry = { directive, line, rule, startLine: line, endLine: line, used: false };
+        if (directive === 'disable-next-line') {
+          entry.startLine = line + 1;
+          entry.endLine = line + 1;
+        } else if (directive === 'disable-file') {
+          entry.startLine = 1;
+          entry.endLine = lines.length;
+        } else {
+          // Block disable runs to end of file unless an enable closes it
+          entry.endLine = lines.length;
+          open.push(entry);
+        }
+        entries.push(entry);
+      }
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Removes violations covered by suppressions and reports unused or unknown suppressions
+ * @param {Array<{line: number, ruleId: string}>} violations - Violations found in the file
+ * @param {Array} suppressions - Entries from parseSuppressions
+ * @param {Object} [options] - Options
+ * @param {function(Object): boolean} [options.isReportable] - Decides whether an unused entry can be reported (e.g. only on changed lines)
+ * @param {Object} [options.knownRules] - Map of valid rule ids (default: the built-in registry)
+ * @returns {{kept: Array, problems: Array<{line: number, ruleId: string, message: string}>}} Remaining violations plus suppression problems
+ */
+function applySuppressions(violations, suppressions, { isReportable = () => true, knownRules = RULES } = {}) {
+  const kept = violations.filter((violation) => {
+    let suppressed = false;
+    for (const entry of suppressions) {
+      if (violation.line < entry.startLine || violation.line > entry.endLine) continue;
+      if (entry.rule !== ALL_RULES && entry.rule !== violation.ruleId) continue;
+      entry.used = true;
+      suppressed = true;
+    }
+    return !suppressed;
+  });
+
+  const problems = [];
+  for (const entry of suppressions) {
+    const name = entry.rule === ALL_RULES ? 'all rules' : `'${entry.rule}'`;
+    if (!DIRECTIVES.includes(entry.directive)) {
+      problems.push({
+        line: entry.line,
+        ruleId: 'suppressions/unknown-directive',
+        message: `Unknown directive ci-standards-${entry.directive} suppresses nothing. Use ${DIRECTIVES.map((d) => `ci-standards-${d}`).join(', ')}`,
+      });
+    } else if (entry.rule !== ALL_RULES && !knownRules[entry.rule]) {
+      problems.push({
+        line: entry.line,
+        ruleId: 'suppressions/unknown-rule',
+        message: `ci-standards-${entry.directive} names unknown rule ${name}`,
+      });
+    } else if (!entry.used && isReportable(entry)) {
+      problems.push({
+        line: entry.line,
+        ruleId: 'suppressions/unused',
+        message: `Unused ci-standards-${entry.directive} for ${name} - no violation is suppressed`,
+      });
+    }
+  }
+
+  return { kept, problems };
+}
+
+module.exports = {
+  ALL_RULES,
+  parseSuppressions,
+  applySuppressions
+};
@@ -0,0 +1,445 @@
+/**
+ * Tailwind Theme
+ * Resolves the consuming project's theme scales from tailwind.config.js (v3) or the @theme blocks of
+ * a CSS entry (v4), and finds the utility whose token is closest to a raw CSS value, so the Tailwind
+ * rules can suggest `p-4` instead of `p-{size}`
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const { parseLength, parseColor, formatNumber, colorDistance } = require('./css-values');
+
+// Tailwind v3 config files looked up in the project root when tailwind.theme is not set
+const THEME_CONFIG_FILES = ['tailwind.config.js', 'tailwind.config.cjs', 'tailwind.config.mjs', 'tailwind.config.ts'];
+
+// Theme keys the rules match against
+const SCALES = ['spacing', 'colors', 'fontSize', 'fontWeight', 'borderRadius'];
+
+// Tailwind v3 default scales (3.4), used when tailwindcss is not installed to resolve the config.
+// Colors are the default palette without its inherit, current and transparent keywords
+const DEFAULT_THEME = {
+  spacing: {
+    px: '1px',
+    0: '0px',
+    ...Object.fromEntries([0.5, 1, 1.5, 2, 2.5, 3, 3.5, 4, 5, 6, 7, 8, 9, 10, 11, 12, 14, 16, 20, 24, 28, 32, 36, 40, 44, 48, 52, 56, 60, 64, 72, 80, 96]
+      .map((step) => [step, `${step / 4}rem`])),
+  },
+  colors: {
+    black: '#000',
+    white: '#fff',
+    slate: { 50: '#f8fafc', 100: '#f1f5f9', 200: '#e2e8f0', 300: '#cbd5e1', 400: '#94a3b8', 500: '#64748b', 600: '#475569', 700: '#334155', 800: '#1e293b', 900: '#0f172a', 950: '#020617' },
+    gray: { 50: '#f9fafb', 100: '#f3f4f6', 200: '#e5e7eb', 300: '#d1d5db', 400: '#9ca3af', 500: '#6b7280', 600: '#4b5563', 700: '#374151', 800: '#1f2937', 900: '#111827', 950: '#030712' },
+    zinc: { 50: '#fafafa', 100: '#f4f4f5', 200: '#e4e4e7', 300: '#d4d4d8', 400: '#a1a1aa', 500: '#71717a', 600: '#52525b', 700: '#3f3f46', 800: '#27272a', 900: '#18181b', 950: '#09090b' },
+    neutral: { 50: '#fafafa', 100: '#f5f5f5', 200: '#e5e5e5', 300: '#d4d4d4', 400: '#a3a3a3', 500: '#737373', 600: '#525252', 700: '#404040', 800: '#262626', 900: '#171717', 950: '#0a0a0a' },
+    stone: { 50: '#fafaf9', 100: '#f5f5f4', 200: '#e7e5e4', 300: '#d6d3d1', 400: '#a8a29e', 500: '#78716c', 600: '#57534e', 700: '#44403c', 800: '#292524', 900: '#1c1917', 950: '#0c0a09' },
+    red: { 50: '#fef2f2', 100: '#fee2e2', 200: '#fecaca', 300: '#fca5a5', 400: '#f87171', 500: '#ef4444', 600: '#dc2626', 700: '#b91c1c', 800: '#991b1b', 900: '#7f1d1d', 950: '#450a0a' },
+    orange: { 50: '#fff7ed', 100: '#ffedd5', 200: '#fed7aa', 300: '#fdba74', 400: '#fb923c', 500: '#f97316', 600: '#ea580c', 700: '#c2410c', 800: '#9a3412', 900: '#7c2d12', 950: '#431407' },
+    amber: { 50: '#fffbeb', 100: '#fef3c7', 200: '#fde68a', 300: '#fcd34d', 400: '#fbbf24', 500: '#f59e0b', 600: '#d97706', 700: '#b45309', 800: '#92400e', 900: '#78350f', 950: '#451a03' },
+    yellow: { 50: '#fefce8', 100: '#fef9c3', 200: '#fef08a', 300: '#fde047', 400: '#facc15', 500: '#eab308', 600: '#ca8a04', 700: '#a16207', 800: '#854d0e', 900: '#713f12', 950: '#422006' },
+    lime: { 50: '#f7fee7', 100: '#ecfccb', 200: '#d9f99d', 300: '#bef264', 400: '#a3e635', 500: '#84cc16', 600: '#65a30d', 700: '#4d7c0f', 800: '#3f6212', 900: '#365314', 950: '#1a2e05' },
+    green: { 50: '#f0fdf4', 100: '#dcfce7', 200: '#bbf7d0', 300: '#86efac', 400: '#4ade80', 500: '#22c55e', 600: '#16a34a', 700: '#15803d', 800: '#166534', 900: '#14532d', 950: '#052e16' },
+    emerald: { 50: '#ecfdf5', 100: '#d1fae5', 200: '#a7f3d0', 300: '#6ee7b7', 400: '#34d399', 500: '#10b981', 600: '#059669', 700: '#047857', 800: '#065f46', 900: '#064e3b', 950: '#022c22' },
+    teal: { 50: '#f0fdfa', 100: '#ccfbf1', 200: '#99f6e4', 300: '#5eead4', 400: '#2dd4bf', 500: '#14b8a6', 600: '#0d9488', 700: '#0f766e', 800: '#115e59', 900: '#134e4a', 950: '#042f2e' },
+    cyan: { 50: '#ecfeff', 100: '#cffafe', 200: '#a5f3fc', 300: '#67e8f9', 400: '#22d3ee', 500: '#06b6d4', 600: '#0891b2', 700: '#0e7490', 800: '#155e75', 900: '#164e63', 950: '#083344' },
+    sky: { 50: '#f0f9ff', 100: '#e0f2fe', 200: '#bae6fd', 300: '#7dd3fc', 400: '#38bdf8', 500: '#0ea5e9', 600: '#0284c7', 700: '#0369a1', 800: '#075985', 900: '#0c4a6e', 950: '#082f49' },
+    blue: { 50: '#eff6ff', 100: '#dbeafe', 200: '#bfdbfe', 300: '#93c5fd', 400: '#60a5fa', 500: '#3b82f6', 600: '#2563eb', 700: '#1d4ed8', 800: '#1e40af', 900: '#1e3a8a', 950: '#172554' },
+    indigo: { 50: '#eef2ff', 100: '#e0e7ff', 200: '#c7d2fe', 300: '#a5b4fc', 400: '#818cf8', 500: '#6366f1', 600: '#4f46e5', 700: '#4338ca', 800: '#3730a3', 900: '#312e81', 950: '#1e1b4b' },
+    violet: { 50: '#f5f3ff', 100: '#ede9fe', 200: '#ddd6fe', 300: '#c4b5fd', 400: '#a78bfa', 500: '#8b5cf6', 600: '#7c3aed', 700: '#6d28d9', 800: '#5b21b6', 900: '#4c1d95', 950: '#2e1065' },
+    purple: { 50: '#faf5ff', 100: '#f3e8ff', 200: '#e9d5ff', 300: '#d8b4fe', 400: '#c084fc', 500: '#a855f7', 600: '#9333ea', 700: '#7e22ce', 800: '#6b21a8', 900: '#581c87', 950: '#3b0764' },
+    fuchsia: { 50: '#fdf4ff', 100: '#fae8ff', 200: '#f5d0fe', 300: '#f0abfc', 400: '#e879f9', 500: '#d946ef', 600: '#c026d3', 700: '#a21caf', 800: '#86198f', 900: '#701a75', 950: '#4a044e' },
+    pink: { 50: '#fdf2f8', 100: '#fce7f3', 200: '#fbcfe8', 300: '#f9a8d4', 400: '#f472b6', 500: '#ec4899', 600: '#db2777', 700: '#be185d', 800: '#9d174d', 900: '#831843', 950: '#500724' },
+    rose: { 50: '#fff1f2', 100: '#ffe4e6', 200: '#fecdd3', 300: '#fda4af', 400: '#fb7185', 500: '#f43f5e', 600: '#e11d48', 700: '#be123c', 800: '#9f1239', 900: '#881337', 950: '#4c0519' },
+  },
+  fontSize: {
+    xs: '0.75rem',
+    sm: '0.875rem',
+    base: '1rem',
+    lg: '1.125rem',
+    xl: '1.25rem',
+    '2xl': '1.5rem',
+    '3xl': '1.875rem',
+    '4xl': '2.25rem',
+    '5xl': '3rem',
+    '6xl': '3.75rem',
+    '7xl': '4.5rem',
+    '8xl': '6rem',
+    '9xl': '8rem',
+  },
+  fontWeight: {
+    thin: '100',
+    extralight: '200',
+    light: '300',
+    normal: '400',
+    medium: '500',
+    semibold: '600',
+    bold: '700',
+    extrabold: '800',
+    black: '900',
+  },
+  borderRadius: {
+    none: '0px',
+    sm: '0.125rem',
+    DEFAULT: '0.25rem',
+    md: '0.375rem',
+    lg: '0.5rem',
+    xl: '0.75rem',
+    '2xl': '1rem',
+    '3xl': '1.5rem',
+    full: '9999px',
+  },
+};
+
+// Tailwind v4 theme variable namespaces, by theme key
+const CSS_NAMESPACES = {
+  color: 'colors',
+  spacing: 'spacing',
+  text: 'fontSize',
+  'font-weight': 'fontWeight',
+  radius: 'borderRadius',
+};
+
+// Keyword font weights
+const FONT_WEIGHT_KEYWORDS = { normal: '400', bold: '700' };
+
+// Resolved themes by file path
+const themeCache = new Map();
+
+/**
+ * Flattens a theme scale to utility suffixes and values
+ * Nested colors become 'blue-700', DEFAULT keys name the parent, and [value, options] tuples keep the value
+ * @param {Object} scale - Theme scale from a Tailwind config
+ * @param {string} [prefix] - Suffix of the parent entry
+ * @returns {Object} Map of utility suffix to CSS value ('DEFAULT' for the bare utility)
+ */
+function flattenScale(scale, prefix = '') {
+  const flat = {};
+  for (const [key, value] of Object.entries(scale || {})) {
+    const name = key === 'DEFAULT' ? (prefix || 'DEFAULT') : prefix ? `${prefix}-${key}` : key;
+    const entry = Array.isArray(value) ? value[0] : value;
+    if (typeof entry === 'string' || typeof entry === 'number') {
+      flat[name] = String(entry);
+    } else if (entry && typeof entry === 'object') {
+      Object.assign(flat, flattenScale(entry, name));
+    }
+  }
+  return flat;
+}
+
+/**
+ * Converts flattened scales into token lists with comparable values
+ * @param {Object} scales - Map of theme key to flattened scale
+ * @param {number|null} spacingStep - Pixels per spacing step for v4's open spacing scale, or null
+ * @param {string} file - File the theme came from
+ * @returns {Object} Theme with a token list per key: {name, value, px} for lengths, {name, value, hex} for colors
+ */
+function buildTheme(scales, spacingStep, file) {
+  const theme = { file, spacingStep };
+  for (const key of SCALES) {
+    theme[key] = Object.entries(scales[key] || {}).map(([name, value]) => {
+      if (key === 'colors') return { name, value, hex: parseColor(value) };
+      if (key === 'fontWeight') return { name, value, weight: Number(value) };
+      return { name, value, px: parseLength(value) };
+    }).filter((token) => token.hex || Number.isFinite(token.px) || Number.isFinite(token.weight));
+  }
+  return theme;
+}
+
+/**
+ * Compiles an ES module or TypeScript config to CommonJS with TypeScript and runs it
+ * Its own imports are required from the config's directory
+ * @param {string} file - Absolute path of the config
+ * @returns {Object} The module's exports
+ */
+function compileConfig(file) {
+  const ts = require('typescript');
+  // TypeScript keeps ES module syntax for .mjs/.mts names, so compile under the plain extension
+  const { outputText } = ts.transpileModule(fs.readFileSync(file, 'utf8'), {
+    fileName: file.replace(/\.[cm]([jt]s)$/, '.$1'),
+    compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2020, esModuleInterop: true },
+  });
+  const compiled = new Module(file, module);
+  compiled.filename = file;
+  compiled.paths = Module._nodeModulePaths(path.dirname(file));
+  compiled._compile(outputText, file);
+  return compiled.exports;
+}
+
+/**
+ * Loads a Tailwind v3 config in any of the formats Tailwind accepts
+ * CommonJS configs are required; `export default` configs (.mjs, .ts, or .js in an ES module
+ * package) are compiled when Node cannot require them, and their default export is used
+ * @param {string} file - Absolute path of the config
+ * @returns {Object} The config object
+ */
+function loadConfigModule(file) {
+  let exported;
+  if (/\.[cm]?ts$/.test(file)) {
+    exported = compileConfig(file);
+  } else {
+    try {
+      exported = require(file);
+    } catch (error) {
+      if (error.code !== 'ERR_REQUIRE_ESM' && !(error instanceof SyntaxError)) throw error;
+      exported = compileConfig(file);
+    }
+  }
+  return exported && exported.default !== undefined ? exported.default : exported;
+}
+
+/**
+ * Resolves a Tailwind v3 config
+ * Uses the project's tailwindcss/resolveConfig when installed, so plugin and function values are
+ * included; otherwise merges theme and theme.extend over the default scales and palette
+ * @param {string} file - Absolute path of tailwind.config.js/.cjs/.mjs/.ts
+ * @returns {Object} Theme from buildTheme
+ */
+function readConfigTheme(file) {
+  const userConfig = loadConfigModule(file);
+  let resolveConfig = null;
+  try {
+    resolveConfig = require(require.resolve('tailwindcss/resolveConfig', { paths: [path.dirname(file)] }));
+  } catch {
+    // tailwindcss is not installed next to the config
+  }
+
+  const scales = {};
+  if (resolveConfig) {
+    const { theme } = resolveConfig(userConfig);
+    for (const key of SCALES) scales[key] = flattenScale(theme[key]);
+  } else {
+    const theme = userConfig.theme || {};
+    const extend = theme.extend || {};
+    for (const key of SCALES) {
+      const base = typeof theme[key] === 'object' ? theme[key] : DEFAULT_THEME[key];
+      const extra = typeof extend[key] === 'object' ? extend[key] : {};
+      scales[key] = { ...flattenScale(base), ...flattenScale(extra) };
+    }
+  }
+  return buildTheme(scales, null, file);
+}
+
+/**
+ * Collects the theme variables of a CSS file and the files it imports
+ * @param {string} file - Absolute path of the CSS file
+ * @param {Array<[string, string]>} variables - Variables found so far, in order
+ * @param {Set<string>} visited - Files already read
+ */
+function collectThemeVariables(file, variables, visited) {
+  if (visited.has(file)) return;
+  visited.add(file);
+  const css = fs.readFileSync(file, 'utf8').replace(/\/\*[\s\S]*?\*\//g, '');
+  const dir = path.dirname(file);
+
+  // `@import "tailwindcss"` brings in the default theme; relative imports may hold more @theme blocks
+  for (const [, specifier] of css.matchAll(/@import\s+(?:url\()?\s*["']([^"']+)["']/g)) {
+    if (specifier === 'tailwindcss') {
+      try {
+        collectThemeVariables(require.resolve('tailwindcss/theme.css', { paths: [dir] }), variables, visited);
+      } catch {
+        // tailwindcss is not installed; only the project's own variables are known
+      }
+    } else if (specifier.startsWith('.')) {
+      const imported = path.resolve(dir, specifier);
+      if (fs.existsSync(imported)) collectThemeVariables(imported, variables, visited);
+    }
+  }
+
+  for (const start of css.matchAll(/@theme\b[^{;]*\{/g)) {
+    let depth = 1;
+    let end = start.index + start[0].length;
+    for (; end < css.length && depth > 0; end++) {
+      if (css[end] === '{') depth++;
+      if (css[end] === '}') depth--;
+    }
+    const block = css.slice(start.index + start[0].length, end - 1);
+    for (const [, name, value] of block.matchAll(/(--[\w.*-]+)\s*:\s*([^;]+)/g)) {
+      variables.push([name, value.trim()]);
+    }
+  }
+}
+
+/**
+ * Resolves a Tailwind v4 theme from the @theme blocks of a CSS entry
+ * `--color-*: initial` clears a namespace, and `--spacing` sets the step of the open spacing scale
+ * @param {string} file - Absolute path of the CSS entry
+ * @returns {Object} Theme from buildTheme
+ */
+function readCssTheme(file) {
+  const variables = [];
+  collectThemeVariables(file, variables, new Set());
+
+  const scales = Object.fromEntries(SCALES.map((key) => [key, {}]));
+  let spacingStep = null;
+  for (const [name, value] of variables) {
+    if (value === 'initial') {
+      const namespace = name.match(/^--([\w-]+)-\*$/);
+      if (name === '--*') {
+        for (const key of SCALES) scales[key] = {};
+        spacingStep = null;
+      } else if (namespace && CSS_NAMESPACES[namespace[1]]) {
+        scales[CSS_NAMESPACES[namespace[1]]] = {};
+      }
+      continue;
+    }
+    if (name === '--spacing') {
+      spacingStep = parseLength(value);
+      continue;
+    }
+    if (name === '--radius') {
+      scales.borderRadius.DEFAULT = value;
+      continue;
+    }
+    // --text-sm--line-height and similar are options of a token, not tokens
+    const match = name.match(/^--(color|spacing|text|font-weight|radius)-([\w.-]+)$/);
+    if (match && !match[2].includes('--')) scales[CSS_NAMESPACES[match[1]]][match[2]] = value;
+  }
+
+  // Static utilities that exist whatever the theme says
+  scales.borderRadius = { none: '0px', ...scales.borderRadius, full: '9999px' };
+  if (spacingStep) scales.spacing = { px: '1px', ...scales.spacing };
+  return buildTheme(scales, spacingStep, file);
+}
+
+/**
+ * Loads and resolves a Tailwind theme file, once per process
+ * @param {string} file - Absolute path of a tailwind.config.js/.cjs/.mjs/.ts or a CSS file with @theme blocks
+ * @returns {Object} Theme with spacing, colors, fontSize, fontWeight and borderRadius token lists
+ */
+function loadTailwindTheme(file) {
+  if (!themeCache.has(file)) {
+    try {
+      themeCache.set(file, file.endsWith('.css') ? readCssTheme(file) : readConfigTheme(file));
+    } catch (error) {
+      throw new Error(`Could not load Tailwind theme from ${file}: ${error.message}`);
+    }
+  }
+  return themeCache.get(file);
+}
+
+/**
+ * Finds the theme a project's CSS is checked against
+ * A theme file that exists but cannot be loaded, such as a config requiring tailwindcss/colors or a
+ * plugin the project has not installed, is reported once and replaced by the default scales and
+ * palette, so the CSS and template rules keep running
+ * @param {string} root - Config root directory
+ * @param {string|false} [setting] - tailwind.theme from config: a path relative to root, or false to disable
+ * @returns {Object|null} Theme from loadTailwindTheme, or null when there is none
+ */
+function resolveTailwindTheme(root, setting) {
+  if (setting === false) return null;
+  const file = setting
+    ? path.resolve(root, setting)
+    : THEME_CONFIG_FILES.map((name) => path.join(root, name)).find((candidate) => fs.existsSync(candidate));
+  if (!file) return null;
+  if (!fs.existsSync(file)) throw new Error(`Could not load Tailwind theme from ${file}: file not found`);
+
+  try {
+    return loadTailwindTheme(file);
+  } catch (error) {
+    // Only the first line: module errors go on to list the require stack
+    console.error(`⚠️ ${error.message.split('\n')[0]}. Suggesting tokens from the default Tailwind theme instead.`);
+    const scales = {};
+    for (const key of SCALES) scales[key] = flattenScale(DEFAULT_THEME[key]);
+    themeCache.set(file, buildTheme(scales, null, file));
+    return themeCache.get(file);
+  }
+}
+
+/**
+ * Describes how far a token is from the value it replaces
+ * @param {number} difference - Token minus value
+ * @param {string} unit - Unit to show
+ * @returns {string} Such as '1px more' or '50 less'
+ */
+function describeDifference(difference, unit) {
+  return `${formatNumber(Math.abs(difference))}${unit} ${difference > 0 ? 'more' : 'less'}`;
+}
+
+/**
+ * Finds the length token nearest a pixel value, including v4's open spacing scale
+ * @param {Object} theme - Theme from loadTailwindTheme
+ * @param {string} key - Theme key
+ * @param {number} px - Value in pixels
+ * @returns {{name: string, px: number}|null} Nearest token
+ */
+function nearestLength(theme, key, px) {
+  let best = null;
+  for (const token of theme[key]) {
+    if (!best || Math.abs(token.px - px) < Math.abs(best.px - px)) best = token;
+  }
+  if (key === 'spacing' && theme.spacingStep) {
+    // Any multiple of a quarter step is a valid v4 spacing utility
+    const steps = Math.round((px / theme.spacingStep) * 4) / 4;
+    const stepPx = steps * theme.spacingStep;
+    if (!best || Math.abs(stepPx - px) < Math.abs(best.px - px)) best = { name: String(steps), px: stepPx };
+  }
+  return best;
+}
+
+/**
+ * Finds the theme token for a declaration value and the utility that applies it
+ * @param {Object} theme - Theme from loadTailwindTheme
+ * @param {{tailwind: string, scale: string}} info - Property mapping with the theme key its values come from
+ * @param {string} property - CSS property
+ * @param {string} value - CSS value
+ * @returns {{utility: string, value: string, exact: boolean, note: string|null}|null} The utility, the token
+ *   value, whether it matches exactly, and how far off it is when not; null when the value is not comparable
+ */
+function suggestUtility(theme, info, property, value) {
+  const prefix = (info.tailwind.match(/^([\w-]+?)-\{\w+\}$/) || [])[1];
+  if (!prefix || !theme[info.scale] || (theme[info.scale].length === 0 && !(info.scale === 'spacing' && theme.spacingStep))) return null;
+
+  let token = null;
+  let note = null;
+  let negative = false;
+  if (info.scale === 'colors') {
+    const hex = parseColor(value);
+    if (!hex) return null;
+    let distance = Infinity;
+    for (const candidate of theme.colors) {
+      const candidateDistance = candidate.hex === hex ? 0 : colorDistance(candidate.hex, hex);
+      if (candidateDistance < distance) {
+        token = candidate;
+        distance = candidateDistance;
+      }
+    }
+    if (token && distance > 0) note = `${token.hex}, ΔE ${formatNumber(distance)}`;
+  } else if (info.scale === 'fontWeight') {
+    const weight = Number(FONT_WEIGHT_KEYWORDS[value] || value);
+    if (!Number.isFinite(weight)) return null;
+    for (const candidate of theme.fontWeight) {
+      if (!token || Math.abs(candidate.weight - weight) < Math.abs(token.weight - weight)) token = candidate;
+    }
+    if (token && token.weight !== weight) note = `${token.weight}, ${describeDifference(token.weight - weight, '')}`;
+  } else {
+    let px = parseLength(value);
+    if (px === null) return null;
+    // Negative margins have utilities of their own (-mt-4); nothing else goes below zero
+    if (px < 0) {
+      if (!property.startsWith('margin')) return null;
+      negative = true;
+      px = -px;
+    }
+    token = nearestLength(theme, info.scale, px);
+    if (token && token.px !== px) note = `${formatNumber(token.px)}px, ${describeDifference(token.px - px, 'px')}`;
+  }
+  if (!token) return null;
+
+  const utility = token.name === 'DEFAULT' ? prefix : `${prefix}-${token.name}`;
+  return {
+    utility: negative ? `-${utility}` : utility,
+    value: token.value || `${formatNumber(token.px)}px`,
+    exact: note === null,
+    note,
+  };
+}
+
+module.exports = {
+  THEME_CONFIG_FILES,
+  DEFAULT_THEME,
+  flattenScale,
+  loadTailwindTheme,
+  resolveTailwindTheme,
+  suggestUtility
+};
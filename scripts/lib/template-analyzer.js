@@ -0,0 +1,417 @@
+/**
+ * Template Analyzer
+ * Parses Angular templates with @angular/compiler and describes the attributes, bindings and bound
+ * expressions the template rules check, with their exact position. Elements written with a `*`
+ * directive (*ngIf, *ngFor) are described once: the directive as a 'structural' attribute and the
+ * element's own attributes as usual
+ *
+ * Expressions cover interpolations, property and event bindings, and the parameters of @if, @for,
+ * @switch and @let blocks, each with the pipes and calls it contains
+ *
+ * The compiler is loaded on the first template, from the project when it has one, so `check ts` and
+ * `check css` run without it and templates parse with the project's own Angular version. Without a
+ * compiler Node can load, the template rules are skipped with a warning
+ */
+
+const path = require('path');
+
+// Node versions that can require() an ES module; @angular/compiler ships only as one
+const COMPILER_NODE_VERSIONS = '^20.19, ^22.12 or >=24';
+
+// Attribute kinds by BindingType name; two-way bindings ([(x)]) are property bindings with an event.
+// Angular 20.2 renamed the @angular/animations binding from Animation to LegacyAnimation
+const BINDING_KINDS = {
+  Property: 'property',
+  TwoWay: 'property',
+  Attribute: 'attribute',
+  Class: 'class',
+  Style: 'style',
+  LegacyAnimation: 'animation',
+  Animation: 'animation',
+};
+
+// Collector classes built on each loaded compiler, by its exports
+const collectorClasses = new WeakMap();
+
+// Reasons the compiler could not be loaded that have been warned about
+const unavailableWarnings = new Set();
+
+/**
+ * Creates the error for a compiler that is missing or that this Node version cannot load
+ * @param {string} message - What is missing and how to get it
+ * @returns {Error} Error with code COMPILER_UNAVAILABLE
+ */
+function compilerUnavailable(message) {
+  return Object.assign(new Error(message), { code: 'COMPILER_UNAVAILABLE' });
+}
+
+/**
+ * Loads @angular/compiler for a file, preferring the copy installed in its project
+ * @param {string} file - Template or component file the project's copy is resolved from
+ * @returns {Object} The compiler's exports
+ */
+function loadCompiler(file) {
+  let resolved;
+  try {
+    resolved = require.resolve('@angular/compiler', { paths: [path.dirname(path.resolve(file))] });
+  } catch {
+    try {
+      resolved = require.resolve('@angular/compiler');
+    } catch {
+      throw compilerUnavailable('Checking Angular templates needs @angular/compiler. Install it in the project or next to ci-standards.');
+    }
+  }
+  try {
+    return require(resolved);
+  } catch (error) {
+    if (error.code !== 'ERR_REQUIRE_ESM') throw error;
+    throw compilerUnavailable(
+      `@angular/compiler is an ES module, which Node ${process.version} cannot require. ` +
+      `Checking Angular templates needs Node ${COMPILER_NODE_VERSIONS}.`
+    );
+  }
+}
+
+/**
+ * Checks whether the templates of a file can be parsed, warning once for each reason they cannot
+ * @param {string} file - Template or component file
+ * @returns {boolean} False when @angular/compiler is missing or this Node version cannot load it
+ */
+function canAnalyzeTemplates(file) {
+  try {
+    loadCompiler(file);
+    return true;
+  } catch (error) {
+    if (error.code !== 'COMPILER_UNAVAILABLE') throw error;
+    if (!unavailableWarnings.has(error.message)) {
+      unavailableWarnings.add(error.message);
+      console.error(`⚠️ ${error.message} Skipping the template rules.`);
+    }
+    return false;
+  }
+}
+
+/**
+ * Builds a function converting source offsets to 1-based lines and columns
+ * @param {string} content - Template source
+ * @returns {function(number): {line: number, column: number}} Offset to position
+ */
+function createLocator(content) {
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') lineStarts.push(i + 1);
+  }
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
+
+/**
+ * Names the function a call expression calls, with the objects it is read from
+ * @param {Object} ng - @angular/compiler exports
+ * @param {Object} receiver - Receiver of the call, such as the PropertyRead of console.log
+ * @returns {string|null} Dotted name such as 'console.log', or null for calls on other expressions
+ */
+function calleeName(ng, receiver) {
+  if (receiver instanceof ng.ImplicitReceiver) return '';
+  if (!(receiver instanceof ng.PropertyRead) && !(receiver instanceof ng.SafePropertyRead)) return null;
+  const parent = calleeName(ng, receiver.receiver);
+  if (parent === null) return null;
+  return parent ? `${parent}.${receiver.name}` : receiver.name;
+}
+
+/**
+ * Builds the collector classes on a compiler's visitors, once per loaded compiler
+ * @param {Object} ng - @angular/compiler exports
+ * @returns {{TemplateCollector: Function}} Collector classes
+ */
+function getCollectors(ng) {
+  if (collectorClasses.has(ng)) return collectorClasses.get(ng);
+
+  /**
+   * Collects the pipes and calls of an expression
+   */
+  class ExpressionCollector extends ng.RecursiveAstVisitor {
+    /**
+     * @param {function(number): {line: number, column: number}} locate - Offset to position
+     */
+    constructor(locate) {
+      super();
+      this.locate = locate;
+      this.pipes = [];
+      this.calls = [];
+    }
+
+    /**
+     * Records a pipe by name
+     * @param {Object} ast - BindingPipe
+     * @param {*} context - Visitor context
+     * @returns {*} Result of the default visit
+     */
+    visitPipe(ast, context) {
+      this.pipes.push({ name: ast.name, ...this.locate(ast.nameSpan.start) });
+      return super.visitPipe(ast, context);
+    }
+
+    /**
+     * Records a call by its callee's dotted name
+     * @param {Object} ast - Call
+     * @param {*} context - Visitor context
+     * @returns {*} Result of the default visit
+     */
+    visitCall(ast, context) {
+      this.recordCall(ast);
+      return super.visitCall(ast, context);
+    }
+
+    /**
+     * Records a safe call (a?.b()) by its callee's dotted name
+     * @param {Object} ast - SafeCall
+     * @param {*} context - Visitor context
+     * @returns {*} Result of the default visit
+     */
+    visitSafeCall(ast, context) {
+      this.recordCall(ast);
+      return super.visitSafeCall(ast, context);
+    }
+
+    /**
+     * Adds a call to the list when its callee has a name
+     * @param {Object} ast - Call or SafeCall
+     */
+    recordCall(ast) {
+      const name = calleeName(ng, ast.receiver);
+      if (name) this.calls.push({ name, ...this.locate(ast.sourceSpan.start) });
+    }
+  }
+
+  /**
+   * Walks a parsed template, collecting attributes and expressions
+   */
+  class TemplateCollector extends ng.TmplAstRecursiveVisitor {
+    /**
+     * @param {string} content - Template source
+     */
+    constructor(content) {
+      super();
+      this.content = content;
+      this.locate = createLocator(content);
+      this.attributes = [];
+      this.expressions = [];
+    }
+
+    /**
+     * Gets the position fields of an offset range
+     * @param {number} start - Start offset
+     * @param {number} end - End offset (exclusive)
+     * @returns {{line: number, column: number, endLine: number, endColumn: number}} Start and end
+     */
+    position(start, end) {
+      const from = this.locate(start);
+      const to = this.locate(end);
+      return { line: from.line, column: from.column, endLine: to.line, endColumn: to.column };
+    }
+
+    /**
+     * Records a bound expression with its pipes and calls
+     * @param {Object|null} expression - ASTWithSource, or null for blocks without one (@else, @default)
+     * @param {string} context - 'interpolation', 'binding', 'event' or 'block'
+     * @param {string|null} element - Tag name of the element it is bound on
+     */
+    addExpression(expression, context, element = null) {
+      if (!expression || !expression.sourceSpan) return;
+      const collector = new ExpressionCollector(this.locate);
+      expression.visit(collector);
+      this.expressions.push({
+        source: (expression.source || '').trim(),
+        ast: expression.ast,
+        context,
+        element,
+        ...this.position(expression.sourceSpan.start, expression.sourceSpan.end),
+        pipes: collector.pipes,
+        calls: collector.calls,
+      });
+    }
+
+    /**
+     * Records one attribute or binding as written
+     * @param {Object} node - TextAttribute, BoundAttribute or BoundEvent
+     * @param {string} element - Tag name
+     * @param {string} kind - Attribute kind
+     * @param {string} value - Static value or expression source
+     * @param {Object|null} ast - Expression AST of bound values
+     */
+    addAttribute(node, element, kind, value, ast) {
+      const { start, end } = node.sourceSpan;
+      const text = this.content.slice(start.offset, end.offset);
+      this.attributes.push({
+        element,
+        kind,
+        name: node.name,
+        key: text.split('=')[0].trim(),
+        value,
+        ast,
+        unit: node.unit || null,
+        ...this.position(start.offset, end.offset),
+      });
+    }
+
+    /**
+     * Records the attributes, bindings and events of an element or explicit <ng-template>
+     * @param {Object} node - Element or Template
+     * @param {string} element - Tag name
+     */
+    collectAttributes(node, element) {
+      for (const attribute of node.attributes) this.addAttribute(attribute, element, 'static', attribute.value, null);
+      for (const input of node.inputs) {
+        this.addAttribute(input, element, BINDING_KINDS[ng.BindingType[input.type]] || 'property', input.value.source.trim(), input.value.ast);
+        this.addExpression(input.value, 'binding', element);
+      }
+      for (const output of node.outputs) {
+        // The event half of a two-way binding is already recorded with its property
+        if (output.type === ng.ParsedEventType.TwoWay) continue;
+        this.addAttribute(output, element, 'event', output.handler.source.trim(), output.handler.ast);
+        this.addExpression(output.handler, 'event', element);
+      }
+    }
+
+    /**
+     * Records an element and walks its children
+     * @param {Object} element - TmplAstElement
+     */
+    visitElement(element) {
+      this.collectAttributes(element, element.name);
+      ng.tmplAstVisitAll(this, element.children);
+    }
+
+    /**
+     * Records a `*` directive, or the attributes of an explicit <ng-template>, and walks the children
+     * The element a `*` directive sits on is the template's child, so its attributes are recorded there
+     * @param {Object} template - TmplAstTemplate
+     */
+    visitTemplate(template) {
+      if (template.tagName === 'ng-template' || template.templateAttrs.length === 0) {
+        this.collectAttributes(template, 'ng-template');
+      } else {
+        const [directive] = template.templateAttrs;
+        const start = directive.keySpan.start.offset - 1;
+        // The directive runs from its `*` to the closing quote of its microsyntax, if it has one
+        const rest = this.content.slice(directive.keySpan.end.offset);
+        const quoted = rest.match(/^\s*=\s*(["'])([\s\S]*?)\1/);
+        const end = directive.keySpan.end.offset + (quoted ? quoted[0].length : 0);
+        this.attributes.push({
+          element: template.tagName,
+          kind: 'structural',
+          name: directive.name,
+          key: `*${directive.name}`,
+          value: quoted ? quoted[2].trim() : '',
+          ast: null,
+          unit: null,
+          ...this.position(start, end),
+        });
+        for (const input of template.templateAttrs) {
+          if (input.value instanceof ng.ASTWithSource) this.addExpression(input.value, 'binding', template.tagName);
+        }
+      }
+      ng.tmplAstVisitAll(this, template.children);
+    }
+
+    /**
+     * Records an interpolation in text
+     * @param {Object} text - TmplAstBoundText
+     */
+    visitBoundText(text) {
+      this.addExpression(text.value, 'interpolation');
+    }
+
+    /**
+     * Records the condition of an @if or @else if branch
+     * @param {Object} branch - TmplAstIfBlockBranch
+     */
+    visitIfBlockBranch(branch) {
+      this.addExpression(branch.expression, 'block');
+      super.visitIfBlockBranch(branch);
+    }
+
+    /**
+     * Records the collection and track expression of an @for block
+     * @param {Object} block - TmplAstForLoopBlock
+     */
+    visitForLoopBlock(block) {
+      this.addExpression(block.expression, 'block');
+      this.addExpression(block.trackBy, 'block');
+      super.visitForLoopBlock(block);
+    }
+
+    /**
+     * Records the value an @switch block switches on
+     * @param {Object} block - TmplAstSwitchBlock
+     */
+    visitSwitchBlock(block) {
+      this.addExpression(block.expression, 'block');
+      super.visitSwitchBlock(block);
+    }
+
+    /**
+     * Records the value of an @case
+     * @param {Object} block - TmplAstSwitchBlockCase
+     */
+    visitSwitchBlockCase(block) {
+      this.addExpression(block.expression, 'block');
+    }
+
+    /**
+     * Records the value of an @let declaration
+     * @param {Object} declaration - TmplAstLetDeclaration
+     */
+    visitLetDeclaration(declaration) {
+      this.addExpression(declaration.value, 'block');
+    }
+  }
+
+  const classes = { TemplateCollector };
+  collectorClasses.set(ng, classes);
+  return classes;
+}
+
+/**
+ * Describes the checkable attributes and expressions of an Angular template
+ * A binding that does not parse is returned as a syntax error next to the rest of the template; markup
+ * that does not parse (an unclosed block, a stray closing tag) leaves only the syntax error
+ * @param {string} content - Template source
+ * @param {string} [file] - File path, used in parser messages
+ * @returns {{attributes: Array<{element: string, kind: string, name: string, key: string, value: string, ast: (Object|null), unit: (string|null), line: number, column: number, endLine: number, endColumn: number}>, expressions: Array<{source: string, ast: Object, context: string, element: (string|null), line: number, column: number, endLine: number, endColumn: number, pipes: Array<{name: string, line: number, column: number}>, calls: Array<{name: string, line: number, column: number}>}>, syntaxErrors: Array<{line: number, column: number, message: string}>}} Attributes and expressions in source order
+ */
+function analyzeTemplate(content, file = 'template.html') {
+  const ng = loadCompiler(file);
+  const { TemplateCollector } = getCollectors(ng);
+  // Whitespace is kept so the parser's offsets match the source
+  const parsed = ng.parseTemplate(content, file, { preserveWhitespaces: true });
+  const collector = new TemplateCollector(content);
+  ng.tmplAstVisitAll(collector, parsed.nodes);
+
+  // Messages drop the parser's reference links and its "in file@line:col" suffix
+  const syntaxErrors = (parsed.errors || []).map((error) => ({
+    ...collector.locate(error.span.start.offset),
+    message: error.msg.split('\n')[0].replace(/ For more info see \S+$/, '').replace(/ in \S+@\d+:\d+$/, ''),
+  }));
+  const byPosition = (a, b) => a.line - b.line || a.column - b.column;
+  return {
+    attributes: collector.attributes.sort(byPosition),
+    expressions: collector.expressions.sort(byPosition),
+    syntaxErrors,
+  };
+}
+
+module.exports = {
+  loadCompiler,
+  canAnalyzeTemplates,
+  analyzeTemplate
+};
@@ -0,0 +1,358 @@
+/**
+ * TypeScript Analyzer
+ * Parses TypeScript sources with the compiler API and describes the class members the standards check
+ * Replaces line-based regex detection, so multi-line signatures, generics, accessors, async methods,
+ * arrow-function properties and overloads are all seen as real declarations. Also finds the inline
+ * styles and templates of @Component decorators, so the CSS and template rules can check them too
+ */
+
+const ts = require('typescript');
+
+// Angular reactive factories that mark a property as a signal-style member
+const REACTIVE_FACTORIES = new Set(['signal', 'computed', 'input', 'output', 'viewChild']);
+
+const NO_JSDOC = { exists: false, isSingleLine: false, startIdx: -1, endIdx: -1, content: '' };
+
+// One escape sequence of a string or template literal; a backslash before a line break continues the line
+const ESCAPE_REGEX = /\\(?:x[0-9a-fA-F]{2}|u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|\r\n|[^])/y;
+
+/**
+ * Gets the 1-based line number of a source position
+ * @param {ts.SourceFile} sourceFile - Parsed source file
+ * @param {number} pos - Character offset
+ * @returns {number} 1-based line number
+ */
+function lineOf(sourceFile, pos) {
+  return sourceFile.getLineAndCharacterOfPosition(pos).line + 1;
+}
+
+/**
+ * Reads the access modifier keyword from a declaration
+ * @param {ts.Node} node - Class member declaration
+ * @returns {string|null} 'public', 'private', 'protected' or null if none is written
+ */
+function getModifier(node) {
+  const modifiers = ts.canHaveModifiers(node) ? ts.getModifiers(node) || [] : [];
+  for (const modifier of modifiers) {
+    if (modifier.kind === ts.SyntaxKind.PublicKeyword) return 'public';
+    if (modifier.kind === ts.SyntaxKind.PrivateKeyword) return 'private';
+    if (modifier.kind === ts.SyntaxKind.ProtectedKeyword) return 'protected';
+  }
+  return null;
+}
+
+/**
+ * Describes the JSDoc block attached to a declaration
+ * Uses the same shape as getJsDocInfo so existing validators work unchanged
+ * @param {ts.Node} node - Declaration node
+ * @param {ts.SourceFile} sourceFile - Parsed source file
+ * @returns {{exists: boolean, isSingleLine: boolean, startIdx: number, endIdx: number, content: string}} JSDoc info object (0-based line indexes)
+ */
+function getNodeJsDoc(node, sourceFile) {
+  const docs = ts.getJSDocCommentsAndTags(node).filter(ts.isJSDoc);
+  if (docs.length === 0) return NO_JSDOC;
+
+  // The block closest to the declaration is the one that documents it
+  const doc = docs[docs.length - 1];
+  const startIdx = lineOf(sourceFile, doc.pos) - 1;
+  const endIdx = lineOf(sourceFile, doc.end) - 1;
+  return {
+    exists: true,
+    isSingleLine: startIdx === endIdx,
+    startIdx,
+    endIdx,
+    content: sourceFile.text.slice(doc.pos, doc.end),
+  };
+}
+
+/**
+ * Describes the parameters of a function-like declaration
+ * Destructured parameters keep the legacy name 'destructured' and are flagged
+ * @param {ts.SignatureDeclaration} fn - Function-like node
+ * @param {ts.SourceFile} sourceFile - Parsed source file
+ * @returns {Array<{name: string, type: string, destructured: boolean, optional: boolean}>} Parameter descriptions
+ */
+function getParams(fn, sourceFile) {
+  return fn.parameters
+    .filter((param) => !(ts.isIdentifier(param.name) && param.name.text === 'this'))
+    .map((param) => {
+      const destructured = !ts.isIdentifier(param.name);
+      return {
+        name: destructured ? 'destructured' : param.name.text,
+        type: param.type ? param.type.getText(sourceFile) : 'unknown',
+        destructured,
+        optional: Boolean(param.questionToken || param.initializer),
+      };
+    });
+}
+
+/**
+ * Detects Angular reactive initializers such as signal(), input.required() or viewChild<T>()
+ * @param {ts.Expression|undefined} initializer - Property initializer
+ * @returns {string|null} The factory name (signal, computed, input, output, viewChild) or null
+ */
+function getReactiveKind(initializer) {
+  if (!initializer || !ts.isCallExpression(initializer)) return null;
+  let callee = initializer.expression;
+  // input.required() / viewChild.required()
+  if (ts.isPropertyAccessExpression(callee) && callee.name.text === 'required') {
+    callee = callee.expression;
+  }
+  return ts.isIdentifier(callee) && REACTIVE_FACTORIES.has(callee.text) ? callee.text : null;
+}
+
+/**
+ * Gets the member name as written in source
+ * @param {ts.ClassElement} node - Class member
+ * @param {ts.SourceFile} sourceFile - Parsed source file
+ * @returns {string} Member name
+ */
+function getMemberName(node, sourceFile) {
+  return node.name ? node.name.getText(sourceFile) : '';
+}
+
+/**
+ * Builds the member description shared by methods, accessors and properties
+ * @param {ts.ClassElement} node - Class member
+ * @param {ts.SourceFile} sourceFile - Parsed source file
+ * @param {Object} fields - Kind-specific fields
+ * @returns {Object} Member description
+ */
+function describeMember(node, sourceFile, fields) {
+  const fn = fields.fn || null;
+  const signatureEnd = fn && fn.body ? fn.body.getStart(sourceFile) : node.end;
+  return {
+    name: getMemberName(node, sourceFile),
+    line: lineOf(sourceFile, node.name.getStart(sourceFile)),
+    startLine: lineOf(sourceFile, node.getStart(sourceFile)),
+    signatureEndLine: lineOf(sourceFile, signatureEnd),
+    endLine: lineOf(sourceFile, node.end),
+    modifier: getModifier(node),
+    returnType: fn && fn.type ? fn.type.getText(sourceFile) : null,
+    params: fn ? getParams(fn, sourceFile) : [],
+    jsDoc: getNodeJsDoc(node, sourceFile),
+    reactiveKind: null,
+    isOverload: false,
+    node,
+    ...fields,
+  };
+}
+
+/**
+ * Describes the checkable members of one class
+ * @param {ts.ClassLikeDeclaration} cls - Class declaration or expression
+ * @param {ts.SourceFile} sourceFile - Parsed source file
+ * @returns {Array<Object>} Member descriptions in source order
+ */
+function analyzeClass(cls, sourceFile) {
+  const members = [];
+  let previousMethod = null;
+
+  for (const node of cls.members) {
+    if (ts.isMethodDeclaration(node)) {
+      const name = getMemberName(node, sourceFile);
+      // Overloads share one JSDoc on the first signature; later signatures and the implementation are skipped
+      const isOverload = Boolean(previousMethod && previousMethod.name === name && !previousMethod.node.body);
+      const member = describeMember(node, sourceFile, { kind: 'method', fn: node, isOverload });
+      members.push(member);
+      previousMethod = member;
+      continue;
+    }
+    previousMethod = null;
+
+    if (ts.isGetAccessorDeclaration(node)) {
+      members.push(describeMember(node, sourceFile, { kind: 'getter', fn: node }));
+    } else if (ts.isSetAccessorDeclaration(node)) {
+      members.push(describeMember(node, sourceFile, { kind: 'setter', fn: node }));
+    } else if (ts.isPropertyDeclaration(node) && node.initializer) {
+      const init = node.initializer;
+      if (ts.isArrowFunction(init) || ts.isFunctionExpression(init)) {
+        members.push(describeMember(node, sourceFile, { kind: 'property-function', fn: init }));
+        continue;
+      }
+      const reactiveKind = getReactiveKind(init);
+      if (reactiveKind) {
+        members.push(describeMember(node, sourceFile, { kind: 'reactive', reactiveKind }));
+      }
+    }
+  }
+
+  return members;
+}
+
+/**
+ * Classifies where an `any` keyword appears
+ * @param {ts.Node} node - AnyKeyword node
+ * @param {ts.SourceFile} sourceFile - Parsed source file
+ * @returns {{line: number, context: string, name: string|null}} Location plus 'return', 'parameter' or 'other'
+ */
+function describeAny(node, sourceFile) {
+  const parent = node.parent;
+  const line = lineOf(sourceFile, node.getStart(sourceFile));
+  if (ts.isParameter(parent) && parent.type === node) {
+    return { line, context: 'parameter', name: parent.name.getText(sourceFile) };
+  }
+  if (ts.isFunctionLike(parent) && parent.type === node) {
+    return { line, context: 'return', name: parent.name ? parent.name.getText(sourceFile) : null };
+  }
+  return { line, context: 'other', name: null };
+}
+
+/**
+ * Maps each character of a literal's text to where it is written in the source
+ * Escapes such as \n or \\ and line continuations take more source characters than they produce, and
+ * template literals read CRLF line breaks as LF
+ * @param {string} raw - Source text between the quotes or backticks
+ * @returns {number[]} Source offset of each character of the literal's text, then the length of the source text
+ */
+function rawOffsets(raw) {
+  const offsets = [];
+  let index = 0;
+  while (index < raw.length) {
+    ESCAPE_REGEX.lastIndex = index;
+    const escape = ESCAPE_REGEX.exec(raw);
+    let length = 1;
+    if (escape) {
+      const sequence = escape[0];
+      if (/^\\(\r\n|[\r\n\u2028\u2029])$/.test(sequence)) length = 0;
+      else if (sequence.startsWith('\\u{')) length = parseInt(sequence.slice(3, -1), 16) > 0xffff ? 2 : 1;
+    }
+    for (let i = 0; i < length; i++) offsets.push(index);
+    if (escape) index += escape[0].length;
+    else index += raw.startsWith('\r\n', index) ? 2 : 1;
+  }
+  offsets.push(raw.length);
+  return offsets;
+}
+
+/**
+ * Describes a string literal's content and where it starts
+ * Positions inside the content are mapped through the source text, so escapes do not shift them
+ * @param {ts.StringLiteral|ts.NoSubstitutionTemplateLiteral} node - Literal
+ * @param {ts.SourceFile} sourceFile - Parsed source file
+ * @returns {{content: string, line: number, column: number, locate: function(number, number): {line: number, column: number}}} Content, the 1-based line and column of its first character, and a function mapping a 1-based line and column of the content to the source file
+ */
+function describeLiteral(node, sourceFile) {
+  // The content starts just after the opening quote or backtick
+  const start = node.getStart(sourceFile) + 1;
+  const offsets = rawOffsets(node.getText(sourceFile).slice(1, -1));
+  const lineStarts = [0];
+  for (let index = node.text.indexOf('\n'); index !== -1; index = node.text.indexOf('\n', index + 1)) {
+    lineStarts.push(index + 1);
+  }
+
+  /**
+   * Converts an offset in the source file to a 1-based line and column
+   * @param {number} pos - Character offset
+   * @returns {{line: number, column: number}} Position in the source file
+   */
+  const positionAt = (pos) => {
+    const { line, character } = sourceFile.getLineAndCharacterOfPosition(pos);
+    return { line: line + 1, column: character + 1 };
+  };
+
+  return {
+    content: node.text,
+    ...positionAt(start),
+    locate: (line, column) => {
+      const lineStart = lineStarts[Math.min(line, lineStarts.length) - 1];
+      return positionAt(start + offsets[Math.min(lineStart + column - 1, offsets.length - 1)]);
+    },
+  };
+}
+
+/**
+ * Gets a property of an @Component decorator's metadata object
+ * @param {ts.Decorator} decorator - Decorator node
+ * @param {ts.SourceFile} sourceFile - Parsed source file
+ * @param {string} name - Metadata property, such as 'styles'
+ * @returns {ts.Expression|null} The property's value, or null for other decorators and missing properties
+ */
+function getComponentProperty(decorator, sourceFile, name) {
+  const call = decorator.expression;
+  if (!ts.isCallExpression(call) || call.expression.getText(sourceFile) !== 'Component') return null;
+  const metadata = call.arguments[0];
+  if (!metadata || !ts.isObjectLiteralExpression(metadata)) return null;
+
+  const property = metadata.properties.find((candidate) => ts.isPropertyAssignment(candidate)
+    && candidate.name.getText(sourceFile).replace(/['"]/g, '') === name);
+  return property ? property.initializer : null;
+}
+
+/**
+ * Checks whether an expression is a string the analyzer can read without running code
+ * Template literals with ${} substitutions are not
+ * @param {ts.Expression} node - Expression
+ * @returns {boolean} True for string literals and plain template literals
+ */
+function isStaticString(node) {
+  return ts.isStringLiteral(node) || ts.isNoSubstitutionTemplateLiteral(node);
+}
+
+/**
+ * Finds the inline styles of an @Component decorator
+ * `styles` may be one string or an array of them; template literals with ${} substitutions cannot be
+ * checked without running them and are skipped
+ * @param {ts.Decorator} decorator - Decorator node
+ * @param {ts.SourceFile} sourceFile - Parsed source file
+ * @returns {Array<Object>} Style literals in source order, described by describeLiteral
+ */
+function findInlineStyles(decorator, sourceFile) {
+  const styles = getComponentProperty(decorator, sourceFile, 'styles');
+  if (!styles) return [];
+  const values = ts.isArrayLiteralExpression(styles) ? styles.elements : [styles];
+  return values.filter(isStaticString).map((value) => describeLiteral(value, sourceFile));
+}
+
+/**
+ * Finds the inline template of an @Component decorator, skipped like styles when it has ${} substitutions
+ * @param {ts.Decorator} decorator - Decorator node
+ * @param {ts.SourceFile} sourceFile - Parsed source file
+ * @returns {Array<Object>} The template literal described by describeLiteral, or none
+ */
+function findInlineTemplate(decorator, sourceFile) {
+  const template = getComponentProperty(decorator, sourceFile, 'template');
+  return template && isStaticString(template) ? [describeLiteral(template, sourceFile)] : [];
+}
+
+/**
+ * Parses TypeScript source and describes class members, `any` usages and inline component styles and templates
+ * @param {string} content - File content
+ * @param {string} [fileName] - File name, used to pick TS vs TSX parsing
+ * @returns {{sourceFile: ts.SourceFile, members: Array<Object>, anyTypes: Array<{line: number, context: string, name: string|null}>, inlineStyles: Array<Object>, inlineTemplates: Array<Object>}} Analysis result; inline styles and templates as described by describeLiteral
+ */
+function analyzeSource(content, fileName = 'file.ts') {
+  const scriptKind = fileName.endsWith('.tsx') ? ts.ScriptKind.TSX : ts.ScriptKind.TS;
+  const sourceFile = ts.createSourceFile(fileName, content, ts.ScriptTarget.Latest, true, scriptKind);
+  const members = [];
+  const anyTypes = [];
+  const inlineStyles = [];
+  const inlineTemplates = [];
+
+  /**
+   * Walks the tree collecting classes, any keywords and component styles and templates
+   * @param {ts.Node} node - Current node
+   */
+  function visit(node) {
+    if (ts.isClassDeclaration(node) || ts.isClassExpression(node)) {
+      members.push(...analyzeClass(node, sourceFile));
+    }
+    if (node.kind === ts.SyntaxKind.AnyKeyword) {
+      anyTypes.push(describeAny(node, sourceFile));
+    }
+    if (ts.isDecorator(node)) {
+      inlineStyles.push(...findInlineStyles(node, sourceFile));
+      inlineTemplates.push(...findInlineTemplate(node, sourceFile));
+    }
+    ts.forEachChild(node, visit);
+  }
+  visit(sourceFile);
+
+  members.sort((a, b) => a.line - b.line);
+  return { sourceFile, members, anyTypes, inlineStyles, inlineTemplates };
+}
+
+module.exports = {
+  REACTIVE_FACTORIES,
+  analyzeSource
+};
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+/**
+ * Bitbucket Cloud Pull Request Reporter
+ * Posts the comments from generate-pr-comments.js as inline pull request comments
+ * Keeps state across pipelines like post-pr-review.js: comments that already exist are skipped,
+ * comments whose violation is fixed are resolved, and changes are requested while the run is blocking
+ *
+ * Run in a pull request pipeline with a repository access token (or an app password):
+ *   BITBUCKET_ACCESS_TOKEN=... node .ci-standards/scripts/post-bitbucket-comments.js violations.json
+ * BITBUCKET_WORKSPACE, BITBUCKET_REPO_SLUG and BITBUCKET_PR_ID come from Bitbucket Pipelines
+ */
+
+const path = require('path');
+const { createClient } = require('./lib/http');
+const { loadConfig } = require('./lib/config');
+const { resolveThresholds, decideOutcome } = require('./lib/outcome');
+const {
+  DEFAULT_MAX_COMMENTS,
+  consoleLogger,
+  readComments,
+  filterInline,
+  fingerprintComments,
+  matchComments,
+  summaryBody
+} = require('./lib/review-comments');
+
+const DEFAULT_API_URL = 'https://api.bitbucket.org/2.0';
+
+// Bitbucket escapes HTML, so the fingerprint hides in a markdown link reference instead of a comment
+const FINGERPRINT_REGEX = /\[\/\/\]: # \(ci-standards:fp=([0-9a-f]+)\)/;
+
+/**
+ * Fetches every page of a Bitbucket list endpoint
+ * @param {Object} client - Client from createClient
+ * @param {string} url - List endpoint below the API root
+ * @returns {Promise<Array>} All values
+ */
+async function paginate(client, url) {
+  const items = [];
+  let next = `${url}${url.includes('?') ? '&' : '?'}pagelen=100`;
+  while (next) {
+    const { data } = await client.get(next);
+    items.push(...data.values);
+    next = data.next;
+  }
+  return items;
+}
+
+/**
+ * Converts a generated comment body to Bitbucket markdown, tagged with its fingerprint
+ * Bitbucket has no suggested changes and shows HTML as text, so suggestions become code blocks
+ * and the rule footer becomes plain markdown
+ * @param {Object} comment - Fingerprinted comment
+ * @returns {string} Comment body
+ */
+function toBitbucketBody(comment) {
+  const body = comment.body
+    .replace(/```suggestion\n([\s\S]*?)```/g, (match, replacement) => replacement
+      ? `**Suggested change:**\n\n\`\`\`\n${replacement}\`\`\``
+      : '**Suggested change:** remove the line.')
+    .replace(/<sub>Rule: `([^`]+)`<\/sub>/g, '_Rule: `$1`_');
+  return `${body}\n\n[//]: # (ci-standards:fp=${comment.fingerprint})`;
+}
+
+/**
+ * Builds the Authorization header from a token or username and app password
+ * @param {{token?: string, username?: string, appPassword?: string}} credentials - Credentials
+ * @returns {string|null} Header value, or null when no credentials are set
+ */
+function authorization({ token, username, appPassword }) {
+  if (token) return `Bearer ${token}`;
+  if (username && appPassword) return `Basic ${Buffer.from(`${username}:${appPassword}`).toString('base64')}`;
+  return null;
+}
+
+/**
+ * Syncs the pull request comments with the current violations
+ * Rejects before any request when violations.json is missing or empty, as after a crashed generator
+ * @param {Object} [options] - Options
+ * @param {string} [options.file] - Comments JSON from generate-pr-comments.js (default: violations.json)
+ * @param {string} [options.root] - Checkout the comment paths are relative to (default: cwd)
+ * @param {string} [options.apiUrl] - Bitbucket API root (default: https://api.bitbucket.org/2.0)
+ * @param {string} [options.workspace] - Workspace (default: BITBUCKET_WORKSPACE)
+ * @param {string} [options.repoSlug] - Repository slug (default: BITBUCKET_REPO_SLUG)
+ * @param {string} [options.pullRequestId] - Pull request id (default: BITBUCKET_PR_ID)
+ * @param {string} [options.token] - Access token (default: BITBUCKET_ACCESS_TOKEN)
+ * @param {string} [options.username] - Username for app password auth (default: BITBUCKET_USERNAME)
+ * @param {string} [options.appPassword] - App password (default: BITBUCKET_APP_PASSWORD)
+ * @param {string} [options.inlineSeverity] - 'warning' posts everything inline, 'error' only errors
+ * @param {number} [options.maxComments] - Most new comments to post per run (default: 60)
+ * @param {string} [options.failOn] - Overrides review.failOn from config
+ * @param {number|string} [options.maxWarnings] - Overrides review.maxWarnings from config
+ * @param {boolean} [options.approve] - Overrides review.approve from config
+ * @param {Object} [options.logger] - Logger with info and warning (default: stderr)
+ * @returns {Promise<{event: string|null, blocking: boolean, posted: number, skipped: number, resolved: number, rejected: number}>} Outcome and what changed on the pull request
+ */
+async function run({
+  file = 'violations.json',
+  root = process.cwd(),
+  apiUrl = DEFAULT_API_URL,
+  workspace = process.env.BITBUCKET_WORKSPACE,
+  repoSlug = process.env.BITBUCKET_REPO_SLUG,
+  pullRequestId = process.env.BITBUCKET_PR_ID,
+  token = process.env.BITBUCKET_ACCESS_TOKEN,
+  username = process.env.BITBUCKET_USERNAME,
+  appPassword = process.env.BITBUCKET_APP_PASSWORD,
+  inlineSeverity = 'warning',
+  maxComments = DEFAULT_MAX_COMMENTS,
+  failOn,
+  maxWarnings,
+  approve,
+  logger = consoleLogger,
+} = {}) {
+  const auth = authorization({ token, username, appPassword });
+  const missing = Object.entries({ workspace, repoSlug, pullRequestId, token: auth }).filter(([, value]) => !value);
+  if (missing.length > 0) {
+    throw new Error(`Missing Bitbucket settings: ${missing.map(([key]) => key).join(', ')}`);
+  }
+
+  const summary = { event: null, blocking: false, posted: 0, skipped: 0, resolved: 0, rejected: 0 };
+  const raw = readComments(file);
+
+  const thresholds = resolveThresholds(loadConfig({ cwd: root }), { failOn, maxWarnings, approve });
+  const outcome = decideOutcome(raw, thresholds);
+  summary.event = outcome.event;
+  summary.blocking = outcome.blocking;
+
+  const comments = fingerprintComments(filterInline(raw, inlineSeverity), root);
+  logger.info(`Found ${raw.length} violations, ${comments.length} to comment inline`);
+
+  const client = createClient({ baseUrl: apiUrl, headers: { Authorization: auth } });
+  const prPath = `/repositories/${encodeURIComponent(workspace)}/${encodeURIComponent(repoSlug)}/pullrequests/${pullRequestId}`;
+
+  // Inline comments from earlier runs, keyed by their fingerprint
+  const existing = (await paginate(client, `${prPath}/comments`))
+    .filter((comment) => comment.inline && !comment.deleted && FINGERPRINT_REGEX.test((comment.content && comment.content.raw) || ''))
+    .map((comment) => ({
+      id: comment.id,
+      path: comment.inline.path,
+      line: comment.inline.to,
+      fingerprint: comment.content.raw.match(FINGERPRINT_REGEX)[1],
+      resolved: Boolean(comment.resolution),
+    }));
+  const { fresh, skipped, stale } = matchComments(comments, existing);
+  summary.skipped = skipped;
+
+  for (const comment of stale) {
+    if (comment.resolved) continue;
+    try {
+      await client.post(`${prPath}/comments/${comment.id}/resolve`);
+      summary.resolved++;
+    } catch (error) {
+      logger.warning(`Could not resolve comment on ${comment.path}:${comment.line} - ${error.message}`);
+    }
+  }
+
+  const rejected = [];
+  for (const comment of fresh.slice(0, maxComments)) {
+    try {
+      await client.post(`${prPath}/comments`, {
+        content: { raw: toBitbucketBody(comment) },
+        inline: { path: comment.path, to: parseInt(comment.line, 10) },
+      });
+      summary.posted++;
+    } catch (error) {
+      logger.info(`Could not post comment on ${comment.path}:${comment.line} - ${error.message}`);
+      rejected.push(comment);
+    }
+  }
+  summary.rejected = rejected.length;
+
+  if (fresh.length > 0) {
+    await client.post(`${prPath}/comments`, {
+      content: { raw: summaryBody(outcome, rejected, Math.max(fresh.length - maxComments, 0)) },
+    });
+  }
+
+  // Request changes while blocking, withdraw the request once nothing blocks, approve clean runs if asked
+  const reviewCalls = outcome.blocking
+    ? [['POST', 'request-changes']]
+    : [['DELETE', 'request-changes'], ...(outcome.event === 'APPROVE' ? [['POST', 'approve']] : [])];
+  for (const [method, action] of reviewCalls) {
+    try {
+      await client.request(method, `${prPath}/${action}`);
+    } catch (error) {
+      logger.info(`Could not ${method} ${action} - ${error.message}`);
+    }
+  }
+
+  logger.info(
+    `✓ Pull request ${outcome.blocking ? 'blocked' : 'not blocked'}: posted ${summary.posted}, kept ${summary.skipped}, ` +
+    `resolved ${summary.resolved}, ${summary.rejected} outside the diff`
+  );
+  return summary;
+}
+
+module.exports = {
+  toBitbucketBody,
+  run
+};
+
+// Only run CLI behavior if executed directly (not required as module)
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const argValue = (name) => {
+    const arg = args.find((a) => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+  const maxComments = argValue('max-comments');
+
+  run({
+    file: args.find((a) => !a.startsWith('--')),
+    root: argValue('root') ? path.resolve(argValue('root')) : undefined,
+    inlineSeverity: argValue('inline-severity'),
+    maxComments: maxComments ? parseInt(maxComments, 10) : undefined,
+    failOn: argValue('fail-on'),
+    maxWarnings: argValue('max-warnings'),
+  }).catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 2;
+  });
+}
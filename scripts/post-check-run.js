@@ -0,0 +1,186 @@
+/**
+ * Check Run Reporter
+ * Publishes every violation from generate-pr-comments.js as a GitHub Check Run
+ * Annotations are sent in batches of 50 (the API limit per request) so none are dropped, and the
+ * summary groups counts by severity, rule and file
+ *
+ * Called from actions/github-script:
+ *   const { run } = require('./.ci-standards/scripts/post-check-run.js');
+ *   await run({ github, context, core, file: 'violations.json' });
+ */
+
+const { readComments } = require('./post-pr-review');
+const { loadConfig } = require('./lib/config');
+const { DEFAULT_THRESHOLDS, resolveThresholds, decideOutcome } = require('./lib/outcome');
+
+const CHECK_NAME = 'Code Standards';
+const ANNOTATION_BATCH_SIZE = 50;
+const MAX_SUMMARY_ROWS = 50;
+
+const ANNOTATION_LEVELS = {
+  error: 'failure',
+  warning: 'warning',
+};
+
+/**
+ * Converts a generated comment to a check run annotation
+ * @param {{path: string, line: number, start_line?: number, ruleId: string, severity: string, message: string, body: string}} comment - Generated comment
+ * @returns {Object} Annotation payload
+ */
+function toAnnotation(comment) {
+  const line = parseInt(comment.line, 10);
+  return {
+    path: comment.path,
+    start_line: comment.start_line ? parseInt(comment.start_line, 10) : line,
+    end_line: line,
+    annotation_level: ANNOTATION_LEVELS[comment.severity] || 'notice',
+    title: comment.ruleId,
+    message: comment.message || comment.body,
+  };
+}
+
+/**
+ * Picks the check run conclusion for a set of violations
+ * @param {Array<{severity: string}>} comments - Generated comments
+ * @param {{failOn: string, maxWarnings: number}} [thresholds] - Review thresholds (default: block on errors)
+ * @returns {string} 'failure' when the thresholds block, 'neutral' with non-blocking violations, otherwise 'success'
+ */
+function getConclusion(comments, thresholds = DEFAULT_THRESHOLDS) {
+  if (decideOutcome(comments, thresholds).blocking) return 'failure';
+  if (comments.length > 0) return 'neutral';
+  return 'success';
+}
+
+/**
+ * Counts errors and warnings per key
+ * @param {Array<Object>} comments - Generated comments
+ * @param {function(Object): string} keyOf - Grouping key
+ * @returns {Array<[string, {error: number, warning: number, sample: Object}]>} Groups, most errors first
+ */
+function countBy(comments, keyOf) {
+  const groups = new Map();
+  for (const comment of comments) {
+    const key = keyOf(comment);
+    if (!groups.has(key)) groups.set(key, { error: 0, warning: 0, sample: comment });
+    const group = groups.get(key);
+    if (comment.severity === 'error') group.error++;
+    else group.warning++;
+  }
+  return [...groups.entries()].sort((a, b) =>
+    b[1].error - a[1].error || b[1].warning - a[1].warning || a[0].localeCompare(b[0])
+  );
+}
+
+/**
+ * Renders a markdown table, truncated to MAX_SUMMARY_ROWS rows
+ * @param {string[]} header - Column titles
+ * @param {Array<string[]>} rows - Table cells
+ * @returns {string} Markdown table
+ */
+function table(header, rows) {
+  const lines = [
+    `| ${header.join(' | ')} |`,
+    `|${header.map(() => '---').join('|')}|`,
+    ...rows.slice(0, MAX_SUMMARY_ROWS).map((row) => `| ${row.join(' | ')} |`),
+  ];
+  if (rows.length > MAX_SUMMARY_ROWS) lines.push(`\n…and ${rows.length - MAX_SUMMARY_ROWS} more.`);
+  return lines.join('\n');
+}
+
+/**
+ * Builds the check run title and markdown summary
+ * @param {Array<Object>} comments - Generated comments
+ * @returns {{title: string, summary: string}} Check run output text
+ */
+function buildSummary(comments) {
+  const errors = comments.filter((c) => c.severity === 'error').length;
+  const warnings = comments.length - errors;
+  if (comments.length === 0) {
+    return { title: 'No violations', summary: '✅ All changed code complies with the code standards.' };
+  }
+
+  const files = countBy(comments, (c) => c.path);
+  const rules = countBy(comments, (c) => c.ruleId);
+  const summary = [
+    `❌ **${errors}** error(s), ⚠️ **${warnings}** warning(s) in **${files.length}** file(s)`,
+    '### By severity',
+    table(['Severity', 'Count'], [['❌ error', String(errors)], ['⚠️ warning', String(warnings)]]),
+    '### By rule',
+    table(
+      ['Rule', 'Category', 'Errors', 'Warnings'],
+      rules.map(([ruleId, group]) => [`\`${ruleId}\``, group.sample.ruleCategory || '', String(group.error), String(group.warning)])
+    ),
+    '### By file',
+    table(
+      ['File', 'Errors', 'Warnings'],
+      files.map(([file, group]) => [`\`${file}\``, String(group.error), String(group.warning)])
+    ),
+  ].join('\n\n');
+
+  return { title: `${errors} error(s), ${warnings} warning(s)`, summary };
+}
+
+/**
+ * Creates a check run for the PR head commit carrying every violation
+ * Rejects without creating one when violations.json is missing or empty: a crashed generator must not
+ * read as a clean, successful run
+ * @param {Object} options - Options
+ * @param {Object} options.github - Octokit client from github-script
+ * @param {Object} options.context - Workflow context from github-script
+ * @param {Object} options.core - @actions/core from github-script
+ * @param {string} [options.file] - Comments JSON from generate-pr-comments.js (default: violations.json)
+ * @param {string} [options.root] - Checkout to load .ci-standards config from (default: cwd)
+ * @param {string} [options.failOn] - Overrides review.failOn from config
+ * @param {number|string} [options.maxWarnings] - Overrides review.maxWarnings from config
+ * @returns {Promise<{id: number, conclusion: string, annotations: number}|null>} The check run, or null if none was created
+ */
+async function run({ github, context, core, file = 'violations.json', root = process.cwd(), failOn, maxWarnings }) {
+  const comments = readComments(file);
+
+  const repo = { owner: context.repo.owner, repo: context.repo.repo };
+  const pullRequest = context.payload && context.payload.pull_request;
+  const headSha = pullRequest ? pullRequest.head.sha : context.sha;
+  const { title, summary } = buildSummary(comments);
+  const annotations = comments.map(toAnnotation);
+
+  let checkRun;
+  try {
+    ({ data: checkRun } = await github.rest.checks.create({
+      ...repo,
+      name: CHECK_NAME,
+      head_sha: headSha,
+      status: 'in_progress',
+      output: { title, summary },
+    }));
+  } catch (error) {
+    // Fork PRs get a read-only token; the review comments still go out
+    core.warning(`Could not create check run: ${error.message}`);
+    return null;
+  }
+
+  // Every update appends its annotations; the last one also completes the run
+  const conclusion = getConclusion(comments, resolveThresholds(loadConfig({ cwd: root }), { failOn, maxWarnings }));
+  let sent = 0;
+  do {
+    const batch = annotations.slice(sent, sent + ANNOTATION_BATCH_SIZE);
+    sent += batch.length;
+    const done = sent >= annotations.length;
+    await github.rest.checks.update({
+      ...repo,
+      check_run_id: checkRun.id,
+      output: { title, summary, annotations: batch },
+      ...(done ? { status: 'completed', conclusion } : {}),
+    });
+  } while (sent < annotations.length);
+
+  core.info(`✓ Check run "${CHECK_NAME}" completed as ${conclusion} with ${annotations.length} annotation(s)`);
+  return { id: checkRun.id, conclusion, annotations: annotations.length };
+}
+
+module.exports = {
+  CHECK_NAME,
+  toAnnotation,
+  getConclusion,
+  buildSummary,
+  run
+};
@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+/**
+ * GitLab Merge Request Reporter
+ * Posts the comments from generate-pr-comments.js as merge request discussions on the changed lines
+ * Keeps state across pipelines like post-pr-review.js: discussions that already exist are skipped,
+ * discussions whose violation is fixed are resolved, and comments GitLab refuses inline are listed
+ * in the summary note instead
+ *
+ * Run in a merge request pipeline with a token that has the api scope:
+ *   GITLAB_TOKEN=... node .ci-standards/scripts/post-gitlab-discussions.js violations.json
+ * CI_API_V4_URL, CI_PROJECT_ID and CI_MERGE_REQUEST_IID come from GitLab CI
+ */
+
+const path = require('path');
+const { createClient } = require('./lib/http');
+const { parseDiff } = require('./lib/diff');
+const { loadConfig } = require('./lib/config');
+const { resolveThresholds, decideOutcome } = require('./lib/outcome');
+const {
+  DEFAULT_MAX_COMMENTS,
+  consoleLogger,
+  readComments,
+  filterInline,
+  fingerprintComments,
+  matchComments,
+  summaryBody
+} = require('./lib/review-comments');
+
+const FINGERPRINT_REGEX = /<!-- ci-standards:fp=([0-9a-f]+) -->/;
+
+/**
+ * Fetches every page of a GitLab list endpoint
+ * @param {Object} client - Client from createClient
+ * @param {string} url - List endpoint below the API root
+ * @returns {Promise<Array>} All items
+ */
+async function paginate(client, url) {
+  const items = [];
+  let page = '1';
+  while (page) {
+    const separator = url.includes('?') ? '&' : '?';
+    const response = await client.get(`${url}${separator}per_page=100&page=${page}`);
+    items.push(...response.data);
+    page = response.headers.get('x-next-page');
+  }
+  return items;
+}
+
+/**
+ * Converts a generated comment body to GitLab markdown, tagged with its fingerprint
+ * GitHub suggestion blocks become GitLab ones, which count the lines above the comment line to replace
+ * @param {Object} comment - Fingerprinted comment
+ * @returns {string} Discussion body
+ */
+function toGitLabBody(comment) {
+  const above = comment.start_line ? comment.line - comment.start_line : 0;
+  const body = comment.body.replace(/```suggestion\n/g, `\`\`\`suggestion:-${above}+0\n`);
+  return `${body}\n\n<!-- ci-standards:fp=${comment.fingerprint} -->`;
+}
+
+/**
+ * Finds the old line an unchanged line of the new version came from
+ * Lines past a hunk are shifted by what the hunk added and removed
+ * @param {Array<{oldStart: number, oldLines: number, newStart: number, newLines: number, lines: Array}>} hunks - Hunks from parseDiff
+ * @param {number} newLine - Line in the new version
+ * @returns {number|null} Line in the old version, or null for an added line
+ */
+function findOldLine(hunks, newLine) {
+  let offset = 0;
+  for (const hunk of hunks) {
+    // An empty side (@@ -4,0 +5,2 @@) starts at the line before the change
+    const newEnd = hunk.newLines === 0 ? hunk.newStart + 1 : hunk.newStart + hunk.newLines;
+    const oldEnd = hunk.oldLines === 0 ? hunk.oldStart + 1 : hunk.oldStart + hunk.oldLines;
+    if (newLine < newEnd - hunk.newLines) break;
+    if (newLine < newEnd) {
+      const line = hunk.lines.find((l) => l.newLine === newLine);
+      return line ? line.oldLine : null;
+    }
+    offset = oldEnd - newEnd;
+  }
+  return newLine + offset;
+}
+
+/**
+ * Builds the diff position of a comment on the new version of a file
+ * GitLab anchors on an added line by new_line alone, but on an unchanged line only with old_line too
+ * @param {Object} comment - Comment with path and line
+ * @param {{base_sha: string, start_sha: string, head_sha: string}} diffRefs - diff_refs of the merge request
+ * @param {Map<string, {oldPath: string, hunks: (Array|null)}>} files - Old path and hunks (null when GitLab collapsed the diff) of each changed file, by new path
+ * @returns {Object} Position for the discussions API
+ */
+function toPosition(comment, diffRefs, files) {
+  const file = files.get(comment.path);
+  const newLine = parseInt(comment.line, 10);
+  let oldLine = newLine;
+  if (file) oldLine = file.hunks ? findOldLine(file.hunks, newLine) : null;
+  return {
+    position_type: 'text',
+    base_sha: diffRefs.base_sha,
+    start_sha: diffRefs.start_sha,
+    head_sha: diffRefs.head_sha,
+    old_path: file ? file.oldPath : comment.path,
+    new_path: comment.path,
+    new_line: newLine,
+    ...(oldLine === null ? {} : { old_line: oldLine }),
+  };
+}
+
+/**
+ * Syncs the merge request discussions with the current violations
+ * Rejects before any request when violations.json is missing or empty, as after a crashed generator
+ * @param {Object} [options] - Options
+ * @param {string} [options.file] - Comments JSON from generate-pr-comments.js (default: violations.json)
+ * @param {string} [options.root] - Checkout the comment paths are relative to (default: cwd)
+ * @param {string} [options.apiUrl] - GitLab API root (default: CI_API_V4_URL)
+ * @param {string} [options.projectId] - Project id or path (default: CI_PROJECT_ID)
+ * @param {string} [options.mergeRequestIid] - Merge request iid (default: CI_MERGE_REQUEST_IID)
+ * @param {string} [options.token] - Token with the api scope (default: GITLAB_TOKEN)
+ * @param {string} [options.inlineSeverity] - 'warning' posts everything inline, 'error' only errors
+ * @param {number} [options.maxComments] - Most new comments to post per run (default: 60)
+ * @param {string} [options.failOn] - Overrides review.failOn from config
+ * @param {number|string} [options.maxWarnings] - Overrides review.maxWarnings from config
+ * @param {boolean} [options.approve] - Overrides review.approve from config
+ * @param {Object} [options.logger] - Logger with info and warning (default: stderr)
+ * @returns {Promise<{event: string|null, blocking: boolean, posted: number, skipped: number, resolved: number, rejected: number, approved: boolean}>} Outcome and what changed on the merge request
+ */
+async function run({
+  file = 'violations.json',
+  root = process.cwd(),
+  apiUrl = process.env.CI_API_V4_URL,
+  projectId = process.env.CI_PROJECT_ID,
+  mergeRequestIid = process.env.CI_MERGE_REQUEST_IID,
+  token = process.env.GITLAB_TOKEN,
+  inlineSeverity = 'warning',
+  maxComments = DEFAULT_MAX_COMMENTS,
+  failOn,
+  maxWarnings,
+  approve,
+  logger = consoleLogger,
+} = {}) {
+  const missing = Object.entries({ apiUrl, projectId, mergeRequestIid, token }).filter(([, value]) => !value);
+  if (missing.length > 0) {
+    throw new Error(`Missing GitLab settings: ${missing.map(([key]) => key).join(', ')}`);
+  }
+
+  const summary = { event: null, blocking: false, posted: 0, skipped: 0, resolved: 0, rejected: 0, approved: false };
+  const raw = readComments(file);
+
+  const thresholds = resolveThresholds(loadConfig({ cwd: root }), { failOn, maxWarnings, approve });
+  const outcome = decideOutcome(raw, thresholds);
+  summary.event = outcome.event;
+  summary.blocking = outcome.blocking;
+
+  const comments = fingerprintComments(filterInline(raw, inlineSeverity), root);
+  logger.info(`Found ${raw.length} violations, ${comments.length} to comment inline`);
+
+  const client = createClient({ baseUrl: apiUrl, headers: { 'PRIVATE-TOKEN': token } });
+  const mrPath = `/projects/${encodeURIComponent(projectId)}/merge_requests/${mergeRequestIid}`;
+  const { data: mergeRequest } = await client.get(mrPath);
+  const diffs = await paginate(client, `${mrPath}/diffs`);
+  // GitLab sends each file's hunks without the headers parseDiff starts a file at; collapsed diffs have none
+  const files = new Map(diffs.map((d) => {
+    const hunks = d.diff ? parseDiff(`--- a/${d.old_path}\n+++ b/${d.new_path}\n${d.diff}`)[0].hunks : null;
+    return [d.new_path, { oldPath: d.old_path, hunks }];
+  }));
+
+  // Discussions from earlier runs, keyed by the fingerprint in their first note
+  const existing = (await paginate(client, `${mrPath}/discussions`))
+    .map((discussion) => ({ discussion, note: discussion.notes && discussion.notes[0] }))
+    .filter(({ note }) => note && note.position && FINGERPRINT_REGEX.test(note.body || ''))
+    .map(({ discussion, note }) => ({
+      id: discussion.id,
+      path: note.position.new_path,
+      line: note.position.new_line,
+      fingerprint: note.body.match(FINGERPRINT_REGEX)[1],
+      resolved: Boolean(note.resolved),
+    }));
+  const { fresh, skipped, stale } = matchComments(comments, existing);
+  summary.skipped = skipped;
+
+  for (const discussion of stale) {
+    if (discussion.resolved) continue;
+    try {
+      await client.put(`${mrPath}/discussions/${discussion.id}?resolved=true`);
+      summary.resolved++;
+    } catch (error) {
+      logger.warning(`Could not resolve discussion on ${discussion.path}:${discussion.line} - ${error.message}`);
+    }
+  }
+
+  const rejected = [];
+  for (const comment of fresh.slice(0, maxComments)) {
+    try {
+      await client.post(`${mrPath}/discussions`, {
+        body: toGitLabBody(comment),
+        position: toPosition(comment, mergeRequest.diff_refs, files),
+      });
+      summary.posted++;
+    } catch (error) {
+      // GitLab refuses positions outside the diff; those are listed in the summary note
+      logger.info(`Could not post discussion on ${comment.path}:${comment.line} - ${error.message}`);
+      rejected.push(comment);
+    }
+  }
+  summary.rejected = rejected.length;
+
+  if (fresh.length > 0) {
+    await client.post(`${mrPath}/notes`, {
+      body: summaryBody(outcome, rejected, Math.max(fresh.length - maxComments, 0)),
+    });
+  }
+
+  if (outcome.event === 'APPROVE') {
+    try {
+      await client.post(`${mrPath}/approve`);
+      summary.approved = true;
+    } catch (error) {
+      logger.warning(`Could not approve: ${error.message}`);
+    }
+  }
+
+  logger.info(
+    `✓ Merge request ${outcome.blocking ? 'blocked' : 'not blocked'}: posted ${summary.posted}, kept ${summary.skipped}, ` +
+    `resolved ${summary.resolved}, ${summary.rejected} outside the diff`
+  );
+  return summary;
+}
+
+module.exports = {
+  toGitLabBody,
+  toPosition,
+  run
+};
+
+// Only run CLI behavior if executed directly (not required as module)
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const argValue = (name) => {
+    const arg = args.find((a) => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+  const maxComments = argValue('max-comments');
+
+  run({
+    file: args.find((a) => !a.startsWith('--')),
+    root: argValue('root') ? path.resolve(argValue('root')) : undefined,
+    inlineSeverity: argValue('inline-severity'),
+    maxComments: maxComments ? parseInt(maxComments, 10) : undefined,
+    failOn: argValue('fail-on'),
+    maxWarnings: argValue('max-warnings'),
+  }).catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 2;
+  });
+}
@@ -0,0 +1,325 @@
+/**
+ * PR Review Poster
+ * Posts the comments from generate-pr-comments.js as a PR review, keeping state across pushes
+ * Each comment carries a hidden fingerprint so re-runs skip comments that already exist, resolve
+ * (or minimize) threads whose violation is gone, and dismiss the blocking review once nothing is left
+ *
+ * Called from actions/github-script:
+ *   const { run } = require('./.ci-standards/scripts/post-pr-review.js');
+ *   await run({ github, context, core, file: 'violations.json' });
+ */
+
+const {
+  DEFAULT_MAX_COMMENTS,
+  readComments,
+  filterInline,
+  fingerprintComments,
+  matchComments
+} = require('./lib/review-comments');
+const { loadConfig } = require('./lib/config');
+const { resolveThresholds, decideOutcome } = require('./lib/outcome');
+
+const REVIEW_MARKER = '<!-- ci-standards:review -->';
+const FINGERPRINT_REGEX = /<!-- ci-standards:fp=([0-9a-f]+) -->/;
+const MAX_REVIEW_COMMENTS = 30;
+
+const REVIEW_THREADS_QUERY = `
+  query($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $number) {
+        reviewThreads(first: 100, after: $cursor) {
+          nodes {
+            id
+            isResolved
+            comments(first: 1) { nodes { databaseId } }
+          }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    }
+  }
+`;
+
+const RESOLVE_THREAD_MUTATION = `
+  mutation($threadId: ID!) {
+    resolveReviewThread(input: { threadId: $threadId }) { thread { id } }
+  }
+`;
+
+const MINIMIZE_COMMENT_MUTATION = `
+  mutation($subjectId: ID!) {
+    minimizeComment(input: { subjectId: $subjectId, classifier: OUTDATED }) { minimizedComment { isMinimized } }
+  }
+`;
+
+/**
+ * Converts a generated comment to the review API shape, tagged with its fingerprint
+ * Multi-line comments (suggested changes spanning a JSDoc block) carry start_line
+ * @param {Object} comment - Fingerprinted comment
+ * @returns {Object} Review comment payload
+ */
+function toReviewComment(comment) {
+  return {
+    path: comment.path,
+    line: parseInt(comment.line, 10),
+    side: 'RIGHT',
+    ...(comment.start_line ? { start_line: parseInt(comment.start_line, 10), start_side: 'RIGHT' } : {}),
+    body: `${comment.body}\n\n<!-- ci-standards:fp=${comment.fingerprint} -->`,
+  };
+}
+
+/**
+ * Lists the review threads of a PR keyed by the database id of their first comment
+ * @param {Object} github - Octokit client
+ * @param {{owner: string, repo: string, number: number}} pr - PR coordinates
+ * @returns {Promise<Map<number, {id: string, isResolved: boolean}>>} Threads by first comment id
+ */
+async function getReviewThreads(github, pr) {
+  const threads = new Map();
+  let cursor = null;
+  do {
+    const result = await github.graphql(REVIEW_THREADS_QUERY, { ...pr, cursor });
+    const page = result.repository.pullRequest.reviewThreads;
+    for (const thread of page.nodes) {
+      const first = thread.comments.nodes[0];
+      if (first) threads.set(first.databaseId, { id: thread.id, isResolved: thread.isResolved });
+    }
+    cursor = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (cursor);
+  return threads;
+}
+
+/**
+ * Resolves the thread of a comment whose violation is gone, or minimizes it when resolving fails
+ * @param {Object} github - Octokit client
+ * @param {Object} comment - Existing review comment
+ * @param {{id: string, isResolved: boolean}|undefined} thread - Its review thread
+ * @param {Object} core - @actions/core for logging
+ * @returns {Promise<string|null>} 'resolved', 'minimized', or null if nothing changed
+ */
+async function retireComment(github, comment, thread, core) {
+  if (thread && thread.isResolved) return null;
+  if (thread) {
+    try {
+      await github.graphql(RESOLVE_THREAD_MUTATION, { threadId: thread.id });
+      return 'resolved';
+    } catch (error) {
+      core.info(`Could not resolve thread on ${comment.path}:${comment.line} - ${error.message}`);
+    }
+  }
+  try {
+    await github.graphql(MINIMIZE_COMMENT_MUTATION, { subjectId: comment.node_id });
+    return 'minimized';
+  } catch (error) {
+    core.warning(`Could not minimize comment on ${comment.path}:${comment.line} - ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Writes the review summary for an outcome
+ * @param {{blocking: boolean, errors: number, warnings: number, reasons: string[]}} outcome - Outcome from decideOutcome
+ * @param {number} fresh - Number of new comments in this review
+ * @param {string} overflow - Note about comments left out
+ * @returns {string} Markdown review body, tagged with the review marker
+ */
+function reviewBody(outcome, fresh, overflow) {
+  const total = outcome.errors + outcome.warnings;
+  const status = outcome.blocking
+    ? `❌ Blocking: ${outcome.reasons.join('; ')}. These need to be resolved before merge.`
+    : total > 0
+      ? '⚠️ Nothing blocking, but please take a look.'
+      : '✅ All code standards violations have been resolved.';
+  const counts = total > 0
+    ? `Found **${outcome.errors}** error(s) and **${outcome.warnings}** warning(s)${fresh > 0 ? ` (${fresh} new comment(s))` : ''}.\n\n`
+    : '';
+  return `## 🔍 Code Standards Review\n\n${counts}${status}\n\n${overflow}\n\n${REVIEW_MARKER}`;
+}
+
+/**
+ * Posts new comments: the first batch as one review, the rest (up to maxComments) individually,
+ * falling back to a single issue comment when the review cannot be created
+ * @param {Object} github - Octokit client
+ * @param {Object} repo - {owner, repo}
+ * @param {number} number - PR number
+ * @param {string} headSha - Head commit sha
+ * @param {Array<Object>} comments - Fingerprinted comments to post
+ * @param {Object} outcome - Outcome from decideOutcome (picks REQUEST_CHANGES or COMMENT)
+ * @param {number} maxComments - Most comments to post in this run
+ * @param {Object} core - @actions/core for logging
+ * @returns {Promise<number>} Number of comments posted
+ */
+async function postComments(github, repo, number, headSha, comments, outcome, maxComments, core) {
+  const reviewComments = comments.slice(0, Math.min(MAX_REVIEW_COMMENTS, maxComments)).map(toReviewComment);
+  const overflow = comments.length > maxComments
+    ? `⚠️ Showing first ${maxComments} new violations. See the Code Standards check or the logs for the complete list.`
+    : '';
+
+  try {
+    await github.rest.pulls.createReview({
+      ...repo,
+      pull_number: number,
+      commit_id: headSha,
+      body: reviewBody(outcome, comments.length, overflow),
+      event: outcome.event,
+      comments: reviewComments,
+    });
+  } catch (error) {
+    core.warning(`Error creating review: ${error.message}`);
+    await github.rest.issues.createComment({
+      ...repo,
+      issue_number: number,
+      body: `## 🔍 Code Standards Violations\n\nFound **${outcome.errors + outcome.warnings}** violations:\n\n${comments.slice(0, 10).map((c) => `- \`${c.path}:${c.line}\` - ${c.message || c.body}`).join('\n')}\n\n${comments.length > 10 ? `...and ${comments.length - 10} more. Check workflow logs for details.` : ''}`,
+    });
+    return 0;
+  }
+
+  let posted = reviewComments.length;
+  for (const comment of comments.slice(reviewComments.length, maxComments)) {
+    try {
+      await github.rest.pulls.createReviewComment({
+        ...repo,
+        pull_number: number,
+        commit_id: headSha,
+        ...toReviewComment(comment),
+      });
+      posted++;
+    } catch (error) {
+      core.info(`Could not post comment on ${comment.path}:${comment.line} - ${error.message}`);
+    }
+  }
+  return posted;
+}
+
+/**
+ * Lists the "changes requested" reviews this script posted that are still in effect
+ * @param {Object} github - Octokit client
+ * @param {Object} repo - {owner, repo}
+ * @param {number} number - PR number
+ * @returns {Promise<Array<Object>>} Active blocking reviews
+ */
+async function getBlockingReviews(github, repo, number) {
+  const reviews = await github.paginate(github.rest.pulls.listReviews, { ...repo, pull_number: number });
+  return reviews.filter((review) =>
+    review.state === 'CHANGES_REQUESTED' && (review.body || '').includes(REVIEW_MARKER)
+  );
+}
+
+/**
+ * Dismisses earlier blocking reviews posted by this script
+ * @param {Object} github - Octokit client
+ * @param {Object} repo - {owner, repo}
+ * @param {number} number - PR number
+ * @param {Array<Object>} blocking - Reviews from getBlockingReviews
+ * @returns {Promise<number>} Number of reviews dismissed
+ */
+async function dismissBlockingReviews(github, repo, number, blocking) {
+  for (const review of blocking) {
+    await github.rest.pulls.dismissReview({
+      ...repo,
+      pull_number: number,
+      review_id: review.id,
+      message: '✅ No blocking code standards violations are left.',
+    });
+  }
+  return blocking.length;
+}
+
+/**
+ * Syncs the PR review with the current violations
+ * Rejects before touching the PR when violations.json is missing or empty, as after a crashed generator
+ * @param {Object} options - Options
+ * @param {Object} options.github - Octokit client from github-script
+ * @param {Object} options.context - Workflow context from github-script
+ * @param {Object} options.core - @actions/core from github-script
+ * @param {string} [options.file] - Comments JSON from generate-pr-comments.js (default: violations.json)
+ * @param {string} [options.root] - Checkout the comment paths are relative to (default: cwd)
+ * @param {string} [options.inlineSeverity] - 'warning' posts everything inline, 'error' only errors (when a check run carries the rest)
+ * @param {number} [options.maxComments] - Most new comments to post per run (default: 60)
+ * @param {string} [options.failOn] - Overrides review.failOn from config ('error', 'warning' or 'never')
+ * @param {number|string} [options.maxWarnings] - Overrides review.maxWarnings from config
+ * @param {boolean} [options.approve] - Overrides review.approve from config
+ * @returns {Promise<{event: string|null, blocking: boolean, posted: number, skipped: number, resolved: number, minimized: number, dismissed: number}>} Review outcome and what changed on the PR
+ */
+async function run({
+  github,
+  context,
+  core,
+  file = 'violations.json',
+  root = process.cwd(),
+  inlineSeverity = 'warning',
+  maxComments = DEFAULT_MAX_COMMENTS,
+  failOn,
+  maxWarnings,
+  approve,
+}) {
+  const summary = { event: null, blocking: false, posted: 0, skipped: 0, resolved: 0, minimized: 0, dismissed: 0 };
+  const raw = readComments(file);
+
+  // The outcome covers every violation, including those only shown in the check run
+  const thresholds = resolveThresholds(loadConfig({ cwd: root }), { failOn, maxWarnings, approve });
+  const outcome = decideOutcome(raw, thresholds);
+  summary.event = outcome.event;
+  summary.blocking = outcome.blocking;
+
+  const repo = { owner: context.repo.owner, repo: context.repo.repo };
+  const number = context.issue.number;
+  // Comments below the inline severity are left to the check run; earlier ones are retired like fixed ones
+  const comments = fingerprintComments(filterInline(raw, inlineSeverity), root);
+  core.info(`Found ${raw.length} violations, ${comments.length} to comment inline`);
+
+  // Existing comments from earlier runs, matched by fingerprint
+  const existing = (await github.paginate(github.rest.pulls.listReviewComments, { ...repo, pull_number: number }))
+    .map((comment) => ({ ...comment, match: (comment.body || '').match(FINGERPRINT_REGEX) }))
+    .filter((comment) => comment.match)
+    .map((comment) => ({ ...comment, fingerprint: comment.match[1] }));
+  const { fresh, skipped, stale } = matchComments(comments, existing);
+  summary.skipped = skipped;
+
+  if (stale.length > 0) {
+    const threads = await getReviewThreads(github, { ...repo, number });
+    for (const comment of stale) {
+      const outcome = await retireComment(github, comment, threads.get(comment.id), core);
+      if (outcome) summary[outcome]++;
+    }
+  }
+
+  const blockingReviews = await getBlockingReviews(github, repo, number);
+  const { data: pr } = await github.rest.pulls.get({ ...repo, pull_number: number });
+
+  if (fresh.length > 0) {
+    summary.posted = await postComments(github, repo, number, pr.head.sha, fresh, outcome, maxComments, core);
+  } else if (outcome.blocking && blockingReviews.length === 0) {
+    // Still blocking (e.g. thresholds tightened) but every comment exists: request changes once more
+    await github.rest.pulls.createReview({
+      ...repo, pull_number: number, commit_id: pr.head.sha, body: reviewBody(outcome, 0, ''), event: 'REQUEST_CHANGES',
+    });
+  } else if (outcome.event === 'APPROVE') {
+    try {
+      await github.rest.pulls.createReview({
+        ...repo, pull_number: number, commit_id: pr.head.sha, body: reviewBody(outcome, 0, ''), event: 'APPROVE',
+      });
+    } catch (error) {
+      // Repositories can forbid Actions from approving pull requests
+      core.warning(`Could not approve: ${error.message}`);
+    }
+  }
+
+  if (!outcome.blocking) {
+    summary.dismissed = await dismissBlockingReviews(github, repo, number, blockingReviews);
+  }
+
+  core.info(
+    `✓ Review ${outcome.event || 'skipped'}: posted ${summary.posted}, kept ${summary.skipped}, resolved ${summary.resolved}, ` +
+    `minimized ${summary.minimized}, dismissed ${summary.dismissed} review(s)`
+  );
+  return summary;
+}
+
+module.exports = {
+  REVIEW_MARKER,
+  readComments,
+  fingerprintComments,
+  toReviewComment,
+  run
+};
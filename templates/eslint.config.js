@@ -0,0 +1,36 @@
+/**
+ * ESLint flat config for application repositories
+ * Runs the eslint-plugin-jsdoc setup from .eslintrc.json next to the ci-standards member rules, so
+ * both show up inline in the editor with their fixes. .ts files are parsed with typescript-eslint
+ */
+
+const jsdoc = require('eslint-plugin-jsdoc');
+const tsParser = require('@typescript-eslint/parser');
+const ciStandards = require('ci-standards/eslint-plugin');
+
+module.exports = [
+  jsdoc.configs['flat/recommended'],
+  {
+    rules: {
+      'jsdoc/require-jsdoc': [
+        'error',
+        {
+          require: {
+            FunctionDeclaration: true,
+            MethodDefinition: true,
+            ClassDeclaration: true,
+          },
+        },
+      ],
+      'jsdoc/require-param-description': 'error',
+      'jsdoc/require-returns-description': 'error',
+      'jsdoc/require-param': 'error',
+      'jsdoc/require-returns': 'error',
+    },
+  },
+  ciStandards.configs.recommended,
+  {
+    files: ['**/*.ts'],
+    languageOptions: { parser: tsParser },
+  },
+];
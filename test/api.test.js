@@ -0,0 +1,102 @@
+/**
+ * Tests for the programmatic API in index.js and index.mjs
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runChecks, createConfig } = require('..');
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ci-standards-api-'));
+  fs.writeFileSync(path.join(dir, 'cart.service.ts'), [
+    'export class CartService {',
+    '  /**',
+    '   * Counts the items',
+    '   * @public',
+    '   * @returns {number} Item count',
+    '   */',
+    '  public count(): number {',
+    '    return 0;',
+    '  }',
+    '',
+    '  clear() {',
+    '    return;',
+    '  }',
+    '}',
+    '',
+  ].join('\n'));
+  fs.writeFileSync(path.join(dir, 'cart.css'), '.cart {\n  color: #000;\n  padding: 4px;\n}\n');
+  fs.writeFileSync(path.join(dir, 'notes.md'), '# Notes\n');
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('returns per-file and combined results without printing', async (t) => {
+  const log = t.mock.method(console, 'log');
+  const error = t.mock.method(console, 'error');
+
+  const result = await runChecks({ files: ['cart.service.ts', 'cart.css', 'notes.md'], cwd: dir });
+  assert.deepEqual(result.results.map((r) => [r.file, r.errorCount, r.warningCount]), [
+    ['cart.service.ts', 3, 0],
+    ['cart.css', 1, 1],
+  ]);
+  assert.deepEqual(result.violations.map((v) => [v.file, v.line, v.ruleId]), [
+    ['cart.service.ts', 11, 'jsdoc/missing-jsdoc'],
+    ['cart.service.ts', 11, 'ts/access-modifier'],
+    ['cart.service.ts', 11, 'ts/return-type'],
+    ['cart.css', 2, 'tailwind/hardcoded-color'],
+    ['cart.css', 3, 'tailwind/prefer-utility'],
+  ]);
+  assert.equal(result.errorCount, 4);
+  assert.equal(result.warningCount, 1);
+  assert.deepEqual(result.failures, []);
+  assert.equal(log.mock.callCount() + error.mock.callCount(), 0);
+});
+
+test('accepts a config object or a config from createConfig', async () => {
+  const rules = { 'ts/return-type': 'off', 'tailwind/prefer-utility': 'error' };
+  for (const config of [{ rules }, createConfig({ rules }, dir)]) {
+    const result = await runChecks({ files: ['cart.service.ts', 'cart.css'], config, cwd: dir });
+    assert.ok(!result.violations.some((v) => v.ruleId === 'ts/return-type'));
+    assert.equal(result.violations.find((v) => v.ruleId === 'tailwind/prefer-utility').severity, 'error');
+  }
+});
+
+test('limits files with changed ranges to what each rule reviews', async () => {
+  // Line 12 sits in the body of clear(): member rules see the change, line rules do not
+  const result = await runChecks({
+    files: ['cart.service.ts', 'cart.css'],
+    changedRanges: { 'cart.service.ts': [{ start: 12, end: 12 }], 'cart.css': [{ start: 3, end: 3 }] },
+    cwd: dir,
+  });
+  assert.deepEqual(result.violations.map((v) => [v.file, v.line, v.ruleId]), [
+    ['cart.service.ts', 11, 'jsdoc/missing-jsdoc'],
+    ['cart.service.ts', 11, 'ts/access-modifier'],
+    ['cart.service.ts', 11, 'ts/return-type'],
+    ['cart.css', 3, 'tailwind/prefer-utility'],
+  ]);
+
+  const untouched = await runChecks({ files: ['cart.service.ts'], changedRanges: { 'cart.service.ts': [{ start: 2, end: 8 }] }, cwd: dir });
+  assert.deepEqual(untouched.violations, []);
+});
+
+test('lists unreadable files as failures', async () => {
+  const result = await runChecks({ files: ['missing.ts', 'cart.css'], cwd: dir });
+  assert.equal(result.failures.length, 1);
+  assert.equal(result.failures[0].file, 'missing.ts');
+  assert.match(result.failures[0].message, /ENOENT/);
+  assert.deepEqual(result.results.map((r) => r.file), ['cart.css']);
+});
+
+test('the ESM entry exposes the same API', async () => {
+  const esm = await import('../index.mjs');
+  assert.equal(esm.runChecks, runChecks);
+  assert.equal(esm.default.createConfig, createConfig);
+});
@@ -0,0 +1,44 @@
+/**
+ * Tests for scripts/lib/args.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArgs, mergeSpecs } = require('../scripts/lib/args');
+
+const SPEC = {
+  string: ['format', 'diff'],
+  boolean: ['all', 'fix'],
+  optional: { baseline: '.ci-standards-baseline.json' },
+};
+
+test('parses values, booleans and positionals', () => {
+  const { flags, positionals } = parseArgs(['src/a.ts', '--format=json', '--diff', 'origin/main', '--fix', 'b.css'], SPEC);
+  assert.deepEqual(flags, { format: 'json', diff: 'origin/main', fix: true });
+  assert.deepEqual(positionals, ['src/a.ts', 'b.css']);
+});
+
+test('falls back to the default of optional-value options', () => {
+  assert.deepEqual(parseArgs(['--baseline'], SPEC).flags, { baseline: '.ci-standards-baseline.json' });
+  assert.deepEqual(parseArgs(['--baseline=old.json'], SPEC).flags, { baseline: 'old.json' });
+});
+
+test('treats everything after -- and a lone - as positional', () => {
+  const { flags, positionals } = parseArgs(['-', '--all', '--', '--fix'], SPEC);
+  assert.deepEqual(flags, { all: true });
+  assert.deepEqual(positionals, ['-', '--fix']);
+});
+
+test('rejects unknown options and misplaced values', () => {
+  assert.throws(() => parseArgs(['--bogus'], SPEC), /Unknown option '--bogus'/);
+  assert.throws(() => parseArgs(['--format'], SPEC), /'--format' needs a value/);
+  assert.throws(() => parseArgs(['--format', '--all'], SPEC), /'--format' needs a value/);
+  assert.throws(() => parseArgs(['--all=yes'], SPEC), /'--all' does not take a value/);
+});
+
+test('merges specs without duplicates', () => {
+  const merged = mergeSpecs(SPEC, { string: ['format', 'config'], boolean: ['staged'] });
+  assert.deepEqual(merged.string, ['format', 'diff', 'config']);
+  assert.deepEqual(merged.boolean, ['all', 'fix', 'staged']);
+  assert.deepEqual(merged.optional, SPEC.optional);
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for scripts/lib/baseline.js
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBaseline, filterByBaseline, readBaseline, writeBaseline } = require('../scripts/lib/baseline');
+
+let dir;
+
+/**
+ * Builds a console-log violation
+ * @param {string} file - File name inside the temp directory
+ * @param {number} line - 1-based line
+ * @returns {Object} Violation
+ */
+function consoleLog(file, line) {
+  return { file: path.join(dir, file), line, ruleId: 'debug/console-log', message: 'Remove console.log' };
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ci-standards-baseline-'));
+  fs.writeFileSync(path.join(dir, 'a.ts'), ['console.log(x);', 'const y = 1;', '  console.log(x);', ''].join('\n'));
+  fs.writeFileSync(path.join(dir, 'b.ts'), ['console.log(b);', ''].join('\n'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('counts violations sharing a fingerprint in one entry', () => {
+  const baseline = createBaseline([consoleLog('a.ts', 1), consoleLog('a.ts', 3)], [path.join(dir, 'a.ts')], { root: dir });
+  assert.equal(baseline.entries.length, 1);
+  assert.deepEqual(
+    { ...baseline.entries[0], fingerprint: undefined },
+    { file: 'a.ts', ruleId: 'debug/console-log', fingerprint: undefined, message: 'Remove console.log', count: 2 }
+  );
+});
+
+test('matches up to the recorded count, whatever the line numbers', () => {
+  const files = [path.join(dir, 'a.ts')];
+  const baseline = createBaseline([consoleLog('a.ts', 1), consoleLog('a.ts', 3)], files, { root: dir });
+
+  // The same line moved down still matches; a third copy is new
+  fs.writeFileSync(path.join(dir, 'a.ts'), ['// moved', 'console.log(x);', 'console.log(x);', 'console.log(x);', ''].join('\n'));
+  const moved = [consoleLog('a.ts', 2), consoleLog('a.ts', 3), consoleLog('a.ts', 4)];
+  const result = filterByBaseline(moved, baseline, files, { root: dir });
+  assert.deepEqual(result.newViolations, [moved[2]]);
+  assert.equal(result.prunedCount, 0);
+  assert.equal(result.baseline.entries[0].count, 2);
+});
+
+test('prunes entries of checked files as their violations are fixed', () => {
+  const files = [path.join(dir, 'b.ts')];
+  fs.writeFileSync(path.join(dir, 'b.ts'), ['console.log(b);', 'console.log(b);', ''].join('\n'));
+  const baseline = createBaseline([consoleLog('b.ts', 1), consoleLog('b.ts', 2)], files, { root: dir });
+
+  const oneFixed = filterByBaseline([consoleLog('b.ts', 1)], baseline, files, { root: dir });
+  assert.deepEqual(oneFixed.newViolations, []);
+  assert.equal(oneFixed.prunedCount, 1);
+  assert.equal(oneFixed.baseline.entries[0].count, 1);
+  assert.equal('matched' in oneFixed.baseline.entries[0], false);
+
+  const allFixed = filterByBaseline([], baseline, files, { root: dir });
+  assert.equal(allFixed.prunedCount, 2);
+  assert.deepEqual(allFixed.baseline.entries, []);
+});
+
+test('carries entries for files outside the run', () => {
+  fs.writeFileSync(path.join(dir, 'c.ts'), ['console.log(c);', ''].join('\n'));
+  const previous = createBaseline(
+    [consoleLog('b.ts', 1), consoleLog('c.ts', 1)],
+    [path.join(dir, 'b.ts'), path.join(dir, 'c.ts')],
+    { root: dir }
+  );
+
+  // Regenerating for b.ts only replaces its entries and keeps c.ts
+  const regenerated = createBaseline([], [path.join(dir, 'b.ts')], { root: dir, previous });
+  assert.deepEqual(regenerated.entries.map((entry) => entry.file), ['c.ts']);
+
+  // Filtering b.ts never prunes c.ts, even with no c.ts violations in the run
+  const filtered = filterByBaseline([], previous, [path.join(dir, 'b.ts')], { root: dir });
+  assert.deepEqual(filtered.baseline.entries.map((entry) => entry.file), ['c.ts']);
+  assert.equal(filtered.prunedCount, 1);
+});
+
+test('drops entries of deleted files even when they were not checked', () => {
+  fs.writeFileSync(path.join(dir, 'gone.ts'), ['console.log(g);', ''].join('\n'));
+  const baseline = createBaseline([consoleLog('gone.ts', 1)], [path.join(dir, 'gone.ts')], { root: dir });
+  fs.rmSync(path.join(dir, 'gone.ts'));
+
+  const result = filterByBaseline([], baseline, [], { root: dir });
+  assert.deepEqual(result.baseline.entries, []);
+  assert.equal(result.prunedCount, 1);
+});
+
+test('writes sorted entries that read back unchanged', () => {
+  const file = path.join(dir, 'baseline.json');
+  const entries = [
+    { file: 'b.ts', ruleId: 'debug/console-log', fingerprint: '2', message: 'm', count: 1 },
+    { file: 'a.ts', ruleId: 'jsdoc/missing-jsdoc', fingerprint: '1', message: 'm', count: 1 },
+    { file: 'a.ts', ruleId: 'debug/console-log', fingerprint: '3', message: 'm', count: 2 },
+  ];
+  writeBaseline(file, { entries });
+  const read = readBaseline(file);
+  assert.equal(read.version, 1);
+  assert.deepEqual(read.entries.map((entry) => `${entry.file} ${entry.ruleId}`), [
+    'a.ts debug/console-log',
+    'a.ts jsdoc/missing-jsdoc',
+    'b.ts debug/console-log',
+  ]);
+  assert.deepEqual(readBaseline(path.join(dir, 'missing.json')).entries, []);
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests for scripts/check-tailwind-standards.js against a stylesheet fixture
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { checkCSSFile } = require('../scripts/check-tailwind-standards');
+const { createConfig } = require('../scripts/lib/config');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'standards');
+const STYLESHEET = path.join(FIXTURE_DIR, 'tailwind.css');
+
+test('flags hardcoded values and properties with a utility, inside @media but not @keyframes', () => {
+  const violations = checkCSSFile(STYLESHEET, createConfig({}, FIXTURE_DIR));
+  assert.deepEqual(violations.map((v) => [v.line, v.ruleId, v.severity, v.property, v.value]), [
+    [2, 'tailwind/prefer-utility', 'warning', 'display', 'block'],
+    [3, 'tailwind/prefer-utility', 'warning', 'padding', '16px'],
+    [7, 'tailwind/hardcoded-color', 'error', 'color', '#fff'],
+    [8, 'tailwind/hardcoded-color', 'error', 'background-color', 'rgb(0, 0, 0)'],
+    [9, 'tailwind/var-fallback', 'error', 'border-color', 'var(--card-border)'],
+    [10, 'tailwind/hardcoded-font', 'error', 'font-family', 'Arial'],
+    [19, 'tailwind/prefer-utility', 'warning', 'padding', '8px'],
+    [26, 'tailwind/prefer-utility', 'warning', 'height', '40px'],
+    [33, 'tailwind/prefer-utility', 'warning', 'margin', '4px'],
+    [33, 'tailwind/hardcoded-color', 'error', 'color', '#000'],
+  ]);
+  // :host rules are fixed with @apply
+  assert.equal(violations[1].isHostSelector, true);
+  assert.equal(violations[1].message, "Property 'padding' should use Use @apply p-{size}");
+  assert.equal(violations[7].message, "Property 'height' should use Use Tailwind 'h-{size}'");
+  assert.equal(violations[2].tailwind, 'text-{color}');
+  // Every declaration on a line is checked, each at its own column
+  assert.deepEqual(violations.slice(8).map((v) => [v.column, v.endColumn]), [[10, 22], [23, 35]]);
+});
+
+test('applies the Tailwind tables and severities from config', () => {
+  const config = createConfig({
+    rules: { 'tailwind/hardcoded-color': 'warning' },
+    tailwind: { exemptProperties: ['display'], properties: { padding: null } },
+  }, FIXTURE_DIR);
+  const violations = checkCSSFile(STYLESHEET, config);
+  assert.deepEqual(violations.map((v) => [v.line, v.ruleId, v.severity]), [
+    [7, 'tailwind/hardcoded-color', 'warning'],
+    [8, 'tailwind/hardcoded-color', 'warning'],
+    [9, 'tailwind/var-fallback', 'error'],
+    [10, 'tailwind/hardcoded-font', 'error'],
+    [26, 'tailwind/prefer-utility', 'warning'],
+    [33, 'tailwind/prefer-utility', 'warning'],
+    [33, 'tailwind/hardcoded-color', 'warning'],
+  ]);
+});
+
+test('checks SCSS, Less and Sass, reporting color variables where they are defined', () => {
+  const config = createConfig({}, FIXTURE_DIR);
+  const check = (name) => checkCSSFile(path.join(FIXTURE_DIR, name), config).map((v) => [v.line, v.ruleId, v.property, v.value]);
+  assert.deepEqual(check('tailwind.scss'), [
+    [1, 'tailwind/hardcoded-color', '$brand', '#e4002b'],
+    [10, 'tailwind/prefer-utility', 'margin', '8px'],
+    // font: { family: ... } is font-family
+    [12, 'tailwind/hardcoded-font', 'font-family', 'Arial'],
+  ]);
+  assert.deepEqual(check('tailwind.less'), [
+    [1, 'tailwind/hardcoded-color', '@brand', '#fff'],
+    [7, 'tailwind/prefer-utility', 'width', '10px'],
+  ]);
+  assert.deepEqual(check('tailwind.sass'), [
+    [1, 'tailwind/hardcoded-color', '$brand', 'rgb(0, 0, 0)'],
+    [5, 'tailwind/prefer-utility', 'height', '12px'],
+  ]);
+  // &-title under :host is still a :host rule
+  assert.equal(checkCSSFile(path.join(FIXTURE_DIR, 'tailwind.scss'), config)[1].message, "Property 'margin' should use Use @apply m-{size}");
+});
+
+test('reports a stylesheet that does not parse', () => {
+  const violations = checkCSSFile(path.join(FIXTURE_DIR, 'unclosed.css'), createConfig({}, FIXTURE_DIR));
+  assert.deepEqual(violations.map((v) => [v.line, v.column, v.ruleId, v.message]), [
+    [1, 1, 'css/syntax-error', 'CSS syntax error: Unclosed block'],
+  ]);
+
+  // The Sass parser fails on this indentation without saying where
+  const sass = checkCSSFile(path.join(FIXTURE_DIR, 'misindented.sass'), createConfig({}, FIXTURE_DIR));
+  assert.deepEqual(sass.map((v) => [v.line, v.column, v.ruleId]), [[1, 1, 'css/syntax-error']]);
+  assert.match(sass[0].message, /^CSS syntax error: /);
+});
+
+test('reports unreadable files and returns no violations', (t) => {
+  const error = t.mock.method(console, 'error', () => {});
+  assert.deepEqual(checkCSSFile(path.join(FIXTURE_DIR, 'missing.css'), createConfig({}, FIXTURE_DIR)), []);
+  assert.match(error.mock.calls[0].arguments[0], /Error reading file .*missing\.css/);
+});
@@ -0,0 +1,191 @@
+/**
+ * Tests for scripts/check-template-standards.js and the template rules, on .html files and inline templates
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { checkTemplateFile } = require('../scripts/check-template-standards');
+const { createConfig } = require('../scripts/lib/config');
+const { checkSource } = require('../scripts/lib/engine');
+const { generateComments } = require('../scripts/generate-pr-comments');
+const { loadCompiler } = require('../scripts/lib/template-analyzer');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'standards');
+const TEMPLATE = path.join(FIXTURE_DIR, 'template.html');
+
+// Template checks need an @angular/compiler this Node version can load; without one they are skipped
+let noCompiler = false;
+try {
+  loadCompiler(__filename);
+} catch (error) {
+  noCompiler = error.message;
+}
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ci-standards-template-'));
+  fs.writeFileSync(path.join(dir, 'tailwind.config.js'), "module.exports = { theme: { extend: { colors: { brand: '#e4002b' } } } };\n");
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('flags inline styles, arbitrary values, legacy directives and debug output', { skip: noCompiler }, () => {
+  const violations = checkTemplateFile(TEMPLATE, createConfig({}, FIXTURE_DIR));
+  assert.deepEqual(violations.map((v) => [v.line, v.column, v.ruleId, v.severity]), [
+    [1, 10, 'template/arbitrary-value', 'warning'],
+    [1, 10, 'template/arbitrary-value', 'warning'],
+    [1, 76, 'template/inline-style', 'error'],
+    [1, 76, 'template/inline-style', 'error'],
+    [2, 6, 'template/legacy-control-flow', 'error'],
+    [2, 31, 'template/inline-style', 'error'],
+    [4, 11, 'template/arbitrary-value', 'warning'],
+    [4, 50, 'template/inline-style', 'error'],
+    [4, 88, 'template/debug-output', 'warning'],
+    [6, 7, 'template/legacy-control-flow', 'error'],
+    [7, 9, 'template/legacy-control-flow', 'error'],
+    [10, 10, 'template/inline-style', 'error'],
+    [10, 85, 'template/debug-output', 'warning'],
+  ]);
+  const messages = violations.map((v) => v.message);
+  // Variants are kept in the report; data-[...] variants are not values
+  assert.equal(messages[1], "Tailwind arbitrary value 'md:w-[13px]' bypasses the theme. Use a theme token or add one to the Tailwind theme.");
+  // display: flex is left to tailwind/prefer-utility in stylesheets; templates only flag colors and spacing
+  assert.equal(messages[2], "Inline style hardcodes color 'color: #fff'. Use the Tailwind class 'text-{color}' instead.");
+  assert.equal(messages[5], "Inline style hardcodes spacing 'padding: 8px'. Use the Tailwind class 'p-{size}' instead.");
+  assert.equal(messages[4], "Legacy control flow directive '*ngIf'. Use the built-in @if block instead.");
+  assert.equal(messages[9], "Legacy control flow directive '[ngSwitch]'. Use the built-in @switch block instead.");
+  assert.equal(messages[8], 'console.log() should not ship in a template binding.');
+  // Only the literal branch of a conditional binding is a hardcoded color
+  assert.equal(violations[11].value, 'green');
+});
+
+test('names the theme utility for arbitrary values and inline styles', { skip: noCompiler }, () => {
+  const html = '<p class="p-[16px] hover:text-[#e4002b] w-[calc(100%-1rem)]" [style.margin.px]="15">x</p>\n';
+  const violations = checkSource(html, path.join(dir, 'a.html'), createConfig({}, dir));
+  assert.deepEqual(violations.map((v) => v.message), [
+    "Tailwind arbitrary value 'p-[16px]' bypasses the theme. Use 'p-4'.",
+    "Tailwind arbitrary value 'hover:text-[#e4002b]' bypasses the theme. Use 'text-brand'.",
+    "Tailwind arbitrary value 'w-[calc(100%-1rem)]' bypasses the theme. Use a theme token or add one to the Tailwind theme.",
+    "Inline style hardcodes spacing 'margin: 15px'. Use the Tailwind class 'm-4' (nearest token: 16px, 1px more) instead.",
+  ]);
+  assert.equal(violations[1].token.utility, 'text-brand');
+});
+
+test('checks inline templates at their place in the .ts file', { skip: noCompiler }, () => {
+  const source = [
+    '@Component({',
+    "  selector: 'app-user',",
+    '  template: `<p *ngIf="user">{{ user | json }}</p>',
+    '    <span style="color: red">x</span>`,',
+    '})',
+    'export class UserComponent {}',
+    '',
+  ].join('\n');
+  const violations = checkSource(source, path.join(dir, 'user.component.ts'), createConfig({}, dir))
+    .filter((v) => v.ruleId.startsWith('template/'));
+  assert.deepEqual(violations.map((v) => [v.line, v.column, v.ruleId]), [
+    [3, 17, 'template/legacy-control-flow'],
+    [3, 40, 'template/debug-output'],
+    [4, 11, 'template/inline-style'],
+  ]);
+});
+
+test('maps inline template positions past escapes in the string', { skip: noCompiler }, () => {
+  const source = [
+    '@Component({',
+    "  template: '<p title=\"a\\\\b\">{{ user | json }}</p>\\n<span style=\"color: red\">\\'x\\'</span>',",
+    '})',
+    'export class UserComponent {}',
+    '',
+  ].join('\n');
+  const line = source.split('\n')[1];
+  const violations = checkSource(source, path.join(dir, 'user.component.ts'), createConfig({}, dir))
+    .filter((v) => v.ruleId.startsWith('template/'));
+  assert.deepEqual(violations.map((v) => [v.line, v.column, v.ruleId]), [
+    [2, line.indexOf('json') + 1, 'template/debug-output'],
+    [2, line.indexOf('style=') + 1, 'template/inline-style'],
+  ]);
+  assert.equal(violations[1].endColumn, line.indexOf('>\\\'x') + 1);
+});
+
+test('honors <!-- --> suppressions and reports templates that do not parse', { skip: noCompiler }, () => {
+  const config = createConfig({}, dir);
+  const suppressed = [
+    '<!-- ci-standards-disable-next-line template/debug-output -- debug panel -->',
+    '<pre>{{ state | json }}</pre>',
+    '',
+  ].join('\n');
+  assert.deepEqual(checkSource(suppressed, path.join(dir, 'debug.html'), config), []);
+
+  const broken = checkSource('<div>\n  @if (open) {\n    <p>x</p>\n</div>\n', path.join(dir, 'broken.html'), config);
+  assert.deepEqual(broken.map((v) => [v.line, v.ruleId, v.message]), [
+    [4, 'template/syntax-error', 'Template syntax error: Unexpected closing tag "div". It may happen when the tag has already been closed by another tag.'],
+  ]);
+});
+
+test('PR comments cover changed template lines, with one-line fixes as suggestions', { skip: noCompiler }, () => {
+  fs.writeFileSync(path.join(dir, 'card.html'), [
+    '<div class="p-[16px] bg-[#123456]">',
+    '  <pre>{{ card | json }}</pre>',
+    '  <p *ngIf="card.title">{{ card.title }}</p>',
+    '</div>',
+    '',
+  ].join('\n'));
+  const diffText = [
+    'diff --git a/card.html b/card.html',
+    '--- a/card.html',
+    '+++ b/card.html',
+    '@@ -1,2 +1,2 @@',
+    '-<div class="p-4">',
+    '-  <pre>{{ card }}</pre>',
+    '+<div class="p-[16px] bg-[#123456]">',
+    '+  <pre>{{ card | json }}</pre>',
+    '',
+  ].join('\n');
+
+  const comments = generateComments({ diffText, root: dir });
+  assert.deepEqual(comments.map((c) => [c.path, c.line, c.ruleId]), [
+    ['card.html', 1, 'template/arbitrary-value'],
+    ['card.html', 1, 'template/arbitrary-value'],
+    ['card.html', 2, 'template/debug-output'],
+  ]);
+  assert.match(comments[0].body, /^⚠️ \*\*Template Standard\*\*: Tailwind arbitrary value 'p-\[16px\]'/);
+  assert.match(comments[0].body, /```suggestion\n<div class="p-4 bg-\[#123456\]">\n```/);
+  // Only an exact token is swapped in
+  assert.doesNotMatch(comments[1].body, /```suggestion/);
+  assert.match(comments[2].body, /```suggestion\n {2}<pre>\{\{ card \}\}<\/pre>\n```/);
+});
+
+test('loads @angular/compiler only for templates, and skips them with one warning without it', () => {
+  // Hides @angular/compiler from require, as on a project without it
+  const script = `
+    const Module = require('module');
+    const resolve = Module._resolveFilename;
+    Module._resolveFilename = function (request, ...rest) {
+      if (request === '@angular/compiler') throw Object.assign(new Error('not found'), { code: 'MODULE_NOT_FOUND' });
+      return resolve.call(this, request, ...rest);
+    };
+    const { checkSource } = require('./scripts/lib/engine');
+    const { createConfig } = require('./scripts/lib/config');
+    const config = createConfig({}, process.cwd());
+    console.log(checkSource('.a { color: #fff; }\\n', 'a.css', config).length);
+    console.log(checkSource('export const a: any = 1;\\n', 'a.ts', config).length);
+    console.log(checkSource('<pre>{{ a | json }}</pre>\\n', 'a.html', config).length);
+    const component = '@Component({ template: \\'<pre>{{ a | json }}</pre>\\' })\\nexport class A {}\\n';
+    console.log(checkSource(component, 'a.component.ts', config).filter((v) => v.ruleId.startsWith('template/')).length);
+  `;
+  const result = spawnSync(process.execPath, ['-e', script], { cwd: path.join(__dirname, '..'), encoding: 'utf8' });
+  assert.equal(result.status, 0);
+  assert.equal(result.stdout, '1\n1\n0\n0\n');
+  assert.equal(
+    result.stderr,
+    '⚠️ Checking Angular templates needs @angular/compiler. Install it in the project or next to ci-standards. Skipping the template rules.\n'
+  );
+});
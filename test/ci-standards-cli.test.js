@@ -0,0 +1,154 @@
+/**
+ * Tests for bin/ci-standards.js, run as a child process against a scratch git repository
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync, execSync } = require('child_process');
+const { loadCompiler } = require('../scripts/lib/template-analyzer');
+
+const BIN = path.join(__dirname, '..', 'bin', 'ci-standards.js');
+
+// Template checks need an @angular/compiler this Node version can load; without one they are skipped
+let noCompiler = false;
+try {
+  loadCompiler(__filename);
+} catch (error) {
+  noCompiler = error.message;
+}
+
+// Hooks land in .git/hooks whatever core.hooksPath the machine sets
+const GIT_ENV = { ...process.env, GIT_CONFIG_COUNT: '1', GIT_CONFIG_KEY_0: 'core.hooksPath', GIT_CONFIG_VALUE_0: '.git/hooks' };
+
+let repo;
+
+before(() => {
+  repo = fs.mkdtempSync(path.join(os.tmpdir(), 'ci-standards-cli-'));
+  fs.mkdirSync(path.join(repo, 'src'));
+  fs.writeFileSync(path.join(repo, 'src', 'user.service.ts'), [
+    'export class UserService {',
+    '  /**',
+    '   * Loads a user',
+    '   * @public',
+    '   * @param {string} id - User id',
+    '   * @returns {string} The id',
+    '   */',
+    '  public load(id: string): string {',
+    '    return id;',
+    '  }',
+    '',
+    '  save() {}',
+    '}',
+    '',
+  ].join('\n'));
+  fs.writeFileSync(path.join(repo, 'src', 'theme.css'), '.title {\n  color: #fff;\n}\n');
+  fs.writeFileSync(path.join(repo, 'src', 'user.component.html'), '<h1 class="title">User</h1>\n<p *ngIf="user">{{ user.name }}</p>\n');
+  execSync('git init -q && git add -A', { cwd: repo, env: GIT_ENV });
+});
+
+after(() => {
+  fs.rmSync(repo, { recursive: true, force: true });
+});
+
+/**
+ * Runs the CLI in the scratch repository
+ * @param {string[]} args - CLI arguments
+ * @returns {{status: number, stdout: string, stderr: string}} Process result
+ */
+function cli(args) {
+  return spawnSync(process.execPath, [BIN, ...args], { cwd: repo, env: GIT_ENV, encoding: 'utf8' });
+}
+
+test('check all reports TypeScript, CSS and template violations in one report', { skip: noCompiler }, () => {
+  const result = cli(['check', 'all', '--staged', '--format=json']);
+  assert.equal(result.status, 1);
+  const report = JSON.parse(result.stdout);
+  assert.deepEqual(report.map((v) => [v.file, v.line, v.ruleId]), [
+    ['src/user.service.ts', 12, 'jsdoc/missing-jsdoc'],
+    ['src/user.service.ts', 12, 'ts/access-modifier'],
+    ['src/user.service.ts', 12, 'ts/return-type'],
+    ['src/theme.css', 2, 'tailwind/hardcoded-color'],
+    ['src/user.component.html', 2, 'template/legacy-control-flow'],
+  ]);
+});
+
+test('check ts, check css and check html only look at their own files', { skip: noCompiler }, () => {
+  const ts = cli(['check', 'ts', 'src/user.service.ts', 'src/theme.css', '--format=json']);
+  assert.deepEqual([...new Set(JSON.parse(ts.stdout).map((v) => v.file))], ['src/user.service.ts']);
+
+  const css = cli(['check', 'css', 'src/theme.css', 'src/user.service.ts', '--format=json']);
+  assert.deepEqual([...new Set(JSON.parse(css.stdout).map((v) => v.file))], ['src/theme.css']);
+
+  const html = cli(['check', 'html', 'src/user.component.html', 'src/theme.css', '--format=json']);
+  assert.deepEqual([...new Set(JSON.parse(html.stdout).map((v) => v.file))], ['src/user.component.html']);
+});
+
+test('usage and config errors exit with 2', () => {
+  for (const args of [['check'], ['check', 'java'], ['check', 'ts', '--bogus'], ['frobnicate'], ['explain', 'no/such-rule']]) {
+    const result = cli(args);
+    assert.equal(result.status, 2, args.join(' '));
+    assert.match(result.stderr, /❌/);
+  }
+});
+
+test('explain describes a rule with the severity configured for the project', () => {
+  fs.writeFileSync(path.join(repo, '.ci-standards.json'), JSON.stringify({ rules: { 'ts/return-type': 'warn' } }));
+  try {
+    const result = cli(['explain', 'ts/return-type']);
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /^ts\/return-type\n {2}Methods must declare a return type/);
+    assert.match(result.stdout, /Severity: warning \(default: error\)/);
+    assert.match(result.stdout, /Scope: {4}symbol/);
+
+    assert.match(cli(['explain']).stdout, /ts\/return-type\s+warning\s+Methods must declare a return type/);
+    // Template rules are silenced with HTML comments
+    assert.match(cli(['explain', 'template/debug-output']).stdout, /Silence: {2}<!-- ci-standards-disable-next-line template\/debug-output -- <reason> -->/);
+  } finally {
+    fs.rmSync(path.join(repo, '.ci-standards.json'));
+  }
+});
+
+test('a baseline written at the config root applies when checking from a subdirectory', () => {
+  const baselineFile = path.join(repo, '.ci-standards-baseline.json');
+  fs.writeFileSync(path.join(repo, '.ci-standards.json'), '{}\n');
+  try {
+    assert.equal(cli(['check', 'ts', 'src/user.service.ts', '--write-baseline']).status, 0);
+    assert.deepEqual(JSON.parse(fs.readFileSync(baselineFile, 'utf8')).entries.map((entry) => entry.file), [
+      'src/user.service.ts',
+      'src/user.service.ts',
+      'src/user.service.ts',
+    ]);
+
+    const fromSrc = spawnSync(process.execPath, [BIN, 'check', 'ts', 'user.service.ts', '--baseline', '--format=json'], {
+      cwd: path.join(repo, 'src'),
+      env: GIT_ENV,
+      encoding: 'utf8',
+    });
+    assert.equal(fromSrc.status, 0);
+    assert.deepEqual(JSON.parse(fromSrc.stdout), []);
+    assert.match(fromSrc.stderr, /Ignored 3 violation\(s\)/);
+  } finally {
+    fs.rmSync(path.join(repo, '.ci-standards.json'));
+    fs.rmSync(baselineFile, { force: true });
+  }
+});
+
+test('install-hooks writes an executable hook and keeps foreign hooks without --force', () => {
+  const hook = path.join(repo, '.git', 'hooks', 'pre-commit');
+  assert.equal(cli(['install-hooks']).status, 0);
+  assert.match(fs.readFileSync(hook, 'utf8'), /ci-standards check all --staged/);
+  assert.ok(fs.statSync(hook).mode & 0o100);
+
+  // Its own hook is replaced freely, another one needs --force
+  assert.equal(cli(['install-hooks']).status, 0);
+  fs.writeFileSync(hook, '#!/bin/sh\nexit 0\n');
+  const refused = cli(['install-hooks']);
+  assert.equal(refused.status, 2);
+  assert.match(refused.stderr, /already exists/);
+  assert.equal(fs.readFileSync(hook, 'utf8'), '#!/bin/sh\nexit 0\n');
+  assert.equal(cli(['install-hooks', '--force']).status, 0);
+  assert.match(fs.readFileSync(hook, 'utf8'), /Installed by ci-standards/);
+});
@@ -0,0 +1,49 @@
+/**
+ * Tests for scripts/lib/formatters/codequality.js
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { toCodeQuality } = require('../scripts/lib/formatters/codequality');
+const { getFormatter } = require('../scripts/lib/formatters');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'codequality-'));
+fs.mkdirSync(path.join(root, 'src'));
+fs.writeFileSync(path.join(root, 'src/a.css'), '.a {\n  color: #fff;\n  color: #fff;\n}\n');
+
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const violation = (line, severity = 'error') => ({
+  file: 'src/a.css', line, ruleId: 'tailwind/hardcoded-color', severity, message: "Hardcoded color value '#fff' found.",
+});
+
+test('maps violations to Code Quality issues', () => {
+  const [issue] = toCodeQuality([violation(2)], { root });
+  assert.deepEqual({ ...issue, fingerprint: undefined }, {
+    type: 'issue',
+    check_name: 'tailwind/hardcoded-color',
+    description: "Hardcoded color value '#fff' found.",
+    categories: ['Style'],
+    severity: 'major',
+    fingerprint: undefined,
+    location: { path: 'src/a.css', lines: { begin: 2 } },
+  });
+  assert.equal(toCodeQuality([violation(2, 'warning')], { root })[0].severity, 'minor');
+});
+
+test('fingerprints are stable across line shifts and unique for repeats', () => {
+  const [first, second] = toCodeQuality([violation(2), violation(3)], { root });
+  assert.notEqual(first.fingerprint, second.fingerprint);
+
+  // The same violation found one line lower keeps its fingerprint
+  fs.writeFileSync(path.join(root, 'src/a.css'), '\n.a {\n  color: #fff;\n  color: #fff;\n}\n');
+  const [shifted] = toCodeQuality([violation(3)], { root });
+  assert.equal(shifted.fingerprint, first.fingerprint);
+});
+
+test('is available as --format=codequality', () => {
+  assert.equal(JSON.parse(getFormatter('codequality')([], { root })).length, 0);
+});
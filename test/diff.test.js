@@ -0,0 +1,150 @@
+/**
+ * Tests for scripts/lib/diff.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDiff, getChangedRanges, getLineChanges, unquotePath } = require('../scripts/lib/diff');
+
+test('parses a modified file with line numbers', () => {
+  const [file] = parseDiff([
+    'diff --git a/src/app.ts b/src/app.ts',
+    'index 1111111..2222222 100644',
+    '--- a/src/app.ts',
+    '+++ b/src/app.ts',
+    '@@ -2,3 +2,4 @@ export class App {',
+    ' keep',
+    '-old',
+    '+new',
+    '+added',
+    ' keep',
+  ].join('\n'));
+
+  assert.equal(file.status, 'modified');
+  assert.equal(file.oldPath, 'src/app.ts');
+  assert.equal(file.newPath, 'src/app.ts');
+  assert.deepEqual(file.hunks[0].lines.map((l) => [l.type, l.oldLine, l.newLine]), [
+    ['context', 2, 2],
+    ['del', 3, null],
+    ['add', null, 3],
+    ['add', null, 4],
+    ['context', 4, 5],
+  ]);
+  assert.deepEqual(getChangedRanges(file), [{ start: 3, end: 4 }]);
+});
+
+test('parses renames, deletions, additions and binary files', () => {
+  const files = parseDiff([
+    'diff --git a/old/name.ts b/new/name.ts',
+    'similarity index 90%',
+    'rename from old/name.ts',
+    'rename to new/name.ts',
+    '@@ -1 +1 @@',
+    '-a',
+    '+b',
+    'diff --git a/gone.css b/gone.css',
+    'deleted file mode 100644',
+    'index 1111111..0000000',
+    '--- a/gone.css',
+    '+++ /dev/null',
+    '@@ -1,2 +0,0 @@',
+    '-.a {}',
+    '-.b {}',
+    'diff --git a/fresh.ts b/fresh.ts',
+    'new file mode 100644',
+    '--- /dev/null',
+    '+++ b/fresh.ts',
+    '@@ -0,0 +1,2 @@',
+    '+one',
+    '+two',
+    'diff --git a/logo.png b/logo.png',
+    'index 1111111..2222222 100644',
+    'Binary files a/logo.png and b/logo.png differ',
+  ].join('\n'));
+
+  assert.deepEqual(files.map((f) => [f.status, f.oldPath, f.newPath, f.binary]), [
+    ['renamed', 'old/name.ts', 'new/name.ts', false],
+    ['deleted', 'gone.css', null, false],
+    ['added', null, 'fresh.ts', false],
+    ['modified', 'logo.png', 'logo.png', true],
+  ]);
+  assert.deepEqual(getChangedRanges(files[2]), [{ start: 1, end: 2 }]);
+  assert.equal(files[0].similarity, 90);
+});
+
+test('a pure rename without hunks has no changed lines', () => {
+  const [file] = parseDiff([
+    'diff --git a/a.ts b/b.ts',
+    'similarity index 100%',
+    'rename from a.ts',
+    'rename to b.ts',
+  ].join('\n'));
+  assert.equal(file.status, 'renamed');
+  assert.deepEqual(getChangedRanges(file), []);
+});
+
+test('hunk content that looks like a header is kept as content', () => {
+  const [file] = parseDiff([
+    'diff --git a/notes.md b/notes.md',
+    '--- a/notes.md',
+    '+++ b/notes.md',
+    '@@ -1,0 +1,2 @@',
+    '+++ not a header',
+    '+--- nor this',
+    '\\ No newline at end of file',
+  ].join('\n'));
+  assert.deepEqual(file.hunks[0].lines.map((l) => l.text), ['++ not a header', '--- nor this']);
+  assert.deepEqual(getChangedRanges(file), [{ start: 1, end: 2 }]);
+});
+
+test('a pure deletion marks the line it follows', () => {
+  const [file] = parseDiff([
+    'diff --git a/a.ts b/a.ts',
+    '--- a/a.ts',
+    '+++ b/a.ts',
+    '@@ -5,2 +4,0 @@',
+    '-x',
+    '-y',
+  ].join('\n'));
+  assert.deepEqual(getChangedRanges(file), [{ start: 4, end: 4 }]);
+});
+
+test('parses quoted paths and plain diffs', () => {
+  assert.equal(unquotePath('"src/caf\\303\\251 file.ts"'), 'src/café file.ts');
+  assert.equal(unquotePath('plain.ts'), 'plain.ts');
+
+  const [quoted] = parseDiff('diff --git "a/my file.ts" "b/my file.ts"\n');
+  assert.equal(quoted.newPath, 'my file.ts');
+
+  const [plain] = parseDiff([
+    '--- a/x.css\t2024-01-01 00:00:00',
+    '+++ b/x.css\t2024-01-02 00:00:00',
+    '@@ -1 +1,2 @@',
+    ' a',
+    '+b',
+  ].join('\n'));
+  assert.equal(plain.newPath, 'x.css');
+  assert.deepEqual(getChangedRanges(plain), [{ start: 2, end: 2 }]);
+});
+
+test('separates added, modified and deleted lines', () => {
+  const [file] = parseDiff([
+    'diff --git a/a.ts b/a.ts',
+    '--- a/a.ts',
+    '+++ b/a.ts',
+    '@@ -1,9 +1,9 @@',
+    ' one',
+    '-two',
+    '+TWO',
+    '+two and a half',
+    ' three',
+    '-four',
+    ' five',
+    '+six',
+    ' seven',
+    '-eight',
+    '-nine',
+    '+EIGHT',
+  ].join('\n'));
+  assert.deepEqual(getLineChanges(file), { added: [3, 6], modified: [2, 8], deletedAfter: [4] });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for the ESLint plugin in scripts/lib/eslint-plugin.js
+ */
+
+const { describe, it, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { RuleTester, Linter } = require('eslint');
+const plugin = require('../scripts/lib/eslint-plugin');
+
+RuleTester.describe = describe;
+RuleTester.it = it;
+
+// The rules read the file text, not the AST, so the tests parse .ts samples as an empty program
+// instead of pulling in a TypeScript parser
+const textParser = {
+  meta: { name: 'text-only' },
+  parseForESLint(text) {
+    const lines = text.split('\n');
+    return {
+      ast: {
+        type: 'Program',
+        body: [],
+        sourceType: 'module',
+        tokens: [],
+        comments: [],
+        range: [0, text.length],
+        loc: { start: { line: 1, column: 0 }, end: { line: lines.length, column: lines[lines.length - 1].length } },
+      },
+      visitorKeys: { Program: [] },
+    };
+  },
+};
+
+const ruleTester = new RuleTester({ languageOptions: { parser: textParser } });
+
+ruleTester.run('require-signal-single-line-jsdoc', plugin.rules['require-signal-single-line-jsdoc'], {
+  valid: [
+    { filename: 'a.ts', code: 'class A {\n  /** Count */\n  public count = signal(0);\n}' },
+    // Only .ts files are checked
+    { filename: 'a.js', code: 'class A {\n  /**\n   * Count\n   */\n  count = signal(0);\n}' },
+  ],
+  invalid: [
+    {
+      filename: 'a.ts',
+      code: 'class A {\n  /**\n   * Count\n   */\n  public count = signal(0);\n}',
+      output: 'class A {\n  /** Count */\n  public count = signal(0);\n}',
+      errors: [{ message: 'Signal should have single-line JSDoc (/** ... */), not multi-line', line: 5, column: 10, endColumn: 15 }],
+    },
+    {
+      filename: 'a.ts',
+      code: 'class A {\n  /** */\n  public name = input<string>();\n}',
+      output: 'class A {\n  /** Name */\n  public name = input<string>();\n}',
+      errors: [{ message: 'Input JSDoc is empty - add a description', line: 3 }],
+    },
+  ],
+});
+
+ruleTester.run('jsdoc-access-tag-matches-modifier', plugin.rules['jsdoc-access-tag-matches-modifier'], {
+  valid: [
+    { filename: 'a.ts', code: 'class A {\n  /**\n   * Loads\n   * @private\n   */\n  private load(): void {}\n}' },
+    // Suppressed for the CLI, so suppressed in the editor
+    { filename: 'a.ts', code: 'class A {\n  /**\n   * Loads\n   */\n  // ci-standards-disable-next-line jsdoc/access-tag\n  private load(): void {}\n}' },
+  ],
+  invalid: [
+    {
+      filename: 'a.ts',
+      code: 'class A {\n  /**\n   * Loads\n   * @public\n   * @returns {void}\n   */\n  protected load(): void {}\n}',
+      output: 'class A {\n  /**\n   * Loads\n   * @protected\n   * @returns {void}\n   */\n  protected load(): void {}\n}',
+      errors: [{ message: 'JSDoc should have @protected (method is protected)', line: 7, column: 13 }],
+    },
+  ],
+});
+
+ruleTester.run('require-method-access-modifier', plugin.rules['require-method-access-modifier'], {
+  valid: [
+    { filename: 'a.ts', code: 'class A {\n  public load(): void {}\n  private count = signal(0);\n}' },
+  ],
+  invalid: [
+    {
+      filename: 'a.ts',
+      code: 'class A {\n  load(): void {}\n}',
+      output: 'class A {\n  public load(): void {}\n}',
+      errors: [{ message: 'Missing access modifier on method', line: 2, column: 3 }],
+    },
+    {
+      filename: 'a.ts',
+      code: "class A {\n  @Input()\n  static get label(): string { return ''; }\n  total = computed(() => 1);\n}",
+      output: "class A {\n  @Input()\n  public static get label(): string { return ''; }\n  public total = computed(() => 1);\n}",
+      errors: [
+        { message: 'Missing access modifier on method', line: 3 },
+        { message: 'Missing access modifier on computed property', line: 4 },
+      ],
+    },
+    {
+      // #private members cannot take a modifier, so there is nothing to fix
+      filename: 'a.ts',
+      code: 'class A {\n  #load(): void {}\n}',
+      output: null,
+      errors: [{ message: 'Missing access modifier on method', line: 2 }],
+    },
+  ],
+});
+
+test('the recommended config enables every rule for .ts files', () => {
+  const { recommended } = plugin.configs;
+  assert.deepEqual(recommended.files, ['**/*.ts']);
+  assert.equal(recommended.plugins['ci-standards'], plugin);
+  assert.deepEqual(Object.keys(recommended.rules).sort(), Object.keys(plugin.rules).map((name) => `ci-standards/${name}`).sort());
+
+  const linter = new Linter();
+  const config = [{ ...recommended, languageOptions: { parser: textParser } }];
+  const { output, messages } = linter.verifyAndFix('class A {\n  /**\n   * Loads\n   */\n  load(): void {}\n}', config, 'a.ts');
+  assert.deepEqual(messages, []);
+  // The modifier is added first, then the JSDoc tag that matches it
+  assert.equal(output, 'class A {\n  /**\n   * Loads\n   * @public\n   */\n  public load(): void {}\n}');
+});
@@ -0,0 +1,28 @@
+export class OrdersService {
+  /**
+   * Totals the order
+   * @public
+   */
+  public total(items: number[]): number {
+    let sum = 0;
+    for (const item of items) {
+      sum += item;
+    }
+    const rounded = Math.round(sum);
+    const clamped = Math.max(rounded, 0);
+    return clamped; // TODO: currency
+  }
+
+  /**
+   * Clears the cache
+   */
+  public clear(): void {
+    this.cache = null;
+  }
+
+  /**
+   * Untouched
+   */
+  public untouched(): void {
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * User card
+ */
+export class UserComponent {
+  /**
+   * Loads the user
+   * @public
+   * @param {string} id - User id
+   * @returns {void}
+   */
+  public load(id: string): void {
+    this.id = id;
+  }
+
+  public save(name: string): boolean {
+    console.log(name);
+    return true;
+  }
+
+  public reset(): void {
+    // TODO: clear the form
+  }
+}
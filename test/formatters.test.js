@@ -0,0 +1,102 @@
+/**
+ * Tests for the output formatters in scripts/lib/formatters
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getFormatter } = require('../scripts/lib/formatters');
+
+const violations = [
+  {
+    file: 'src/app.component.ts', line: 12, column: 5, ruleId: 'debug/console-log', ruleCategory: 'debug',
+    severity: 'warning', message: 'Remove console.log',
+  },
+  {
+    file: 'src/app.component.ts', line: 30, column: null, ruleId: 'jsdoc/missing-jsdoc', ruleCategory: 'jsdoc',
+    severity: 'error', message: 'Method "save" is missing JSDoc',
+  },
+  {
+    file: 'src/theme.css', line: 3, ruleId: 'tailwind/hardcoded-color', ruleCategory: 'tailwind',
+    severity: 'error', message: "Hardcoded color '#fff' <use text-white>, 100%",
+  },
+];
+
+test('json lists every violation with a null column when there is none', () => {
+  const output = JSON.parse(getFormatter('json')(violations));
+  assert.deepEqual(output[0], {
+    file: 'src/app.component.ts', line: 12, column: 5, ruleId: 'debug/console-log', ruleCategory: 'debug',
+    severity: 'warning', message: 'Remove console.log',
+  });
+  assert.deepEqual(output.map((v) => v.column), [5, null, null]);
+  assert.equal(getFormatter('json')([]), '[]');
+});
+
+test('junit has one suite per file, errors as errors and warnings as failures', () => {
+  const output = getFormatter('junit')(violations);
+  assert.equal(output.split('\n')[1], '<testsuites name="ci-standards" tests="3" failures="1" errors="2">');
+  assert.match(output, /<testsuite name="src\/app\.component\.ts" tests="2" failures="1" errors="1">/);
+  assert.match(output, /<failure type="debug\/console-log" message="Remove console\.log">Remove console\.log \(src\/app\.component\.ts:12:5\)<\/failure>/);
+  assert.match(output, /<error type="jsdoc\/missing-jsdoc" [^>]*>Method &quot;save&quot; is missing JSDoc \(src\/app\.component\.ts:30\)<\/error>/);
+  assert.match(output, /message="Hardcoded color &apos;#fff&apos; &lt;use text-white&gt;, 100%"/);
+  assert.equal(output.split('\n').at(-1), '</testsuites>');
+});
+
+test('checkstyle has one file element per file and omits unknown columns', () => {
+  const lines = getFormatter('checkstyle')(violations).split('\n');
+  assert.deepEqual(lines, [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<checkstyle version="4.3">',
+    '  <file name="src/app.component.ts">',
+    '    <error line="12" column="5" severity="warning" message="Remove console.log" source="ci-standards.debug/console-log" />',
+    '    <error line="30" severity="error" message="Method &quot;save&quot; is missing JSDoc" source="ci-standards.jsdoc/missing-jsdoc" />',
+    '  </file>',
+    '  <file name="src/theme.css">',
+    '    <error line="3" severity="error" message="Hardcoded color &apos;#fff&apos; &lt;use text-white&gt;, 100%" source="ci-standards.tailwind/hardcoded-color" />',
+    '  </file>',
+    '</checkstyle>',
+  ]);
+});
+
+test('github emits escaped workflow commands', () => {
+  const lines = getFormatter('github')([
+    ...violations,
+    { file: 'src/a,b.ts', line: 1, ruleId: 'comments/todo', severity: 'warning', message: 'TODO: fix\nlater' },
+  ]).split('\n');
+  assert.deepEqual(lines, [
+    '::warning file=src/app.component.ts,line=12,col=5,title=debug/console-log::Remove console.log',
+    '::error file=src/app.component.ts,line=30,title=jsdoc/missing-jsdoc::Method "save" is missing JSDoc',
+    "::error file=src/theme.css,line=3,title=tailwind/hardcoded-color::Hardcoded color '#fff' <use text-white>, 100%25",
+    '::warning file=src/a%2Cb.ts,line=1,title=comments/todo::TODO: fix%0Alater',
+  ]);
+});
+
+test('stylish groups by file and prints just the line when there is no column', () => {
+  assert.deepEqual(getFormatter('stylish')(violations).split('\n'), [
+    '',
+    'src/app.component.ts',
+    '  12:5  warning  Remove console.log              debug/console-log',
+    '  30    error    Method "save" is missing JSDoc  jsdoc/missing-jsdoc',
+    '',
+    'src/theme.css',
+    "  3  error  Hardcoded color '#fff' <use text-white>, 100%  tailwind/hardcoded-color",
+    '',
+    '✖ 3 problem(s) (2 error(s), 1 warning(s))',
+  ]);
+  assert.equal(getFormatter('stylish')([]), '');
+});
+
+test('sarif maps severities and regions and indexes known rules', () => {
+  const [run] = JSON.parse(getFormatter('sarif')(violations, { root: '/repo' })).runs;
+  assert.equal(run.tool.driver.name, 'ci-standards');
+  assert.deepEqual(run.results.map((result) => result.level), ['warning', 'error', 'error']);
+  assert.deepEqual(run.results[0].locations[0].physicalLocation, {
+    artifactLocation: { uri: 'src/app.component.ts', uriBaseId: '%SRCROOT%' },
+    region: { startLine: 12, startColumn: 5 },
+  });
+  assert.deepEqual(run.results[1].locations[0].physicalLocation.region, { startLine: 30 });
+  assert.equal(run.tool.driver.rules[run.results[2].ruleIndex].id, 'tailwind/hardcoded-color');
+});
+
+test('unknown formats list the available ones', () => {
+  assert.throws(() => getFormatter('xml'), /Unknown format 'xml'\. Use one of: json, junit, checkstyle, github, stylish, sarif, codequality/);
+});
@@ -0,0 +1,136 @@
+/**
+ * Tests for scripts/generate-pr-comments.js in offline (--diff-file) mode
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { generateComments, getChangedFiles } = require('../scripts/generate-pr-comments');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'review');
+const TREE = path.join(FIXTURE, 'tree');
+const PATCH = path.join(FIXTURE, 'pr.patch');
+const SCOPE_PATCH = path.join(FIXTURE, 'scope.patch');
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'generate-pr-comments.js');
+
+test('skips deleted and binary files and follows renames', () => {
+  const files = getChangedFiles(fs.readFileSync(PATCH, 'utf8'));
+  assert.deepEqual(files.map((f) => [f.path, f.status, f.oldPath]), [
+    ['src/theme.css', 'renamed', 'src/old-theme.css'],
+    ['src/user.component.ts', 'modified', 'src/user.component.ts'],
+  ]);
+  assert.deepEqual(files[0].ranges, [{ start: 3, end: 3 }]);
+  assert.deepEqual([...files[0].added], [3]);
+});
+
+test('comments on changed lines of the working tree', (t) => {
+  const logged = t.mock.method(console, 'error', () => {});
+  const comments = generateComments({ diffText: fs.readFileSync(PATCH, 'utf8'), root: TREE });
+  assert.equal(logged.mock.callCount(), 0);
+  assert.deepEqual(comments.map((c) => [c.path, c.line, c.ruleId, c.severity]), [
+    ['src/user.component.ts', 15, 'jsdoc/missing-jsdoc', 'error'],
+    ['src/user.component.ts', 16, 'debug/console-log', 'warning'],
+    ['src/user.component.ts', 20, 'jsdoc/missing-jsdoc', 'error'],
+    ['src/user.component.ts', 21, 'comments/todo', 'warning'],
+    ['src/theme.css', 3, 'tailwind/hardcoded-color', 'error'],
+  ]);
+  assert.match(comments[4].body, /```suggestion\n {2}@apply text-white;\n```/);
+});
+
+test('member rules review the whole member when any line of it changed', () => {
+  const comments = generateComments({ diffText: fs.readFileSync(SCOPE_PATCH, 'utf8'), root: TREE });
+  assert.deepEqual(comments.map((c) => [c.line, c.ruleId]), [
+    [13, 'jsdoc/missing-returns'],
+    [13, 'jsdoc/missing-param'],
+    [13, 'comments/todo'],
+    [19, 'jsdoc/access-tag'],
+  ]);
+  // total() is edited far below its name, so the comment moves into the diff view and says where it applies
+  assert.match(comments[0].body, /Applies to `total` on line 6\./);
+  // clear() only lost a line, and its name is close enough to the change to comment on directly
+  assert.doesNotMatch(comments[3].body, /Applies to/);
+});
+
+test('comments on inline component styles at their line in the .ts file', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ci-standards-inline-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const source = [
+    '/** Badge */',
+    '@Component({',
+    "  selector: 'app-badge',",
+    '  styles: `',
+    '    .badge {',
+    '      color: #fff;',
+    '      margin: 4px;',
+    '    }',
+    '  `,',
+    '})',
+    'export class BadgeComponent {}',
+    '',
+  ];
+  fs.writeFileSync(path.join(dir, 'badge.component.ts'), source.join('\n'));
+  const diffText = [
+    'diff --git a/badge.component.ts b/badge.component.ts',
+    '--- a/badge.component.ts',
+    '+++ b/badge.component.ts',
+    '@@ -6,1 +6,1 @@',
+    '-      color: var(--badge, #fff);',
+    '+      color: #fff;',
+    '',
+  ].join('\n');
+
+  const comments = generateComments({ diffText, root: dir });
+  assert.deepEqual(comments.map((c) => [c.path, c.line, c.ruleId]), [['badge.component.ts', 6, 'tailwind/hardcoded-color']]);
+  assert.match(comments[0].body, /^❌ \*\*Error\*\*: STRICT: Hardcoded color value '#fff'/);
+  assert.match(comments[0].body, /```suggestion\n {6}@apply text-white;\n```/);
+});
+
+test('reads the patch from stdin with --diff-file=-', () => {
+  const report = path.join(os.tmpdir(), `codequality-${process.pid}.json`);
+  const result = spawnSync(process.execPath, [SCRIPT, '--diff-file=-', `--root=${TREE}`, `--codequality=${report}`], {
+    input: fs.readFileSync(PATCH),
+    encoding: 'utf8',
+  });
+  assert.equal(result.status, 1);
+  assert.equal(JSON.parse(result.stdout).length, 5);
+  assert.match(result.stderr, /Changed files: \[[^\]]*'src\/theme\.css'/);
+  assert.match(result.stderr, /Blocking: 3 error\(s\)/);
+  assert.equal(JSON.parse(fs.readFileSync(report, 'utf8'))[4].location.path, 'src/theme.css');
+  fs.rmSync(report);
+});
+
+test('a missing diff file is a usage error', () => {
+  const result = spawnSync(process.execPath, [SCRIPT, '--diff-file=missing.patch', `--root=${TREE}`], {
+    encoding: 'utf8',
+  });
+  assert.equal(result.status, 2);
+  assert.match(result.stderr, /missing\.patch/);
+  assert.equal(result.stdout, '');
+});
+
+test('the base ref reaches git as an argument, not through a shell', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ci-standards-base-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  spawnSync('git', ['init', '-q'], { cwd: dir });
+  const result = spawnSync(process.execPath, [SCRIPT, '--base=main$(touch injected)', `--root=${dir}`], { cwd: dir, encoding: 'utf8' });
+  assert.equal(result.status, 2);
+  assert.equal(fs.existsSync(path.join(dir, 'injected')), false);
+});
+
+test('a plugin rule that throws fails the run instead of dropping the file', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ci-standards-throws-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'throws.js'), "module.exports = { name: 'throws', rules: { boom: { meta: { description: 'x', language: 'ts' }, create() { throw new Error('kaboom'); } } } };\n");
+  fs.writeFileSync(path.join(dir, '.ci-standards.json'), JSON.stringify({ plugins: ['./throws.js'] }));
+  fs.writeFileSync(path.join(dir, 'a.ts'), 'export const a = 1;\n');
+  const patch = path.join(dir, 'pr.patch');
+  fs.writeFileSync(patch, ['diff --git a/a.ts b/a.ts', '--- a/a.ts', '+++ b/a.ts', '@@ -1,1 +1,1 @@', '-export const a = 0;', '+export const a = 1;', ''].join('\n'));
+
+  const result = spawnSync(process.execPath, [SCRIPT, `--diff-file=${patch}`, `--root=${dir}`], { cwd: dir, encoding: 'utf8' });
+  assert.equal(result.status, 2);
+  assert.match(result.stderr, /Rule 'throws\/boom' failed on .*a\.ts: kaboom/);
+  assert.equal(result.stdout, '');
+});
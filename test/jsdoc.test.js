@@ -0,0 +1,150 @@
+/**
+ * Tests for the JSDoc helpers in scripts/lib/jsdoc.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getJsDocInfo, extractParams, parseParamTag, checkParamTags } = require('../scripts/lib/jsdoc');
+const { createConfig } = require('../scripts/lib/config');
+const { checkSource } = require('../scripts/lib/engine');
+const { fixViolations } = require('../scripts/lib/jsdoc-fixer');
+
+const LINES = [
+  'export class UserComponent {',
+  '  /**',
+  '   * Loads a user',
+  '   * @param {number} id - User id',
+  '   */',
+  '  @HostListener(\'click\')',
+  '  load(id: number) {}',
+  '',
+  '  /** Current user */',
+  '  user = signal(null);',
+  '',
+  '  // Not a JSDoc block',
+  '  reset() {}',
+  '}',
+];
+
+test('getJsDocInfo finds multi-line blocks above decorators', () => {
+  assert.deepEqual(getJsDocInfo(LINES, 6), {
+    exists: true,
+    isSingleLine: false,
+    startIdx: 1,
+    endIdx: 4,
+    content: '  /**\n   * Loads a user\n   * @param {number} id - User id\n   */',
+  });
+});
+
+test('getJsDocInfo finds single-line blocks and ignores line comments', () => {
+  assert.deepEqual(getJsDocInfo(LINES, 9), {
+    exists: true,
+    isSingleLine: true,
+    startIdx: 8,
+    endIdx: 8,
+    content: '  /** Current user */',
+  });
+  assert.deepEqual(getJsDocInfo(LINES, 12), { exists: false, isSingleLine: false, startIdx: -1, endIdx: -1, content: '' });
+});
+
+test('extractParams splits on top-level commas only', () => {
+  assert.deepEqual(extractParams('  load(id: number, opts?: { a: string, b: number }, ...rest: string[]): void {'), [
+    { name: 'id', type: 'number', destructured: false },
+    { name: 'opts', type: '{ a: string, b: number }', destructured: false },
+    { name: 'rest', type: 'string[]', destructured: false },
+  ]);
+  assert.deepEqual(extractParams('  save({ a, b }: Options, done: (x: number) => void = noop) {'), [
+    { name: 'destructured', type: 'Options', destructured: true },
+    { name: 'done', type: '(x: number) => void', destructured: false },
+  ]);
+});
+
+test('extractParams handles empty and untyped parameter lists', () => {
+  assert.deepEqual(extractParams('  reset() {'), []);
+  assert.deepEqual(extractParams('  let x = 1;'), []);
+  assert.deepEqual(extractParams('move(x, y = 1)'), [
+    { name: 'x', type: 'unknown', destructured: false },
+    { name: 'y', type: 'unknown', destructured: false },
+  ]);
+});
+
+test('checkParamTags reports missing types, missing tags and extra tags', () => {
+  const jsDoc = '/**\n * @param id - User id\n * @param {string} extra - Unused\n */';
+  const result = checkParamTags(jsDoc, [{ name: 'id', type: 'number' }, { name: 'name', type: 'string' }]);
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.issues, [
+    { ruleId: 'jsdoc/param-type', message: '@param id missing {Type} in curly braces' },
+    { ruleId: 'jsdoc/missing-param', message: "Missing @param for 'name'" },
+    { ruleId: 'jsdoc/extra-param', message: "Extra @param 'extra' in JSDoc doesn't match any function parameter" },
+  ]);
+  assert.deepEqual(result.errors, result.issues.map((issue) => issue.message));
+});
+
+test('checkParamTags accepts documented destructured parameters and empty lists', () => {
+  const jsDoc = '/**\n * @param {Object} options - Options\n * @param {string} options.a - A\n */';
+  assert.deepEqual(checkParamTags(jsDoc, [{ name: 'destructured', type: 'Options', destructured: true }]), {
+    valid: true,
+    errors: [],
+    issues: [],
+  });
+  assert.deepEqual(checkParamTags('', []), { valid: true, errors: [], issues: [] });
+});
+
+test('parseParamTag keeps nested braces in the type', () => {
+  assert.deepEqual(parseParamTag('@param {{ a: { b: string } }} [opts.a=1] - Options'), {
+    type: '{{ a: { b: string } }}',
+    name: '[opts.a=1]',
+    root: 'opts',
+    path: '.a',
+    description: '- Options',
+  });
+  assert.deepEqual(parseParamTag('@param {string id'), { type: null, name: null, root: null, path: '', description: '{string id' });
+});
+
+test('checkParamTags reads tags whose object type has nested braces', () => {
+  const jsDoc = '/**\n * @param {{ a: { b: string } }} opts - Options\n * @param {{ id: number }} options - Ids\n */';
+  const params = [{ name: 'opts', type: '{ a: { b: string } }' }, { name: 'destructured', type: '{ id: number }', destructured: true }];
+  assert.deepEqual(checkParamTags(jsDoc, params).issues, []);
+});
+
+test('fixed @param tags for object and destructured parameters pass the check', () => {
+  const source = [
+    'export class Store {',
+    '  /**',
+    '   * Saves the state',
+    '   * @public',
+    '   * @returns {void}',
+    '   */',
+    '  public save(opts: { a: { b: string } }, { id }: { id: number }): void {}',
+    '}',
+    '',
+  ].join('\n');
+  const config = createConfig({}, __dirname);
+  const violations = checkSource(source, 'store.ts', config);
+  assert.deepEqual(violations.map((v) => v.ruleId), ['jsdoc/missing-param', 'jsdoc/missing-param']);
+
+  const { output, fixed } = fixViolations(source, 'store.ts', violations);
+  assert.equal(fixed, 1);
+  assert.match(output, /@param \{\{ a: \{ b: string \} \}\} opts - The opts\n {3}\* @param \{\{ id: number \}\} options - The options/);
+  assert.deepEqual(checkSource(output, 'store.ts', config), []);
+});
+
+test('generated JSDoc leaves out @returns for void and Promise<void> methods', () => {
+  const source = [
+    'export class Store {',
+    '  public save(): void {}',
+    '',
+    '  public async sync(): Promise<void> {}',
+    '',
+    '  public count(): number {',
+    '    return 0;',
+    '  }',
+    '}',
+    '',
+  ].join('\n');
+  const config = createConfig({}, __dirname);
+  const violations = checkSource(source, 'store.ts', config);
+  const { output } = fixViolations(source, 'store.ts', violations);
+  assert.deepEqual(output.match(/@returns.*/g), ['@returns {number} The result']);
+  assert.deepEqual(checkSource(output, 'store.ts', config).filter((v) => v.ruleId.startsWith('jsdoc/')), []);
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for scripts/lib/outcome.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { decideOutcome, resolveThresholds, normalizeThresholds, DEFAULT_THRESHOLDS } = require('../scripts/lib/outcome');
+
+const error = { severity: 'error' };
+const warning = { severity: 'warning' };
+
+test('errors block with REQUEST_CHANGES by default', () => {
+  const outcome = decideOutcome([error, warning], DEFAULT_THRESHOLDS);
+  assert.equal(outcome.event, 'REQUEST_CHANGES');
+  assert.equal(outcome.blocking, true);
+  assert.equal(outcome.errors, 1);
+  assert.equal(outcome.warnings, 1);
+});
+
+test('warnings alone only comment', () => {
+  const outcome = decideOutcome([warning, warning], DEFAULT_THRESHOLDS);
+  assert.equal(outcome.event, 'COMMENT');
+  assert.equal(outcome.blocking, false);
+});
+
+test('a clean run approves only when configured', () => {
+  assert.equal(decideOutcome([], DEFAULT_THRESHOLDS).event, null);
+  assert.equal(decideOutcome([], { ...DEFAULT_THRESHOLDS, approve: true }).event, 'APPROVE');
+});
+
+test('failOn warning blocks on warnings and failOn never never blocks', () => {
+  assert.equal(decideOutcome([warning], { ...DEFAULT_THRESHOLDS, failOn: 'warning' }).blocking, true);
+  const never = decideOutcome([error], { ...DEFAULT_THRESHOLDS, failOn: 'never' });
+  assert.equal(never.blocking, false);
+  assert.equal(never.event, 'COMMENT');
+});
+
+test('maxWarnings blocks once exceeded', () => {
+  const thresholds = { ...DEFAULT_THRESHOLDS, maxWarnings: 1 };
+  assert.equal(decideOutcome([warning], thresholds).blocking, false);
+  const outcome = decideOutcome([warning, warning], thresholds);
+  assert.equal(outcome.blocking, true);
+  assert.match(outcome.reasons[0], /more than the maximum of 1/);
+});
+
+test('flags override config and empty values are ignored', () => {
+  const config = { review: normalizeThresholds({ failOn: 'warning', maxWarnings: 3 }, 'test') };
+  assert.deepEqual(resolveThresholds(config, { failOn: 'never', maxWarnings: '' }), {
+    failOn: 'never',
+    maxWarnings: 3,
+    approve: false,
+  });
+  assert.equal(resolveThresholds(config, { maxWarnings: '0' }).maxWarnings, 0);
+});
+
+test('invalid thresholds throw', () => {
+  assert.throws(() => normalizeThresholds({ failOn: 'warn' }, 'test'), /Invalid failOn 'warn'/);
+  assert.throws(() => normalizeThresholds({ maxWarnings: 'lots' }, 'test'), /Invalid maxWarnings/);
+});
@@ -0,0 +1,174 @@
+/**
+ * Tests for rule plugins and the rule engine shared by the local checker and PR reviews
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkFile } = require('../scripts/check-code-standards');
+const { checkCSSFile } = require('../scripts/check-tailwind-standards');
+const { generateComments } = require('../scripts/generate-pr-comments');
+const { createConfig } = require('../scripts/lib/config');
+const { getRule } = require('../scripts/lib/rules');
+
+let dir;
+
+const PLUGIN = `
+module.exports = {
+  name: 'acme',
+  rules: {
+    'no-legacy-http': {
+      meta: { description: 'Use the api client instead of LegacyHttp', language: 'ts', category: 'maintainability', severity: 'warn' },
+      create(context) {
+        return {
+          line(text, line) {
+            if (text.includes('LegacyHttp')) context.report({ line, message: 'LegacyHttp is deprecated' });
+          },
+        };
+      },
+    },
+    'no-get-prefix': {
+      meta: { description: 'Methods must not start with get', language: 'ts', scope: 'symbol' },
+      create(context) {
+        return {
+          member(member) {
+            if (/^get[A-Z]/.test(member.name)) context.report({ line: member.line, message: 'Drop the get prefix' });
+          },
+        };
+      },
+    },
+    'no-important': {
+      meta: { description: '!important is not allowed', language: 'css', category: 'styling' },
+      create(context) {
+        return {
+          declaration(declaration) {
+            if (declaration.important) context.report({ line: declaration.line, message: 'Remove !important', property: declaration.property });
+          },
+        };
+      },
+    },
+  },
+};
+`;
+
+const SERVICE = [
+  'export class UserService {',
+  '  /**',
+  '   * Loads the user',
+  '   * @public',
+  '   * @returns {string} User name',
+  '   */',
+  '  public getUser(): string {',
+  '    return new LegacyHttp().get();',
+  '  }',
+  '',
+  '  /**',
+  '   * Clears the cache',
+  '   * @public',
+  '   */',
+  '  public clear(): void {',
+  '    return;',
+  '  }',
+  '}',
+  '',
+].join('\n');
+
+/**
+ * Writes a file into the scratch directory
+ * @param {string} name - File name
+ * @param {string} content - File content
+ * @returns {string} Absolute path
+ */
+function write(name, content) {
+  const file = path.join(dir, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ci-standards-plugins-'));
+  write('standards/acme.js', PLUGIN);
+  write('src/user.service.ts', SERVICE);
+  write('src/theme.css', '.card {\n  cursor: pointer !important;\n}\n');
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('plugins listed in config register their rules', () => {
+  createConfig({ plugins: ['./standards/acme.js'] }, dir);
+  assert.deepEqual(getRule('acme/no-legacy-http'), {
+    category: 'maintainability',
+    severity: 'warning',
+    scope: 'added',
+    language: 'ts',
+    description: 'Use the api client instead of LegacyHttp',
+    plugin: true,
+  });
+  assert.equal(getRule('acme/no-get-prefix').severity, 'error');
+});
+
+test('the local checkers run plugin rules next to the built-in ones', () => {
+  const config = createConfig({ plugins: ['./standards/acme.js'], rules: { 'acme/no-get-prefix': 'warning' } }, dir);
+  const { violations } = checkFile(path.join(dir, 'src/user.service.ts'), false, config);
+  // clear() returns void, so it needs no @returns tag
+  assert.deepEqual(violations.map((v) => [v.line, v.ruleId, v.severity, v.ruleCategory]), [
+    [7, 'acme/no-get-prefix', 'warning', 'maintainability'],
+    [8, 'acme/no-legacy-http', 'warning', 'maintainability'],
+  ]);
+
+  const css = checkCSSFile(path.join(dir, 'src/theme.css'), config);
+  assert.deepEqual(css.map((v) => [v.line, v.ruleId, v.property]), [[2, 'acme/no-important', 'cursor']]);
+});
+
+test('PR reviews run the same rules within their scope', (t) => {
+  t.mock.method(console, 'error');
+  const config = createConfig({ plugins: ['./standards/acme.js'] }, dir);
+  const diffText = [
+    'diff --git a/src/user.service.ts b/src/user.service.ts',
+    '--- a/src/user.service.ts',
+    '+++ b/src/user.service.ts',
+    '@@ -16,1 +16,1 @@',
+    '-    return null;',
+    '+    return;',
+    '',
+  ].join('\n');
+  const comments = generateComments({ diffText, root: dir, config });
+  assert.deepEqual(comments, []);
+
+  const bodyChange = diffText.replace('@@ -16,1 +16,1 @@', '@@ -8,1 +8,1 @@').replace('+    return;', '+    return new LegacyHttp().get();');
+  const reviewed = generateComments({ diffText: bodyChange, root: dir, config });
+  assert.deepEqual(reviewed.map((c) => [c.line, c.ruleId, c.severity]), [
+    [7, 'acme/no-get-prefix', 'error'],
+    [8, 'acme/no-legacy-http', 'warning'],
+  ]);
+  assert.match(reviewed[1].body, /^⚠️ \*\*Code Standard\*\*: LegacyHttp is deprecated/);
+});
+
+test('rules that turn off are not run', () => {
+  const config = createConfig({ plugins: ['./standards/acme.js'], rules: { 'acme/no-legacy-http': 'off', 'acme/no-get-prefix': 0 } }, dir);
+  assert.deepEqual(checkFile(path.join(dir, 'src/user.service.ts'), false, config).violations, []);
+});
+
+test('invalid plugins fail with a message naming the problem', () => {
+  write('standards/nameless.js', 'module.exports = { rules: {} };');
+  write('standards/bad-language.js', "module.exports = { name: 'bad', rules: { x: { meta: { description: 'x', language: 'scss' }, create() {} } } };");
+  write('standards/clash.js', "module.exports = { name: 'acme', rules: { 'no-get-prefix': { meta: { description: 'x', language: 'ts' }, create() {} } } };");
+  write('standards/throws.js', "module.exports = { name: 'throws', rules: { boom: { meta: { description: 'x', language: 'ts' }, create() { throw new Error('kaboom'); } } } };");
+  createConfig({ plugins: ['./standards/acme.js'] }, dir);
+
+  assert.throws(() => createConfig({ plugins: ['./standards/missing.js'] }, dir), /Cannot find plugin '\.\/standards\/missing\.js'/);
+  assert.throws(() => createConfig({ plugins: ['./standards/nameless.js'] }, dir), /must export a name and a rules object/);
+  assert.throws(() => createConfig({ plugins: ['./standards/bad-language.js'] }, dir), /Rule 'bad\/x' has language 'scss'. Use ts, css or html\./);
+  assert.throws(() => createConfig({ plugins: ['./standards/clash.js'] }, dir), /Rule 'acme\/no-get-prefix' is already registered/);
+  assert.throws(() => createConfig({ plugins: './standards/acme.js' }, dir), /plugins must be an array/);
+
+  const config = createConfig({ plugins: ['./standards/throws.js'] }, dir);
+  assert.throws(() => checkFile(path.join(dir, 'src/user.service.ts'), false, config), /Rule 'throws\/boom' failed on .*user\.service\.ts: kaboom/);
+  // Registered rules stay out of configs that do not list their plugin
+  assert.deepEqual(checkFile(path.join(dir, 'src/user.service.ts'), false, createConfig({}, dir)).violations, []);
+});
@@ -0,0 +1,193 @@
+/**
+ * Tests for scripts/post-bitbucket-comments.js against a local mock of the Bitbucket Cloud API
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { run, toBitbucketBody } = require('../scripts/post-bitbucket-comments');
+const { fingerprintComments } = require('../scripts/lib/review-comments');
+
+const logger = { info() {}, warning() {} };
+const checkouts = [];
+const PR_PATH = '/2.0/repositories/acme/app/pullrequests/7';
+
+after(() => {
+  for (const dir of checkouts) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Starts a local HTTP server that records requests and answers through a handler
+ * @param {function(Object): Object} handler - Returns {status, headers, body} for a recorded request
+ * @returns {Promise<{url: string, requests: Array<Object>, close: Function}>} Server handle
+ */
+async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : undefined };
+      requests.push(request);
+      const { status = 200, headers = {}, body = {} } = handler(request) || {};
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+/**
+ * Creates a temporary checkout with one source file and a violations.json
+ * @param {Array<Object>} comments - Comments generate-pr-comments.js would emit
+ * @returns {{root: string, file: string}} Checkout directory and violations file
+ */
+function makeCheckout(comments) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'post-bitbucket-'));
+  checkouts.push(root);
+  fs.mkdirSync(path.join(root, 'src'));
+  fs.writeFileSync(path.join(root, 'src/a.ts'), 'export class A {\n  console.log(1);\n  debugger;\n}\n');
+  const file = path.join(root, 'violations.json');
+  fs.writeFileSync(file, JSON.stringify(comments));
+  return { root, file };
+}
+
+/**
+ * Builds a comment as generate-pr-comments.js emits it
+ * @param {number} line - Line number
+ * @param {string} ruleId - Rule id
+ * @returns {Object} Comment
+ */
+function comment(line, ruleId) {
+  return { path: 'src/a.ts', line, body: `**${ruleId}**\n\n<sub>Rule: \`${ruleId}\`</sub>`, message: ruleId, ruleId, severity: 'error' };
+}
+
+/**
+ * Mocks the pull request endpoints
+ * @param {string} baseUrl - Mock server URL, for absolute pagination links
+ * @param {Array<Object>} [comments] - Comments already on the pull request
+ * @returns {function(Object): Object} Request handler
+ */
+function bitbucket(baseUrl, comments = []) {
+  return (request) => {
+    const url = request.url.split('?')[0];
+    if (request.method === 'GET' && url === `${PR_PATH}/comments`) {
+      // Two pages linked with an absolute `next` URL
+      return request.url.includes('page=2')
+        ? { body: { values: [] } }
+        : { body: { values: comments, next: `${baseUrl}${PR_PATH}/comments?pagelen=100&page=2` } };
+    }
+    return { status: request.method === 'POST' ? 201 : 204, body: {} };
+  };
+}
+
+/**
+ * Builds an inline comment as an earlier run left it
+ * @param {number} id - Comment id
+ * @param {Object} comment - Fingerprinted comment it was posted for
+ * @returns {Object} Bitbucket comment
+ */
+function posted(id, comment) {
+  return { id, content: { raw: toBitbucketBody(comment) }, inline: { path: comment.path, to: comment.line } };
+}
+
+/**
+ * Runs the reporter against the mock server
+ * @param {Object} server - Server from startServer
+ * @param {Object} options - Extra run options
+ * @returns {Promise<Object>} Run summary
+ */
+function runAgainst(server, options) {
+  return run({
+    apiUrl: `${server.url}/2.0`, workspace: 'acme', repoSlug: 'app', pullRequestId: '7', token: 'secret', logger, ...options,
+  });
+}
+
+test('posts inline comments, skips existing ones and resolves fixed ones', async () => {
+  const { root, file } = makeCheckout([comment(2, 'debug/console-log'), comment(3, 'debug/debugger')]);
+  const [existing] = fingerprintComments([comment(2, 'debug/console-log')], root);
+  const [fixed] = fingerprintComments([comment(1, 'ts/no-any')], root);
+  let server;
+  server = await startServer((request) => bitbucket(server.url, [posted(1, existing), posted(2, fixed)])(request));
+
+  try {
+    const summary = await runAgainst(server, { file, root });
+    assert.deepEqual(
+      { posted: summary.posted, skipped: summary.skipped, resolved: summary.resolved, blocking: summary.blocking },
+      { posted: 1, skipped: 1, resolved: 1, blocking: true }
+    );
+    assert.ok(server.requests.every((r) => r.headers.authorization === 'Bearer secret'));
+
+    const inline = server.requests.find((r) => r.method === 'POST' && r.body && r.body.inline);
+    assert.deepEqual(inline.body.inline, { path: 'src/a.ts', to: 3 });
+    assert.match(inline.body.content.raw, /_Rule: `debug\/debugger`_\n\n\[\/\/\]: # \(ci-standards:fp=[0-9a-f]+\)$/);
+
+    const calls = server.requests.filter((r) => r.method !== 'GET').map((r) => `${r.method} ${r.url}`);
+    assert.deepEqual(calls, [
+      `POST ${PR_PATH}/comments/2/resolve`,
+      `POST ${PR_PATH}/comments`,
+      `POST ${PR_PATH}/comments`,
+      `POST ${PR_PATH}/request-changes`,
+    ]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('withdraws the change request and approves a clean pull request when configured', async () => {
+  const { root, file } = makeCheckout([]);
+  let server;
+  server = await startServer((request) => bitbucket(server.url)(request));
+
+  try {
+    const summary = await runAgainst(server, {
+      file, root, approve: true, username: 'bot', appPassword: 'pw', token: undefined,
+    });
+    assert.equal(summary.event, 'APPROVE');
+    const calls = server.requests.filter((r) => r.method !== 'GET').map((r) => `${r.method} ${r.url}`);
+    assert.deepEqual(calls, [`DELETE ${PR_PATH}/request-changes`, `POST ${PR_PATH}/approve`]);
+    assert.equal(server.requests[0].headers.authorization, `Basic ${Buffer.from('bot:pw').toString('base64')}`);
+  } finally {
+    await server.close();
+  }
+});
+
+test('fails without touching the pull request when violations.json is empty', async () => {
+  const { root, file } = makeCheckout([]);
+  fs.writeFileSync(file, '');
+  let server;
+  server = await startServer((request) => bitbucket(server.url)(request));
+  try {
+    await assert.rejects(runAgainst(server, { file, root }), /is empty/);
+    assert.equal(server.requests.length, 0);
+  } finally {
+    await server.close();
+  }
+});
+
+test('turns suggestions into code blocks', () => {
+  const body = toBitbucketBody({
+    fingerprint: 'abc',
+    body: 'Color\n\n```suggestion\n  @apply text-white;\n```\n\n<sub>Rule: `tailwind/hardcoded-color`</sub>',
+  });
+  assert.equal(body, 'Color\n\n**Suggested change:**\n\n```\n  @apply text-white;\n```\n\n_Rule: `tailwind/hardcoded-color`_\n\n[//]: # (ci-standards:fp=abc)');
+  assert.match(toBitbucketBody({ fingerprint: 'abc', body: 'Log\n\n```suggestion\n```' }), /remove the line/);
+});
+
+test('fails fast without credentials', async () => {
+  await assert.rejects(
+    run({ workspace: 'acme', repoSlug: 'app', pullRequestId: '7', token: '', username: '', appPassword: '', logger }),
+    /Missing Bitbucket settings: token/
+  );
+});
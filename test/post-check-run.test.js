@@ -0,0 +1,147 @@
+/**
+ * Tests for scripts/post-check-run.js against a mocked Octokit
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, buildSummary, getConclusion, toAnnotation, CHECK_NAME } = require('../scripts/post-check-run');
+
+const context = {
+  repo: { owner: 'acme', repo: 'app' },
+  issue: { number: 7 },
+  sha: 'merge-sha',
+  payload: { pull_request: { head: { sha: 'head-sha' } } },
+};
+const core = { info() {}, warning() {} };
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'post-check-run-'));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Writes a violations.json for a test
+ * @param {Array<Object>} comments - Comments generate-pr-comments.js would emit
+ * @returns {string} File path
+ */
+function writeComments(comments) {
+  const file = path.join(dir, `violations-${comments.length}.json`);
+  fs.writeFileSync(file, JSON.stringify(comments));
+  return file;
+}
+
+/**
+ * Builds N generated comments alternating between errors and warnings
+ * @param {number} count - Number of comments
+ * @returns {Array<Object>} Comments
+ */
+function makeComments(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    path: `src/file-${i % 3}.ts`,
+    line: i + 1,
+    body: `**Violation ${i}**`,
+    message: `Violation ${i}`,
+    ruleId: i % 2 ? 'comments/todo' : 'ts/no-any',
+    ruleCategory: i % 2 ? 'maintainability' : 'type-safety',
+    severity: i % 2 ? 'warning' : 'error',
+  }));
+}
+
+/**
+ * Creates a mocked Octokit that records check run calls
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.failCreate] - Make checks.create throw (read-only fork token)
+ * @returns {Object} Mock client with a `calls` log
+ */
+function mockGithub({ failCreate = false } = {}) {
+  const calls = [];
+  return {
+    calls,
+    rest: {
+      checks: {
+        create: async (params) => {
+          calls.push({ name: 'checks.create', params });
+          if (failCreate) throw new Error('Resource not accessible by integration');
+          return { data: { id: 99 } };
+        },
+        update: async (params) => {
+          calls.push({ name: 'checks.update', params });
+          return { data: {} };
+        },
+      },
+    },
+  };
+}
+
+test('sends every annotation in batches of 50 and completes with the last batch', async () => {
+  const github = mockGithub();
+  const result = await run({ github, context, core, file: writeComments(makeComments(120)) });
+
+  const create = github.calls.find((c) => c.name === 'checks.create').params;
+  assert.equal(create.name, CHECK_NAME);
+  assert.equal(create.head_sha, 'head-sha');
+  assert.equal(create.status, 'in_progress');
+
+  const updates = github.calls.filter((c) => c.name === 'checks.update').map((c) => c.params);
+  assert.deepEqual(updates.map((u) => u.output.annotations.length), [50, 50, 20]);
+  assert.deepEqual(updates.map((u) => u.status), [undefined, undefined, 'completed']);
+  assert.equal(updates[2].conclusion, 'failure');
+  assert.equal(result.annotations, 120);
+});
+
+test('completes a clean run as success without annotations', async () => {
+  const github = mockGithub();
+  const result = await run({ github, context, core, file: writeComments([]) });
+
+  const updates = github.calls.filter((c) => c.name === 'checks.update').map((c) => c.params);
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].conclusion, 'success');
+  assert.deepEqual(updates[0].output.annotations, []);
+  assert.equal(result.conclusion, 'success');
+});
+
+test('never publishes a run whose generator left no output', async () => {
+  const github = mockGithub();
+  await assert.rejects(run({ github, context, core, file: path.join(dir, 'missing.json') }), /not found/);
+  const empty = path.join(dir, 'empty.json');
+  fs.writeFileSync(empty, '\n');
+  await assert.rejects(run({ github, context, core, file: empty }), /is empty/);
+  assert.equal(github.calls.length, 0);
+});
+
+test('reports warnings-only runs as neutral', () => {
+  assert.equal(getConclusion([{ severity: 'warning' }]), 'neutral');
+  assert.equal(getConclusion([{ severity: 'warning' }, { severity: 'error' }]), 'failure');
+  assert.equal(getConclusion([]), 'success');
+});
+
+test('maps severities and multi-line ranges onto annotations', () => {
+  const annotation = toAnnotation({ path: 'a.ts', line: 9, start_line: 4, severity: 'warning', ruleId: 'comments/todo', message: 'TODO' });
+  assert.deepEqual(annotation, {
+    path: 'a.ts',
+    start_line: 4,
+    end_line: 9,
+    annotation_level: 'warning',
+    title: 'comments/todo',
+    message: 'TODO',
+  });
+  assert.equal(toAnnotation({ path: 'a.ts', line: 1, severity: 'error', ruleId: 'x', message: 'm' }).annotation_level, 'failure');
+});
+
+test('summarizes counts by severity, rule and file', () => {
+  const { title, summary } = buildSummary(makeComments(5));
+  assert.equal(title, '3 error(s), 2 warning(s)');
+  assert.match(summary, /\| ❌ error \| 3 \|/);
+  assert.match(summary, /\| `ts\/no-any` \| type-safety \| 3 \| 0 \|/);
+  assert.match(summary, /\| `comments\/todo` \| maintainability \| 0 \| 2 \|/);
+  assert.match(summary, /\| `src\/file-0.ts` \| 1 \| 1 \|/);
+});
+
+test('warns instead of failing when the token cannot create check runs', async () => {
+  const warnings = [];
+  const github = mockGithub({ failCreate: true });
+  const result = await run({ github, context, core: { ...core, warning: (m) => warnings.push(m) }, file: writeComments(makeComments(2)) });
+  assert.equal(result, null);
+  assert.equal(warnings.length, 1);
+});
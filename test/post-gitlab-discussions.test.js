@@ -0,0 +1,242 @@
+/**
+ * Tests for scripts/post-gitlab-discussions.js against a local mock of the GitLab API
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { run, toGitLabBody, toPosition } = require('../scripts/post-gitlab-discussions');
+const { parseDiff } = require('../scripts/lib/diff');
+const { fingerprintComments } = require('../scripts/lib/review-comments');
+
+const logger = { info() {}, warning() {} };
+const checkouts = [];
+const MR_PATH = '/api/v4/projects/acme%2Fapp/merge_requests/7';
+const DIFF_REFS = { base_sha: 'base', start_sha: 'start', head_sha: 'head' };
+
+after(() => {
+  for (const dir of checkouts) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Starts a local HTTP server that records requests and answers through a handler
+ * @param {function(Object): Object} handler - Returns {status, headers, body} for a recorded request
+ * @returns {Promise<{url: string, requests: Array<Object>, close: Function}>} Server handle
+ */
+async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : undefined };
+      requests.push(request);
+      const { status = 200, headers = {}, body = {} } = handler(request) || {};
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+/**
+ * Creates a temporary checkout with one source file and a violations.json
+ * @param {Array<Object>} comments - Comments generate-pr-comments.js would emit
+ * @returns {{root: string, file: string}} Checkout directory and violations file
+ */
+function makeCheckout(comments) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'post-gitlab-'));
+  checkouts.push(root);
+  fs.mkdirSync(path.join(root, 'src'));
+  fs.writeFileSync(path.join(root, 'src/a.ts'), 'export class A {\n  console.log(1);\n  debugger;\n}\n');
+  const file = path.join(root, 'violations.json');
+  fs.writeFileSync(file, JSON.stringify(comments));
+  return { root, file };
+}
+
+/**
+ * Builds a comment as generate-pr-comments.js emits it
+ * @param {number} line - Line number
+ * @param {string} ruleId - Rule id
+ * @returns {Object} Comment
+ */
+function comment(line, ruleId) {
+  return { path: 'src/a.ts', line, body: `**${ruleId}**\n\n<sub>Rule: \`${ruleId}\`</sub>`, message: ruleId, ruleId, severity: 'error' };
+}
+
+/**
+ * Mocks the merge request endpoints
+ * @param {Object} [state] - Discussions already on the merge request, and lines GitLab refuses
+ * @param {Array<Object>} [state.discussions] - Discussions already on the merge request
+ * @param {number[]} [state.refusedLines] - New lines GitLab answers 400 for
+ * @returns {function(Object): Object} Request handler
+ */
+function gitlab({ discussions = [], refusedLines = [] } = {}) {
+  return (request) => {
+    const url = request.url.split('?')[0];
+    if (request.method === 'GET' && url === MR_PATH) return { body: { iid: 7, diff_refs: DIFF_REFS } };
+    if (request.method === 'GET' && url === `${MR_PATH}/diffs`) {
+      return { body: [{ old_path: 'src/old.ts', new_path: 'src/a.ts', renamed_file: true }], headers: { 'x-next-page': '' } };
+    }
+    if (request.method === 'GET' && url === `${MR_PATH}/discussions`) {
+      // Two pages: the existing discussions, then nothing
+      const page = new URL(request.url, 'http://x').searchParams.get('page');
+      return page === '1'
+        ? { body: discussions, headers: { 'x-next-page': '2' } }
+        : { body: [], headers: { 'x-next-page': '' } };
+    }
+    if (request.method === 'POST' && url === `${MR_PATH}/discussions`) {
+      if (refusedLines.includes(request.body.position.new_line)) {
+        return { status: 400, body: { message: { line_code: ['can\'t be blank'] } } };
+      }
+      return { status: 201, body: { id: 'new' } };
+    }
+    return { status: request.method === 'POST' ? 201 : 200, body: {} };
+  };
+}
+
+/**
+ * Builds a discussion as an earlier run left it
+ * @param {string} id - Discussion id
+ * @param {Object} posted - Fingerprinted comment it was posted for
+ * @param {boolean} [resolved] - Whether it is resolved already
+ * @returns {Object} Discussion
+ */
+function discussion(id, posted, resolved = false) {
+  return {
+    id,
+    notes: [{ body: toGitLabBody(posted), resolved, position: { new_path: posted.path, new_line: posted.line } }],
+  };
+}
+
+test('posts new discussions, skips existing ones and resolves fixed ones', async () => {
+  const { root, file } = makeCheckout([comment(2, 'debug/console-log'), comment(3, 'debug/debugger')]);
+  const [existing] = fingerprintComments([comment(2, 'debug/console-log')], root);
+  const [fixed] = fingerprintComments([comment(1, 'ts/no-any')], root);
+  const server = await startServer(gitlab({ discussions: [discussion('d1', existing), discussion('d2', fixed)] }));
+
+  try {
+    const summary = await run({
+      file, root, logger, apiUrl: `${server.url}/api/v4`, projectId: 'acme/app', mergeRequestIid: '7', token: 'secret',
+    });
+
+    assert.deepEqual(
+      { posted: summary.posted, skipped: summary.skipped, resolved: summary.resolved, blocking: summary.blocking },
+      { posted: 1, skipped: 1, resolved: 1, blocking: true }
+    );
+    assert.ok(server.requests.every((r) => r.headers['private-token'] === 'secret'));
+
+    const posted = server.requests.find((r) => r.method === 'POST' && r.url === `${MR_PATH}/discussions`);
+    assert.deepEqual(posted.body.position, {
+      position_type: 'text', ...DIFF_REFS, old_path: 'src/old.ts', new_path: 'src/a.ts', new_line: 3,
+    });
+    assert.match(posted.body.body, /<!-- ci-standards:fp=[0-9a-f]+ -->$/);
+
+    assert.ok(server.requests.some((r) => r.method === 'PUT' && r.url === `${MR_PATH}/discussions/d2?resolved=true`));
+    const note = server.requests.find((r) => r.url === `${MR_PATH}/notes`);
+    assert.match(note.body.body, /Found \*\*2\*\* error\(s\)/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('lists comments GitLab refuses inline in the summary note', async () => {
+  const { root, file } = makeCheckout([comment(2, 'debug/console-log'), comment(3, 'debug/debugger')]);
+  const server = await startServer(gitlab({ refusedLines: [3] }));
+
+  try {
+    const summary = await run({
+      file, root, logger, apiUrl: `${server.url}/api/v4`, projectId: 'acme/app', mergeRequestIid: '7', token: 'secret',
+    });
+    assert.equal(summary.posted, 1);
+    assert.equal(summary.rejected, 1);
+    const note = server.requests.find((r) => r.url === `${MR_PATH}/notes`);
+    assert.match(note.body.body, /could not be posted on the diff:\n\n- `src\/a\.ts:3` - debug\/debugger/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('approves a clean merge request only when configured', async () => {
+  const { root, file } = makeCheckout([]);
+  const server = await startServer(gitlab());
+
+  try {
+    const options = { file, root, logger, apiUrl: `${server.url}/api/v4`, projectId: 'acme/app', mergeRequestIid: '7', token: 't' };
+    assert.equal((await run(options)).approved, false);
+    assert.equal((await run({ ...options, approve: true })).approved, true);
+    assert.deepEqual(server.requests.filter((r) => r.method === 'POST').map((r) => r.url), [`${MR_PATH}/approve`]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('converts suggestions to GitLab line ranges', () => {
+  const body = toGitLabBody({
+    line: 12,
+    start_line: 9,
+    fingerprint: 'abc',
+    body: 'Fix\n\n```suggestion\n/** Doc */\n```\n\n<sub>Rule: `jsdoc/missing-jsdoc`</sub>',
+  });
+  assert.match(body, /```suggestion:-3\+0\n\/\*\* Doc \*\/\n```/);
+  assert.match(toGitLabBody({ line: 2, fingerprint: 'abc', body: '```suggestion\n```' }), /```suggestion:-0\+0\n```/);
+});
+
+test('anchors unchanged lines on their old line as well', () => {
+  const [{ hunks }] = parseDiff([
+    '--- a/src/a.ts',
+    '+++ b/src/a.ts',
+    '@@ -2,3 +2,5 @@',
+    ' export class A {',
+    '+  debugger;',
+    '   run() {}',
+    '-  old() {}',
+    '+  next() {}',
+    '+  other() {}',
+    '@@ -20,0 +23,2 @@',
+    '+  a;',
+    '+  b;',
+    '',
+  ].join('\n'));
+  const files = new Map([['src/a.ts', { oldPath: 'src/a.ts', hunks }]]);
+  const lines = (line) => {
+    const position = toPosition({ path: 'src/a.ts', line }, DIFF_REFS, files);
+    return [position.old_line, position.new_line];
+  };
+  assert.deepEqual([1, 2, 3, 4, 5, 10, 22, 23, 25].map(lines), [
+    [1, 1], [2, 2], [undefined, 3], [3, 4], [undefined, 5], [8, 10], [20, 22], [undefined, 23], [21, 25],
+  ]);
+  // Without hunks (a collapsed diff) the old line is unknown
+  const collapsed = new Map([['src/a.ts', { oldPath: 'src/old.ts', hunks: null }]]);
+  assert.equal(toPosition({ path: 'src/a.ts', line: 4 }, DIFF_REFS, collapsed).old_line, undefined);
+});
+
+test('fails without touching the merge request when violations.json is empty', async () => {
+  const { root, file } = makeCheckout([]);
+  fs.writeFileSync(file, '');
+  const server = await startServer(gitlab());
+  try {
+    await assert.rejects(
+      run({ file, root, logger, apiUrl: `${server.url}/api/v4`, projectId: 'acme/app', mergeRequestIid: '7', token: 'secret' }),
+      /is empty/
+    );
+    assert.equal(server.requests.length, 0);
+  } finally {
+    await server.close();
+  }
+});
+
+test('fails fast without GitLab settings', async () => {
+  await assert.rejects(run({ apiUrl: 'http://x', projectId: '1', mergeRequestIid: '2', token: '', logger }), /Missing GitLab settings: token/);
+});
@@ -0,0 +1,334 @@
+/**
+ * Tests for scripts/post-pr-review.js against a mocked Octokit
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, fingerprintComments, toReviewComment, REVIEW_MARKER } = require('../scripts/post-pr-review');
+
+const context = { repo: { owner: 'acme', repo: 'app' }, issue: { number: 7 } };
+const core = { info() {}, warning() {} };
+const checkouts = [];
+
+after(() => {
+  for (const dir of checkouts) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Creates a temporary checkout with one source file and a violations.json
+ * @param {Array<Object>} comments - Comments generate-pr-comments.js would emit
+ * @returns {{root: string, file: string}} Checkout directory and violations file
+ */
+function makeCheckout(comments) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'post-pr-review-'));
+  checkouts.push(root);
+  fs.mkdirSync(path.join(root, 'src'));
+  fs.writeFileSync(path.join(root, 'src/a.ts'), 'export class A {\n  console.log(1);\n  debugger;\n}\n');
+  const file = path.join(root, 'violations.json');
+  fs.writeFileSync(file, JSON.stringify(comments));
+  return { root, file };
+}
+
+/**
+ * Builds a comment as generate-pr-comments.js emits it
+ * @param {number} line - Line number
+ * @param {string} ruleId - Rule id
+ * @returns {Object} Comment
+ */
+function comment(line, ruleId) {
+  return { path: 'src/a.ts', line, body: `**${ruleId}**`, message: ruleId, ruleId, severity: 'error' };
+}
+
+/**
+ * Creates a mocked Octokit that records every call
+ * @param {Object} [state] - Existing review comments, reviews and threads on the PR
+ * @param {Array<Object>} [state.reviewComments] - Inline comments already on the PR
+ * @param {Array<Object>} [state.reviews] - Reviews already on the PR
+ * @param {Array<Object>} [state.threads] - Review threads, as the GraphQL query returns them
+ * @param {boolean} [state.failResolve] - Whether resolving a thread fails
+ * @returns {Object} Mock client with a `calls` log
+ */
+function mockGithub({ reviewComments = [], reviews = [], threads = [], failResolve = false } = {}) {
+  const calls = [];
+  const record = (name, result = {}) => async (params) => {
+    calls.push({ name, params });
+    return typeof result === 'function' ? result(params) : { data: result };
+  };
+  return {
+    calls,
+    rest: {
+      pulls: {
+        get: record('pulls.get', { head: { sha: 'abc123' } }),
+        listReviewComments: record('pulls.listReviewComments', reviewComments),
+        listReviews: record('pulls.listReviews', reviews),
+        createReview: record('pulls.createReview'),
+        createReviewComment: record('pulls.createReviewComment'),
+        dismissReview: record('pulls.dismissReview'),
+      },
+      issues: { createComment: record('issues.createComment') },
+    },
+    paginate: async (method, params) => (await method(params)).data,
+    graphql: async (query, variables) => {
+      if (query.includes('reviewThreads')) {
+        calls.push({ name: 'graphql.threads', params: variables });
+        return {
+          repository: {
+            pullRequest: {
+              reviewThreads: { nodes: threads, pageInfo: { hasNextPage: false, endCursor: null } },
+            },
+          },
+        };
+      }
+      const name = query.includes('resolveReviewThread') ? 'graphql.resolve' : 'graphql.minimize';
+      calls.push({ name, params: variables });
+      if (name === 'graphql.resolve' && failResolve) throw new Error('not allowed');
+      return {};
+    },
+  };
+}
+
+/**
+ * Builds an existing review comment posted by an earlier run
+ * @param {Object} generated - Comment as generated
+ * @param {string} root - Checkout directory
+ * @param {number} id - Comment database id
+ * @returns {Object} Review comment as returned by the API
+ */
+function postedComment(generated, root, id) {
+  const [keyed] = fingerprintComments([generated], root);
+  return { id, node_id: `C_${id}`, path: generated.path, line: generated.line, body: toReviewComment(keyed).body };
+}
+
+test('tags new comments with a fingerprint and posts one blocking review', async () => {
+  const { root, file } = makeCheckout([comment(2, 'debug/console-log'), comment(3, 'debug/debugger')]);
+  const github = mockGithub();
+
+  const summary = await run({ github, context, core, file, root });
+
+  assert.equal(summary.posted, 2);
+  const review = github.calls.find((c) => c.name === 'pulls.createReview').params;
+  assert.equal(review.event, 'REQUEST_CHANGES');
+  assert.equal(review.commit_id, 'abc123');
+  assert.ok(review.body.includes(REVIEW_MARKER));
+  assert.equal(review.comments.length, 2);
+  assert.match(review.comments[0].body, /<!-- ci-standards:fp=[0-9a-f]{16} -->$/);
+});
+
+test('skips comments that already exist on the PR', async () => {
+  const generated = [comment(2, 'debug/console-log'), comment(3, 'debug/debugger')];
+  const { root, file } = makeCheckout(generated);
+  const github = mockGithub({ reviewComments: [postedComment(generated[0], root, 1)] });
+
+  const summary = await run({ github, context, core, file, root });
+
+  assert.equal(summary.skipped, 1);
+  assert.equal(summary.posted, 1);
+  const review = github.calls.find((c) => c.name === 'pulls.createReview').params;
+  assert.deepEqual(review.comments.map((c) => c.line), [3]);
+});
+
+test('posts nothing when every violation is already commented', async () => {
+  const generated = [comment(2, 'debug/console-log')];
+  const { root, file } = makeCheckout(generated);
+  const github = mockGithub({
+    reviewComments: [postedComment(generated[0], root, 1)],
+    reviews: [{ id: 1, state: 'CHANGES_REQUESTED', body: REVIEW_MARKER }],
+  });
+
+  const summary = await run({ github, context, core, file, root });
+
+  assert.equal(summary.posted, 0);
+  assert.ok(!github.calls.some((c) => c.name === 'pulls.createReview'));
+});
+
+test('resolves threads whose violation is gone and ignores unrelated comments', async () => {
+  const { root, file } = makeCheckout([comment(3, 'debug/debugger')]);
+  const fixed = postedComment(comment(2, 'debug/console-log'), root, 11);
+  const human = { id: 12, node_id: 'C_12', path: 'src/a.ts', line: 2, body: 'Nice change!' };
+  const github = mockGithub({
+    reviewComments: [fixed, human],
+    threads: [
+      { id: 'T_11', isResolved: false, comments: { nodes: [{ databaseId: 11 }] } },
+      { id: 'T_12', isResolved: false, comments: { nodes: [{ databaseId: 12 }] } },
+    ],
+  });
+
+  const summary = await run({ github, context, core, file, root });
+
+  assert.equal(summary.resolved, 1);
+  const resolved = github.calls.filter((c) => c.name === 'graphql.resolve');
+  assert.deepEqual(resolved.map((c) => c.params.threadId), ['T_11']);
+});
+
+test('minimizes the comment when its thread cannot be resolved', async () => {
+  const { root, file } = makeCheckout([comment(3, 'debug/debugger')]);
+  const fixed = postedComment(comment(2, 'debug/console-log'), root, 11);
+  const github = mockGithub({
+    reviewComments: [fixed],
+    threads: [{ id: 'T_11', isResolved: false, comments: { nodes: [{ databaseId: 11 }] } }],
+    failResolve: true,
+  });
+
+  const summary = await run({ github, context, core, file, root });
+
+  assert.equal(summary.minimized, 1);
+  const minimized = github.calls.find((c) => c.name === 'graphql.minimize');
+  assert.equal(minimized.params.subjectId, 'C_11');
+});
+
+test('leaves already resolved threads alone', async () => {
+  const { root, file } = makeCheckout([]);
+  const fixed = postedComment(comment(2, 'debug/console-log'), root, 11);
+  const github = mockGithub({
+    reviewComments: [fixed],
+    threads: [{ id: 'T_11', isResolved: true, comments: { nodes: [{ databaseId: 11 }] } }],
+  });
+
+  const summary = await run({ github, context, core, file, root });
+
+  assert.equal(summary.resolved, 0);
+  assert.ok(!github.calls.some((c) => c.name === 'graphql.resolve' || c.name === 'graphql.minimize'));
+});
+
+test('dismisses the earlier blocking review when nothing is left', async () => {
+  const { root, file } = makeCheckout([]);
+  const github = mockGithub({
+    reviews: [
+      { id: 1, state: 'CHANGES_REQUESTED', body: `Found 2\n\n${REVIEW_MARKER}` },
+      { id: 2, state: 'CHANGES_REQUESTED', body: 'Please rename this' },
+      { id: 3, state: 'DISMISSED', body: REVIEW_MARKER },
+    ],
+  });
+
+  const summary = await run({ github, context, core, file, root });
+
+  assert.equal(summary.dismissed, 1);
+  const dismissed = github.calls.filter((c) => c.name === 'pulls.dismissReview');
+  assert.deepEqual(dismissed.map((c) => c.params.review_id), [1]);
+});
+
+test('keeps the blocking review while violations remain', async () => {
+  const generated = [comment(2, 'debug/console-log')];
+  const { root, file } = makeCheckout(generated);
+  const github = mockGithub({
+    reviewComments: [postedComment(generated[0], root, 1)],
+    reviews: [{ id: 1, state: 'CHANGES_REQUESTED', body: REVIEW_MARKER }],
+  });
+
+  await run({ github, context, core, file, root });
+
+  assert.ok(!github.calls.some((c) => c.name === 'pulls.dismissReview'));
+});
+
+test('fingerprints survive line shifts', () => {
+  const { root } = makeCheckout([]);
+  const [before] = fingerprintComments([comment(2, 'debug/console-log')], root);
+  fs.writeFileSync(path.join(root, 'src/a.ts'), '// header\nexport class A {\n  console.log(1);\n  debugger;\n}\n');
+  const [after] = fingerprintComments([comment(3, 'debug/console-log')], root);
+  assert.equal(before.fingerprint, after.fingerprint);
+});
+
+test('passes multi-line ranges through to the review API', () => {
+  const payload = toReviewComment({ ...comment(6, 'jsdoc/missing-returns'), start_line: 2, fingerprint: 'ab' });
+  assert.equal(payload.start_line, 2);
+  assert.equal(payload.start_side, 'RIGHT');
+  assert.equal(payload.line, 6);
+});
+
+test('posts only errors inline when the check run carries warnings', async () => {
+  const warning = { ...comment(2, 'debug/console-log'), severity: 'warning' };
+  const { root, file } = makeCheckout([warning, comment(3, 'debug/debugger')]);
+  const github = mockGithub({
+    reviewComments: [postedComment(warning, root, 21)],
+    threads: [{ id: 'T_21', isResolved: false, comments: { nodes: [{ databaseId: 21 }] } }],
+  });
+
+  const summary = await run({ github, context, core, file, root, inlineSeverity: 'error' });
+
+  assert.equal(summary.posted, 1);
+  assert.equal(summary.resolved, 1);
+  const review = github.calls.find((c) => c.name === 'pulls.createReview').params;
+  assert.deepEqual(review.comments.map((c) => c.line), [3]);
+});
+
+test('caps new comments at maxComments', async () => {
+  const generated = Array.from({ length: 40 }, () => comment(3, 'debug/debugger'));
+  const { root, file } = makeCheckout(generated);
+  const github = mockGithub();
+
+  const summary = await run({ github, context, core, file, root, maxComments: 30 });
+
+  assert.equal(summary.posted, 30);
+  assert.ok(!github.calls.some((c) => c.name === 'pulls.createReviewComment'));
+});
+
+test('comments without blocking when only warnings are found', async () => {
+  const warning = { ...comment(2, 'debug/console-log'), severity: 'warning' };
+  const { root, file } = makeCheckout([warning]);
+  const github = mockGithub({ reviews: [{ id: 5, state: 'CHANGES_REQUESTED', body: REVIEW_MARKER }] });
+
+  const summary = await run({ github, context, core, file, root });
+
+  assert.equal(summary.event, 'COMMENT');
+  assert.equal(summary.blocking, false);
+  const review = github.calls.find((c) => c.name === 'pulls.createReview').params;
+  assert.equal(review.event, 'COMMENT');
+  assert.deepEqual(github.calls.filter((c) => c.name === 'pulls.dismissReview').map((c) => c.params.review_id), [5]);
+});
+
+test('blocks on warnings past maxWarnings', async () => {
+  const warnings = [2, 3].map((line) => ({ ...comment(line, 'comments/todo'), severity: 'warning' }));
+  const { root, file } = makeCheckout(warnings);
+  const github = mockGithub();
+
+  const summary = await run({ github, context, core, file, root, maxWarnings: 1 });
+
+  assert.equal(summary.blocking, true);
+  assert.equal(github.calls.find((c) => c.name === 'pulls.createReview').params.event, 'REQUEST_CHANGES');
+});
+
+test('requests changes again when still blocking but every comment exists', async () => {
+  const generated = [comment(2, 'debug/console-log')];
+  const { root, file } = makeCheckout(generated);
+  const github = mockGithub({ reviewComments: [postedComment(generated[0], root, 1)] });
+
+  await run({ github, context, core, file, root });
+
+  const review = github.calls.find((c) => c.name === 'pulls.createReview').params;
+  assert.equal(review.event, 'REQUEST_CHANGES');
+  assert.equal(review.comments, undefined);
+});
+
+test('approves a clean run only when asked to', async () => {
+  const { root, file } = makeCheckout([]);
+
+  const silent = mockGithub();
+  assert.equal((await run({ github: silent, context, core, file, root })).event, null);
+  assert.ok(!silent.calls.some((c) => c.name === 'pulls.createReview'));
+
+  const approving = mockGithub();
+  await run({ github: approving, context, core, file, root, approve: true });
+  assert.equal(approving.calls.find((c) => c.name === 'pulls.createReview').params.event, 'APPROVE');
+});
+
+test('fails without touching the PR when violations.json is missing', async () => {
+  const github = mockGithub();
+  await assert.rejects(run({ github, context, core, file: '/nonexistent/violations.json' }), /not found/);
+  assert.equal(github.calls.length, 0);
+});
+
+test('fails without resolving or dismissing anything when the generator left an empty file', async () => {
+  const { root, file } = makeCheckout([]);
+  fs.writeFileSync(file, '');
+  const github = mockGithub({
+    reviewComments: [postedComment(comment(2, 'debug/console-log'), root, 11)],
+    threads: [{ id: 'T_11', isResolved: false, comments: { nodes: [{ databaseId: 11 }] } }],
+    reviews: [{ id: 5, state: 'CHANGES_REQUESTED', body: REVIEW_MARKER }],
+  });
+
+  await assert.rejects(run({ github, context, core, file, root }), /is empty/);
+  assert.equal(github.calls.length, 0);
+});
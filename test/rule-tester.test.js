@@ -0,0 +1,80 @@
+/**
+ * Tests for scripts/lib/rule-tester.js
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRuleTester, verifyCase } = require('../scripts/lib/rule-tester');
+const { createConfig } = require('../scripts/lib/config');
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ci-standards-tester-'));
+  fs.writeFileSync(path.join(dir, 'no-px.js'), `
+module.exports = {
+  name: 'units',
+  rules: {
+    'no-px': {
+      meta: { description: 'Use rem instead of px', language: 'css', category: 'styling' },
+      create(context) {
+        return {
+          declaration(declaration) {
+            if (/\\dpx/.test(declaration.value)) context.report({ line: declaration.line, message: 'Use rem' });
+          },
+        };
+      },
+    },
+  },
+};
+`);
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('passes when the rules report exactly the expected errors', () => {
+  const config = createConfig({}, dir);
+  const violations = verifyCase(config, ['comments/todo'], { code: 'a();\n// TODO: b', errors: [{ line: 2 }] }, true);
+  assert.equal(violations.length, 1);
+  assert.deepEqual(verifyCase(config, ['comments/todo'], 'a();', false), []);
+});
+
+test('fails on missing, unexpected and differently worded errors', () => {
+  const config = createConfig({}, dir);
+  assert.throws(() => verifyCase(config, ['comments/todo'], '// TODO', false), { name: 'AssertionError', message: /Expected no violations/ });
+  assert.throws(() => verifyCase(config, ['comments/todo'], { code: '// TODO', errors: [{ line: 2 }] }, true), { name: 'AssertionError' });
+  assert.throws(() => verifyCase(config, ['comments/todo'], { code: '// TODO', errors: [{ line: 1 }, { line: 1 }] }, true), { name: 'AssertionError' });
+  assert.throws(() => verifyCase(config, ['comments/todo'], { code: '// TODO', errors: [{ line: 1, message: /FIXME/ }] }, true), { name: 'AssertionError' });
+  // With several rules under test, each error names its rule
+  assert.throws(() => verifyCase(config, ['comments/todo', 'comments/fixme'], { code: '// TODO', errors: [{ line: 1 }] }, true), { name: 'AssertionError' });
+});
+
+test('compares fix output, with null meaning nothing is fixed', () => {
+  const config = createConfig({}, dir);
+  const code = 'class A {\n  /**\n   * Counts\n   */\n  public count(): number {\n    return 1;\n  }\n}';
+  assert.throws(() => verifyCase(config, ['jsdoc/missing-returns', 'jsdoc/access-tag'], {
+    code,
+    errors: [{ ruleId: 'jsdoc/missing-returns', line: 5 }, { ruleId: 'jsdoc/access-tag', line: 5 }],
+    output: null,
+  }, true), { name: 'AssertionError', message: /Expected no fix/ });
+  verifyCase(config, ['comments/todo'], { code: '// TODO', errors: [{ line: 1 }], output: null }, true);
+});
+
+test('rejects malformed cases and unknown rules', () => {
+  const config = createConfig({}, dir);
+  assert.throws(() => verifyCase(config, ['comments/todo'], { code: '// TODO', errors: [] }, true), /needs a non-empty errors array/);
+  assert.throws(() => verifyCase(config, ['comments/todo'], {}, false), /need a code string/);
+  assert.throws(() => createRuleTester({ cwd: dir }).run('no/such-rule', {}), /Unknown rule 'no\/such-rule'/);
+});
+
+test('tests plugin rules listed in the tester config', () => {
+  const tester = createRuleTester({ config: { plugins: ['./no-px.js'] }, cwd: dir });
+  assert.deepEqual(tester.config.pluginRules, ['units/no-px']);
+  verifyCase(tester.config, ['units/no-px'], '.a {\n  margin: 1rem;\n}', false);
+  verifyCase(tester.config, ['units/no-px'], { code: '.a {\n  margin: 4px;\n}', errors: [{ line: 2, message: 'Use rem' }] }, true);
+});
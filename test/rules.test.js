@@ -0,0 +1,232 @@
+/**
+ * Fixture suite for the built-in rules, written with the rule tester
+ */
+
+const { createRuleTester } = require('../scripts/lib/rule-tester');
+
+const tester = createRuleTester({ cwd: __dirname });
+
+tester.run('jsdoc/missing-jsdoc', {
+  valid: [
+    'class A {\n  /** Count */\n  public count = signal(0);\n}',
+    'class A {\n  /**\n   * Resets\n   * @public\n   */\n  public reset(): void {}\n}',
+  ],
+  invalid: [
+    {
+      code: "class A {\n  public load(id: number): string {\n    return '';\n  }\n}",
+      errors: [{ line: 2, message: 'Missing JSDoc above method' }],
+      output: "class A {\n  /**\n   * Load\n   * @public\n   * @param {number} id - The id\n   * @returns {string} The result\n   */\n  public load(id: number): string {\n    return '';\n  }\n}",
+    },
+    {
+      name: 'reactive members',
+      code: 'class A {\n  public total = computed(() => 1);\n}',
+      errors: [{ line: 2, message: 'Missing JSDoc above computed property' }],
+      output: 'class A {\n  /** Total */\n  public total = computed(() => 1);\n}',
+    },
+  ],
+});
+
+tester.run('jsdoc/missing-returns', {
+  valid: [
+    'class A {\n  /**\n   * Resets\n   * @public\n   */\n  public reset(): void {}\n}',
+    'class A {\n  /**\n   * Sets the name\n   * @public\n   * @param {string} value - Name\n   */\n  public set name(value: string) {}\n}',
+  ],
+  invalid: [
+    {
+      code: 'class A {\n  /**\n   * Counts\n   * @public\n   */\n  public count(): number {\n    return 1;\n  }\n}',
+      errors: [{ line: 6 }],
+      output: 'class A {\n  /**\n   * Counts\n   * @public\n   * @returns {number} The result\n   */\n  public count(): number {\n    return 1;\n  }\n}',
+    },
+  ],
+});
+
+tester.run(['jsdoc/missing-param', 'jsdoc/param-type', 'jsdoc/extra-param'], {
+  valid: [
+    'class A {\n  /**\n   * Loads\n   * @public\n   * @param {number} id - Id\n   */\n  public load(id: number): void {}\n}',
+  ],
+  invalid: [
+    {
+      code: 'class A {\n  /**\n   * Loads\n   * @public\n   * @param id - Id\n   * @param {string} old - Gone\n   */\n  public load(id: number, force: boolean): void {}\n}',
+      errors: [
+        { ruleId: 'jsdoc/missing-param', line: 8, message: "Missing @param for 'force'" },
+        { ruleId: 'jsdoc/param-type', line: 8, message: '@param id missing {Type} in curly braces' },
+        { ruleId: 'jsdoc/extra-param', line: 8, message: /Extra @param 'old'/ },
+      ],
+      output: 'class A {\n  /**\n   * Loads\n   * @public\n   * @param {number} id - Id\n   * @param {boolean} force - The force\n   */\n  public load(id: number, force: boolean): void {}\n}',
+    },
+  ],
+});
+
+tester.run('jsdoc/access-tag', {
+  valid: ['class A {\n  /**\n   * Loads\n   * @private\n   */\n  private load(): void {}\n}'],
+  invalid: [
+    {
+      code: 'class A {\n  /**\n   * Loads\n   * @public\n   */\n  private load(): void {}\n}',
+      errors: [{ line: 6, message: 'JSDoc should have @private (method is private)' }],
+      output: 'class A {\n  /**\n   * Loads\n   * @private\n   */\n  private load(): void {}\n}',
+    },
+  ],
+});
+
+tester.run(['jsdoc/single-line', 'jsdoc/empty-description'], {
+  valid: ['class A {\n  /** Count */\n  public count = signal(0);\n}'],
+  invalid: [
+    {
+      code: 'class A {\n  /**\n   * Count\n   */\n  public count = signal(0);\n}',
+      errors: [{ ruleId: 'jsdoc/single-line', line: 5 }],
+      output: 'class A {\n  /** Count */\n  public count = signal(0);\n}',
+    },
+    {
+      code: 'class A {\n  /** */\n  public count = signal(0);\n}',
+      errors: [{ ruleId: 'jsdoc/empty-description', line: 3, message: 'Signal JSDoc is empty - add a description' }],
+      output: 'class A {\n  /** Count */\n  public count = signal(0);\n}',
+    },
+  ],
+});
+
+tester.run(['ts/access-modifier', 'ts/return-type'], {
+  valid: ['class A {\n  public set name(value: string) {}\n  protected load(): void {}\n}'],
+  invalid: [
+    {
+      code: 'class A {\n  load() {}\n}',
+      errors: [
+        { ruleId: 'ts/access-modifier', line: 2, message: 'Missing access modifier on method' },
+        { ruleId: 'ts/return-type', line: 2, message: 'Missing return type' },
+      ],
+      output: null,
+    },
+  ],
+});
+
+tester.run('ts/no-any', {
+  valid: ['const value: unknown = 1;'],
+  invalid: [
+    {
+      code: 'class A {\n  public load(data: any): any {}\n}\nconst x: any = 1;',
+      errors: [
+        { line: 2, message: "Parameter 'data' cannot have type `any`. Use a specific type instead." },
+        { line: 2, message: 'Return type cannot be `any`. Use a specific type instead.' },
+        { line: 4, message: 'Type `any` is not allowed. Use a specific type instead.' },
+      ],
+    },
+  ],
+});
+
+tester.run(['debug/console-log', 'debug/debugger', 'comments/todo', 'comments/fixme'], {
+  valid: ['logger.info("ready");'],
+  invalid: [
+    {
+      code: 'console.log(1);\ndebugger;\n// TODO: later\n// FIXME: broken',
+      errors: [
+        { ruleId: 'debug/console-log', line: 1 },
+        { ruleId: 'debug/debugger', line: 2 },
+        { ruleId: 'comments/todo', line: 3 },
+        { ruleId: 'comments/fixme', line: 4 },
+      ],
+    },
+  ],
+});
+
+tester.run(['suppressions/unused', 'suppressions/unknown-rule', 'suppressions/unknown-directive', 'ts/no-any'], {
+  valid: [
+    '// ci-standards-disable-next-line ts/no-any -- untyped callback\nconst a: any = 1;',
+    '/* ci-standards-disable ts/no-any*/\nconst a: any = 1;\n/* ci-standards-enable*/',
+  ],
+  invalid: [
+    {
+      name: 'disable-line is not read as a block disable',
+      code: 'const a: any = 1; // ci-standards-disable-line ts/no-any\nconst b: any = 2;',
+      errors: [
+        { ruleId: 'ts/no-any', line: 1 },
+        { ruleId: 'suppressions/unknown-directive', line: 1, message: /^Unknown directive ci-standards-disable-line suppresses nothing/ },
+        { ruleId: 'ts/no-any', line: 2 },
+      ],
+    },
+    {
+      code: '// ci-standards-disable-next-line ts/no-any\nconst a = 1;\n// ci-standards-disable-next-line no/such-rule\nconst b = 2;',
+      errors: [
+        { ruleId: 'suppressions/unused', line: 1 },
+        { ruleId: 'suppressions/unknown-rule', line: 3, message: /unknown rule 'no\/such-rule'/ },
+      ],
+    },
+  ],
+});
+
+tester.run(['tailwind/hardcoded-color', 'tailwind/hardcoded-font', 'tailwind/var-fallback'], {
+  valid: [
+    '.a {\n  color: var(--brand, #e4002b);\n  background-color: theme(\'colors.white\');\n}',
+    '@keyframes flash {\n  from {\n    color: #000;\n  }\n}',
+    '@font-face {\n  font-family: Arial;\n}',
+  ],
+  invalid: [
+    {
+      code: '.a {\n  color: #fff;\n  font-family: Arial;\n  border-color: var(--line);\n}',
+      errors: [
+        { ruleId: 'tailwind/hardcoded-color', line: 2, message: /Hardcoded color value '#fff'/ },
+        { ruleId: 'tailwind/hardcoded-font', line: 3 },
+        { ruleId: 'tailwind/var-fallback', line: 4 },
+      ],
+    },
+    {
+      name: 'at-rules and nesting',
+      code: '@media print {\n  .a {\n    color: #000;\n    & .b { color: #111 !important; }\n  }\n}',
+      errors: [
+        { ruleId: 'tailwind/hardcoded-color', line: 3 },
+        { ruleId: 'tailwind/hardcoded-color', line: 4, message: /'#111'/ },
+      ],
+    },
+  ],
+});
+
+tester.run(['tailwind/hardcoded-color', 'tailwind/prefer-utility'], {
+  valid: [
+    { filename: 'card.component.ts', code: "@Component({\n  selector: 'app-card',\n  styles: [':host { cursor: pointer; }'],\n})\nexport class CardComponent {}" },
+    // Styles built with ${} cannot be checked
+    { filename: 'card.component.ts', code: '@Component({\n  styles: `.a { color: ${brand}; }`,\n})\nexport class CardComponent {}' },
+  ],
+  invalid: [
+    {
+      name: 'inline component styles',
+      filename: 'card.component.ts',
+      code: "@Component({\n  styles: [`\n    .a {\n      color: #fff;\n    }\n  `, '.b { margin: 4px; }'],\n})\nexport class CardComponent {}",
+      errors: [
+        { ruleId: 'tailwind/hardcoded-color', line: 4 },
+        { ruleId: 'tailwind/prefer-utility', line: 6, message: /'margin'/ },
+      ],
+    },
+    {
+      name: 'inline styles written with escaped line breaks',
+      filename: 'card.component.ts',
+      code: "@Component({\n  styles: ['.a {\\n  color: #fff;\\n}', `.b {\\\r\n  margin: 4px; }`],\n})\nexport class CardComponent {}",
+      errors: [
+        { ruleId: 'tailwind/hardcoded-color', line: 2 },
+        { ruleId: 'tailwind/prefer-utility', line: 3, message: /'margin'/ },
+      ],
+    },
+  ],
+});
+
+tester.run('css/syntax-error', {
+  valid: ['.a {\n  cursor: pointer;\n}'],
+  invalid: [
+    { code: '.a {\n  cursor: pointer;\n}\n}', errors: [{ line: 4, message: 'CSS syntax error: Unexpected }' }] },
+  ],
+});
+
+tester.run('tailwind/prefer-utility', {
+  valid: ['.a {\n  cursor: pointer;\n  margin: theme(\'spacing.4\');\n}'],
+  invalid: [
+    {
+      code: ':host {\n  padding: 4px;\n}\n.a {\n  padding: 4px;\n}',
+      errors: [
+        { line: 2, message: "Property 'padding' should use Use @apply p-{size}" },
+        { line: 5, message: "Property 'padding' should use Use Tailwind 'p-{size}'" },
+      ],
+    },
+    {
+      name: 'nested under :host',
+      code: ':host {\n  .a { padding: 4px; }\n}',
+      errors: [{ line: 2, message: "Property 'padding' should use Use @apply p-{size}" }],
+    },
+  ],
+});
@@ -0,0 +1,195 @@
+/**
+ * Tests for scripts/lib/tailwind-theme.js and the theme-aware Tailwind suggestions
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadTailwindTheme, resolveTailwindTheme, suggestUtility } = require('../scripts/lib/tailwind-theme');
+const { TAILWIND_PROPERTIES } = require('../scripts/lib/checks/tailwind');
+const { createConfig } = require('../scripts/lib/config');
+const { checkSource } = require('../scripts/lib/engine');
+const { generateComments } = require('../scripts/generate-pr-comments');
+
+let dir;
+
+/**
+ * Suggests a utility for a declaration against a theme
+ * @param {Object} theme - Theme from loadTailwindTheme
+ * @param {string} property - CSS property
+ * @param {string} value - CSS value
+ * @returns {Object|null} Result of suggestUtility
+ */
+function suggest(theme, property, value) {
+  return suggestUtility(theme, TAILWIND_PROPERTIES[property], property, value);
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ci-standards-theme-'));
+  fs.writeFileSync(path.join(dir, 'tailwind.config.js'), `
+module.exports = {
+  theme: {
+    extend: {
+      colors: { blue: { 700: '#1d4ed8', 800: '#1e40af' }, brand: { DEFAULT: '#e4002b', dark: '#b30022' } },
+      spacing: { 18: '4.5rem' },
+    },
+  },
+};
+`);
+  fs.writeFileSync(path.join(dir, 'tokens.css'), '@theme {\n  --color-ink: #111827;\n}\n');
+  fs.writeFileSync(path.join(dir, 'app.css'), `@import "./tokens.css";
+@theme {
+  --spacing: 0.25rem;
+  /* --color-ignored: #fff; */
+  --color-accent: oklch(48.8% 0.243 264.376);
+  --text-sm: 0.875rem;
+  --text-sm--line-height: 1.25rem;
+  --radius-card: 0.75rem;
+}
+`);
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('resolves a v3 config over the default scales', () => {
+  const theme = loadTailwindTheme(path.join(dir, 'tailwind.config.js'));
+  assert.deepEqual(suggest(theme, 'padding', '16px'), { utility: 'p-4', value: '1rem', exact: true, note: null });
+  assert.equal(suggest(theme, 'margin-top', '4.5rem').utility, 'mt-18');
+  assert.equal(suggest(theme, 'margin-left', '-8px').utility, '-ml-2');
+  assert.equal(suggest(theme, 'padding', '-8px'), null);
+  assert.equal(suggest(theme, 'color', '#1D4ED8').utility, 'text-blue-700');
+  assert.equal(suggest(theme, 'background-color', 'rgb(228, 0, 43)').utility, 'bg-brand');
+  assert.equal(suggest(theme, 'font-weight', 'bold').utility, 'font-bold');
+  assert.equal(suggest(theme, 'border-radius', '0.25rem').utility, 'rounded');
+  assert.equal(suggest(theme, 'font-size', '14px').utility, 'text-sm');
+});
+
+test('falls back to the nearest token with how far off it is', () => {
+  const theme = loadTailwindTheme(path.join(dir, 'tailwind.config.js'));
+  assert.deepEqual(suggest(theme, 'padding', '15px'), { utility: 'p-4', value: '1rem', exact: false, note: '16px, 1px more' });
+  assert.equal(suggest(theme, 'font-weight', '650').note, '600, 50 less');
+  const color = suggest(theme, 'color', '#2a3f9f');
+  assert.equal(color.utility, 'text-blue-800');
+  assert.match(color.note, /^#1e40af, ΔE [\d.]+$/);
+  // Values that are not plain lengths or opaque colors get no token
+  assert.equal(suggest(theme, 'padding', '8px 16px'), null);
+  assert.equal(suggest(theme, 'width', '50%'), null);
+  assert.equal(suggest(theme, 'color', 'rgba(0, 0, 0, 0.5)'), null);
+});
+
+test('knows the default palette without tailwindcss installed', (t) => {
+  const project = fs.mkdtempSync(path.join(os.tmpdir(), 'ci-standards-palette-'));
+  t.after(() => fs.rmSync(project, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(project, 'tailwind.config.js'), 'module.exports = { content: [] };\n');
+  const theme = loadTailwindTheme(path.join(project, 'tailwind.config.js'));
+  assert.deepEqual(suggest(theme, 'color', '#1d4ed8'), { utility: 'text-blue-700', value: '#1d4ed8', exact: true, note: null });
+  assert.equal(suggest(theme, 'background-color', '#fff').utility, 'bg-white');
+  assert.equal(suggest(theme, 'border-color', 'rgb(244, 63, 94)').utility, 'border-rose-500');
+});
+
+test('reads export default configs from .mjs, .ts and ES module packages', (t) => {
+  const project = fs.mkdtempSync(path.join(os.tmpdir(), 'ci-standards-esm-'));
+  t.after(() => fs.rmSync(project, { recursive: true, force: true }));
+  const theme = "theme: { extend: { colors: { brand: '#e4002b' } } }";
+  fs.mkdirSync(path.join(project, 'mjs'));
+  fs.writeFileSync(path.join(project, 'mjs', 'tailwind.config.mjs'), `export default { ${theme} };\n`);
+  fs.mkdirSync(path.join(project, 'ts'));
+  fs.writeFileSync(path.join(project, 'ts', 'tailwind.config.ts'), [
+    "import type { Config } from 'tailwindcss';",
+    '',
+    `export default { content: [] as string[], ${theme} } satisfies Config;`,
+    '',
+  ].join('\n'));
+  fs.mkdirSync(path.join(project, 'module'));
+  fs.writeFileSync(path.join(project, 'module', 'package.json'), '{ "type": "module" }\n');
+  fs.writeFileSync(path.join(project, 'module', 'tailwind.config.js'), `export default { ${theme} };\n`);
+
+  for (const name of ['mjs', 'ts', 'module']) {
+    const found = resolveTailwindTheme(path.join(project, name));
+    assert.equal(suggest(found, 'color', '#e4002b').utility, 'text-brand', name);
+    assert.equal(suggest(found, 'padding', '16px').utility, 'p-4', name);
+  }
+});
+
+test('resolves v4 @theme blocks, imports and the open spacing scale', () => {
+  const theme = loadTailwindTheme(path.join(dir, 'app.css'));
+  assert.equal(theme.spacingStep, 4);
+  assert.equal(suggest(theme, 'padding', '16px').utility, 'p-4');
+  assert.equal(suggest(theme, 'width', '1px').utility, 'w-px');
+  assert.equal(suggest(theme, 'margin', '10px').utility, 'm-2.5');
+  assert.equal(suggest(theme, 'color', '#111827').utility, 'text-ink');
+  assert.equal(suggest(theme, 'color', '#1447e6').utility, 'text-accent');
+  assert.equal(suggest(theme, 'font-size', '0.875rem').utility, 'text-sm');
+  assert.equal(suggest(theme, 'border-radius', '12px').utility, 'rounded-card');
+  assert.equal(theme.colors.some((token) => token.name === 'ignored'), false);
+});
+
+test('finds the theme from config, the project root, or not at all', () => {
+  assert.equal(resolveTailwindTheme(dir).file, path.join(dir, 'tailwind.config.js'));
+  assert.equal(resolveTailwindTheme(dir, 'app.css').file, path.join(dir, 'app.css'));
+  assert.equal(resolveTailwindTheme(dir, false), null);
+  assert.equal(resolveTailwindTheme(os.tmpdir()), null);
+  assert.throws(() => resolveTailwindTheme(dir, 'missing.css'), /Could not load Tailwind theme from .*missing\.css/);
+  assert.throws(() => createConfig({ tailwind: { theme: 1 } }, dir), /tailwind.theme must be a file path or false/);
+});
+
+test('falls back to the default theme, warning once, when the config cannot load', (t) => {
+  const project = fs.mkdtempSync(path.join(os.tmpdir(), 'ci-standards-broken-'));
+  t.after(() => fs.rmSync(project, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(project, 'tailwind.config.js'), [
+    "const colors = require('tailwindcss/colors');",
+    '',
+    "module.exports = { theme: { extend: { colors: { brand: colors.rose[600] } } }, plugins: [require('@tailwindcss/forms')] };",
+    '',
+  ].join('\n'));
+  fs.writeFileSync(path.join(project, 'app.css'), '.a {\n  color: #1d4ed8;\n}\n');
+  const warnings = t.mock.method(console, 'error', () => {});
+
+  const theme = resolveTailwindTheme(project);
+  assert.equal(suggest(theme, 'color', '#1d4ed8').utility, 'text-blue-700');
+  const violations = checkSource(fs.readFileSync(path.join(project, 'app.css'), 'utf8'), path.join(project, 'app.css'), createConfig({}, project));
+  assert.deepEqual(violations.map((v) => [v.line, v.ruleId]), [[2, 'tailwind/hardcoded-color']]);
+  assert.match(violations[0].message, /text-blue-700/);
+
+  assert.equal(warnings.mock.callCount(), 1);
+  assert.match(warnings.mock.calls[0].arguments[0], /^⚠️ Could not load Tailwind theme from .*tailwind\.config\.js: Cannot find module 'tailwindcss\/colors'\. Suggesting tokens from the default Tailwind theme instead\.$/);
+});
+
+test('rule messages name the utility for the value', () => {
+  const css = '.a {\n  padding: 15px;\n  color: #1d4ed8;\n}\n:host {\n  margin: 16px;\n}';
+  const messages = checkSource(css, path.join(dir, 'a.css'), createConfig({}, dir)).map((v) => v.message);
+  assert.deepEqual(messages, [
+    "Property 'padding' should use Use Tailwind 'p-4' (nearest token: 16px, 1px more)",
+    "STRICT: Hardcoded color value '#1d4ed8' found. Must use Tailwind utilities or global variables. Use 'text-blue-700'.",
+    "Property 'margin' should use Use @apply m-4",
+  ]);
+  // Without a theme the message keeps the template
+  const plain = checkSource(css, path.join(dir, 'a.css'), createConfig({ tailwind: { theme: false } }, dir));
+  assert.equal(plain[0].message, "Property 'padding' should use Use Tailwind 'p-{size}'");
+  assert.equal(plain[0].token, undefined);
+});
+
+test('PR comments suggest an @apply for exact tokens only', () => {
+  fs.writeFileSync(path.join(dir, 'b.css'), '.b {\n  color: #1d4ed8;\n  padding: 15px;\n}\n');
+  const diffText = [
+    'diff --git a/b.css b/b.css',
+    'new file mode 100644',
+    '--- /dev/null',
+    '+++ b/b.css',
+    '@@ -0,0 +1,4 @@',
+    '+.b {',
+    '+  color: #1d4ed8;',
+    '+  padding: 15px;',
+    '+}',
+    '',
+  ].join('\n');
+  const comments = generateComments({ diffText, root: dir });
+  assert.deepEqual(comments.map((c) => [c.line, c.ruleId]), [[2, 'tailwind/hardcoded-color'], [3, 'tailwind/prefer-utility']]);
+  assert.match(comments[0].body, /Suggestion: Use Tailwind `text-blue-700` instead\.\n\n```suggestion\n {2}@apply text-blue-700;\n```/);
+  assert.match(comments[1].body, /Suggestion: Use Tailwind `p-4` instead\./);
+  assert.doesNotMatch(comments[1].body, /```suggestion/);
+});